@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+/**
+ * Ladder Draw - Command-Line Interface
+ *
+ * This module handles:
+ * - Reading participants and results from files or stdin
+ * - Running the draw with the shared ladder core (same seed, same result as the web app)
+ * - Printing the results as a table, JSON or CSV, optionally with the ladder as text art
+ *
+ * Exit codes follow the input validation rules (see EXIT_CODES).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Ladder = require('../js/ladder.js');
+const LadderTextRenderer = require('../js/text-renderer.js');
+
+/**
+ * Exit codes: usage errors, then one code per validation rule of Ladder.validate
+ */
+const EXIT_CODES = {
+    OK: 0,
+    USAGE: 1,
+    TOO_FEW_PARTICIPANTS: 2,
+    NO_RESULTS: 3,
+    TOO_MANY_RESULTS: 4,
+    TOO_MANY_PARTICIPANTS: 5,
+    DUPLICATE_PARTICIPANTS: 6
+};
+
+/**
+ * Output formats
+ */
+const FORMATS = ['table', 'json', 'csv'];
+
+/**
+ * Separator line between participants and results when both come from stdin
+ */
+const STDIN_SEPARATOR = '---';
+
+const USAGE = `사용법: ladder-draw [옵션]
+
+  -p, --participants <파일>  참여자 목록 (한 줄에 한 명, '-'는 표준 입력)
+  -r, --results <파일>       결과 목록 (한 줄에 하나, '-'는 표준 입력)
+  -s, --seed <시드>          시드 (같은 시드와 입력이면 같은 결과, 생략하면 무작위)
+      --filler <이름>        결과가 부족할 때 채울 이름 (기본: 꽝)
+      --no-counts            "커피 x3" 같은 개수 표기를 해석하지 않음
+  -f, --format <형식>        출력 형식: table (기본), json, csv
+      --ladder               사다리를 ASCII 아트로 함께 출력 (table 형식)
+      --unicode              사다리를 박스 그리기 문자로 출력 (--ladder 포함)
+      --path <참여자>        해당 참여자의 경로를 굵게 표시 (--ladder 포함)
+      --width <칸 수>        사다리 출력 폭 (기본: 터미널 폭, 넘치면 열을 좁히고 나눠 출력)
+  -h, --help                 도움말
+  -v, --version              버전
+
+파일을 지정하지 않으면 표준 입력에서 참여자와 결과를 읽습니다.
+이때 두 목록은 '${STDIN_SEPARATOR}' 한 줄로 구분합니다.
+
+종료 코드:
+  0  성공
+  1  잘못된 옵션 또는 읽을 수 없는 입력
+  2  참여자가 2명 미만
+  3  결과 항목이 없음
+  4  결과 항목이 너무 많음
+  5  참여자가 너무 많음
+  6  중복된 참여자 이름`;
+
+/**
+ * Error for invalid command-line usage (exit code 1)
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @returns {Object} Parsed options
+ * @throws {UsageError} On unknown options or missing values
+ */
+function parseArgs(argv) {
+    const options = {
+        participants: null,
+        results: null,
+        seed: '',
+        filler: undefined,
+        counts: true,
+        format: 'table',
+        ladder: false,
+        unicode: false,
+        path: null,
+        width: null,
+        help: false,
+        version: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        // Support --option=value as well as --option value
+        const [name, inlineValue] = arg.startsWith('--') && arg.includes('=')
+            ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+            : [arg, undefined];
+
+        function value() {
+            if (inlineValue !== undefined) return inlineValue;
+            if (i + 1 >= argv.length) {
+                throw new UsageError(`${name} 옵션에 값이 필요합니다.`);
+            }
+            return argv[++i];
+        }
+
+        switch (name) {
+            case '-p': case '--participants': options.participants = value(); break;
+            case '-r': case '--results': options.results = value(); break;
+            case '-s': case '--seed': options.seed = value(); break;
+            case '--filler': options.filler = value(); break;
+            case '--no-counts': options.counts = false; break;
+            case '-f': case '--format': options.format = value(); break;
+            case '--ladder': options.ladder = true; break;
+            case '--unicode': options.unicode = true; options.ladder = true; break;
+            case '--path': options.path = value(); options.ladder = true; break;
+            case '--width': options.width = value(); break;
+            case '-h': case '--help': options.help = true; break;
+            case '-v': case '--version': options.version = true; break;
+            default:
+                throw new UsageError(`알 수 없는 옵션입니다: ${arg}`);
+        }
+    }
+
+    if (!FORMATS.includes(options.format)) {
+        throw new UsageError(`출력 형식은 ${FORMATS.join(', ')} 중 하나여야 합니다: ${options.format}`);
+    }
+    if (options.width !== null) {
+        const width = Number(options.width);
+        if (!Number.isInteger(width) || width < 1) {
+            throw new UsageError(`--width 값은 1 이상의 정수여야 합니다: ${options.width}`);
+        }
+        options.width = width;
+    }
+    if (options.participants === '-' && options.results === '-') {
+        throw new UsageError('표준 입력은 참여자와 결과 중 하나에만 쓸 수 있습니다.');
+    }
+
+    return options;
+}
+
+/**
+ * Split text into trimmed, non-empty lines (same rules as the web app)
+ * @param {string} text - Input text
+ * @returns {string[]} Lines
+ */
+function parseLines(text) {
+    return text
+        .replace(/^\uFEFF/, '')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line.length > 0);
+}
+
+/**
+ * Read a list from a file, or from stdin for '-'
+ * @param {string} file - File path or '-'
+ * @returns {string[]} Lines
+ * @throws {UsageError} If the file cannot be read
+ */
+function readList(file) {
+    try {
+        return parseLines(fs.readFileSync(file === '-' ? 0 : file, 'utf8'));
+    } catch (error) {
+        throw new UsageError(`입력을 읽을 수 없습니다: ${file} (${error.code || error.message})`);
+    }
+}
+
+/**
+ * Read participants and results according to the options
+ * @param {Object} options - Parsed options
+ * @returns {{participants: string[], results: string[]}} Raw lists (counts not expanded)
+ */
+function readInputs(options) {
+    if (options.participants !== null && options.results !== null) {
+        return { participants: readList(options.participants), results: readList(options.results) };
+    }
+
+    // Whatever is not given as a file comes from stdin
+    if (options.participants !== null) {
+        return { participants: readList(options.participants), results: readList('-') };
+    }
+    if (options.results !== null) {
+        return { participants: readList('-'), results: readList(options.results) };
+    }
+
+    const lines = readList('-');
+    const separator = lines.indexOf(STDIN_SEPARATOR);
+    if (separator === -1) {
+        throw new UsageError(`표준 입력에서 참여자와 결과를 '${STDIN_SEPARATOR}' 줄로 구분해주세요.`);
+    }
+    return { participants: lines.slice(0, separator), results: lines.slice(separator + 1) };
+}
+
+/**
+ * Quote a CSV field if needed (RFC 4180)
+ * @param {string} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Format the draw for output
+ * @param {Object} ladderData - Ladder data
+ * @param {Object} options - Parsed options
+ * @returns {string} Output text
+ */
+function formatOutput(ladderData, options) {
+    const assignments = Ladder.getAllResults(ladderData);
+
+    if (options.format === 'json') {
+        return JSON.stringify({
+            seed: ladderData.seed,
+            participants: ladderData.participants,
+            results: ladderData.results,
+            assignments: assignments.map(item => ({ participant: item.participant, result: item.result })),
+            mapping: assignments.map(item => item.resultIndex),
+            rows: ladderData.rows,
+            horizontalLines: ladderData.horizontalLines
+        }, null, 2);
+    }
+
+    if (options.format === 'csv') {
+        return ['participant,result']
+            .concat(assignments.map(item => `${csvField(item.participant)},${csvField(item.result)}`))
+            .join('\n');
+    }
+
+    const sections = [];
+    if (options.ladder) {
+        sections.push(LadderTextRenderer.render(ladderData, {
+            charset: options.unicode ? 'unicode' : 'ascii',
+            highlightIndex: options.path !== null ? ladderData.participants.indexOf(options.path) : -1,
+            // Fit the terminal when printing to one; pipes and files get the full width
+            maxWidth: options.width || process.stdout.columns
+        }));
+    }
+    sections.push(LadderTextRenderer.renderTable(ladderData));
+    sections.push(`시드: ${ladderData.seed}`);
+    return sections.join('\n\n');
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @returns {number} Exit code
+ */
+function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return EXIT_CODES.USAGE;
+    }
+
+    if (options.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return EXIT_CODES.OK;
+    }
+    if (options.version) {
+        const pkg = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8'));
+        process.stdout.write(`${pkg.version}\n`);
+        return EXIT_CODES.OK;
+    }
+
+    let inputs;
+    try {
+        inputs = readInputs(options);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        process.stderr.write(`${error.message}\n`);
+        return EXIT_CODES.USAGE;
+    }
+
+    const participants = inputs.participants;
+    let results = inputs.results;
+    if (options.counts) {
+        try {
+            results = Ladder.expandResultCounts(inputs.results);
+        } catch (error) {
+            if (error.code !== 'TOO_MANY_RESULTS') throw error;
+            process.stderr.write(`${error.message}\n`);
+            return EXIT_CODES.TOO_MANY_RESULTS;
+        }
+    }
+
+    const validationError = Ladder.validate(participants, results);
+    if (validationError) {
+        process.stderr.write(`${validationError.message}\n`);
+        return EXIT_CODES[validationError.code];
+    }
+
+    if (options.path !== null && !participants.includes(options.path)) {
+        process.stderr.write(`--path 참여자를 찾을 수 없습니다: ${options.path}\n`);
+        return EXIT_CODES.USAGE;
+    }
+
+    const ladderData = Ladder.generate(participants, results, {
+        seed: options.seed,
+        filler: options.filler
+    });
+    process.stdout.write(`${formatOutput(ladderData, options)}\n`);
+    return EXIT_CODES.OK;
+}
+
+process.exitCode = main(process.argv.slice(2));
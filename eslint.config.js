@@ -0,0 +1,63 @@
+/**
+ * ESLint configuration
+ *
+ * The app modules in js/ are plain browser scripts that share their
+ * top-level constants as globals (loaded in index.html order); the CLI and
+ * the tests are CommonJS.
+ */
+
+'use strict';
+
+const js = require('@eslint/js');
+const globals = require('globals');
+
+/**
+ * Globals declared by the app modules
+ */
+const APP_MODULES = [
+    'Ladder', 'LadderAccessibility', 'LadderCertificate', 'LadderConstraints', 'LadderCsv',
+    'LadderFairness', 'LadderHash', 'LadderHistory', 'LadderI18n', 'LadderPrint', 'LadderRenderer',
+    'LadderSessionFile', 'LadderShare', 'LadderSpreadsheet', 'LadderSvgRenderer', 'LadderTextRenderer',
+    'LadderTheme', 'LadderTournament', 'LadderViewport'
+];
+
+module.exports = [
+    js.configs.recommended,
+    {
+        files: ['js/**/*.js'],
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'script',
+            globals: Object.assign(
+                {},
+                globals.browser,
+                Object.fromEntries(APP_MODULES.map(name => [name, 'readonly'])),
+                // ladder.js and text-renderer.js also export themselves to Node.js
+                { module: 'readonly', require: 'readonly' }
+            )
+        },
+        rules: {
+            // Each module declares the global it is known by
+            'no-redeclare': ['error', { builtinGlobals: false }],
+            'no-unused-vars': ['error', { vars: 'local', args: 'none', caughtErrors: 'none' }]
+        }
+    },
+    {
+        files: ['js/**/*.mjs'],
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'module'
+        }
+    },
+    {
+        files: ['bin/**/*.js', 'test/**/*.js', 'eslint.config.js'],
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'commonjs',
+            globals: globals.node
+        },
+        rules: {
+            'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none' }]
+        }
+    }
+];
@@ -0,0 +1,104 @@
+/**
+ * Ladder Draw - Accessibility Texts
+ *
+ * This module handles:
+ * - Describing the whole ladder structure in words (for the hidden description of the canvas)
+ * - Describing one participant's path turn by turn along Ladder.tracePath
+ *
+ * Lines are numbered from 1 like the participant labels on the ladder, so a
+ * screen-reader user and a sighted user can talk about the same line.
+ */
+
+const LadderAccessibility = (function() {
+    'use strict';
+
+    /**
+     * Join localized list items
+     * @param {string[]} items - Items
+     * @returns {string} Joined text
+     */
+    function joinList(items) {
+        return items.join(LadderI18n.t('a11y.separator'));
+    }
+
+    /**
+     * Describe the ladder structure
+     * Rows without rungs are left out to keep the description short.
+     * @param {Object} ladderData - The ladder data
+     * @param {number[]} hiddenResults - Result indices that are still covered
+     * @returns {{summary: string, participants: string, rows: string[], results: string, note: string}}
+     */
+    function describeLadder(ladderData, hiddenResults = []) {
+        const hidden = new Set(hiddenResults);
+        const t = LadderI18n.t;
+
+        const rungsByRow = {};
+        ladderData.horizontalLines.forEach(line => {
+            (rungsByRow[line.row] = rungsByRow[line.row] || []).push(line.fromColumn);
+        });
+        const rows = Object.keys(rungsByRow)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .map(row => t('a11y.row', {
+                row: row + 1,
+                rungs: joinList(rungsByRow[row]
+                    .sort((a, b) => a - b)
+                    .map(fromColumn => t('a11y.rung', { from: fromColumn + 1, to: fromColumn + 2 })))
+            }));
+
+        return {
+            summary: t('a11y.summary', {
+                columns: ladderData.verticalLines,
+                rungs: ladderData.horizontalLines.length,
+                rows: ladderData.rows
+            }),
+            participants: t('a11y.top', {
+                list: joinList(ladderData.participants.map((name, index) => t('a11y.column', { column: index + 1, name: name })))
+            }),
+            rows: rows,
+            results: t('a11y.bottom', {
+                list: joinList(ladderData.results.map((result, index) => t('a11y.column', {
+                    column: index + 1,
+                    name: hidden.has(index) ? t('a11y.covered') : result
+                })))
+            }),
+            note: rows.length < ladderData.rows ? t('a11y.emptyRows') : ''
+        };
+    }
+
+    /**
+     * Describe a participant's path: where it starts, every turn, and where it ends
+     * @param {Object} ladderData - The ladder data
+     * @param {number} index - Participant index
+     * @returns {{start: string, turns: string[], end: string}} Sentences
+     */
+    function describePath(ladderData, index) {
+        const t = LadderI18n.t;
+        const path = Ladder.tracePath(ladderData, index);
+        const name = ladderData.participants[index];
+
+        // Each rung crossed shows up as a beforeMove waypoint followed by its afterMove waypoint
+        const turns = [];
+        path.forEach((point, i) => {
+            if (!point.afterMove) return;
+            const from = path[i - 1];
+            turns.push(t(point.col > from.col ? 'a11y.turnRight' : 'a11y.turnLeft', {
+                row: point.row + 1,
+                column: point.col + 1
+            }));
+        });
+
+        const endColumn = path[path.length - 1].col;
+        return {
+            start: t('a11y.pathStart', { name: name, column: index + 1 }),
+            turns: turns.length > 0 ? turns : [t('a11y.noTurns')],
+            end: t('a11y.pathEnd', { name: name, column: endColumn + 1, result: ladderData.results[endColumn] })
+        };
+    }
+
+    // Public API
+    return {
+        describeLadder: describeLadder,
+        describePath: describePath
+    };
+})();
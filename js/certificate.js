@@ -0,0 +1,121 @@
+/**
+ * Ladder Draw - Draw Certificate
+ *
+ * This module handles:
+ * - Creating a verifiable certificate (seed, input hash, mapping) for a draw
+ * - Re-running a draw from a certificate to check its outcome
+ */
+
+const LadderCertificate = (function() {
+    'use strict';
+
+    /**
+     * Certificate format identifiers
+     */
+    const CERTIFICATE_TYPE = 'ladder-draw-certificate';
+    const CERTIFICATE_VERSION = 1;
+
+    /**
+     * Hash the draw inputs in a canonical form
+     * @param {string[]} participants - List of participant names
+     * @param {string[]} results - List of result items
+     * @returns {string} SHA-256 hex digest
+     */
+    function hashInputs(participants, results) {
+        return LadderHash.sha256(JSON.stringify({
+            participants: participants,
+            results: results
+        }));
+    }
+
+    /**
+     * Convert a mapping object into an array (participant index -> result index)
+     * @param {Object.<number, number>} mapping - Mapping from ladder data
+     * @param {number} n - Number of participants
+     * @returns {number[]} Mapping as array
+     */
+    function mappingToArray(mapping, n) {
+        const array = [];
+        for (let i = 0; i < n; i++) {
+            array.push(mapping[i]);
+        }
+        return array;
+    }
+
+    /**
+     * Create a certificate for a generated ladder
+     * @param {Object} ladderData - The ladder data (must include a seed)
+     * @returns {Object} Certificate document
+     */
+    function create(ladderData) {
+        const certificate = {
+            type: CERTIFICATE_TYPE,
+            version: CERTIFICATE_VERSION,
+            issuedAt: new Date().toISOString(),
+            seed: ladderData.seed,
+            inputHash: hashInputs(ladderData.participants, ladderData.resultPool || ladderData.results),
+            participants: ladderData.participants,
+            results: ladderData.resultPool || ladderData.results,
+            mapping: mappingToArray(ladderData.mapping, ladderData.participants.length)
+        };
+
+        // Padding label for draws whose results were fitted to the participant count
+        if (ladderData.filler) {
+            certificate.filler = ladderData.filler;
+        }
+
+        // Constrained draws only sample among the permutations that satisfy the constraints
+        if (ladderData.constraints) {
+            certificate.constraints = ladderData.constraints;
+        }
+
+        // Commit-reveal draws also carry the commitment, secret and entropy behind the seed
+        if (ladderData.reveal) {
+            certificate.reveal = ladderData.reveal;
+        }
+
+        return certificate;
+    }
+
+    /**
+     * Verify a certificate by re-hashing its inputs and re-running the draw
+     * @param {Object} certificate - Certificate document
+     * @returns {{valid: boolean, inputHashMatches: boolean, mappingMatches: boolean}}
+     */
+    function verify(certificate) {
+        if (!certificate || certificate.type !== CERTIFICATE_TYPE ||
+            !Array.isArray(certificate.participants) || !Array.isArray(certificate.results) ||
+            !Array.isArray(certificate.mapping) || typeof certificate.seed !== 'string') {
+            return { valid: false, inputHashMatches: false, mappingMatches: false };
+        }
+
+        const inputHashMatches = hashInputs(certificate.participants, certificate.results) === certificate.inputHash;
+
+        let mappingMatches = false;
+        try {
+            const regenerated = Ladder.generate(certificate.participants, certificate.results, {
+                seed: certificate.seed,
+                filler: certificate.filler,
+                constraints: certificate.constraints
+            });
+            const expected = mappingToArray(regenerated.mapping, certificate.participants.length);
+            mappingMatches = expected.length === certificate.mapping.length &&
+                expected.every((value, index) => value === certificate.mapping[index]);
+        } catch (error) {
+            // Constraints that cannot be met cannot have produced this mapping
+        }
+
+        return {
+            valid: inputHashMatches && mappingMatches,
+            inputHashMatches: inputHashMatches,
+            mappingMatches: mappingMatches
+        };
+    }
+
+    // Public API
+    return {
+        create: create,
+        verify: verify,
+        hashInputs: hashInputs
+    };
+})();
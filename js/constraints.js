@@ -0,0 +1,115 @@
+/**
+ * Ladder Draw - Draw Constraints
+ *
+ * This module handles:
+ * - Parsing the constraint text entered in the draw options
+ * - Turning names into the constraint objects used by Ladder.generate
+ *
+ * One constraint per line, `#` starts a comment:
+ *   A = 당번       A always gets 당번
+ *   A != 당번      A never gets 당번
+ *   A <> B         A and B get different results
+ *   A == B         A and B get the same result
+ *   A ~ 당번 x3    A is three times as likely to get 당번
+ */
+
+const LadderConstraints = (function() {
+    'use strict';
+
+    /**
+     * Operators in matching order (longer operators before their prefixes)
+     */
+    const OPERATORS = [
+        { symbol: '!=', type: 'exclude' },
+        { symbol: '<>', type: 'apart' },
+        { symbol: '==', type: 'together' },
+        { symbol: '~', type: 'weight' },
+        { symbol: '=', type: 'fixed' }
+    ];
+
+    /**
+     * Split a line at its leftmost constraint operator
+     * The longest operator at that position wins ("==" over "="), so operator
+     * characters after it stay part of the right-hand name ("A = x != y").
+     * @param {string} line - Constraint line
+     * @returns {{left: string, right: string, type: string}|null} Parts, or null if no operator
+     */
+    function splitLine(line) {
+        // Position 0 would leave the participant name empty
+        for (let position = 1; position < line.length; position++) {
+            const operator = OPERATORS.find(candidate => line.startsWith(candidate.symbol, position));
+            if (operator) {
+                return {
+                    left: line.slice(0, position).trim(),
+                    right: line.slice(position + operator.symbol.length).trim(),
+                    type: operator.type
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Parse constraint text
+     * @param {string} text - Constraint text (one constraint per line)
+     * @param {string[]} participants - List of participant names
+     * @param {string[]} results - List of result labels
+     * @returns {{constraints: Array, errors: string[]}} Parsed constraints and line errors
+     */
+    function parse(text, participants, results) {
+        const constraints = [];
+        const errors = [];
+
+        text.split('\n').forEach((rawLine, lineIndex) => {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            if (!line) return;
+
+            const lineNumber = lineIndex + 1;
+            const parts = splitLine(line);
+            if (!parts || !parts.right) {
+                errors.push(LadderI18n.t('constraints.unknownFormat', { line: lineNumber }));
+                return;
+            }
+
+            const participant = participants.indexOf(parts.left);
+            if (participant === -1) {
+                errors.push(LadderI18n.t('constraints.unknownParticipant', { line: lineNumber, name: parts.left }));
+                return;
+            }
+
+            if (parts.type === 'apart' || parts.type === 'together') {
+                const other = participants.indexOf(parts.right);
+                if (other === -1) {
+                    errors.push(LadderI18n.t('constraints.unknownParticipant', { line: lineNumber, name: parts.right }));
+                } else if (other === participant) {
+                    errors.push(LadderI18n.t('constraints.sameParticipant', { line: lineNumber }));
+                } else {
+                    constraints.push({ type: parts.type, participants: [participant, other] });
+                }
+                return;
+            }
+
+            // Weights reuse the result count suffix: "당번 x3"
+            const target = parts.type === 'weight'
+                ? Ladder.parseResultCount(parts.right)
+                : { label: parts.right, count: 1 };
+            if (!results.includes(target.label)) {
+                errors.push(LadderI18n.t('constraints.unknownResult', { line: lineNumber, name: target.label }));
+                return;
+            }
+
+            const constraint = { type: parts.type, participant: participant, result: target.label };
+            if (parts.type === 'weight') {
+                constraint.weight = target.count;
+            }
+            constraints.push(constraint);
+        });
+
+        return { constraints: constraints, errors: errors };
+    }
+
+    // Public API
+    return {
+        parse: parse
+    };
+})();
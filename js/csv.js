@@ -0,0 +1,232 @@
+/**
+ * Ladder Draw - CSV Import
+ *
+ * This module handles:
+ * - Decoding imported files (UTF-8 with or without BOM, UTF-16, CP949/EUC-KR)
+ * - Parsing CSV, TSV and spreadsheet pastes with RFC 4180 quoting
+ * - Guessing the delimiter and whether the first row is a header
+ * - Extracting one column as a list of names or results
+ */
+
+const LadderCsv = (function() {
+    'use strict';
+
+    /**
+     * Delimiters tried when guessing, in order of preference on ties
+     */
+    const DELIMITERS = ['\t', ',', ';'];
+
+    /**
+     * Header cell labels that mark the first row as a header, by the column they name
+     */
+    const HEADER_PATTERNS = {
+        participants: /^(이름|성명|참여자|참가자|명단|名前|氏名|参加者|name|names|participants?)$/i,
+        results: /^(결과|상품|경품|당첨|역할|팀|조|結果|景品|賞品|役割|チーム|results?|prizes?|roles?|teams?)$/i
+    };
+
+    /**
+     * Number of lines looked at when guessing the delimiter
+     */
+    const SAMPLE_LINES = 20;
+
+    /**
+     * Decode file bytes into text
+     * Byte order marks decide first; otherwise UTF-8 is tried strictly and
+     * CP949 (EUC-KR, what Korean Excel saves as "CSV") is the fallback.
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {{text: string, encoding: string}} Text and the encoding used
+     */
+    function decode(buffer) {
+        const bytes = new Uint8Array(buffer);
+
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'UTF-8' };
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'UTF-16' };
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'UTF-16' };
+        }
+
+        try {
+            return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+        } catch (error) {
+            // Not valid UTF-8: legacy Korean encoding ("euc-kr" decodes the whole CP949 range)
+            return { text: new TextDecoder('euc-kr').decode(bytes), encoding: 'CP949' };
+        }
+    }
+
+    /**
+     * Count the delimiter occurrences per line, ignoring quoted text
+     * @param {string[]} lines - Sample lines
+     * @param {string} delimiter - Delimiter to count
+     * @returns {number[]} Count per line
+     */
+    function countPerLine(lines, delimiter) {
+        return lines.map(line => {
+            let count = 0;
+            let quoted = false;
+            for (const char of line) {
+                if (char === '"') {
+                    quoted = !quoted;
+                } else if (char === delimiter && !quoted) {
+                    count++;
+                }
+            }
+            return count;
+        });
+    }
+
+    /**
+     * Guess the delimiter of delimited text
+     * The delimiter that appears most consistently on every line wins;
+     * text without any delimiter is treated as a single column.
+     * @param {string} text - Delimited text
+     * @returns {string} Delimiter ('\t', ',' or ';')
+     */
+    function detectDelimiter(text) {
+        const lines = text.split(/\r\n|\n|\r/).filter(line => line.trim().length > 0).slice(0, SAMPLE_LINES);
+
+        let best = DELIMITERS[1];
+        let bestScore = 0;
+        DELIMITERS.forEach(delimiter => {
+            const counts = countPerLine(lines, delimiter);
+            const linesWithDelimiter = counts.filter(count => count > 0).length;
+            // Prefer delimiters that split every line into the same number of fields
+            const consistent = counts.every(count => count === counts[0]);
+            const score = linesWithDelimiter * (consistent ? 2 : 1);
+            if (score > bestScore) {
+                best = delimiter;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Parse delimited text into rows of fields (RFC 4180)
+     * Quoted fields may contain delimiters, line breaks and doubled quotes ("").
+     * Fields are trimmed and empty trailing rows are dropped.
+     * @param {string} text - CSV or TSV text
+     * @param {string} delimiter - Field delimiter (default: guessed)
+     * @returns {string[][]} Rows
+     */
+    function parse(text, delimiter) {
+        const source = text.replace(/^\uFEFF/, '');
+        const separator = delimiter || detectDelimiter(source);
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        let i = 0;
+
+        function endField() {
+            row.push(field.trim());
+            field = '';
+        }
+
+        function endRow() {
+            endField();
+            rows.push(row);
+            row = [];
+        }
+
+        while (i < source.length) {
+            const char = source[i];
+
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+                i++;
+                continue;
+            }
+
+            if (char === '"' && field.trim() === '') {
+                // Opening quote (whitespace before it is dropped)
+                field = '';
+                quoted = true;
+            } else if (char === separator) {
+                endField();
+            } else if (char === '\r' || char === '\n') {
+                endRow();
+                if (char === '\r' && source[i + 1] === '\n') i++;
+            } else {
+                field += char;
+            }
+            i++;
+        }
+        if (field !== '' || row.length > 0) {
+            endRow();
+        }
+
+        // Drop blank rows (e.g. the empty line Excel leaves at the end)
+        return rows.filter(fields => fields.some(value => value !== ''));
+    }
+
+    /**
+     * Guess whether the first row is a header
+     * @param {string[][]} rows - Parsed rows
+     * @returns {boolean}
+     */
+    function hasHeader(rows) {
+        return rows.length > 1 && rows[0].some(value =>
+            HEADER_PATTERNS.participants.test(value) || HEADER_PATTERNS.results.test(value));
+    }
+
+    /**
+     * Guess the participant and result columns from the header labels
+     * @param {string[][]} rows - Parsed rows
+     * @returns {{participants: number, results: number}} Column indices (-1 = not found)
+     */
+    function guessColumns(rows) {
+        const header = hasHeader(rows) ? rows[0] : [];
+        return {
+            participants: header.findIndex(value => HEADER_PATTERNS.participants.test(value)),
+            results: header.findIndex(value => HEADER_PATTERNS.results.test(value))
+        };
+    }
+
+    /**
+     * Get the number of columns
+     * @param {string[][]} rows - Parsed rows
+     * @returns {number}
+     */
+    function getColumnCount(rows) {
+        return rows.reduce((max, row) => Math.max(max, row.length), 0);
+    }
+
+    /**
+     * Get the non-empty values of one column
+     * Line breaks inside quoted cells become spaces (one entry per textarea line).
+     * @param {string[][]} rows - Parsed rows
+     * @param {number} index - Column index
+     * @param {boolean} skipHeader - Leave out the first row
+     * @returns {string[]} Values
+     */
+    function getColumn(rows, index, skipHeader) {
+        return rows
+            .slice(skipHeader ? 1 : 0)
+            .map(row => (row[index] || '').replace(/\s+/g, ' '))
+            .filter(value => value.length > 0);
+    }
+
+    // Public API
+    return {
+        decode: decode,
+        detectDelimiter: detectDelimiter,
+        parse: parse,
+        hasHeader: hasHeader,
+        guessColumns: guessColumns,
+        getColumnCount: getColumnCount,
+        getColumn: getColumn
+    };
+})();
@@ -0,0 +1,74 @@
+/**
+ * Ladder Draw - Commit-Reveal Fairness
+ *
+ * This module handles:
+ * - Creating a hash commitment of a secret seed before the draw
+ * - Deriving the draw seed from the secret and participant entropy
+ * - Verifying that a revealed secret matches its commitment
+ *
+ * The commitment is published before the draw, so the organizer cannot
+ * swap the secret after seeing the outcome. Participant entropy is mixed
+ * in at reveal time, so the organizer alone cannot predict the result.
+ */
+
+const LadderFairness = (function() {
+    'use strict';
+
+    /**
+     * Create a new secret and its commitment
+     * @returns {{secret: string, commitment: string, createdAt: string}}
+     */
+    function createCommitment() {
+        const secret = Ladder.generateSeed();
+        return {
+            secret: secret,
+            commitment: LadderHash.sha256(secret),
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Derive the draw seed from the revealed secret and participant entropy
+     * @param {string} secret - Revealed secret
+     * @param {string[]} entropies - Entropy strings contributed by participants
+     * @returns {string} Derived seed (SHA-256 hex)
+     */
+    function deriveSeed(secret, entropies) {
+        // JSON encoding keeps the boundaries between entropy strings unambiguous
+        return LadderHash.sha256(JSON.stringify([secret].concat(entropies)));
+    }
+
+    /**
+     * Verify a revealed secret against its commitment
+     * @param {string} secret - Revealed secret
+     * @param {string} commitment - Previously published commitment
+     * @returns {boolean} True if the secret matches the commitment
+     */
+    function verifyCommitment(secret, commitment) {
+        return LadderHash.sha256(secret) === commitment;
+    }
+
+    /**
+     * Verify a full reveal: commitment and derived seed
+     * @param {Object} reveal - Reveal record
+     * @param {string} reveal.secret - Revealed secret
+     * @param {string} reveal.commitment - Published commitment
+     * @param {string[]} reveal.entropies - Participant entropy strings
+     * @param {string} seed - Seed that was used for the draw
+     * @returns {{commitmentMatches: boolean, seedMatches: boolean}}
+     */
+    function verifyReveal(reveal, seed) {
+        return {
+            commitmentMatches: verifyCommitment(reveal.secret, reveal.commitment),
+            seedMatches: deriveSeed(reveal.secret, reveal.entropies) === seed
+        };
+    }
+
+    // Public API
+    return {
+        createCommitment: createCommitment,
+        deriveSeed: deriveSeed,
+        verifyCommitment: verifyCommitment,
+        verifyReveal: verifyReveal
+    };
+})();
@@ -0,0 +1,244 @@
+/**
+ * Ladder Draw - Draw History
+ *
+ * This module handles:
+ * - Storing completed draws (ladder data, title, view state) with a timestamp
+ * - Listing and searching past draws
+ * - Renaming, updating and deleting stored draws
+ *
+ * Draws are kept in IndexedDB so the history is not bound by localStorage
+ * quotas. Browsers without IndexedDB (or with it blocked, e.g. some private
+ * modes) fall back to a JSON array in localStorage. Either way a record
+ * stores the seed, inputs and mapping of a draw rather than its lines, which
+ * are regenerated (and checked against the stored draw) when it is opened.
+ */
+
+const LadderHistory = (function() {
+    'use strict';
+
+    /**
+     * Storage configuration
+     */
+    const DB_NAME = 'ladder-draw';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'history';
+    const FALLBACK_KEY = 'ladder-draw-history';
+
+    /**
+     * Cached backend (resolved on first use)
+     */
+    let backendPromise = null;
+
+    /**
+     * Wrap an IndexedDB request in a promise
+     * @param {IDBRequest} request - IndexedDB request
+     * @returns {Promise<*>} Request result
+     */
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Open the history database
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex('createdAt', 'createdAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('History database is blocked'));
+        });
+    }
+
+    /**
+     * Create the IndexedDB backend
+     * @param {IDBDatabase} db - Open database
+     * @returns {Object} Backend with getAll, get, put and remove
+     */
+    function createIndexedDBBackend(db) {
+        function store(mode) {
+            return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+        }
+
+        return {
+            getAll: () => promisify(store('readonly').getAll()),
+            get: (id) => promisify(store('readonly').get(id)),
+            put: (record) => promisify(store('readwrite').put(record)),
+            remove: (id) => promisify(store('readwrite').delete(id))
+        };
+    }
+
+    /**
+     * Create the localStorage fallback backend
+     * @returns {Object} Backend with getAll, get, put and remove
+     */
+    function createLocalStorageBackend() {
+        function read() {
+            try {
+                return JSON.parse(localStorage.getItem(FALLBACK_KEY) || '[]');
+            } catch (e) {
+                return [];
+            }
+        }
+
+        function write(records) {
+            localStorage.setItem(FALLBACK_KEY, JSON.stringify(records));
+        }
+
+        return {
+            getAll: async () => read(),
+            get: async (id) => read().find(record => record.id === id),
+            put: async (record) => {
+                const records = read().filter(existing => existing.id !== record.id);
+                records.push(record);
+                write(records);
+            },
+            remove: async (id) => {
+                write(read().filter(record => record.id !== id));
+            }
+        };
+    }
+
+    /**
+     * Get the storage backend, preferring IndexedDB
+     * @returns {Promise<Object>} Backend
+     */
+    function getBackend() {
+        if (!backendPromise) {
+            backendPromise = (typeof indexedDB === 'undefined'
+                ? Promise.reject(new Error('IndexedDB is not available'))
+                : openDatabase().then(createIndexedDBBackend)
+            ).catch(() => createLocalStorageBackend());
+        }
+        return backendPromise;
+    }
+
+    /**
+     * Create a unique record id
+     * @returns {string} Record id
+     */
+    function createId() {
+        return Date.now().toString(36) + '-' + Ladder.generateSeed().slice(0, 8);
+    }
+
+    /**
+     * Store a completed draw
+     * @param {Object} ladderData - The ladder data
+     * @param {Object} options - Record options
+     * @param {string} options.title - Optional title
+     * @param {Object} options.view - View state (highlightIndex, hideResults, revealed)
+     * @returns {Promise<Object>} Stored record
+     */
+    async function add(ladderData, options = {}) {
+        const record = {
+            id: createId(),
+            createdAt: new Date().toISOString(),
+            title: options.title || '',
+            ladderData: Ladder.compactLadderData(ladderData),
+            view: options.view || {}
+        };
+        const backend = await getBackend();
+        await backend.put(record);
+        return Object.assign({}, record, { ladderData: ladderData });
+    }
+
+    /**
+     * Check whether a record matches a search query
+     * Matches the title, participant names and results (case-insensitive).
+     * @param {Object} record - History record
+     * @param {string} query - Search query
+     * @returns {boolean}
+     */
+    function matches(record, query) {
+        const needle = query.trim().toLowerCase();
+        if (!needle) return true;
+
+        const haystack = [record.title]
+            .concat(record.ladderData.participants, record.ladderData.results)
+            .join('\n')
+            .toLowerCase();
+        return haystack.includes(needle);
+    }
+
+    /**
+     * List stored draws, newest first
+     * Listed records keep their ladders compacted (names and results only);
+     * use get to open one.
+     * @param {string} query - Optional search query
+     * @returns {Promise<Object[]>} Matching records
+     */
+    async function list(query = '') {
+        const backend = await getBackend();
+        const records = await backend.getAll();
+        return records
+            .filter(record => matches(record, query))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Get a stored draw, with its ladder regenerated
+     * @param {string} id - Record id
+     * @returns {Promise<Object|null>} Record, or null if not found
+     * @throws {Error} LADDER_MISMATCH if the seed no longer regenerates the stored draw
+     */
+    async function get(id) {
+        const backend = await getBackend();
+        const record = await backend.get(id);
+        if (!record) return null;
+        return Object.assign({}, record, { ladderData: Ladder.expandLadderData(record.ladderData) });
+    }
+
+    /**
+     * Update fields of a stored draw
+     * @param {string} id - Record id
+     * @param {Object} changes - Fields to replace (e.g. title, view)
+     * @returns {Promise<Object|null>} Updated record, or null if not found
+     */
+    async function update(id, changes) {
+        const backend = await getBackend();
+        const record = await backend.get(id);
+        if (!record) return null;
+
+        const updated = Object.assign({}, record, changes, { id: record.id });
+        await backend.put(updated);
+        return updated;
+    }
+
+    /**
+     * Rename a stored draw
+     * @param {string} id - Record id
+     * @param {string} title - New title
+     * @returns {Promise<Object|null>} Updated record, or null if not found
+     */
+    function rename(id, title) {
+        return update(id, { title: title.trim() });
+    }
+
+    /**
+     * Delete a stored draw
+     * @param {string} id - Record id
+     * @returns {Promise<void>}
+     */
+    async function remove(id) {
+        const backend = await getBackend();
+        await backend.remove(id);
+    }
+
+    // Public API
+    return {
+        add: add,
+        list: list,
+        get: get,
+        update: update,
+        rename: rename,
+        remove: remove
+    };
+})();
@@ -0,0 +1,905 @@
+/**
+ * Ladder Draw - Internationalization
+ *
+ * This module handles:
+ * - Message catalogs for Korean, English and Japanese
+ * - Looking up messages with {placeholder} parameters
+ * - Detecting the language from the browser and switching it at runtime
+ * - Translating the static page through data-i18n attributes
+ *
+ * Static markup names its message with data-i18n (text), data-i18n-placeholder,
+ * data-i18n-aria-label or data-i18n-content; applyToDocument fills them in.
+ * Korean is the source language and the fallback for missing messages.
+ */
+
+const LadderI18n = (function() {
+    'use strict';
+
+    /**
+     * Supported locales and their BCP 47 tags (for dates and <html lang>)
+     */
+    const LOCALES = {
+        ko: 'ko-KR',
+        en: 'en-US',
+        ja: 'ja-JP'
+    };
+
+    const DEFAULT_LOCALE = 'ko';
+
+    /**
+     * Message catalogs
+     */
+    const MESSAGES = {
+        ko: {
+            'app.title': '사다리 타기 - Ladder Draw',
+            'app.description': '공정한 무작위 추첨을 위한 사다리 타기 웹 앱',
+            'app.heading': '사다리 타기',
+            'app.subtitle': '공정한 무작위 추첨',
+            'app.language': '언어',
+
+            'theme.label': '테마',
+            'theme.auto': '시스템 설정',
+            'theme.light': '밝게',
+            'theme.dark': '어둡게',
+            'theme.highContrast': '고대비',
+            'theme.custom': '브랜드 색상',
+            'theme.brandColor': '브랜드 색상 선택',
+            'palette.label': '색상 팔레트',
+            'palette.default': '기본 색상',
+            'palette.colorblind': '색각 친화 색상',
+
+            'mode.label': '추첨 방식',
+            'mode.results': '결과 배정',
+            'mode.teams': '팀 나누기',
+            'mode.teamCount': '팀 수',
+            'teams.defaultName': '{number}팀',
+
+            'input.title': '제목',
+            'input.optional': '(선택)',
+            'input.titlePlaceholder': '예: 3월 청소 당번',
+            'input.participants': '참여자 입력',
+            'input.participantsHint': '(한 줄에 한 명)',
+            'input.participantsPlaceholder': '홍길동\n김철수\n이영희',
+            'input.importCsv': 'CSV 가져오기',
+            'input.results': '결과 항목 입력',
+            'input.resultsHint': '(한 줄에 하나, 여러 개는 "커피 x3", 다음 라운드 진출은 "진출*")',
+            'input.resultsPlaceholder': '1등\n2등\n커피 x3',
+            'input.teams': '팀 이름 입력',
+            'input.teamsHint': '(비워두면 1팀, 2팀…, 인원 고정은 "A팀 x3")',
+            'input.teamsPlaceholder': '청팀\n백팀',
+            'input.peopleUnit': '명',
+            'input.itemsUnit': '개',
+            'input.fillerAdded': ' ({filler} {count}개 자동 추가)',
+            'input.randomlyDropped': ' ({count}개 무작위 제외)',
+            'input.teamSize': ' (팀당 {count}명)',
+            'input.teamSizeRange': ' (팀당 {min}~{max}명)',
+            'input.start': '사다리 시작',
+
+            'options.title': '추첨 옵션',
+            'options.seed': '시드',
+            'options.seedHint': '(비워두면 무작위)',
+            'options.filler': '빈 칸 이름',
+            'options.fillerHint': '(결과가 부족할 때)',
+            'options.fillerPlaceholder': '꽝',
+            'options.constraints': '추첨 조건',
+            'options.constraintsHint': '(한 줄에 하나, # 뒤는 메모)',
+            'options.constraintsPlaceholder': '철수 = 청소\n영희 != 1등\n민수 <> 지훈\n수진 == 하늘\n도윤 ~ 당번 x3',
+            'options.hideResults': '결과 가리기',
+            'options.hideResultsHint': '(경로를 따라가야 결과 공개)',
+
+            'fairness.toggle': '공정성 모드 (커밋-리빌)',
+            'fairness.commitment': '커밋 해시',
+            'fairness.renew': '새 커밋',
+            'fairness.retired': '이전 커밋의 비밀값은 추첨으로 공개되었습니다. 다음 추첨 전에 새 해시를 다시 공개하세요.',
+            'fairness.explanation': '추첨 전에 이 해시를 참여자에게 공개하세요. 추첨 후 공개되는 비밀값이 이 해시와 일치하는지 누구나 확인할 수 있습니다.',
+            'fairness.entropy': '참여자 엔트로피',
+            'fairness.entropyHint': '(한 줄에 하나, 선택)',
+            'fairness.entropyPlaceholder': '참여자가 정한 아무 문자열',
+
+            'certificate.label': '추첨 인증서',
+            'certificate.verify': '인증서 검증',
+            'certificate.valid': '인증서가 유효합니다. 같은 시드로 다시 추첨한 결과가 일치합니다.',
+            'certificate.inputMismatch': '인증서의 입력값 해시가 일치하지 않습니다. 참여자나 결과가 변경되었습니다.',
+            'certificate.resultMismatch': '다시 추첨한 결과가 인증서의 결과와 일치하지 않습니다.',
+            'certificate.invalidFile': '올바른 추첨 인증서 파일이 아닙니다.',
+
+            'history.title': '추첨 기록',
+            'history.searchPlaceholder': '제목, 참여자, 결과로 검색',
+            'history.import': '파일에서 열기',
+            'history.empty': '저장된 추첨이 없습니다.',
+            'history.noMatches': '검색 결과가 없습니다.',
+            'history.open': '열기',
+            'history.rename': '이름 변경',
+            'history.delete': '삭제',
+            'history.confirmDelete': '이 추첨 기록을 삭제할까요?',
+            'history.loadFailed': '추첨 기록을 불러올 수 없습니다.',
+
+            'tournament.end': '토너먼트 종료',
+            'tournament.confirmEnd': '진행 중인 토너먼트가 종료됩니다. 처음으로 돌아갈까요?',
+            'tournament.preparing': '{round}라운드 준비 중 · 이전 라운드 진출자 {count}명',
+            'tournament.round': '{round}라운드',
+            'tournament.title': '토너먼트 진행',
+            'tournament.export': '전체 라운드 저장',
+
+            'result.heading': '결과 발표!',
+            'result.seedLabel': '시드:',
+            'result.seed': '시드: {seed}',
+            'result.fillerAdded': "결과가 부족해 '{filler}' {count}개를 추가했습니다.",
+            'result.dropped': '무작위로 제외된 결과: {results}',
+            'result.people': '{count}명',
+            'result.results': '결과',
+            'result.nextRound': '다음 라운드',
+            'result.reset': '다시 하기',
+
+            'a11y.canvasLabel': '사다리: 참여자 {count}명',
+            'a11y.navigatorLabel': '참여자 선택',
+            'a11y.navigatorHint': '왼쪽·오른쪽 화살표로 참여자를 고르고 Enter로 경로를 따라가세요.',
+            'a11y.option': '{label}번 {name}',
+            'a11y.separator': ', ',
+            'a11y.summary': '세로줄 {columns}개, 가로줄 {rungs}개, {rows}단으로 된 사다리입니다.',
+            'a11y.top': '위쪽 참여자: {list}',
+            'a11y.bottom': '아래쪽 결과: {list}',
+            'a11y.column': '{column}번 줄 {name}',
+            'a11y.row': '{row}단: {rungs}',
+            'a11y.rung': '{from}번과 {to}번 줄 연결',
+            'a11y.emptyRows': '가로줄이 없는 단은 생략했습니다.',
+            'a11y.covered': '가려짐',
+            'a11y.pathStart': '{name}: {column}번 줄에서 출발합니다.',
+            'a11y.turnRight': '{row}단에서 오른쪽 {column}번 줄로 이동',
+            'a11y.turnLeft': '{row}단에서 왼쪽 {column}번 줄로 이동',
+            'a11y.noTurns': '가로줄을 만나지 않고 그대로 내려갑니다.',
+            'a11y.pathEnd': '{name}: {column}번 줄에 도착, 결과는 {result}입니다.',
+
+            'viewport.controls': '확대/축소',
+            'viewport.zoomIn': '확대',
+            'viewport.zoomOut': '축소',
+            'viewport.fit': '전체 보기',
+
+            'verify.title': '공정성 검증',
+            'verify.secret': '공개된 비밀값',
+            'verify.secretHash': '비밀값의 해시',
+            'verify.seed': '추첨 시드',
+            'verify.none': '(없음)',
+            'verify.valid': '공개된 비밀값의 해시가 커밋과 일치하고, 시드가 비밀값과 엔트로피로부터 만들어졌습니다.',
+            'verify.invalid': '검증에 실패했습니다. 공개된 비밀값 또는 시드가 커밋과 일치하지 않습니다.',
+
+            'animation.speed': '속도',
+            'animation.slow': '느리게',
+            'animation.normal': '보통',
+            'animation.fast': '빠르게',
+            'animation.veryFast': '매우 빠르게',
+            'animation.pause': '일시정지',
+            'animation.resume': '계속',
+            'animation.skip': '건너뛰기',
+            'animation.revealAll': '하나씩 모두 공개',
+            'animation.revealRemaining': '남은 결과 모두 공개',
+
+            'share.menu': '공유 / 저장',
+            'share.copyImage': '이미지 복사',
+            'share.copyText': '텍스트 복사',
+            'share.copyLink': '링크 복사',
+            'share.native': '다른 앱으로 공유…',
+            'share.download': '이미지 저장',
+            'share.title': '사다리 타기 결과',
+            'share.text': '사다리 타기 결과를 확인하세요!',
+            'share.copyLinkPrompt': '아래 링크를 복사하세요.',
+            'share.imageCopied': '이미지를 복사했습니다.',
+            'share.imageCopyUnsupported': '이 브라우저는 이미지 복사를 지원하지 않아 이미지 파일로 저장했습니다.',
+            'share.imageCopyFailed': '이미지를 복사하지 못했습니다.',
+            'share.shared': '공유했습니다.',
+            'share.shareFailed': '공유하지 못해 이미지 파일로 저장했습니다.',
+            'share.imageSaved': '이미지를 저장했습니다.',
+            'share.imageSaveFailed': '이미지를 저장하지 못했습니다.',
+            'share.linkFailed': '링크를 만들지 못했습니다.',
+            'share.linkHidden': '가려진 결과를 모두 공개한 뒤에 링크를 복사할 수 있습니다.',
+            'share.linkCopied': '링크를 복사했습니다.',
+            'share.textCopied': '텍스트를 복사했습니다.',
+            'text.blockRange': '(참여자 {from}~{to} / {total}명)',
+            'share.textCopyFailed': '텍스트를 복사하지 못했습니다.',
+
+            'export.csv': 'CSV 저장',
+            'export.xlsx': '엑셀 저장',
+            'export.svg': 'SVG 저장',
+            'export.print': '인쇄 / PDF',
+            'export.session': '파일로 저장',
+            'export.sheetName': '추첨 결과',
+            'export.participantNumber': '참여자 번호',
+            'export.resultNumber': '결과 번호',
+            'export.drawnAt': '추첨 시각',
+
+            'table.number': '번호',
+            'table.participant': '참여자',
+            'table.result': '결과',
+
+            'print.ladder': '사다리',
+            'print.ladderRange': '사다리 (참여자 {from}–{to} / {total}명)',
+            'print.table': '결과표',
+            'print.tablePage': '결과표 ({page}/{pages})',
+
+            'file.result': '사다리-결과',
+            'file.certificate': '추첨-인증서',
+            'file.session': '추첨-파일',
+            'file.tournament': '사다리-토너먼트',
+
+            'csv.title': '가져올 열 선택',
+            'csv.participantsColumn': '참여자 열',
+            'csv.resultsColumn': '결과 열',
+            'csv.headerRow': '첫 줄은 제목 행',
+            'csv.cancel': '취소',
+            'csv.confirm': '가져오기',
+            'csv.notUsed': '사용 안 함',
+            'csv.column': '{number}열',
+            'csv.columnWithLabel': '{number}열 ({label})',
+            'csv.pasted': '붙여넣은 표',
+            'csv.size': '{rows}행 {columns}열',
+            'csv.moreRows': '… 외 {count}행',
+            'csv.empty': '가져올 내용이 없습니다.',
+
+            'error.shareLink': '공유 링크를 읽을 수 없습니다. 링크가 잘렸거나 손상되었을 수 있습니다.',
+            'error.TOO_FEW_PARTICIPANTS': '참여자를 최소 2명 이상 입력해주세요.',
+            'error.NO_RESULTS': '결과 항목을 최소 1개 이상 입력해주세요.',
+            'error.TOO_MANY_RESULTS': '결과 항목은 개수를 포함해 최대 {limit}개까지 입력할 수 있습니다.',
+            'error.TOO_MANY_PARTICIPANTS': '참여자는 최대 {limit}명까지 지원됩니다.',
+            'error.DUPLICATE_PARTICIPANTS': '중복된 참여자 이름이 있습니다.',
+            'error.UNSATISFIABLE_CONSTRAINTS': '조건을 모두 만족하는 배정이 없습니다. 조건을 확인해주세요.',
+            'error.CONFLICTING_FIXED_RESULTS': '한 참여자에게 서로 다른 결과가 고정되어 있어 조건을 만족할 수 없습니다.',
+            'error.CONSTRAINTS_TOO_RESTRICTIVE': '조건이 너무 까다로워 공정하게 추첨할 수 없습니다. 조건을 줄여주세요.',
+            'error.NO_SECURE_RANDOM': '이 브라우저에서는 안전한 난수 생성기를 사용할 수 없어 추첨할 수 없습니다.',
+            'error.LADDER_MISMATCH': '저장된 추첨을 다시 만들 수 없습니다. 사다리 생성 방식이 바뀌어 결과가 달라졌습니다.',
+            'error.teamCountTooSmall': '팀 수를 2 이상으로 입력해주세요.',
+            'error.teamCountTooLarge': '팀 수는 참여자 수보다 많을 수 없습니다.',
+            'error.duplicateTeams': '중복된 팀 이름이 있습니다.',
+            'error.FIXED_TEAMS_TOO_LARGE': '인원을 고정한 팀의 합계({count}명)가 참여자 수보다 많습니다.',
+            'error.FIXED_TEAMS_TOO_SMALL': '인원을 고정한 팀의 합계({count}명)가 참여자 수보다 적습니다. 나머지 인원을 맡을 팀은 인원을 비워두세요.',
+
+            'constraints.unknownFormat': '{line}번째 줄: 조건 형식을 알 수 없습니다.',
+            'constraints.unknownParticipant': "{line}번째 줄: 참여자 '{name}'을(를) 찾을 수 없습니다.",
+            'constraints.sameParticipant': '{line}번째 줄: 같은 참여자끼리는 조건을 걸 수 없습니다.',
+            'constraints.unknownResult': "{line}번째 줄: 결과 '{name}'을(를) 찾을 수 없습니다.",
+
+            'session.invalidLadder': '추첨 파일의 사다리 정보가 올바르지 않습니다: {detail}',
+            'session.noLadder': '사다리 정보가 없습니다.',
+            'session.invalidNames': '참여자와 결과는 비어 있지 않은 문자열 목록이어야 합니다.',
+            'session.resultCount': '결과 수가 참여자 수와 다릅니다.',
+            'session.invalidRows': '행 수가 올바르지 않습니다.',
+            'session.noLines': '가로줄 목록이 없습니다.',
+            'session.lineOutside': '{number}번째 가로줄의 위치가 사다리 밖입니다.',
+            'session.lineOverlap': '{number}번째 가로줄이 다른 가로줄과 겹칩니다.',
+            'session.invalidMapping': '결과 매핑이 올바르지 않습니다.',
+            'session.mappingMismatch': '사다리 경로와 저장된 결과가 일치하지 않습니다 ({names}). 파일이 변경되었을 수 있습니다.',
+            'session.notJson': '추첨 파일을 읽을 수 없습니다. JSON 형식이 아닙니다.',
+            'session.notSessionFile': '사다리 타기 추첨 파일이 아닙니다.',
+            'session.invalidVersion': '추첨 파일의 버전 정보가 올바르지 않습니다.',
+            'session.newerVersion': '더 새로운 버전의 앱에서 만든 추첨 파일입니다. 앱을 업데이트한 뒤 다시 시도해주세요.'
+        },
+
+        en: {
+            'app.title': 'Ladder Draw',
+            'app.description': 'A ladder game web app for fair random draws',
+            'app.heading': 'Ladder Draw',
+            'app.subtitle': 'Fair random draws',
+            'app.language': 'Language',
+
+            'theme.label': 'Theme',
+            'theme.auto': 'System',
+            'theme.light': 'Light',
+            'theme.dark': 'Dark',
+            'theme.highContrast': 'High contrast',
+            'theme.custom': 'Brand color',
+            'theme.brandColor': 'Pick brand color',
+            'palette.label': 'Color palette',
+            'palette.default': 'Default colors',
+            'palette.colorblind': 'Color-blind safe',
+
+            'mode.label': 'Draw mode',
+            'mode.results': 'Assign results',
+            'mode.teams': 'Split into teams',
+            'mode.teamCount': 'Teams',
+            'teams.defaultName': 'Team {number}',
+
+            'input.title': 'Title',
+            'input.optional': '(optional)',
+            'input.titlePlaceholder': 'e.g. March cleaning duty',
+            'input.participants': 'Participants',
+            'input.participantsHint': '(one per line)',
+            'input.participantsPlaceholder': 'Alice\nBob\nCarol',
+            'input.importCsv': 'Import CSV',
+            'input.results': 'Results',
+            'input.resultsHint': '(one per line, "Coffee x3" for several, "Advance*" to go to the next round)',
+            'input.resultsPlaceholder': '1st prize\n2nd prize\nCoffee x3',
+            'input.teams': 'Team names',
+            'input.teamsHint': '(empty for Team 1, Team 2…, "Team A x3" fixes the size)',
+            'input.teamsPlaceholder': 'Blue\nWhite',
+            'input.peopleUnit': ' people',
+            'input.itemsUnit': ' items',
+            'input.fillerAdded': ' ({count} × {filler} added automatically)',
+            'input.randomlyDropped': ' ({count} left out at random)',
+            'input.teamSize': ' ({count} per team)',
+            'input.teamSizeRange': ' ({min}–{max} per team)',
+            'input.start': 'Start',
+
+            'options.title': 'Draw options',
+            'options.seed': 'Seed',
+            'options.seedHint': '(random if empty)',
+            'options.filler': 'Filler label',
+            'options.fillerHint': '(when results run short)',
+            'options.fillerPlaceholder': 'Blank',
+            'options.constraints': 'Conditions',
+            'options.constraintsHint': '(one per line, text after # is a note)',
+            'options.constraintsPlaceholder': 'Bob = Cleaning\nCarol != 1st prize\nDave <> Erin\nFrank == Grace\nHeidi ~ Duty x3',
+            'options.hideResults': 'Hide results',
+            'options.hideResultsHint': '(revealed by following the path)',
+
+            'fairness.toggle': 'Fairness mode (commit-reveal)',
+            'fairness.commitment': 'Commitment hash',
+            'fairness.renew': 'New commitment',
+            'fairness.retired': 'The previous secret was revealed by the draw. Publish this new hash again before the next draw.',
+            'fairness.explanation': 'Share this hash with the participants before the draw. Anyone can then check that the secret revealed after the draw matches it.',
+            'fairness.entropy': 'Participant entropy',
+            'fairness.entropyHint': '(one per line, optional)',
+            'fairness.entropyPlaceholder': 'Any text chosen by a participant',
+
+            'certificate.label': 'Draw certificate',
+            'certificate.verify': 'Verify certificate',
+            'certificate.valid': 'The certificate is valid. Redrawing with the same seed gives the same result.',
+            'certificate.inputMismatch': 'The input hash in the certificate does not match. The participants or results were changed.',
+            'certificate.resultMismatch': 'The redrawn result does not match the result in the certificate.',
+            'certificate.invalidFile': 'This is not a valid draw certificate file.',
+
+            'history.title': 'History',
+            'history.searchPlaceholder': 'Search by title, participant or result',
+            'history.import': 'Open file',
+            'history.empty': 'No saved draws.',
+            'history.noMatches': 'No matching draws.',
+            'history.open': 'Open',
+            'history.rename': 'Rename',
+            'history.delete': 'Delete',
+            'history.confirmDelete': 'Delete this draw from the history?',
+            'history.loadFailed': 'Could not load the history.',
+
+            'tournament.end': 'End tournament',
+            'tournament.confirmEnd': 'This ends the running tournament. Start over?',
+            'tournament.preparing': 'Preparing round {round} · {count} advanced from the previous round',
+            'tournament.round': 'Round {round}',
+            'tournament.title': 'Tournament',
+            'tournament.export': 'Save all rounds',
+
+            'result.heading': 'Results!',
+            'result.seedLabel': 'Seed:',
+            'result.seed': 'Seed: {seed}',
+            'result.fillerAdded': "Not enough results, so {count} × '{filler}' were added.",
+            'result.dropped': 'Results left out at random: {results}',
+            'result.people': '{count} people',
+            'result.results': 'Results',
+            'result.nextRound': 'Next round',
+            'result.reset': 'Start over',
+
+            'a11y.canvasLabel': 'Ladder with {count} participants',
+            'a11y.navigatorLabel': 'Choose a participant',
+            'a11y.navigatorHint': 'Use the left and right arrow keys to choose a participant and press Enter to trace their path.',
+            'a11y.option': '{label}. {name}',
+            'a11y.separator': ', ',
+            'a11y.summary': 'The ladder has {columns} vertical lines, {rungs} rungs and {rows} rows.',
+            'a11y.top': 'Participants at the top: {list}',
+            'a11y.bottom': 'Results at the bottom: {list}',
+            'a11y.column': 'line {column}: {name}',
+            'a11y.row': 'Row {row}: {rungs}',
+            'a11y.rung': 'lines {from} and {to} connected',
+            'a11y.emptyRows': 'Rows without rungs are left out.',
+            'a11y.covered': 'covered',
+            'a11y.pathStart': '{name} starts on line {column}.',
+            'a11y.turnRight': 'Row {row}: right to line {column}',
+            'a11y.turnLeft': 'Row {row}: left to line {column}',
+            'a11y.noTurns': 'No rungs on the way down.',
+            'a11y.pathEnd': '{name} ends on line {column}: {result}.',
+
+            'viewport.controls': 'Zoom',
+            'viewport.zoomIn': 'Zoom in',
+            'viewport.zoomOut': 'Zoom out',
+            'viewport.fit': 'Fit',
+
+            'verify.title': 'Fairness check',
+            'verify.secret': 'Revealed secret',
+            'verify.secretHash': 'Hash of the secret',
+            'verify.seed': 'Draw seed',
+            'verify.none': '(none)',
+            'verify.valid': 'The hash of the revealed secret matches the commitment, and the seed was derived from the secret and the entropy.',
+            'verify.invalid': 'Verification failed. The revealed secret or the seed does not match the commitment.',
+
+            'animation.speed': 'Speed',
+            'animation.slow': 'Slow',
+            'animation.normal': 'Normal',
+            'animation.fast': 'Fast',
+            'animation.veryFast': 'Very fast',
+            'animation.pause': 'Pause',
+            'animation.resume': 'Resume',
+            'animation.skip': 'Skip',
+            'animation.revealAll': 'Reveal one by one',
+            'animation.revealRemaining': 'Reveal the rest',
+
+            'share.menu': 'Share / Save',
+            'share.copyImage': 'Copy image',
+            'share.copyText': 'Copy text',
+            'share.copyLink': 'Copy link',
+            'share.native': 'Share to app…',
+            'share.download': 'Save image',
+            'share.title': 'Ladder Draw result',
+            'share.text': 'Check out the Ladder Draw result!',
+            'share.copyLinkPrompt': 'Copy the link below.',
+            'share.imageCopied': 'Image copied.',
+            'share.imageCopyUnsupported': 'This browser cannot copy images, so the image was saved as a file.',
+            'share.imageCopyFailed': 'Could not copy the image.',
+            'share.shared': 'Shared.',
+            'share.shareFailed': 'Sharing failed, so the image was saved as a file.',
+            'share.imageSaved': 'Image saved.',
+            'share.imageSaveFailed': 'Could not save the image.',
+            'share.linkFailed': 'Could not create the link.',
+            'share.linkHidden': 'Reveal all covered results before copying the link.',
+            'share.linkCopied': 'Link copied.',
+            'share.textCopied': 'Text copied.',
+            'text.blockRange': '(participants {from}–{to} of {total})',
+            'share.textCopyFailed': 'Could not copy the text.',
+
+            'export.csv': 'Save CSV',
+            'export.xlsx': 'Save Excel',
+            'export.svg': 'Save SVG',
+            'export.print': 'Print / PDF',
+            'export.session': 'Save to file',
+            'export.sheetName': 'Draw results',
+            'export.participantNumber': 'Participant no.',
+            'export.resultNumber': 'Result no.',
+            'export.drawnAt': 'Drawn at',
+
+            'table.number': 'No.',
+            'table.participant': 'Participant',
+            'table.result': 'Result',
+
+            'print.ladder': 'Ladder',
+            'print.ladderRange': 'Ladder (participants {from}–{to} of {total})',
+            'print.table': 'Results',
+            'print.tablePage': 'Results ({page}/{pages})',
+
+            'file.result': 'ladder-result',
+            'file.certificate': 'ladder-certificate',
+            'file.session': 'ladder-session',
+            'file.tournament': 'ladder-tournament',
+
+            'csv.title': 'Choose columns to import',
+            'csv.participantsColumn': 'Participants column',
+            'csv.resultsColumn': 'Results column',
+            'csv.headerRow': 'First row is a header',
+            'csv.cancel': 'Cancel',
+            'csv.confirm': 'Import',
+            'csv.notUsed': 'Not used',
+            'csv.column': 'Column {number}',
+            'csv.columnWithLabel': 'Column {number} ({label})',
+            'csv.pasted': 'Pasted table',
+            'csv.size': '{rows} rows × {columns} columns',
+            'csv.moreRows': '… {count} more rows',
+            'csv.empty': 'There is nothing to import.',
+
+            'error.shareLink': 'Cannot read the share link. It may be cut off or damaged.',
+            'error.TOO_FEW_PARTICIPANTS': 'Enter at least 2 participants.',
+            'error.NO_RESULTS': 'Enter at least 1 result.',
+            'error.TOO_MANY_RESULTS': 'Up to {limit} results can be entered, counts included.',
+            'error.TOO_MANY_PARTICIPANTS': 'Up to {limit} participants are supported.',
+            'error.DUPLICATE_PARTICIPANTS': 'Some participant names appear more than once.',
+            'error.UNSATISFIABLE_CONSTRAINTS': 'No assignment satisfies all conditions. Please check the conditions.',
+            'error.CONFLICTING_FIXED_RESULTS': 'A participant is fixed to two different results, so the conditions cannot be met.',
+            'error.CONSTRAINTS_TOO_RESTRICTIVE': 'The conditions are too strict for a fair draw. Please remove some.',
+            'error.NO_SECURE_RANDOM': 'This browser has no secure random number generator, so a fair draw is not possible.',
+            'error.LADDER_MISMATCH': 'This saved draw can no longer be rebuilt: ladder generation has changed and would give different results.',
+            'error.teamCountTooSmall': 'Enter 2 or more teams.',
+            'error.teamCountTooLarge': 'There cannot be more teams than participants.',
+            'error.duplicateTeams': 'Some team names appear more than once.',
+            'error.FIXED_TEAMS_TOO_LARGE': 'The fixed team sizes add up to {count}, more than the number of participants.',
+            'error.FIXED_TEAMS_TOO_SMALL': 'The fixed team sizes add up to {count}, fewer than the number of participants. Leave the size off a team to let it take the rest.',
+
+            'constraints.unknownFormat': 'Line {line}: unknown condition format.',
+            'constraints.unknownParticipant': "Line {line}: participant '{name}' not found.",
+            'constraints.sameParticipant': 'Line {line}: a condition cannot link a participant to themselves.',
+            'constraints.unknownResult': "Line {line}: result '{name}' not found.",
+
+            'session.invalidLadder': 'The ladder in the draw file is invalid: {detail}',
+            'session.noLadder': 'The ladder is missing.',
+            'session.invalidNames': 'Participants and results must be lists of non-empty strings.',
+            'session.resultCount': 'The number of results differs from the number of participants.',
+            'session.invalidRows': 'The number of rows is invalid.',
+            'session.noLines': 'The list of rungs is missing.',
+            'session.lineOutside': 'Rung {number} lies outside the ladder.',
+            'session.lineOverlap': 'Rung {number} overlaps another rung.',
+            'session.invalidMapping': 'The result mapping is invalid.',
+            'session.mappingMismatch': 'The ladder paths do not match the stored results ({names}). The file may have been modified.',
+            'session.notJson': 'Cannot read the draw file. It is not JSON.',
+            'session.notSessionFile': 'This is not a Ladder Draw file.',
+            'session.invalidVersion': 'The version of the draw file is invalid.',
+            'session.newerVersion': 'This draw file was made by a newer version of the app. Please update the app and try again.'
+        },
+
+        ja: {
+            'app.title': 'あみだくじ - Ladder Draw',
+            'app.description': '公平なランダム抽選のためのあみだくじWebアプリ',
+            'app.heading': 'あみだくじ',
+            'app.subtitle': '公平なランダム抽選',
+            'app.language': '言語',
+
+            'theme.label': 'テーマ',
+            'theme.auto': 'システム設定',
+            'theme.light': 'ライト',
+            'theme.dark': 'ダーク',
+            'theme.highContrast': 'ハイコントラスト',
+            'theme.custom': 'ブランドカラー',
+            'theme.brandColor': 'ブランドカラーを選択',
+            'palette.label': 'カラーパレット',
+            'palette.default': '標準カラー',
+            'palette.colorblind': '色覚配慮カラー',
+
+            'mode.label': '抽選方式',
+            'mode.results': '結果の割り当て',
+            'mode.teams': 'チーム分け',
+            'mode.teamCount': 'チーム数',
+            'teams.defaultName': 'チーム{number}',
+
+            'input.title': 'タイトル',
+            'input.optional': '(任意)',
+            'input.titlePlaceholder': '例: 3月の掃除当番',
+            'input.participants': '参加者',
+            'input.participantsHint': '(1行に1人)',
+            'input.participantsPlaceholder': '佐藤\n鈴木\n高橋',
+            'input.importCsv': 'CSV読み込み',
+            'input.results': '結果',
+            'input.resultsHint': '(1行に1つ、複数は「コーヒー x3」、次のラウンド進出は「進出*」)',
+            'input.resultsPlaceholder': '1等\n2等\nコーヒー x3',
+            'input.teams': 'チーム名',
+            'input.teamsHint': '(空欄ならチーム1、チーム2…、人数固定は「Aチーム x3」)',
+            'input.teamsPlaceholder': '紅組\n白組',
+            'input.peopleUnit': '名',
+            'input.itemsUnit': '個',
+            'input.fillerAdded': ' ({filler}を{count}個自動追加)',
+            'input.randomlyDropped': ' ({count}個をランダムに除外)',
+            'input.teamSize': ' (1チーム{count}名)',
+            'input.teamSizeRange': ' (1チーム{min}~{max}名)',
+            'input.start': 'スタート',
+
+            'options.title': '抽選オプション',
+            'options.seed': 'シード',
+            'options.seedHint': '(空欄ならランダム)',
+            'options.filler': '空き枠の名前',
+            'options.fillerHint': '(結果が足りないとき)',
+            'options.fillerPlaceholder': 'はずれ',
+            'options.constraints': '抽選条件',
+            'options.constraintsHint': '(1行に1つ、# 以降はメモ)',
+            'options.constraintsPlaceholder': '鈴木 = 掃除\n高橋 != 1等\n田中 <> 伊藤\n渡辺 == 山本\n中村 ~ 当番 x3',
+            'options.hideResults': '結果を隠す',
+            'options.hideResultsHint': '(経路をたどると公開)',
+
+            'fairness.toggle': '公正モード (コミット・リビール)',
+            'fairness.commitment': 'コミットハッシュ',
+            'fairness.renew': '新しいコミット',
+            'fairness.retired': '前のコミットの秘密値は抽選で公開されました。次の抽選の前に新しいハッシュを公開し直してください。',
+            'fairness.explanation': '抽選前にこのハッシュを参加者に公開してください。抽選後に公開される秘密値がこのハッシュと一致するか、誰でも確認できます。',
+            'fairness.entropy': '参加者エントロピー',
+            'fairness.entropyHint': '(1行に1つ、任意)',
+            'fairness.entropyPlaceholder': '参加者が決めた任意の文字列',
+
+            'certificate.label': '抽選証明書',
+            'certificate.verify': '証明書を検証',
+            'certificate.valid': '証明書は有効です。同じシードで再抽選した結果が一致します。',
+            'certificate.inputMismatch': '証明書の入力値ハッシュが一致しません。参加者または結果が変更されています。',
+            'certificate.resultMismatch': '再抽選した結果が証明書の結果と一致しません。',
+            'certificate.invalidFile': '正しい抽選証明書ファイルではありません。',
+
+            'history.title': '抽選履歴',
+            'history.searchPlaceholder': 'タイトル・参加者・結果で検索',
+            'history.import': 'ファイルから開く',
+            'history.empty': '保存された抽選はありません。',
+            'history.noMatches': '検索結果がありません。',
+            'history.open': '開く',
+            'history.rename': '名前を変更',
+            'history.delete': '削除',
+            'history.confirmDelete': 'この抽選履歴を削除しますか？',
+            'history.loadFailed': '抽選履歴を読み込めません。',
+
+            'tournament.end': 'トーナメント終了',
+            'tournament.confirmEnd': '進行中のトーナメントが終了します。最初に戻りますか？',
+            'tournament.preparing': '第{round}ラウンド準備中 · 前ラウンドの勝ち上がり {count}名',
+            'tournament.round': '第{round}ラウンド',
+            'tournament.title': 'トーナメント',
+            'tournament.export': '全ラウンドを保存',
+
+            'result.heading': '結果発表！',
+            'result.seedLabel': 'シード:',
+            'result.seed': 'シード: {seed}',
+            'result.fillerAdded': '結果が足りないため「{filler}」を{count}個追加しました。',
+            'result.dropped': 'ランダムに除外された結果: {results}',
+            'result.people': '{count}名',
+            'result.results': '結果',
+            'result.nextRound': '次のラウンド',
+            'result.reset': 'やり直す',
+
+            'a11y.canvasLabel': 'あみだくじ：参加者{count}人',
+            'a11y.navigatorLabel': '参加者を選択',
+            'a11y.navigatorHint': '左右の矢印キーで参加者を選び、Enterで経路をたどります。',
+            'a11y.option': '{label}番 {name}',
+            'a11y.separator': '、',
+            'a11y.summary': '縦線{columns}本、横線{rungs}本、{rows}段のあみだくじです。',
+            'a11y.top': '上の参加者：{list}',
+            'a11y.bottom': '下の結果：{list}',
+            'a11y.column': '{column}番の線 {name}',
+            'a11y.row': '{row}段目：{rungs}',
+            'a11y.rung': '{from}番と{to}番の線がつながる',
+            'a11y.emptyRows': '横線のない段は省略しています。',
+            'a11y.covered': '非表示',
+            'a11y.pathStart': '{name}：{column}番の線から出発します。',
+            'a11y.turnRight': '{row}段目で右の{column}番の線へ',
+            'a11y.turnLeft': '{row}段目で左の{column}番の線へ',
+            'a11y.noTurns': '横線に出会わずにそのまま下ります。',
+            'a11y.pathEnd': '{name}：{column}番の線に到着、結果は{result}です。',
+
+            'viewport.controls': 'ズーム',
+            'viewport.zoomIn': '拡大',
+            'viewport.zoomOut': '縮小',
+            'viewport.fit': '全体を表示',
+
+            'verify.title': '公正性の検証',
+            'verify.secret': '公開された秘密値',
+            'verify.secretHash': '秘密値のハッシュ',
+            'verify.seed': '抽選シード',
+            'verify.none': '(なし)',
+            'verify.valid': '公開された秘密値のハッシュがコミットと一致し、シードが秘密値とエントロピーから作られています。',
+            'verify.invalid': '検証に失敗しました。公開された秘密値またはシードがコミットと一致しません。',
+
+            'animation.speed': '速度',
+            'animation.slow': '遅く',
+            'animation.normal': '普通',
+            'animation.fast': '速く',
+            'animation.veryFast': 'とても速く',
+            'animation.pause': '一時停止',
+            'animation.resume': '再開',
+            'animation.skip': 'スキップ',
+            'animation.revealAll': '1人ずつすべて公開',
+            'animation.revealRemaining': '残りの結果をすべて公開',
+
+            'share.menu': '共有 / 保存',
+            'share.copyImage': '画像をコピー',
+            'share.copyText': 'テキストをコピー',
+            'share.copyLink': 'リンクをコピー',
+            'share.native': '他のアプリで共有…',
+            'share.download': '画像を保存',
+            'share.title': 'あみだくじの結果',
+            'share.text': 'あみだくじの結果をチェック！',
+            'share.copyLinkPrompt': '下のリンクをコピーしてください。',
+            'share.imageCopied': '画像をコピーしました。',
+            'share.imageCopyUnsupported': 'このブラウザは画像のコピーに対応していないため、画像ファイルとして保存しました。',
+            'share.imageCopyFailed': '画像をコピーできませんでした。',
+            'share.shared': '共有しました。',
+            'share.shareFailed': '共有できなかったため、画像ファイルとして保存しました。',
+            'share.imageSaved': '画像を保存しました。',
+            'share.imageSaveFailed': '画像を保存できませんでした。',
+            'share.linkFailed': 'リンクを作成できませんでした。',
+            'share.linkHidden': '隠れている結果をすべて公開してからリンクをコピーできます。',
+            'share.linkCopied': 'リンクをコピーしました。',
+            'share.textCopied': 'テキストをコピーしました。',
+            'text.blockRange': '(参加者 {from}~{to} / {total}名)',
+            'share.textCopyFailed': 'テキストをコピーできませんでした。',
+
+            'export.csv': 'CSVで保存',
+            'export.xlsx': 'Excelで保存',
+            'export.svg': 'SVGで保存',
+            'export.print': '印刷 / PDF',
+            'export.session': 'ファイルに保存',
+            'export.sheetName': '抽選結果',
+            'export.participantNumber': '参加者番号',
+            'export.resultNumber': '結果番号',
+            'export.drawnAt': '抽選日時',
+
+            'table.number': '番号',
+            'table.participant': '参加者',
+            'table.result': '結果',
+
+            'print.ladder': 'あみだくじ',
+            'print.ladderRange': 'あみだくじ (参加者 {from}–{to} / {total}名)',
+            'print.table': '結果表',
+            'print.tablePage': '結果表 ({page}/{pages})',
+
+            'file.result': 'あみだくじ-結果',
+            'file.certificate': '抽選証明書',
+            'file.session': '抽選ファイル',
+            'file.tournament': 'あみだくじ-トーナメント',
+
+            'csv.title': '読み込む列を選択',
+            'csv.participantsColumn': '参加者の列',
+            'csv.resultsColumn': '結果の列',
+            'csv.headerRow': '1行目は見出し行',
+            'csv.cancel': 'キャンセル',
+            'csv.confirm': '読み込む',
+            'csv.notUsed': '使用しない',
+            'csv.column': '{number}列',
+            'csv.columnWithLabel': '{number}列 ({label})',
+            'csv.pasted': '貼り付けた表',
+            'csv.size': '{rows}行 {columns}列',
+            'csv.moreRows': '… ほか{count}行',
+            'csv.empty': '読み込む内容がありません。',
+
+            'error.shareLink': '共有リンクを読み取れません。リンクが途中で切れているか、壊れている可能性があります。',
+            'error.TOO_FEW_PARTICIPANTS': '参加者を2人以上入力してください。',
+            'error.NO_RESULTS': '結果を1つ以上入力してください。',
+            'error.TOO_MANY_RESULTS': '結果は個数を含めて最大{limit}個まで入力できます。',
+            'error.TOO_MANY_PARTICIPANTS': '参加者は最大{limit}名まで対応しています。',
+            'error.DUPLICATE_PARTICIPANTS': '重複した参加者名があります。',
+            'error.UNSATISFIABLE_CONSTRAINTS': 'すべての条件を満たす割り当てがありません。条件を確認してください。',
+            'error.CONFLICTING_FIXED_RESULTS': '1人の参加者に異なる結果が固定されているため、条件を満たせません。',
+            'error.CONSTRAINTS_TOO_RESTRICTIVE': '条件が厳しすぎて公平に抽選できません。条件を減らしてください。',
+            'error.NO_SECURE_RANDOM': 'このブラウザでは安全な乱数生成器を使えないため、抽選できません。',
+            'error.LADDER_MISMATCH': '保存された抽選を再現できません。はしごの生成方法が変わり、結果が異なります。',
+            'error.teamCountTooSmall': 'チーム数を2以上にしてください。',
+            'error.teamCountTooLarge': 'チーム数は参加者数より多くできません。',
+            'error.duplicateTeams': '重複したチーム名があります。',
+            'error.FIXED_TEAMS_TOO_LARGE': '人数を固定したチームの合計({count}名)が参加者数より多くなっています。',
+            'error.FIXED_TEAMS_TOO_SMALL': '人数を固定したチームの合計({count}名)が参加者数より少なくなっています。残りの人数を受け持つチームは人数を空けておいてください。',
+
+            'constraints.unknownFormat': '{line}行目: 条件の形式が分かりません。',
+            'constraints.unknownParticipant': '{line}行目: 参加者「{name}」が見つかりません。',
+            'constraints.sameParticipant': '{line}行目: 同じ参加者同士に条件は付けられません。',
+            'constraints.unknownResult': '{line}行目: 結果「{name}」が見つかりません。',
+
+            'session.invalidLadder': '抽選ファイルのあみだくじ情報が正しくありません: {detail}',
+            'session.noLadder': 'あみだくじ情報がありません。',
+            'session.invalidNames': '参加者と結果は空でない文字列のリストである必要があります。',
+            'session.resultCount': '結果の数が参加者の数と異なります。',
+            'session.invalidRows': '行数が正しくありません。',
+            'session.noLines': '横線のリストがありません。',
+            'session.lineOutside': '{number}本目の横線があみだくじの外にあります。',
+            'session.lineOverlap': '{number}本目の横線が他の横線と重なっています。',
+            'session.invalidMapping': '結果の対応付けが正しくありません。',
+            'session.mappingMismatch': 'あみだくじの経路と保存された結果が一致しません ({names})。ファイルが変更された可能性があります。',
+            'session.notJson': '抽選ファイルを読み込めません。JSON形式ではありません。',
+            'session.notSessionFile': 'あみだくじの抽選ファイルではありません。',
+            'session.invalidVersion': '抽選ファイルのバージョン情報が正しくありません。',
+            'session.newerVersion': '新しいバージョンのアプリで作成された抽選ファイルです。アプリを更新してから再度お試しください。'
+        }
+    };
+
+    /**
+     * Current locale
+     */
+    let currentLocale = DEFAULT_LOCALE;
+
+    /**
+     * Callbacks run after the locale changes
+     */
+    const listeners = [];
+
+    /**
+     * Pick the first supported locale from the browser's preferred languages
+     * @param {string[]} languages - Language tags (e.g. navigator.languages)
+     * @returns {string} Locale code (ko, en or ja)
+     */
+    function detectLocale(languages) {
+        for (const tag of languages || []) {
+            const base = String(tag).toLowerCase().split('-')[0];
+            if (LOCALES[base]) {
+                return base;
+            }
+        }
+        return DEFAULT_LOCALE;
+    }
+
+    /**
+     * Look up a message and fill in its {placeholders}
+     * Falls back to Korean, then to the key itself.
+     * @param {string} key - Message key
+     * @param {Object} params - Placeholder values
+     * @returns {string} Message
+     */
+    function t(key, params = {}) {
+        const template = MESSAGES[currentLocale][key] !== undefined
+            ? MESSAGES[currentLocale][key]
+            : MESSAGES[DEFAULT_LOCALE][key];
+        if (template === undefined) {
+            return key;
+        }
+        return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+    }
+
+    /**
+     * Check whether a message exists
+     * @param {string} key - Message key
+     * @returns {boolean}
+     */
+    function has(key) {
+        return MESSAGES[DEFAULT_LOCALE][key] !== undefined;
+    }
+
+    /**
+     * Get the message for an error from Ladder (validate results and thrown errors)
+     * The Korean message of unknown codes is kept as is.
+     * @param {{code: string, reason: string, message: string}} error - Error with a code
+     * @returns {string} Message
+     */
+    function translateError(error) {
+        const key = `error.${error.reason || error.code}`;
+        return has(key) ? t(key, error) : error.message;
+    }
+
+    /**
+     * Get the current locale
+     * @returns {string} Locale code
+     */
+    function getLocale() {
+        return currentLocale;
+    }
+
+    /**
+     * Get the BCP 47 tag of the current locale (for toLocaleString and friends)
+     * @returns {string} Language tag
+     */
+    function getLanguageTag() {
+        return LOCALES[currentLocale];
+    }
+
+    /**
+     * Get the supported locale codes
+     * @returns {string[]}
+     */
+    function getLocales() {
+        return Object.keys(LOCALES);
+    }
+
+    /**
+     * Translate the static page
+     * @param {Document|HTMLElement} root - Where to look for data-i18n attributes
+     */
+    function applyToDocument(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+        });
+        root.querySelectorAll('[data-i18n-content]').forEach(element => {
+            element.setAttribute('content', t(element.dataset.i18nContent));
+        });
+    }
+
+    /**
+     * Switch the language
+     * Unsupported codes are ignored.
+     * @param {string} locale - Locale code
+     */
+    function setLocale(locale) {
+        if (!LOCALES[locale]) return;
+
+        currentLocale = locale;
+        if (typeof document !== 'undefined') {
+            document.documentElement.lang = locale;
+            applyToDocument(document);
+        }
+        listeners.forEach(listener => listener(locale));
+    }
+
+    /**
+     * Run a callback whenever the locale changes
+     * @param {Function} listener - Called with the new locale code
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    // Public API
+    return {
+        detectLocale: detectLocale,
+        t: t,
+        has: has,
+        translateError: translateError,
+        getLocale: getLocale,
+        getLanguageTag: getLanguageTag,
+        getLocales: getLocales,
+        applyToDocument: applyToDocument,
+        setLocale: setLocale,
+        onChange: onChange
+    };
+})();
@@ -7,6 +7,9 @@
  *
  * Uses Fisher-Yates shuffle for mathematically guaranteed uniform distribution,
  * combined with natural-looking random ladder generation.
+ *
+ * All randomness comes from a seeded PRNG, so the same seed and inputs
+ * always reproduce the same ladder.
  */
 
 const Ladder = (function() {
@@ -20,19 +23,309 @@ const Ladder = (function() {
         ROWS_PER_PARTICIPANT: 3.0,  // Base rows per participant
         MAX_ROWS: 200,              // Maximum rows for visual ladder
         LINE_DENSITY: 0.5,          // Probability of horizontal line at each position
-        FILL_DENSITY: 0.4           // Probability of filling empty spaces with decorative pairs
+        FILL_DENSITY: 0.4,          // Probability of filling empty spaces with decorative pairs
+        DEFAULT_FILLER: '꽝',       // Label for result slots left over when there are fewer results
+        TEAM_NAME_SUFFIX: '팀',     // Default team names are "1팀", "2팀", ...
+        MAX_PARTICIPANTS: 100,      // Maximum number of participants
+        MAX_RESULT_SLOTS: 1000,     // Maximum result slots after expanding counts (e.g. "커피 x3")
+        MAX_SAMPLE_ATTEMPTS: 100000, // Rejection sampling attempts for constrained draws
+        MAX_SEARCH_NODES: 200000    // Search budget when checking whether constraints can be met
     };
 
+    /**
+     * Pattern for result lines with a count, e.g. "커피 x3" or "커피 ×3"
+     */
+    const RESULT_COUNT_PATTERN = /^(.*\S)\s+[xX×]\s*([1-9]\d*)$/;
+
+    /**
+     * Hash a seed string into four 32-bit values (cyrb128)
+     * @param {string} str - Seed string
+     * @returns {number[]} Four unsigned 32-bit integers
+     */
+    function hashSeed(str) {
+        let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+        for (let i = 0; i < str.length; i++) {
+            const k = str.charCodeAt(i);
+            h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+            h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+            h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+            h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+        }
+        h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+        h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+        h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+        h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+        h1 ^= (h2 ^ h3 ^ h4);
+        h2 ^= h1;
+        h3 ^= h1;
+        h4 ^= h1;
+        return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+    }
+
+    /**
+     * Create a deterministic pseudo-random number generator (sfc32)
+     * @param {string} seed - Seed string
+     * @returns {function(): number} Generator returning floats in [0, 1)
+     */
+    function createRandom(seed) {
+        let [a, b, c, d] = hashSeed(String(seed));
+        const next = function() {
+            a |= 0; b |= 0; c |= 0; d |= 0;
+            const t = (((a + b) | 0) + d) | 0;
+            d = (d + 1) | 0;
+            a = b ^ (b >>> 9);
+            b = (c + (c << 3)) | 0;
+            c = (c << 21) | (c >>> 11);
+            c = (c + t) | 0;
+            return (t >>> 0) / 4294967296;
+        };
+
+        // Discard the first outputs so similar seeds diverge quickly
+        for (let i = 0; i < 15; i++) {
+            next();
+        }
+        return next;
+    }
+
+    /**
+     * Get a cryptographically secure getRandomValues
+     * Browsers and Node 19+ have a global Web Crypto object; Node 16-18 only
+     * expose it through the crypto module.
+     * @returns {function(Uint32Array): Uint32Array|null} getRandomValues, or null if unavailable
+     */
+    function getSecureRandomValues() {
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            return array => crypto.getRandomValues(array);
+        }
+        if (typeof require === 'function') {
+            const nodeCrypto = require('crypto');
+            if (nodeCrypto.webcrypto && nodeCrypto.webcrypto.getRandomValues) {
+                return array => nodeCrypto.webcrypto.getRandomValues(array);
+            }
+            return array => {
+                const bytes = nodeCrypto.randomBytes(array.byteLength);
+                array.set(new Uint32Array(bytes.buffer, bytes.byteOffset, array.length));
+                return array;
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Generate a fresh random seed (hex string)
+     * Seeds decide draws and fairness secrets, so there is no fallback to Math.random.
+     * @returns {string} 32-character hex seed
+     * @throws {Error} NO_SECURE_RANDOM if no cryptographically secure generator is available
+     */
+    function generateSeed() {
+        const getRandomValues = getSecureRandomValues();
+        if (!getRandomValues) {
+            throw createError('NO_SECURE_RANDOM', '안전한 난수 생성기를 사용할 수 없어 시드를 만들 수 없습니다.');
+        }
+
+        const words = new Uint32Array(4);
+        getRandomValues(words);
+        return Array.from(words, word => word.toString(16).padStart(8, '0')).join('');
+    }
+
+    /**
+     * Parse a result line with an optional count suffix
+     * @param {string} line - Result line (e.g. "커피 x3")
+     * @returns {{label: string, count: number}} Parsed label and count (1 if no suffix)
+     */
+    function parseResultCount(line) {
+        const match = RESULT_COUNT_PATTERN.exec(line);
+        if (!match) {
+            return { label: line, count: 1 };
+        }
+        return { label: match[1], count: parseInt(match[2], 10) };
+    }
+
+    /**
+     * Check the total number of result slots before expanding any counts
+     * A count like "커피 x999999999" would otherwise be expanded slot by slot.
+     * @param {number} total - Total number of slots the counts add up to
+     * @throws {Error} TOO_MANY_RESULTS (with limit) if the total exceeds MAX_RESULT_SLOTS
+     */
+    function checkResultSlotTotal(total) {
+        if (total > CONFIG.MAX_RESULT_SLOTS) {
+            const error = createError('TOO_MANY_RESULTS',
+                `결과 항목은 개수를 포함해 최대 ${CONFIG.MAX_RESULT_SLOTS}개까지 입력할 수 있습니다.`);
+            error.limit = CONFIG.MAX_RESULT_SLOTS;
+            throw error;
+        }
+    }
+
+    /**
+     * Expand result lines with counts into individual result slots
+     * @param {string[]} lines - Result lines (e.g. ["커피 x3", "꽝"])
+     * @returns {string[]} Expanded results (e.g. ["커피", "커피", "커피", "꽝"])
+     * @throws {Error} TOO_MANY_RESULTS if the counts add up to more than MAX_RESULT_SLOTS
+     */
+    function expandResultCounts(lines) {
+        const parsed = lines.map(parseResultCount);
+        checkResultSlotTotal(parsed.reduce((sum, result) => sum + result.count, 0));
+
+        const expanded = [];
+        parsed.forEach(({ label, count }) => {
+            for (let i = 0; i < count; i++) {
+                expanded.push(label);
+            }
+        });
+        return expanded;
+    }
+
+    /**
+     * Validate draw inputs
+     * Error codes: TOO_FEW_PARTICIPANTS, NO_RESULTS, TOO_MANY_RESULTS,
+     * TOO_MANY_PARTICIPANTS, DUPLICATE_PARTICIPANTS
+     * @param {string[]} participants - List of participants
+     * @param {string[]} results - List of results (counts already expanded)
+     * @returns {{code: string, message: string, limit: number}|null} First failed rule (limit only for TOO_MANY_*), or null if valid
+     */
+    function validate(participants, results) {
+        if (participants.length < 2) {
+            return { code: 'TOO_FEW_PARTICIPANTS', message: '참여자를 최소 2명 이상 입력해주세요.' };
+        }
+
+        if (results.length < 1) {
+            return { code: 'NO_RESULTS', message: '결과 항목을 최소 1개 이상 입력해주세요.' };
+        }
+
+        if (results.length > CONFIG.MAX_RESULT_SLOTS) {
+            return {
+                code: 'TOO_MANY_RESULTS',
+                limit: CONFIG.MAX_RESULT_SLOTS,
+                message: `결과 항목은 개수를 포함해 최대 ${CONFIG.MAX_RESULT_SLOTS}개까지 입력할 수 있습니다.`
+            };
+        }
+
+        if (participants.length > CONFIG.MAX_PARTICIPANTS) {
+            return {
+                code: 'TOO_MANY_PARTICIPANTS',
+                limit: CONFIG.MAX_PARTICIPANTS,
+                message: `참여자는 최대 ${CONFIG.MAX_PARTICIPANTS}명까지 지원됩니다.`
+            };
+        }
+
+        // Check for duplicates
+        if (new Set(participants).size !== participants.length) {
+            return { code: 'DUPLICATE_PARTICIPANTS', message: '중복된 참여자 이름이 있습니다.' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Create result slots for splitting participants into teams
+     * Team lines with a count ("A팀 x3") get exactly that many slots; the remaining
+     * participants are spread over the other teams as evenly as possible
+     * (earlier teams take the extra members). Without team lines,
+     * teamCount teams named "1팀", "2팀", ... are created.
+     * @param {string[]} lines - Team lines (may be empty)
+     * @param {number} n - Number of participants
+     * @param {number} teamCount - Number of teams when no team lines are given
+     * @param {Function} nameTeam - Default team name for a 1-based team number (optional)
+     * @returns {string[]} Result slots (one team name per slot)
+     * @throws {Error} TOO_MANY_RESULTS if the fixed sizes add up to more than MAX_RESULT_SLOTS
+     */
+    function createTeamSlots(lines, n, teamCount, nameTeam) {
+        const defaultName = nameTeam || (number => `${number}${CONFIG.TEAM_NAME_SUFFIX}`);
+        const teams = lines.length > 0
+            ? lines.map(line => RESULT_COUNT_PATTERN.test(line)
+                ? parseResultCount(line)
+                : { label: line, count: null })
+            : [...Array(teamCount)].map((_, i) => ({ label: defaultName(i + 1), count: null }));
+
+        const fixedTotal = teams.reduce((sum, team) => sum + (team.count || 0), 0);
+        checkResultSlotTotal(fixedTotal);
+        const flexible = teams.filter(team => team.count === null);
+        const remaining = Math.max(0, n - fixedTotal);
+        flexible.forEach((team, i) => {
+            team.count = Math.floor(remaining / flexible.length) + (i < remaining % flexible.length ? 1 : 0);
+        });
+
+        const slots = [];
+        teams.forEach(team => {
+            for (let i = 0; i < team.count; i++) {
+                slots.push(team.label);
+            }
+        });
+        return slots;
+    }
+
+    /**
+     * Validate team slots against the participant count
+     * Slots only differ from the participant count when every team has a fixed
+     * size (otherwise the teams without one take the rest), and a mismatch would
+     * leave participants without a team or pad the draw with filler slots.
+     * Error codes: FIXED_TEAMS_TOO_LARGE, FIXED_TEAMS_TOO_SMALL
+     * @param {string[]} slots - Team slots (from createTeamSlots)
+     * @param {number} n - Number of participants
+     * @returns {{code: string, message: string, count: number}|null} Failed rule with the fixed total, or null if valid
+     */
+    function validateTeamSlots(slots, n) {
+        if (slots.length > n) {
+            return {
+                code: 'FIXED_TEAMS_TOO_LARGE',
+                count: slots.length,
+                message: `인원을 고정한 팀의 합계(${slots.length}명)가 참여자 수보다 많습니다.`
+            };
+        }
+
+        if (slots.length < n) {
+            return {
+                code: 'FIXED_TEAMS_TOO_SMALL',
+                count: slots.length,
+                message: `인원을 고정한 팀의 합계(${slots.length}명)가 참여자 수보다 적습니다. 나머지 인원을 맡을 팀은 인원을 비워두세요.`
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Fit the results to the number of participants
+     * Fewer results are padded with the filler label; extra results are dropped
+     * by choosing a uniformly random subset (original order is kept).
+     * @param {string[]} results - Result slots
+     * @param {number} n - Number of participants
+     * @param {function(): number} random - Random number generator
+     * @param {string} filler - Label for padded slots
+     * @returns {string[]} Exactly n results
+     */
+    function fitResults(results, n, random, filler) {
+        if (results.length <= n) {
+            const fitted = [...results];
+            while (fitted.length < n) {
+                fitted.push(filler);
+            }
+            return fitted;
+        }
+
+        // Partial Fisher-Yates: the first n positions become a uniform random subset
+        const indices = [...results.keys()];
+        for (let i = 0; i < n; i++) {
+            const j = i + Math.floor(random() * (indices.length - i));
+            [indices[i], indices[j]] = [indices[j], indices[i]];
+        }
+        return indices
+            .slice(0, n)
+            .sort((a, b) => a - b)
+            .map(index => results[index]);
+    }
+
     /**
      * Generate a random mapping using Fisher-Yates shuffle
      * Guarantees uniform distribution of all permutations
      * @param {number} n - Number of elements
+     * @param {function(): number} random - Random number generator
      * @returns {Object.<number, number>} Mapping of start index to end index
      */
-    function generateRandomMapping(n) {
+    function generateRandomMapping(n, random) {
         const shuffled = [...Array(n).keys()];
         for (let i = n - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(random() * (i + 1));
             [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
         }
         const mapping = {};
@@ -42,13 +335,283 @@ const Ladder = (function() {
         return mapping;
     }
 
+    /**
+     * Create an error with a machine-readable code
+     * @param {string} code - Error code
+     * @param {string} message - Human-readable message
+     * @returns {Error} Error with a `code` property
+     */
+    function createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Index constraints per participant for fast checks
+     * Constraint objects:
+     * - {type: 'fixed', participant, result}    participant must get this result label
+     * - {type: 'exclude', participant, result}  participant must not get this result label
+     * - {type: 'apart', participants: [a, b]}   the two must get different result labels
+     * - {type: 'together', participants: [a, b]} the two must get the same result label
+     * - {type: 'weight', participant, result, weight} relative likelihood of this result label
+     * @param {Array} constraints - Constraint objects
+     * @param {number} n - Number of participants
+     * @returns {Object} Indexed constraints
+     */
+    function indexConstraints(constraints, n) {
+        const index = {
+            fixed: new Array(n).fill(null),
+            excluded: [...Array(n)].map(() => new Set()),
+            weights: [...Array(n)].map(() => new Map()),
+            pairs: []
+        };
+
+        constraints.forEach(constraint => {
+            if (constraint.type === 'fixed') {
+                const current = index.fixed[constraint.participant];
+                if (current !== null && current !== constraint.result) {
+                    const error = createError('UNSATISFIABLE_CONSTRAINTS',
+                        '한 참여자에게 서로 다른 결과가 고정되어 있어 조건을 만족할 수 없습니다.');
+                    // Same code as other unsatisfiable sets, but a more specific message
+                    error.reason = 'CONFLICTING_FIXED_RESULTS';
+                    throw error;
+                }
+                index.fixed[constraint.participant] = constraint.result;
+            } else if (constraint.type === 'exclude') {
+                index.excluded[constraint.participant].add(constraint.result);
+            } else if (constraint.type === 'weight') {
+                index.weights[constraint.participant].set(constraint.result, constraint.weight);
+            } else if (constraint.type === 'apart' || constraint.type === 'together') {
+                index.pairs.push(constraint);
+            }
+        });
+
+        return index;
+    }
+
+    /**
+     * Check whether a participant may receive a result label (unary constraints only)
+     * @param {Object} index - Indexed constraints
+     * @param {number} participant - Participant index
+     * @param {string} label - Result label
+     * @returns {boolean}
+     */
+    function isAllowed(index, participant, label) {
+        const fixed = index.fixed[participant];
+        if (fixed !== null && fixed !== label) return false;
+        return !index.excluded[participant].has(label);
+    }
+
+    /**
+     * Check whether a full assignment satisfies the pair constraints
+     * @param {Object} index - Indexed constraints
+     * @param {string[]} labels - Result label per participant
+     * @returns {boolean}
+     */
+    function satisfiesPairs(index, labels) {
+        return index.pairs.every(pair => {
+            const [a, b] = pair.participants;
+            const same = labels[a] === labels[b];
+            return pair.type === 'together' ? same : !same;
+        });
+    }
+
+    /**
+     * Check whether unary constraints admit any assignment (bipartite matching
+     * that gives every participant a slot)
+     * @param {Object} index - Indexed constraints
+     * @param {string[]} results - Result label per slot (at least n slots)
+     * @param {number} n - Number of participants
+     * @returns {boolean}
+     */
+    function hasPerfectMatching(index, results, n) {
+        const slotCount = results.length;
+        const slotOwner = new Array(slotCount).fill(-1);
+
+        function tryAssign(participant, visited) {
+            for (let slot = 0; slot < slotCount; slot++) {
+                if (visited[slot] || !isAllowed(index, participant, results[slot])) continue;
+                visited[slot] = true;
+                if (slotOwner[slot] === -1 || tryAssign(slotOwner[slot], visited)) {
+                    slotOwner[slot] = participant;
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        for (let participant = 0; participant < n; participant++) {
+            if (!tryAssign(participant, new Array(slotCount).fill(false))) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Search for any assignment of labels that satisfies all constraints
+     * @param {Object} index - Indexed constraints
+     * @param {string[]} results - Result label per slot (at least n slots)
+     * @param {number} n - Number of participants
+     * @returns {boolean|null} True/false, or null if the search budget ran out
+     */
+    function searchAssignment(index, results, n) {
+        const capacity = new Map();
+        results.forEach(label => capacity.set(label, (capacity.get(label) || 0) + 1));
+        const labels = Array.from(capacity.keys());
+        const assigned = new Array(n).fill(null);
+        const pairsByParticipant = [...Array(n)].map(() => []);
+        index.pairs.forEach(pair => {
+            pairsByParticipant[pair.participants[0]].push(pair);
+            pairsByParticipant[pair.participants[1]].push(pair);
+        });
+
+        // Most constrained participants first
+        const order = [...Array(n).keys()].sort((a, b) =>
+            (index.fixed[b] !== null) - (index.fixed[a] !== null) ||
+            pairsByParticipant[b].length - pairsByParticipant[a].length ||
+            index.excluded[b].size - index.excluded[a].size
+        );
+
+        let nodes = 0;
+        function assign(position) {
+            if (position === n) return true;
+            if (++nodes > CONFIG.MAX_SEARCH_NODES) return null;
+
+            const participant = order[position];
+            for (const label of labels) {
+                if (capacity.get(label) === 0 || !isAllowed(index, participant, label)) continue;
+
+                const consistent = pairsByParticipant[participant].every(pair => {
+                    const other = pair.participants[0] === participant ? pair.participants[1] : pair.participants[0];
+                    if (assigned[other] === null) return true;
+                    return pair.type === 'together' ? assigned[other] === label : assigned[other] !== label;
+                });
+                if (!consistent) continue;
+
+                assigned[participant] = label;
+                capacity.set(label, capacity.get(label) - 1);
+                const found = assign(position + 1);
+                capacity.set(label, capacity.get(label) + 1);
+                assigned[participant] = null;
+                if (found !== false) return found;
+            }
+            return false;
+        }
+
+        return assign(0);
+    }
+
+    /**
+     * Generate a mapping that satisfies the constraints
+     * Samples uniformly from all assignments that satisfy the constraints
+     * (weighted by the product of weights when weight constraints are given):
+     * fixed assignments are placed uniformly among their label's slots, the rest
+     * is shuffled with Fisher-Yates, and candidates violating other constraints are rejected.
+     * With more slots than participants, the slots left unassigned are the dropped
+     * results, so the kept subset is drawn together with the assignment.
+     * @param {string[]} results - Result label per slot (at least n slots)
+     * @param {Array} constraints - Constraint objects (see indexConstraints)
+     * @param {function(): number} random - Random number generator
+     * @param {number} n - Number of participants (default: one per slot)
+     * @returns {Object.<number, number>} Mapping of participant index to result index
+     */
+    function generateConstrainedMapping(results, constraints, random, n = results.length) {
+        const index = indexConstraints(constraints, n);
+
+        // Settle impossible constraints (e.g. "together" with all labels distinct)
+        // before sampling; the search does not draw from the random generator
+        const satisfiable = hasPerfectMatching(index, results, n) ? searchAssignment(index, results, n) : false;
+        if (satisfiable === false) {
+            throw createError('UNSATISFIABLE_CONSTRAINTS', '조건을 모두 만족하는 배정이 없습니다. 조건을 확인해주세요.');
+        }
+
+        // Slots per label and fixed participants per label
+        const slotsByLabel = new Map();
+        results.forEach((label, slot) => {
+            if (!slotsByLabel.has(label)) slotsByLabel.set(label, []);
+            slotsByLabel.get(label).push(slot);
+        });
+        const fixedByLabel = new Map();
+        index.fixed.forEach((label, participant) => {
+            if (label === null) return;
+            if (!fixedByLabel.has(label)) fixedByLabel.set(label, []);
+            fixedByLabel.get(label).push(participant);
+        });
+        const freeParticipants = [...Array(n).keys()].filter(participant => index.fixed[participant] === null);
+
+        // Largest weight per participant (unnamed labels count as weight 1)
+        const maxWeights = index.weights.map(weights => Math.max(1, ...weights.values()));
+
+        for (let attempt = 0; attempt < CONFIG.MAX_SAMPLE_ATTEMPTS; attempt++) {
+            const mapping = {};
+            const usedSlots = new Set();
+
+            // Fixed participants: uniform injective placement into their label's slots
+            fixedByLabel.forEach((participants, label) => {
+                const slots = [...slotsByLabel.get(label)];
+                for (let i = 0; i < participants.length; i++) {
+                    const j = i + Math.floor(random() * (slots.length - i));
+                    [slots[i], slots[j]] = [slots[j], slots[i]];
+                    mapping[participants[i]] = slots[i];
+                    usedSlots.add(slots[i]);
+                }
+            });
+
+            // Everyone else: uniform shuffle of the remaining slots
+            const freeSlots = [...results.keys()].filter(slot => !usedSlots.has(slot));
+            for (let i = freeSlots.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [freeSlots[i], freeSlots[j]] = [freeSlots[j], freeSlots[i]];
+            }
+            freeParticipants.forEach((participant, i) => {
+                mapping[participant] = freeSlots[i];
+            });
+
+            const labels = [...Array(n).keys()].map(participant => results[mapping[participant]]);
+            const allowed = labels.every((label, participant) => isAllowed(index, participant, label));
+            if (!allowed || !satisfiesPairs(index, labels)) continue;
+
+            // Weighted acceptance: probability proportional to the product of weights
+            let acceptance = 1;
+            labels.forEach((label, participant) => {
+                const weight = index.weights[participant].has(label) ? index.weights[participant].get(label) : 1;
+                acceptance *= weight / maxWeights[participant];
+            });
+            if (acceptance < 1 && random() >= acceptance) continue;
+
+            return mapping;
+        }
+
+        throw createError('CONSTRAINTS_TOO_RESTRICTIVE',
+            '조건이 너무 까다로워 공정하게 추첨할 수 없습니다. 조건을 줄여주세요.');
+    }
+
+    /**
+     * Keep only the result slots a mapping assigns (original order is kept)
+     * @param {string[]} results - Result label per slot
+     * @param {Object.<number, number>} mapping - Mapping of participant index to slot index
+     * @returns {{results: string[], mapping: Object.<number, number>}} Kept results and the mapping into them
+     */
+    function keepAssignedResults(results, mapping) {
+        const kept = Object.values(mapping).sort((a, b) => a - b);
+        const position = new Map(kept.map((slot, i) => [slot, i]));
+        const keptMapping = {};
+        Object.keys(mapping).forEach(participant => {
+            keptMapping[participant] = position.get(mapping[participant]);
+        });
+        return { results: kept.map(slot => results[slot]), mapping: keptMapping };
+    }
+
     /**
      * Generate random horizontal lines for visual appeal
      * @param {number} numColumns - Number of columns
      * @param {number} numRows - Number of rows
+     * @param {function(): number} random - Random number generator
      * @returns {Array} Array of horizontal lines
      */
-    function generateRandomLines(numColumns, numRows) {
+    function generateRandomLines(numColumns, numRows, random) {
         const lines = [];
 
         for (let row = 1; row < numRows; row++) {
@@ -59,7 +622,7 @@ const Ladder = (function() {
                     continue;
                 }
 
-                if (Math.random() < CONFIG.LINE_DENSITY) {
+                if (random() < CONFIG.LINE_DENSITY) {
                     lines.push({ fromColumn: col, row: row });
                     usedColumns.add(col);
                     usedColumns.add(col + 1);
@@ -197,11 +760,27 @@ const Ladder = (function() {
     /**
      * Generate a random ladder structure with guaranteed uniform distribution
      * @param {string[]} participants - List of participant names
-     * @param {string[]} results - List of result items
+     * @param {string[]} results - List of result items (any length; fitted to the participants)
+     * @param {Object} options - Generation options
+     * @param {string} options.seed - Seed for reproducible generation (random if omitted)
+     * @param {string} options.filler - Label for leftover slots (default: CONFIG.DEFAULT_FILLER)
+     * @param {Array} options.constraints - Constraint objects (see indexConstraints)
      * @returns {LadderData} Generated ladder data
+     * @throws {Error} With code UNSATISFIABLE_CONSTRAINTS or CONSTRAINTS_TOO_RESTRICTIVE
      */
-    function generate(participants, results) {
+    function generate(participants, results, options = {}) {
         const numColumns = participants.length;
+        const hasSeed = options.seed !== undefined && options.seed !== null && options.seed !== '';
+        const seed = hasSeed ? String(options.seed) : generateSeed();
+        const random = createRandom(seed);
+        const filler = options.filler || CONFIG.DEFAULT_FILLER;
+
+        // 0. Fit results to the participant count (pad with filler or drop extras at random).
+        //    With constraints, extras are dropped in step 4 together with the assignment,
+        //    so a result a constraint needs is never dropped beforehand.
+        const constraints = options.constraints || [];
+        const dropWithConstraints = constraints.length > 0 && results.length > numColumns;
+        let fittedResults = dropWithConstraints ? [...results] : fitResults(results, numColumns, random, filler);
 
         // 1. Determine base row count for visual ladder
         const baseRows = Math.max(
@@ -210,13 +789,19 @@ const Ladder = (function() {
         );
 
         // 2. Generate random horizontal lines (natural looking)
-        let horizontalLines = generateRandomLines(numColumns, baseRows);
+        let horizontalLines = generateRandomLines(numColumns, baseRows, random);
 
         // 3. Calculate actual mapping from this random ladder
         const actualMapping = calculateMapping(numColumns, baseRows, horizontalLines);
 
-        // 4. Generate target mapping using Fisher-Yates (uniform distribution)
-        const targetMapping = generateRandomMapping(numColumns);
+        // 4. Generate target mapping using Fisher-Yates (uniform distribution),
+        //    restricted to the permutations that satisfy the constraints if any are given
+        let targetMapping = constraints.length > 0
+            ? generateConstrainedMapping(fittedResults, constraints, random, numColumns)
+            : generateRandomMapping(numColumns, random);
+        if (dropWithConstraints) {
+            ({ results: fittedResults, mapping: targetMapping } = keepAssignedResults(fittedResults, targetMapping));
+        }
 
         // 5. Calculate adjustment transpositions
         const adjustments = calculateAdjustmentTranspositions(actualMapping, targetMapping, numColumns);
@@ -230,19 +815,138 @@ const Ladder = (function() {
         );
 
         // 7. Fill empty spaces with decorative pairs (cancel each other out)
-        const filledLines = fillWithDecorativePairs(finalLines, numRows + 1, numColumns);
+        const filledLines = fillWithDecorativePairs(finalLines, numRows + 1, numColumns, random);
 
         // Sort lines by row for consistent rendering
         filledLines.sort((a, b) => a.row - b.row || a.fromColumn - b.fromColumn);
 
-        return {
+        const ladderData = {
             participants: participants,
-            results: results,
+            results: fittedResults,
             verticalLines: numColumns,
             rows: numRows + 1,
             horizontalLines: filledLines,
-            mapping: targetMapping
+            mapping: targetMapping,
+            seed: seed
         };
+
+        // Keep the original inputs when fitting changed them, so the draw can be re-run
+        if (results.length !== numColumns) {
+            ladderData.resultPool = [...results];
+            ladderData.filler = filler;
+        }
+        if (constraints.length > 0) {
+            ladderData.constraints = constraints;
+        }
+
+        return ladderData;
+    }
+
+    /**
+     * Fields of LadderData that compactLadderData leaves out (the seed regenerates them)
+     * The mapping is kept, and the lines are kept as a checksum, so a change to
+     * generate() cannot silently change a stored draw.
+     */
+    const REGENERATED_FIELDS = ['verticalLines', 'rows', 'horizontalLines'];
+
+    /**
+     * Whether a ladder's seed reproduces it (checked once per ladder data object)
+     */
+    const reproducibleLadders = new WeakMap();
+
+    /**
+     * Regenerate a ladder from the seed and inputs stored in its data
+     * @param {Object} ladderData - Ladder data (full or compacted)
+     * @returns {LadderData} Generated ladder data
+     */
+    function regenerate(ladderData) {
+        return generate(ladderData.participants, ladderData.resultPool || ladderData.results, {
+            seed: ladderData.seed,
+            filler: ladderData.filler,
+            constraints: ladderData.constraints
+        });
+    }
+
+    /**
+     * Compute a 32-bit FNV-1a checksum of a ladder's rows and lines
+     * @param {Object} ladderData - Ladder data with rows and horizontalLines
+     * @returns {number} Unsigned checksum
+     */
+    function checksumLines(ladderData) {
+        let hash = 0x811c9dc5;
+        const text = ladderData.rows + ':' + ladderData.horizontalLines.map(line => `${line.row},${line.fromColumn}`).join(';');
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Get what a ladder's outcome is compared by: results and the mapping in participant order
+     * @param {Object} ladderData - Ladder data
+     * @returns {string} Comparison key
+     */
+    function outcomeKey(ladderData) {
+        return JSON.stringify([
+            ladderData.results,
+            ladderData.participants.map((_, index) => ladderData.mapping[index])
+        ]);
+    }
+
+    /**
+     * Drop the lines of a ladder that its seed regenerates, for storage
+     * The lines of a 100-person ladder take far more space than its inputs;
+     * the mapping and a checksum of the lines stay, so reopening can check
+     * that the regenerated ladder is the one that was drawn.
+     * Ladders the seed does not reproduce (e.g. imported ones) are kept whole.
+     * @param {LadderData} ladderData - The ladder data
+     * @returns {Object} Ladder data without its lines, or the ladder data itself
+     */
+    function compactLadderData(ladderData) {
+        if (!ladderData.seed) return ladderData;
+
+        if (!reproducibleLadders.has(ladderData)) {
+            let reproducible;
+            try {
+                const regenerated = regenerate(ladderData);
+                reproducible = outcomeKey(regenerated) === outcomeKey(ladderData) &&
+                    checksumLines(regenerated) === checksumLines(ladderData);
+            } catch (error) {
+                reproducible = false;
+            }
+            reproducibleLadders.set(ladderData, reproducible);
+        }
+        if (!reproducibleLadders.get(ladderData)) return ladderData;
+
+        const compacted = Object.assign({}, ladderData, { lineChecksum: checksumLines(ladderData) });
+        REGENERATED_FIELDS.forEach(field => delete compacted[field]);
+        return compacted;
+    }
+
+    /**
+     * Restore ladder data stored by compactLadderData
+     * @param {Object} stored - Stored ladder data (compacted or whole)
+     * @returns {LadderData} Full ladder data
+     * @throws {Error} LADDER_MISMATCH if the seed no longer regenerates the stored draw
+     */
+    function expandLadderData(stored) {
+        if (stored.horizontalLines) return stored;
+
+        // Records compacted without a mapping cannot be checked, so they count as mismatched
+        const regenerated = regenerate(stored);
+        if (!stored.mapping || outcomeKey(regenerated) !== outcomeKey(stored) ||
+            checksumLines(regenerated) !== stored.lineChecksum) {
+            throw createError('LADDER_MISMATCH',
+                '저장된 추첨을 시드로 다시 만들 수 없습니다. 사다리 생성 방식이 바뀌었을 수 있습니다.');
+        }
+
+        const expanded = Object.assign({}, stored);
+        delete expanded.lineChecksum;
+        REGENERATED_FIELDS.forEach(field => {
+            expanded[field] = regenerated[field];
+        });
+        return expanded;
     }
 
     /**
@@ -251,9 +955,10 @@ const Ladder = (function() {
      * @param {Array} lines - Existing horizontal lines
      * @param {number} numRows - Total number of rows
      * @param {number} numColumns - Number of columns
+     * @param {function(): number} random - Random number generator
      * @returns {Array} Lines with decorative pairs added
      */
-    function fillWithDecorativePairs(lines, numRows, numColumns) {
+    function fillWithDecorativePairs(lines, numRows, numColumns, random) {
         // Build usage map
         const usedByRow = new Map();
         for (const line of lines) {
@@ -274,7 +979,7 @@ const Ladder = (function() {
                 if (usedThisRow.has(col) || usedThisRow.has(col + 1)) continue;
                 if (usedNextRow.has(col) || usedNextRow.has(col + 1)) continue;
 
-                if (Math.random() < CONFIG.FILL_DENSITY) {
+                if (random() < CONFIG.FILL_DENSITY) {
                     // Add canceling pair
                     result.push({ fromColumn: col, row: row });
                     result.push({ fromColumn: col, row: row + 1 });
@@ -320,6 +1025,41 @@ const Ladder = (function() {
         });
     }
 
+    /**
+     * Group participants by the result they received (e.g. team -> members)
+     * Groups are ordered by their first result column. Participants whose result
+     * column is listed in coveredResults are collected in a trailing group
+     * with a null result (scratch mode).
+     * @param {LadderData} ladderData - The ladder data
+     * @param {number[]} coveredResults - Result indices that are still covered (optional)
+     * @returns {Array.<{result: string|null, members: Array}>} Groups with their members
+     */
+    function getGroupedResults(ladderData, coveredResults = []) {
+        const covered = new Set(coveredResults);
+        const groups = new Map();
+        const hiddenMembers = [];
+
+        ladderData.results.forEach(result => {
+            if (!groups.has(result)) {
+                groups.set(result, { result: result, members: [] });
+            }
+        });
+
+        getAllResults(ladderData).forEach(item => {
+            if (covered.has(item.resultIndex)) {
+                hiddenMembers.push(item);
+            } else {
+                groups.get(item.result).members.push(item);
+            }
+        });
+
+        const grouped = Array.from(groups.values()).filter(group => group.members.length > 0);
+        if (hiddenMembers.length > 0) {
+            grouped.push({ result: null, members: hiddenMembers });
+        }
+        return grouped;
+    }
+
     /**
      * Trace the path from a starting position (for animation or highlighting)
      * @param {LadderData} ladderData - The ladder data
@@ -373,8 +1113,24 @@ const Ladder = (function() {
     // Public API
     return {
         generate: generate,
+        validate: validate,
+        parseResultCount: parseResultCount,
+        expandResultCounts: expandResultCounts,
+        calculateMapping: calculateMapping,
+        createRandom: createRandom,
+        generateSeed: generateSeed,
         getResultForParticipant: getResultForParticipant,
         getAllResults: getAllResults,
+        createTeamSlots: createTeamSlots,
+        validateTeamSlots: validateTeamSlots,
+        getGroupedResults: getGroupedResults,
+        compactLadderData: compactLadderData,
+        expandLadderData: expandLadderData,
         tracePath: tracePath
     };
 })();
+
+// CommonJS export for Node.js (the static page uses the global above)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Ladder;
+}
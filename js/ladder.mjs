@@ -0,0 +1,29 @@
+/**
+ * Ladder Draw - ES Module Entry Point
+ *
+ * Re-exports the ladder core from js/ladder.js for `import` in Node.js.
+ * The core has no DOM dependency, so server-side draws use the same code
+ * path as the web app.
+ */
+
+import Ladder from './ladder.js';
+
+export const {
+    generate,
+    validate,
+    parseResultCount,
+    expandResultCounts,
+    calculateMapping,
+    createRandom,
+    generateSeed,
+    getResultForParticipant,
+    getAllResults,
+    createTeamSlots,
+    validateTeamSlots,
+    getGroupedResults,
+    compactLadderData,
+    expandLadderData,
+    tracePath
+} = Ladder;
+
+export default Ladder;
@@ -14,61 +14,412 @@
      * DOM Element references
      */
     const elements = {
+        // Header
+        languageSelect: document.getElementById('language-select'),
+        themeSelect: document.getElementById('theme-select'),
+        brandColor: document.getElementById('brand-color'),
+        paletteSelect: document.getElementById('palette-select'),
+
         // Input section
         inputSection: document.getElementById('input-section'),
+        drawMode: document.getElementById('draw-mode'),
+        teamCountRow: document.getElementById('team-count-row'),
+        teamCount: document.getElementById('team-count'),
+        resultsLabelText: document.getElementById('results-label-text'),
+        resultsHint: document.getElementById('results-hint'),
+        drawTitle: document.getElementById('draw-title'),
+        tournamentBanner: document.getElementById('tournament-banner'),
+        tournamentRound: document.getElementById('tournament-round'),
+        tournamentEndBtn: document.getElementById('tournament-end-btn'),
         participantsTextarea: document.getElementById('participants'),
         resultsTextarea: document.getElementById('results'),
         participantCount: document.getElementById('participant-count'),
         resultCount: document.getElementById('result-count'),
+        resultFitHint: document.getElementById('result-fit-hint'),
         errorMessage: document.getElementById('error-message'),
         startButton: document.getElementById('start-button'),
 
+        // Draw options
+        seedInput: document.getElementById('seed-input'),
+        fillerInput: document.getElementById('filler-input'),
+        constraintsInput: document.getElementById('constraints-input'),
+        fairnessToggle: document.getElementById('fairness-toggle'),
+        fairnessPanel: document.getElementById('fairness-panel'),
+        fairnessCommitment: document.getElementById('fairness-commitment'),
+        fairnessRenewBtn: document.getElementById('fairness-renew-btn'),
+        fairnessRetired: document.getElementById('fairness-retired'),
+        fairnessEntropy: document.getElementById('fairness-entropy'),
+        hideResultsToggle: document.getElementById('hide-results-toggle'),
+        certificateVerifyBtn: document.getElementById('certificate-verify-btn'),
+        certificateInput: document.getElementById('certificate-input'),
+        certificateStatus: document.getElementById('certificate-status'),
+
+        // History panel
+        historyPanel: document.getElementById('history-panel'),
+        historySearch: document.getElementById('history-search'),
+        historyList: document.getElementById('history-list'),
+        historyEmpty: document.getElementById('history-empty'),
+        sessionImportBtn: document.getElementById('session-import-btn'),
+        sessionInput: document.getElementById('session-input'),
+
         // Result section
         resultSection: document.getElementById('result-section'),
+        canvasContainer: document.querySelector('.canvas-container'),
         canvas: document.getElementById('ladder-canvas'),
+        minimap: document.getElementById('ladder-minimap'),
+        zoomOutBtn: document.getElementById('zoom-out-btn'),
+        zoomInBtn: document.getElementById('zoom-in-btn'),
+        zoomFitBtn: document.getElementById('zoom-fit-btn'),
+        zoomLevel: document.getElementById('zoom-level'),
+        ladderNavigator: document.getElementById('ladder-navigator'),
+        ladderDescription: document.getElementById('ladder-description'),
+        pathAnnouncer: document.getElementById('path-announcer'),
+        resultDrawTitle: document.getElementById('result-draw-title'),
+        resultSeed: document.getElementById('result-seed'),
+        resultFitNote: document.getElementById('result-fit-note'),
+        verificationPanel: document.getElementById('verification-panel'),
+        verifyCommitment: document.getElementById('verify-commitment'),
+        verifySecret: document.getElementById('verify-secret'),
+        verifySecretHash: document.getElementById('verify-secret-hash'),
+        verifyEntropies: document.getElementById('verify-entropies'),
+        verifySeed: document.getElementById('verify-seed'),
+        verifyStatus: document.getElementById('verify-status'),
         resultSummary: document.getElementById('result-summary'),
-        shareButton: document.getElementById('share-button'),
+        shareMenu: document.getElementById('share-menu'),
+        shareMenuButton: document.getElementById('share-menu-button'),
+        shareMenuList: document.getElementById('share-menu-list'),
+        shareNativeItem: document.getElementById('share-native-item'),
+        shareLinkItem: document.getElementById('share-link-item'),
+        toastRegion: document.getElementById('toast-region'),
+        csvExportButton: document.getElementById('csv-export-button'),
+        xlsxExportButton: document.getElementById('xlsx-export-button'),
+        svgButton: document.getElementById('svg-button'),
+        printButton: document.getElementById('print-button'),
+        printView: document.getElementById('print-view'),
+        sessionExportButton: document.getElementById('session-export-button'),
+        nextRoundButton: document.getElementById('next-round-button'),
+        tournamentPanel: document.getElementById('tournament-panel'),
+        tournamentBracket: document.getElementById('tournament-bracket'),
+        tournamentExportBtn: document.getElementById('tournament-export-btn'),
+        animationControls: document.getElementById('animation-controls'),
+        animationSpeed: document.getElementById('animation-speed'),
+        animationPauseBtn: document.getElementById('animation-pause-btn'),
+        animationSkipBtn: document.getElementById('animation-skip-btn'),
+        revealAllBtn: document.getElementById('reveal-all-btn'),
+        revealRemainingBtn: document.getElementById('reveal-remaining-btn'),
         resetButton: document.getElementById('reset-button'),
 
         // CSV import
         participantsCsvBtn: document.getElementById('participants-csv-btn'),
         participantsCsvInput: document.getElementById('participants-csv-input'),
         resultsCsvBtn: document.getElementById('results-csv-btn'),
-        resultsCsvInput: document.getElementById('results-csv-input')
+        resultsCsvInput: document.getElementById('results-csv-input'),
+        csvDialog: document.getElementById('csv-dialog'),
+        csvDialogMeta: document.getElementById('csv-dialog-meta'),
+        csvParticipantsColumn: document.getElementById('csv-participants-column'),
+        csvResultsColumn: document.getElementById('csv-results-column'),
+        csvHeaderToggle: document.getElementById('csv-header-toggle'),
+        csvPreview: document.getElementById('csv-preview'),
+        csvConfirmBtn: document.getElementById('csv-confirm-btn')
     };
 
+    /**
+     * Rows shown in the CSV import preview
+     */
+    const CSV_PREVIEW_ROWS = 8;
+
+    /**
+     * How long a toast notification stays visible (ms)
+     */
+    const TOAST_DURATION = 2500;
+
     /**
      * Application state
      */
     let state = {
         ladderData: null,
-        highlightIndex: -1  // Currently highlighted participant index (-1 = none)
+        highlightIndex: -1,  // Currently highlighted participant index (-1 = none)
+        navigatorIndex: 0,   // Participant selected in the keyboard participant list
+        commitment: null,    // Pending commit-reveal commitment ({secret, commitment, createdAt})
+        animation: null,     // Running path animation controller (null = none)
+        viewport: null,      // Zoom/pan controller of the ladder canvas
+        hideResults: false,  // Whether the current draw covers results until traced (scratch mode)
+        revealed: new Set(), // Participant indices whose results have been revealed
+        title: '',           // Title of the current draw
+        historyId: null,     // History record of the current draw (null = not stored)
+        tournament: null,    // Running multi-round tournament (null = single draw)
+        csvRows: null        // Parsed rows waiting in the CSV import dialog (null = closed)
     };
 
     /**
      * Initialize the application
      */
     function init() {
+        initViewport();
         bindEvents();
         loadFromStorage();
+        initLocale();
+        initTheme();
+        updateDrawMode();
+        updateCounts();
+        updateFairnessPanel();
+        refreshHistory();
+        loadSession();
+        loadFromURL();
+    }
+
+    /**
+     * Set up zoom, pan and the minimap over the ladder canvas
+     * (before the canvas click handler, so a pan does not count as a click)
+     */
+    function initViewport() {
+        state.viewport = LadderViewport.create(elements.canvas, {
+            container: elements.canvasContainer,
+            minimap: elements.minimap,
+            renderOverview: (canvas, view) => {
+                LadderRenderer.render(canvas, state.ladderData, {
+                    highlightIndex: state.highlightIndex,
+                    hiddenResults: getHiddenResults(),
+                    view: view
+                });
+            },
+            onChange: handleViewportChange
+        });
+    }
+
+    /**
+     * Redraw the ladder after a zoom or pan
+     * (a running animation picks up the new view on its next frame)
+     */
+    function handleViewportChange() {
+        updateZoomControls();
+        if (state.ladderData && !state.animation) {
+            drawLadder();
+        }
+    }
+
+    /**
+     * Show the zoom level and disable the zoom buttons at the limits
+     */
+    function updateZoomControls() {
+        const scale = state.viewport.getView().scale;
+        const range = state.viewport.getZoomRange();
+        elements.zoomLevel.textContent = Math.round(scale * 100) + '%';
+        elements.zoomOutBtn.disabled = scale <= range.min;
+        elements.zoomInBtn.disabled = scale >= range.max;
+        elements.zoomFitBtn.disabled = scale <= range.min;
+    }
+
+    /**
+     * Apply the saved language, or the browser's language on the first visit
+     */
+    function initLocale() {
+        let savedLocale = null;
+        try {
+            savedLocale = localStorage.getItem('ladder-draw-locale');
+        } catch (e) {
+            // Storage might not be available
+        }
+
+        const locale = LadderI18n.getLocales().includes(savedLocale)
+            ? savedLocale
+            : LadderI18n.detectLocale(navigator.languages || [navigator.language]);
+        LadderI18n.setLocale(locale);
+        elements.languageSelect.value = locale;
+        LadderI18n.onChange(handleLocaleChange);
+    }
+
+    /**
+     * Handle language select change
+     */
+    function handleLanguageChange() {
+        LadderI18n.setLocale(elements.languageSelect.value);
+        saveToStorage();
+    }
+
+    /**
+     * Update the texts built by script after the language changed
+     * (static markup is translated by LadderI18n itself)
+     */
+    function handleLocaleChange() {
+        elements.languageSelect.value = LadderI18n.getLocale();
+        updateDrawMode();
         updateCounts();
+        updateTournamentBanner();
+        updateAnimationControls();
+        refreshHistory();
+
+        if (state.ladderData) {
+            displayVerification(state.ladderData.reveal || null, state.ladderData.seed);
+            displayResultFitNote(state.ladderData);
+            displayLadderNavigator(state.ladderData);
+            updateLadderDescription();
+            if (state.ladderData.grouped) {
+                displayResultSummary(state.ladderData);
+            }
+            updateTournamentControls();
+        }
+    }
+
+    /**
+     * Apply the saved theme ("auto" follows the system color scheme) and palette
+     */
+    function initTheme() {
+        let savedTheme = null;
+        let savedBrandColor = null;
+        let savedPalette = null;
+        try {
+            savedTheme = localStorage.getItem('ladder-draw-theme');
+            savedBrandColor = localStorage.getItem('ladder-draw-brand-color');
+            savedPalette = localStorage.getItem('ladder-draw-palette');
+        } catch (e) {
+            // Storage might not be available
+        }
+
+        LadderTheme.setPalette(savedPalette);
+        LadderTheme.setPreference(savedTheme, savedBrandColor);
+        updateThemeControls();
+        LadderTheme.onChange(handleThemeChange);
+    }
+
+    /**
+     * Handle theme select or brand color change
+     */
+    function handleThemeSelectChange() {
+        LadderTheme.setPreference(elements.themeSelect.value, elements.brandColor.value);
+        saveToStorage();
+    }
+
+    /**
+     * Handle palette select change
+     */
+    function handlePaletteChange() {
+        LadderTheme.setPalette(elements.paletteSelect.value);
+        saveToStorage();
+    }
+
+    /**
+     * Show the theme preference and palette in the header controls
+     */
+    function updateThemeControls() {
+        elements.paletteSelect.value = LadderTheme.getPalette();
+        elements.themeSelect.value = LadderTheme.getPreference();
+        elements.brandColor.value = LadderTheme.getBrandColor().toLowerCase();
+        elements.brandColor.hidden = LadderTheme.getPreference() !== 'custom';
+    }
+
+    /**
+     * Redraw everything painted with theme colors after the theme or palette changed
+     * (CSS colors follow by themselves; a running animation picks the new colors up on its next frame)
+     */
+    function handleThemeChange() {
+        updateThemeControls();
+        if (!state.ladderData) return;
+
+        if (!state.animation) {
+            renderLadder();
+        }
+        displayResultSummary(state.ladderData);
+        if (state.highlightIndex >= 0) {
+            updateResultItemHighlights();
+        }
+    }
+
+    /**
+     * Restore a shared draw from the page URL (if present)
+     * Exact-ladder links open the result view; legacy links only fill the inputs.
+     */
+    async function loadFromURL() {
+        if (!window.location.hash && !window.location.search) return;
+
+        let shared;
+        try {
+            shared = await LadderShare.parseShareableURL(window.location.href);
+        } catch (error) {
+            showError(LadderI18n.t('error.shareLink'));
+            return;
+        }
+        if (!shared) return;
+
+        if (shared.ladderData) {
+            presentLadder(shared.ladderData);
+            clearSession();
+        } else if (Array.isArray(shared.participants) && Array.isArray(shared.results)) {
+            elements.participantsTextarea.value = shared.participants.join('\n');
+            elements.resultsTextarea.value = shared.results.join('\n');
+            updateCounts();
+            saveToStorage();
+        }
+    }
+
+    /**
+     * Remove share data from the address bar (without reloading)
+     */
+    function clearURLShareData() {
+        if (!window.location.hash && !window.location.search) return;
+        history.replaceState(null, '', window.location.pathname);
     }
 
     /**
      * Bind event listeners
      */
     function bindEvents() {
+        // Language
+        elements.languageSelect.addEventListener('change', handleLanguageChange);
+
+        // Theme
+        elements.themeSelect.addEventListener('change', handleThemeSelectChange);
+        elements.brandColor.addEventListener('input', handleThemeSelectChange);
+        elements.paletteSelect.addEventListener('change', handlePaletteChange);
+
         // Input events
         elements.participantsTextarea.addEventListener('input', handleParticipantsInput);
         elements.resultsTextarea.addEventListener('input', handleResultsInput);
         elements.startButton.addEventListener('click', handleStart);
 
+        // Draw mode events
+        elements.drawMode.addEventListener('change', handleDrawModeChange);
+        elements.teamCount.addEventListener('input', () => {
+            updateCounts();
+            saveToStorage();
+            hideError();
+        });
+
         // Result events
-        elements.shareButton.addEventListener('click', handleShare);
+        elements.shareMenuButton.addEventListener('click', toggleShareMenu);
+        elements.shareMenuList.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-action]');
+            if (item) handleShareAction(item.dataset.action);
+        });
+        elements.shareMenu.addEventListener('keydown', handleShareMenuKeydown);
+        elements.csvExportButton.addEventListener('click', () => handleSpreadsheetExport('csv'));
+        elements.xlsxExportButton.addEventListener('click', () => handleSpreadsheetExport('xlsx'));
+        elements.svgButton.addEventListener('click', handleSaveSVG);
+        elements.printButton.addEventListener('click', handlePrint);
         elements.resetButton.addEventListener('click', handleReset);
 
+        // Tournament events
+        elements.nextRoundButton.addEventListener('click', handleNextRound);
+        elements.tournamentExportBtn.addEventListener('click', handleTournamentExport);
+        elements.tournamentEndBtn.addEventListener('click', handleTournamentEnd);
+
+        // Animation controls
+        elements.animationSpeed.addEventListener('change', handleAnimationSpeedChange);
+        elements.animationPauseBtn.addEventListener('click', handleAnimationPause);
+        elements.animationSkipBtn.addEventListener('click', handleAnimationSkip);
+        elements.revealAllBtn.addEventListener('click', handleRevealAll);
+        elements.revealRemainingBtn.addEventListener('click', handleRevealRemaining);
+
+        // Zoom controls
+        elements.zoomOutBtn.addEventListener('click', () => state.viewport.zoomBy(1 / LadderViewport.CONFIG.ZOOM_STEP));
+        elements.zoomInBtn.addEventListener('click', () => state.viewport.zoomBy(LadderViewport.CONFIG.ZOOM_STEP));
+        elements.zoomFitBtn.addEventListener('click', () => state.viewport.fit());
+
         // Canvas click event for selecting participants
         elements.canvas.addEventListener('click', handleCanvasClick);
+        elements.ladderNavigator.addEventListener('keydown', handleNavigatorKeyDown);
+        elements.ladderNavigator.addEventListener('focus', handleNavigatorFocusChange);
+        elements.ladderNavigator.addEventListener('blur', handleNavigatorFocusChange);
 
         // Click outside to deselect
         document.addEventListener('click', handleDocumentClick);
@@ -78,6 +429,49 @@
         elements.resultsCsvBtn.addEventListener('click', () => elements.resultsCsvInput.click());
         elements.participantsCsvInput.addEventListener('change', (e) => handleCsvImport(e, elements.participantsTextarea));
         elements.resultsCsvInput.addEventListener('change', (e) => handleCsvImport(e, elements.resultsTextarea));
+        elements.participantsTextarea.addEventListener('paste', (e) => handleSpreadsheetPaste(e, elements.participantsTextarea));
+        elements.resultsTextarea.addEventListener('paste', (e) => handleSpreadsheetPaste(e, elements.resultsTextarea));
+        elements.csvParticipantsColumn.addEventListener('change', renderCsvPreview);
+        elements.csvResultsColumn.addEventListener('change', renderCsvPreview);
+        elements.csvHeaderToggle.addEventListener('change', () => {
+            updateCsvColumnOptions();
+            renderCsvPreview();
+        });
+        elements.csvDialog.addEventListener('close', handleCsvDialogClose);
+
+        // Commit-reveal events
+        elements.fairnessToggle.addEventListener('change', handleFairnessToggle);
+        elements.fairnessRenewBtn.addEventListener('click', handleFairnessRenew);
+
+        // Filler label
+        elements.fillerInput.addEventListener('input', () => {
+            updateCounts();
+            saveToStorage();
+        });
+
+        // Draw constraints
+        elements.constraintsInput.addEventListener('input', () => {
+            saveToStorage();
+            hideError();
+        });
+
+        // Scratch mode preference
+        elements.hideResultsToggle.addEventListener('change', saveToStorage);
+
+        // Certificate verification events
+        elements.certificateVerifyBtn.addEventListener('click', () => elements.certificateInput.click());
+        elements.certificateInput.addEventListener('change', handleCertificateImport);
+
+        // History events
+        elements.historyPanel.addEventListener('toggle', () => {
+            if (elements.historyPanel.open) refreshHistory();
+        });
+        elements.historySearch.addEventListener('input', () => refreshHistory());
+
+        // Session file events
+        elements.sessionExportButton.addEventListener('click', handleSessionExport);
+        elements.sessionImportBtn.addEventListener('click', () => elements.sessionInput.click());
+        elements.sessionInput.addEventListener('change', handleSessionImport);
 
         // Keyboard shortcuts
         document.addEventListener('keydown', handleKeyDown);
@@ -101,15 +495,124 @@
         hideError();
     }
 
+    /**
+     * Handle draw mode change (one-to-one results or team split)
+     */
+    function handleDrawModeChange() {
+        updateDrawMode();
+        updateCounts();
+        saveToStorage();
+        hideError();
+    }
+
+    /**
+     * Update the input labels for the current draw mode
+     */
+    function updateDrawMode() {
+        const teamMode = isTeamMode();
+        elements.teamCountRow.hidden = !teamMode;
+        elements.resultsLabelText.textContent = LadderI18n.t(teamMode ? 'input.teams' : 'input.results');
+        elements.resultsHint.textContent = LadderI18n.t(teamMode ? 'input.teamsHint' : 'input.resultsHint');
+        elements.resultsTextarea.placeholder = LadderI18n.t(teamMode ? 'input.teamsPlaceholder' : 'input.resultsPlaceholder');
+    }
+
+    /**
+     * Check whether the draw splits participants into teams
+     * @returns {boolean}
+     */
+    function isTeamMode() {
+        return elements.drawMode.value === 'teams';
+    }
+
+    /**
+     * Get the number of teams entered for a team split without team names
+     * @returns {number} Team count (NaN if not a number)
+     */
+    function getTeamCount() {
+        return parseInt(elements.teamCount.value, 10);
+    }
+
+    /**
+     * Build the result slots for the current draw mode
+     * @param {string[]} participants - List of participants
+     * @returns {string[]} Result slots (counts expanded, team sizes applied)
+     */
+    function getResultSlots(participants) {
+        const lines = parseTextareaLines(elements.resultsTextarea.value);
+        if (isTeamMode()) {
+            return Ladder.createTeamSlots(lines, participants.length, getTeamCount() || 0,
+                number => LadderI18n.t('teams.defaultName', { number: number }));
+        }
+        return Ladder.expandResultCounts(lines);
+    }
+
     /**
      * Update the participant and result counts
      */
     function updateCounts() {
         const participants = parseTextareaLines(elements.participantsTextarea.value);
-        const results = parseTextareaLines(elements.resultsTextarea.value);
+        let results;
+        try {
+            results = getResultSlots(participants);
+        } catch (error) {
+            if (error.code !== 'TOO_MANY_RESULTS') throw error;
+            elements.participantCount.textContent = participants.length;
+            elements.resultCount.textContent = `${error.limit}+`;
+            elements.resultFitHint.textContent = LadderI18n.translateError(error);
+            return;
+        }
+
+        if (isTeamMode()) {
+            updateTeamCounts(participants, results);
+            return;
+        }
 
         elements.participantCount.textContent = participants.length;
         elements.resultCount.textContent = results.length;
+
+        // Explain how the results will be fitted to the participants
+        let hint = '';
+        if (participants.length > 0 && results.length > 0) {
+            const difference = participants.length - results.length;
+            if (difference > 0) {
+                hint = LadderI18n.t('input.fillerAdded', { filler: getFillerLabel(), count: difference });
+            } else if (difference < 0) {
+                hint = LadderI18n.t('input.randomlyDropped', { count: -difference });
+            }
+        }
+        elements.resultFitHint.textContent = hint;
+    }
+
+    /**
+     * Update the counts for a team split (number of teams and team sizes)
+     * @param {string[]} participants - List of participants
+     * @param {string[]} slots - Team slots
+     */
+    function updateTeamCounts(participants, slots) {
+        const sizes = new Map();
+        slots.forEach(team => sizes.set(team, (sizes.get(team) || 0) + 1));
+        const lines = parseTextareaLines(elements.resultsTextarea.value);
+
+        elements.participantCount.textContent = participants.length;
+        elements.resultCount.textContent = lines.length > 0 ? lines.length : (getTeamCount() || 0);
+
+        let hint = '';
+        if (sizes.size > 0) {
+            const min = Math.min(...sizes.values());
+            const max = Math.max(...sizes.values());
+            hint = min === max
+                ? LadderI18n.t('input.teamSize', { count: min })
+                : LadderI18n.t('input.teamSizeRange', { min: min, max: max });
+        }
+        elements.resultFitHint.textContent = hint;
+    }
+
+    /**
+     * Get the label used for leftover result slots
+     * @returns {string} Filler label
+     */
+    function getFillerLabel() {
+        return elements.fillerInput.value.trim() || elements.fillerInput.placeholder;
     }
 
     /**
@@ -125,24 +628,11 @@
     }
 
     /**
-     * Parse CSV content into array of items
-     * Supports: newline-separated, comma-separated, or mixed format
-     * @param {string} text - CSV content
-     * @returns {string[]} Array of trimmed, non-empty items
-     */
-    function parseCsvContent(text) {
-        // Replace commas with newlines, then split by newlines
-        return text
-            .replace(/,/g, '\n')
-            .split('\n')
-            .map(item => item.trim())
-            .filter(item => item.length > 0);
-    }
-
-    /**
-     * Handle CSV file import
+     * Handle CSV/TSV file import
+     * The file is decoded (UTF-8, UTF-16 or CP949) and parsed, then the
+     * column dialog decides what goes into which textarea.
      * @param {Event} event - File input change event
-     * @param {HTMLTextAreaElement} targetTextarea - Target textarea to populate
+     * @param {HTMLTextAreaElement} targetTextarea - Textarea whose button was used
      */
     function handleCsvImport(event, targetTextarea) {
         const file = event.target.files[0];
@@ -150,76 +640,1090 @@
 
         const reader = new FileReader();
         reader.onload = function(e) {
-            const content = e.target.result;
-            const items = parseCsvContent(content);
-            targetTextarea.value = items.join('\n');
-            updateCounts();
-            saveToStorage();
-            hideError();
+            const decoded = LadderCsv.decode(e.target.result);
+            openCsvDialog(LadderCsv.parse(decoded.text), targetTextarea, `${file.name} · ${decoded.encoding}`);
         };
-        reader.readAsText(file);
+        reader.readAsArrayBuffer(file);
 
         // Reset input so the same file can be selected again
         event.target.value = '';
     }
 
     /**
-     * Handle start button click
+     * Handle a paste into the participant or result textarea
+     * Cells copied from Excel or Google Sheets arrive tab-separated; those open
+     * the column dialog, anything else is pasted as usual.
+     * @param {ClipboardEvent} event - Paste event
+     * @param {HTMLTextAreaElement} targetTextarea - Textarea pasted into
      */
-    function handleStart() {
-        const participants = parseTextareaLines(elements.participantsTextarea.value);
-        const results = parseTextareaLines(elements.resultsTextarea.value);
+    function handleSpreadsheetPaste(event, targetTextarea) {
+        const text = event.clipboardData ? event.clipboardData.getData('text/plain') : '';
+        if (!text.includes('\t')) return;
 
-        // Validation
-        const validationError = validateInputs(participants, results);
-        if (validationError) {
-            showError(validationError);
+        event.preventDefault();
+        openCsvDialog(LadderCsv.parse(text, '\t'), targetTextarea, LadderI18n.t('csv.pasted'));
+    }
+
+    /**
+     * Fill the column selects with "not used" and one option per column
+     * The current choices are kept; header labels are shown when the first row is a header.
+     */
+    function updateCsvColumnOptions() {
+        const rows = state.csvRows;
+        const columnCount = LadderCsv.getColumnCount(rows);
+        const labels = elements.csvHeaderToggle.checked ? rows[0] : [];
+
+        [elements.csvParticipantsColumn, elements.csvResultsColumn].forEach(select => {
+            const selected = select.value;
+            select.replaceChildren(new Option(LadderI18n.t('csv.notUsed'), '-1'));
+            for (let i = 0; i < columnCount; i++) {
+                select.appendChild(new Option(labels[i]
+                    ? LadderI18n.t('csv.columnWithLabel', { number: i + 1, label: labels[i] })
+                    : LadderI18n.t('csv.column', { number: i + 1 }), String(i)));
+            }
+            if (selected !== '') {
+                select.value = selected;
+            }
+        });
+    }
+
+    /**
+     * Open the column dialog for parsed CSV rows
+     * @param {string[][]} rows - Parsed rows
+     * @param {HTMLTextAreaElement} targetTextarea - Textarea that started the import
+     * @param {string} source - Where the rows came from (file name or paste)
+     */
+    function openCsvDialog(rows, targetTextarea, source) {
+        if (rows.length === 0) {
+            showError(LadderI18n.t('csv.empty'));
             return;
         }
 
-        // Generate ladder
-        state.ladderData = Ladder.generate(participants, results);
+        // A single line ("홍길동, 김철수, 이영희") is a list, not a table
+        const table = rows.length === 1 ? rows[0].map(value => [value]) : rows;
+        const columnCount = LadderCsv.getColumnCount(table);
+        const guessed = LadderCsv.guessColumns(table);
 
-        // Render ladder
-        LadderRenderer.render(elements.canvas, state.ladderData);
+        // Header labels pick the columns; otherwise the first column fills the textarea whose button was used
+        if (guessed.participants < 0 && guessed.results < 0) {
+            const isParticipants = targetTextarea === elements.participantsTextarea;
+            guessed.participants = isParticipants ? 0 : -1;
+            guessed.results = isParticipants ? -1 : 0;
+        }
 
-        // Show result summary
-        displayResultSummary(state.ladderData);
+        state.csvRows = table;
+        elements.csvDialogMeta.textContent = `${source} · ${LadderI18n.t('csv.size', { rows: table.length, columns: columnCount })}`;
+        elements.csvHeaderToggle.checked = LadderCsv.hasHeader(table);
+        updateCsvColumnOptions();
+        elements.csvParticipantsColumn.value = String(guessed.participants);
+        elements.csvResultsColumn.value = String(guessed.results);
+        renderCsvPreview();
+
+        elements.csvDialog.returnValue = '';
+        elements.csvDialog.showModal();
+    }
+
+    /**
+     * Render the CSV preview table for the current column choices
+     */
+    function renderCsvPreview() {
+        const rows = state.csvRows;
+        if (!rows) return;
+
+        const columnCount = LadderCsv.getColumnCount(rows);
+        const hasHeader = elements.csvHeaderToggle.checked;
+        const participantsColumn = Number(elements.csvParticipantsColumn.value);
+        const resultsColumn = Number(elements.csvResultsColumn.value);
+        const columnClass = index => {
+            if (index === participantsColumn) return 'csv-preview__cell--participants';
+            if (index === resultsColumn) return 'csv-preview__cell--results';
+            return '';
+        };
+
+        const table = elements.csvPreview;
+        table.replaceChildren();
+        const headRow = table.createTHead().insertRow();
+        for (let i = 0; i < columnCount; i++) {
+            const th = document.createElement('th');
+            th.className = columnClass(i);
+            th.textContent = LadderI18n.t('csv.column', { number: i + 1 });
+            headRow.appendChild(th);
+        }
+
+        const body = table.createTBody();
+        rows.slice(0, CSV_PREVIEW_ROWS).forEach((fields, rowIndex) => {
+            const tr = body.insertRow();
+            if (hasHeader && rowIndex === 0) {
+                tr.className = 'csv-preview__header-row';
+            }
+            for (let i = 0; i < columnCount; i++) {
+                const td = tr.insertCell();
+                td.className = columnClass(i);
+                td.textContent = fields[i] || '';
+            }
+        });
+        if (rows.length > CSV_PREVIEW_ROWS) {
+            const td = body.insertRow().insertCell();
+            td.colSpan = columnCount;
+            td.className = 'csv-preview__more';
+            td.textContent = LadderI18n.t('csv.moreRows', { count: rows.length - CSV_PREVIEW_ROWS });
+        }
+
+        elements.csvConfirmBtn.disabled = participantsColumn < 0 && resultsColumn < 0;
+    }
+
+    /**
+     * Apply the chosen columns when the CSV dialog is confirmed
+     */
+    function handleCsvDialogClose() {
+        const rows = state.csvRows;
+        state.csvRows = null;
+        if (!rows || elements.csvDialog.returnValue !== 'confirm') return;
+
+        const skipHeader = elements.csvHeaderToggle.checked;
+        const participantsColumn = Number(elements.csvParticipantsColumn.value);
+        const resultsColumn = Number(elements.csvResultsColumn.value);
+
+        if (participantsColumn >= 0) {
+            elements.participantsTextarea.value = LadderCsv.getColumn(rows, participantsColumn, skipHeader).join('\n');
+        }
+        if (resultsColumn >= 0) {
+            elements.resultsTextarea.value = LadderCsv.getColumn(rows, resultsColumn, skipHeader).join('\n');
+        }
+        updateCounts();
+        saveToStorage();
+        hideError();
+    }
+
+    /**
+     * Handle commit-reveal mode toggle
+     */
+    function handleFairnessToggle() {
+        updateFairnessPanel();
+        saveToStorage();
+    }
+
+    /**
+     * Replace the pending commitment with a new one
+     * Re-rolling is only possible by publishing a visibly different commitment.
+     */
+    function handleFairnessRenew() {
+        state.commitment = LadderFairness.createCommitment();
+        saveCommitment();
+        updateFairnessPanel();
+        elements.fairnessRetired.hidden = true;
+    }
+
+    /**
+     * Replace a commitment whose secret has been revealed by a draw
+     * A revealed secret makes every outcome under its hash predictable, so the
+     * next draw has to start from a freshly published commitment.
+     */
+    function retireCommitment() {
+        handleFairnessRenew();
+        elements.fairnessRetired.hidden = false;
+    }
+
+    /**
+     * Show or hide the commit-reveal panel, creating a commitment if needed
+     */
+    function updateFairnessPanel() {
+        const enabled = elements.fairnessToggle.checked;
+        elements.fairnessPanel.hidden = !enabled;
+        elements.seedInput.disabled = enabled;
+
+        if (enabled && !state.commitment) {
+            state.commitment = LadderFairness.createCommitment();
+            saveCommitment();
+        }
+        if (state.commitment) {
+            elements.fairnessCommitment.textContent = state.commitment.commitment;
+        }
+    }
+
+    /**
+     * Display the commit-reveal verification panel for a draw
+     * @param {Object|null} reveal - Reveal record ({commitment, secret, entropies}) or null
+     * @param {string} seed - Seed used for the draw
+     */
+    function displayVerification(reveal, seed) {
+        elements.verificationPanel.hidden = !reveal;
+        if (!reveal) return;
+
+        const secretHash = LadderHash.sha256(reveal.secret);
+        const verification = LadderFairness.verifyReveal(reveal, seed);
+
+        elements.verifyCommitment.textContent = reveal.commitment;
+        elements.verifySecret.textContent = reveal.secret;
+        elements.verifySecretHash.textContent = secretHash;
+        elements.verifySeed.textContent = seed;
+
+        elements.verifyEntropies.innerHTML = '';
+        if (reveal.entropies.length === 0) {
+            elements.verifyEntropies.textContent = LadderI18n.t('verify.none');
+        } else {
+            reveal.entropies.forEach(entropy => {
+                const code = document.createElement('code');
+                code.className = 'hash-text';
+                code.textContent = entropy;
+                elements.verifyEntropies.appendChild(code);
+            });
+        }
+
+        const isValid = verification.commitmentMatches && verification.seedMatches;
+        elements.verifyStatus.textContent = isValid
+            ? `\u2713 ${LadderI18n.t('verify.valid')}`
+            : `\u2717 ${LadderI18n.t('verify.invalid')}`;
+        elements.verifyStatus.classList.toggle('verification-panel__status--invalid', !isValid);
+    }
+
+    /**
+     * Handle certificate file import and verify it by re-running the draw
+     * @param {Event} event - File input change event
+     */
+    function handleCertificateImport(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            let certificate = null;
+            try {
+                certificate = JSON.parse(e.target.result);
+            } catch (error) {
+                // Invalid JSON is reported as an invalid certificate below
+            }
+
+            const verification = LadderCertificate.verify(certificate);
+            if (verification.valid) {
+                showCertificateStatus(LadderI18n.t('certificate.valid'), true);
+            } else if (!verification.inputHashMatches && certificate && certificate.inputHash) {
+                showCertificateStatus(LadderI18n.t('certificate.inputMismatch'), false);
+            } else if (verification.inputHashMatches) {
+                showCertificateStatus(LadderI18n.t('certificate.resultMismatch'), false);
+            } else {
+                showCertificateStatus(LadderI18n.t('certificate.invalidFile'), false);
+            }
+        };
+        reader.readAsText(file);
+
+        // Reset input so the same file can be selected again
+        event.target.value = '';
+    }
+
+    /**
+     * Show the certificate verification outcome
+     * @param {string} message - Status message
+     * @param {boolean} isValid - Whether the certificate is valid
+     */
+    function showCertificateStatus(message, isValid) {
+        elements.certificateStatus.textContent = message;
+        elements.certificateStatus.classList.toggle('status-message--success', isValid);
+        elements.certificateStatus.classList.toggle('status-message--error', !isValid);
+        elements.certificateStatus.hidden = false;
+    }
+
+    /**
+     * Handle start button click
+     */
+    function handleStart() {
+        const participants = parseTextareaLines(elements.participantsTextarea.value);
+        let results;
+        try {
+            results = getResultSlots(participants);
+        } catch (error) {
+            if (error.code !== 'TOO_MANY_RESULTS') throw error;
+            showError(LadderI18n.translateError(error));
+            return;
+        }
+
+        // Validation
+        const validationError = (isTeamMode() && validateTeams(participants, results)) ||
+            validateInputs(participants, results);
+        if (validationError) {
+            showError(validationError);
+            return;
+        }
+
+        // In commit-reveal mode the seed is derived from the committed secret and participant entropy
+        let seed = elements.seedInput.value.trim();
+        let reveal = null;
+        if (elements.fairnessToggle.checked && state.commitment) {
+            const entropies = parseTextareaLines(elements.fairnessEntropy.value);
+            seed = LadderFairness.deriveSeed(state.commitment.secret, entropies);
+            reveal = {
+                commitment: state.commitment.commitment,
+                secret: state.commitment.secret,
+                committedAt: state.commitment.createdAt,
+                entropies: entropies
+            };
+        }
+
+        // Constraints may name the filler label as well as the entered results
+        const parsedConstraints = LadderConstraints.parse(
+            elements.constraintsInput.value, participants, results.concat(getFillerLabel())
+        );
+        if (parsedConstraints.errors.length > 0) {
+            showError(parsedConstraints.errors[0]);
+            return;
+        }
+
+        // Generate ladder
+        let ladderData;
+        try {
+            ladderData = Ladder.generate(participants, results, {
+                seed: seed,
+                filler: getFillerLabel(),
+                constraints: parsedConstraints.constraints
+            });
+        } catch (error) {
+            if (error.code === 'UNSATISFIABLE_CONSTRAINTS' || error.code === 'CONSTRAINTS_TOO_RESTRICTIVE' ||
+                error.code === 'NO_SECURE_RANDOM') {
+                showError(LadderI18n.translateError(error));
+                return;
+            }
+            throw error;
+        }
+        if (reveal) {
+            ladderData.reveal = reveal;
+            retireCommitment();
+        }
+        if (isTeamMode()) {
+            ladderData.grouped = true;
+        }
+        if (state.tournament) {
+            LadderTournament.addRound(state.tournament, ladderData);
+        }
+
+        presentLadder(ladderData, {
+            hideResults: elements.hideResultsToggle.checked,
+            revealed: [],
+            title: elements.drawTitle.value.trim()
+        });
+        if (state.hideResults) {
+            saveSession();
+        } else {
+            clearSession();
+        }
+        recordHistory();
+    }
+
+    /**
+     * Show a ladder in the result view
+     * @param {Object} ladderData - The ladder data
+     * @param {Object} options - View options
+     * @param {boolean} options.hideResults - Whether results start covered (scratch mode)
+     * @param {number[]} options.revealed - Participant indices whose results are already revealed
+     * @param {number} options.highlightIndex - Participant to highlight (default: none)
+     * @param {string} options.title - Title of the draw
+     * @param {string} options.historyId - History record to keep in sync with the view
+     */
+    function presentLadder(ladderData, options = {}) {
+        stopAnimation();
+
+        state.ladderData = ladderData;
+        state.highlightIndex = options.highlightIndex >= 0 ? options.highlightIndex : -1;
+        state.hideResults = !!options.hideResults;
+        state.revealed = new Set(options.revealed || []);
+        state.title = options.title || '';
+        state.historyId = options.historyId || null;
+
+        elements.resultDrawTitle.textContent = state.title;
+        elements.resultDrawTitle.hidden = !state.title;
+        elements.resultSeed.textContent = ladderData.seed || '';
+        displayVerification(ladderData.reveal || null, ladderData.seed);
+        displayResultFitNote(ladderData);
+
+        // Show the result view first so the viewport can measure its room, then render at 100%
+        showResultSection();
+        const dimensions = LadderRenderer.getDimensions(ladderData);
+        state.viewport.setContent(dimensions.width, dimensions.height);
+        updateZoomControls();
+        renderLadder();
+
+        // Show result summary
+        displayResultSummary(ladderData);
+        if (state.highlightIndex >= 0) {
+            updateResultItemHighlights();
+        }
+        updateRevealControls();
+
+        // Accessible layer: participant list, structure description, no stale announcements
+        state.navigatorIndex = Math.max(0, state.highlightIndex);
+        displayLadderNavigator(ladderData);
+        updateLadderDescription();
+        elements.pathAnnouncer.innerHTML = '';
+    }
+
+    /**
+     * Get the view state of the current draw (stored with its history record)
+     * @returns {{highlightIndex: number, hideResults: boolean, revealed: number[]}}
+     */
+    function getViewState() {
+        return {
+            highlightIndex: state.highlightIndex,
+            hideResults: state.hideResults,
+            revealed: Array.from(state.revealed)
+        };
+    }
+
+    /**
+     * Store the current draw in the history
+     */
+    async function recordHistory() {
+        const ladderData = state.ladderData;
+        try {
+            const record = await LadderHistory.add(ladderData, {
+                title: state.title,
+                view: getViewState()
+            });
+            // The user may have moved on while the record was being stored
+            if (state.ladderData === ladderData) {
+                state.historyId = record.id;
+                saveHistoryView();
+                if (state.hideResults) saveSession();
+            }
+            refreshHistory();
+        } catch (e) {
+            // History storage might not be available
+        }
+    }
+
+    /**
+     * Keep the history record of the current draw in sync with its view state
+     */
+    function saveHistoryView() {
+        if (!state.historyId) return;
+        LadderHistory.update(state.historyId, { view: getViewState() }).catch(() => {
+            // History storage might not be available
+        });
+    }
+
+    /**
+     * Reload the history list, filtered by the search field
+     */
+    async function refreshHistory() {
+        let records = [];
+        try {
+            records = await LadderHistory.list(elements.historySearch.value);
+        } catch (e) {
+            // History storage might not be available
+        }
+
+        elements.historyList.innerHTML = '';
+        records.forEach(record => elements.historyList.appendChild(createHistoryItem(record)));
+        elements.historyEmpty.textContent = elements.historySearch.value.trim()
+            ? LadderI18n.t('history.noMatches')
+            : LadderI18n.t('history.empty');
+        elements.historyEmpty.hidden = records.length > 0;
+    }
+
+    /**
+     * Create a history list entry with open, rename and delete actions
+     * @param {Object} record - History record
+     * @returns {HTMLLIElement} List item
+     */
+    function createHistoryItem(record) {
+        const { participants, results } = record.ladderData;
+        const li = document.createElement('li');
+        li.className = 'history-item';
+        li.innerHTML = `
+            <div class="history-item__info">
+                <span class="history-item__title"></span>
+                <span class="history-item__meta">${escapeHtml(new Date(record.createdAt).toLocaleString(LadderI18n.getLanguageTag()))} · ${escapeHtml(LadderI18n.t('result.people', { count: participants.length }))}</span>
+            </div>
+            <button type="button" class="button-csv" data-action="open">${escapeHtml(LadderI18n.t('history.open'))}</button>
+            <button type="button" class="button-csv" data-action="rename">${escapeHtml(LadderI18n.t('history.rename'))}</button>
+            <button type="button" class="button-csv" data-action="delete">${escapeHtml(LadderI18n.t('history.delete'))}</button>
+        `;
+
+        // Untitled draws are labelled by their first participants and results
+        const title = li.querySelector('.history-item__title');
+        title.textContent = record.title ||
+            `${participants.slice(0, 3).join(', ')}${participants.length > 3 ? '…' : ''} → ${results.slice(0, 2).join(', ')}${results.length > 2 ? '…' : ''}`;
+        title.title = title.textContent;
+
+        li.querySelector('[data-action="open"]').addEventListener('click', () => openHistoryRecord(record.id));
+        li.querySelector('[data-action="rename"]').addEventListener('click', () => startHistoryRename(li, record));
+        li.querySelector('[data-action="delete"]').addEventListener('click', () => deleteHistoryRecord(record.id));
+
+        return li;
+    }
+
+    /**
+     * Reopen a stored draw exactly as it was left (highlight and revealed results included)
+     * @param {string} id - History record id
+     */
+    async function openHistoryRecord(id) {
+        let record;
+        try {
+            record = await LadderHistory.get(id);
+        } catch (error) {
+            if (error.code === 'LADDER_MISMATCH') {
+                showError(LadderI18n.translateError(error));
+                return;
+            }
+            record = null;
+        }
+        if (!record) {
+            showError(LadderI18n.t('history.loadFailed'));
+            refreshHistory();
+            return;
+        }
+
+        const view = record.view || {};
+        clearURLShareData();
+        presentLadder(record.ladderData, {
+            hideResults: view.hideResults,
+            revealed: view.revealed,
+            highlightIndex: view.highlightIndex,
+            title: record.title,
+            historyId: record.id
+        });
+        if (state.hideResults) {
+            saveSession();
+        } else {
+            clearSession();
+        }
+        if (state.highlightIndex >= 0) {
+            scrollToParticipant(state.highlightIndex);
+        }
+    }
+
+    /**
+     * Handle session export button click (the whole draw as a JSON file)
+     */
+    async function handleSessionExport() {
+        if (!state.ladderData) return;
+
+        const record = state.historyId ? await LadderHistory.get(state.historyId).catch(() => null) : null;
+        LadderShare.downloadSession(state.ladderData, {
+            title: state.title,
+            drawnAt: record ? record.createdAt : undefined,
+            view: getViewState()
+        });
+    }
+
+    /**
+     * Handle session file import and open the draw in the result view
+     * @param {Event} event - File input change event
+     */
+    function handleSessionImport(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            let session;
+            try {
+                session = LadderSessionFile.parse(e.target.result);
+            } catch (error) {
+                showError(error.message);
+                return;
+            }
+
+            const view = session.view || {};
+            hideError();
+            clearURLShareData();
+            presentLadder(session.ladderData, {
+                hideResults: view.hideResults,
+                revealed: view.revealed,
+                highlightIndex: view.highlightIndex,
+                title: session.title
+            });
+            if (state.hideResults) {
+                saveSession();
+            } else {
+                clearSession();
+            }
+        };
+        reader.readAsText(file);
+
+        // Reset input so the same file can be selected again
+        event.target.value = '';
+    }
+
+    /**
+     * Replace a history entry's title with an inline editor
+     * Enter or leaving the field saves, Escape cancels.
+     * @param {HTMLLIElement} li - History list item
+     * @param {Object} record - History record
+     */
+    function startHistoryRename(li, record) {
+        const title = li.querySelector('.history-item__title');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'input input--small';
+        input.value = record.title;
+        input.placeholder = LadderI18n.t('input.title');
+        title.replaceWith(input);
+        input.focus();
+
+        let done = false;
+        async function finish(save) {
+            if (done) return;
+            done = true;
+            if (save && input.value.trim() !== record.title) {
+                await LadderHistory.rename(record.id, input.value).catch(() => null);
+                if (state.historyId === record.id) {
+                    state.title = input.value.trim();
+                }
+            }
+            refreshHistory();
+        }
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    /**
+     * Delete a stored draw after confirmation
+     * @param {string} id - History record id
+     */
+    async function deleteHistoryRecord(id) {
+        if (!window.confirm(LadderI18n.t('history.confirmDelete'))) return;
+
+        await LadderHistory.remove(id).catch(() => null);
+        if (state.historyId === id) {
+            state.historyId = null;
+        }
+        refreshHistory();
+    }
+
+    /**
+     * Explain how the results were fitted to the participants (padding or dropped items)
+     * @param {Object} ladderData - The ladder data
+     */
+    function displayResultFitNote(ladderData) {
+        let note = '';
+
+        if (ladderData.resultPool) {
+            const pool = ladderData.resultPool;
+            if (pool.length < ladderData.results.length) {
+                const added = ladderData.results.length - pool.length;
+                note = LadderI18n.t('result.fillerAdded', { filler: ladderData.filler, count: added });
+            } else {
+                // Multiset difference: pool minus the results that were kept
+                const remaining = [...ladderData.results];
+                const dropped = pool.filter(result => {
+                    const index = remaining.indexOf(result);
+                    if (index >= 0) {
+                        remaining.splice(index, 1);
+                        return false;
+                    }
+                    return true;
+                });
+                note = LadderI18n.t('result.dropped', { results: dropped.join(', ') });
+            }
+        }
+
+        elements.resultFitNote.textContent = note;
+        elements.resultFitNote.hidden = !note;
+    }
+
+    /**
+     * Render the ladder with the current highlight and covered results
+     * (on the canvas and in the minimap)
+     */
+    function renderLadder() {
+        drawLadder();
+        state.viewport.refreshOverview();
+    }
+
+    /**
+     * Draw the visible part of the ladder on the canvas
+     */
+    function drawLadder() {
+        LadderRenderer.render(elements.canvas, state.ladderData, {
+            highlightIndex: state.highlightIndex,
+            hiddenResults: getHiddenResults(),
+            focusIndex: getNavigatorFocusIndex(),
+            view: state.viewport.getView()
+        });
+    }
+
+    /**
+     * Render the whole ladder at 100% for saving and sharing
+     * (the page canvas only holds the part in view)
+     * @returns {HTMLCanvasElement} New canvas
+     */
+    function renderFullLadder() {
+        const canvas = document.createElement('canvas');
+        LadderRenderer.render(canvas, state.ladderData, {
+            highlightIndex: state.highlightIndex,
+            hiddenResults: getHiddenResults()
+        });
+        return canvas;
+    }
+
+    /**
+     * Get the participant to mark as focused on the canvas
+     * @returns {number} Participant index (-1 while the participant list is not focused)
+     */
+    function getNavigatorFocusIndex() {
+        return document.activeElement === elements.ladderNavigator ? state.navigatorIndex : -1;
+    }
+
+    /**
+     * Fill the keyboard participant list (a listbox over the canvas columns)
+     * @param {Object} ladderData - The ladder data
+     */
+    function displayLadderNavigator(ladderData) {
+        elements.ladderNavigator.innerHTML = '';
+        state.navigatorIndex = Math.min(state.navigatorIndex, ladderData.participants.length - 1);
+
+        ladderData.participants.forEach((name, index) => {
+            const option = document.createElement('li');
+            option.id = `ladder-navigator-option-${index}`;
+            option.setAttribute('role', 'option');
+            option.textContent = LadderI18n.t('a11y.option', {
+                label: LadderRenderer.getParticipantLabel(index),
+                name: name
+            });
+            elements.ladderNavigator.appendChild(option);
+        });
+        updateNavigatorSelection();
+    }
+
+    /**
+     * Mark the selected participant in the keyboard participant list
+     */
+    function updateNavigatorSelection() {
+        elements.ladderNavigator.querySelectorAll('[role="option"]').forEach((option, index) => {
+            option.setAttribute('aria-selected', index === state.navigatorIndex ? 'true' : 'false');
+        });
+        elements.ladderNavigator.setAttribute('aria-activedescendant', `ladder-navigator-option-${state.navigatorIndex}`);
+    }
+
+    /**
+     * Handle keys in the participant list
+     * Arrow keys move across the columns, Home/End jump to the ends,
+     * Enter or Space traces the selected participant's path.
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    function handleNavigatorKeyDown(event) {
+        if (!state.ladderData) return;
+
+        const lastIndex = state.ladderData.participants.length - 1;
+        const moves = {
+            ArrowLeft: state.navigatorIndex - 1,
+            ArrowUp: state.navigatorIndex - 1,
+            ArrowRight: state.navigatorIndex + 1,
+            ArrowDown: state.navigatorIndex + 1,
+            Home: 0,
+            End: lastIndex
+        };
+
+        if (event.key in moves) {
+            event.preventDefault();
+            state.navigatorIndex = Math.max(0, Math.min(lastIndex, moves[event.key]));
+            updateNavigatorSelection();
+            scrollToParticipant(state.navigatorIndex);
+            if (!state.animation) {
+                renderLadder();
+            }
+        } else if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            tracePathAloud(state.navigatorIndex);
+        }
+    }
+
+    /**
+     * Show or hide the canvas focus ring when the participant list gains or loses focus
+     */
+    function handleNavigatorFocusChange() {
+        if (state.ladderData && !state.animation) {
+            renderLadder();
+        }
+    }
+
+    /**
+     * Trace a participant's path and announce it for screen readers
+     * The turns are announced right away; the result once the path is fully drawn
+     * (in scratch mode that is also when the result is uncovered).
+     * @param {number} index - Participant index
+     */
+    function tracePathAloud(index) {
+        const ladderData = state.ladderData;
+        const description = LadderAccessibility.describePath(ladderData, index);
+
+        elements.pathAnnouncer.innerHTML = '';
+        [description.start].concat(description.turns).forEach(announce);
+
+        playPath(index).then(completed => {
+            if (completed && state.ladderData === ladderData) {
+                announce(description.end);
+            }
+        });
+    }
+
+    /**
+     * Add a message to the screen-reader announcements
+     * @param {string} message - Message
+     */
+    function announce(message) {
+        const line = document.createElement('p');
+        line.textContent = message;
+        elements.pathAnnouncer.appendChild(line);
+    }
+
+    /**
+     * Update the hidden text description of the ladder (covered results stay covered)
+     */
+    function updateLadderDescription() {
+        const description = LadderAccessibility.describeLadder(state.ladderData, getHiddenResults());
+
+        elements.canvas.setAttribute('aria-label', LadderI18n.t('a11y.canvasLabel', { count: state.ladderData.participants.length }));
+        elements.ladderDescription.innerHTML = '';
+        [description.summary, description.participants].forEach(text => {
+            const paragraph = document.createElement('p');
+            paragraph.textContent = text;
+            elements.ladderDescription.appendChild(paragraph);
+        });
+
+        const rowList = document.createElement('ul');
+        description.rows.forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            rowList.appendChild(item);
+        });
+        elements.ladderDescription.appendChild(rowList);
+
+        [description.results, description.note].filter(Boolean).forEach(text => {
+            const paragraph = document.createElement('p');
+            paragraph.textContent = text;
+            elements.ladderDescription.appendChild(paragraph);
+        });
+    }
+
+    /**
+     * Get the result indices that are still covered (scratch mode)
+     * @returns {number[]} Hidden result indices
+     */
+    function getHiddenResults() {
+        if (!state.hideResults || !state.ladderData) return [];
+
+        const hidden = [];
+        state.ladderData.participants.forEach((_, index) => {
+            if (!state.revealed.has(index)) {
+                hidden.push(state.ladderData.mapping[index]);
+            }
+        });
+        return hidden;
+    }
+
+    /**
+     * Check whether a participant's result is still covered
+     * @param {number} index - Participant index
+     * @returns {boolean}
+     */
+    function isResultCovered(index) {
+        return state.hideResults && !state.revealed.has(index);
+    }
+
+    /**
+     * Reveal a participant's result (scratch mode)
+     * @param {number} index - Participant index
+     */
+    function revealResult(index) {
+        if (!isResultCovered(index)) return;
+
+        state.revealed.add(index);
+        saveHistoryView();
+        if (state.ladderData.grouped) {
+            // The member moves from the covered group into their team
+            displayGroupedSummary(state.ladderData);
+        } else {
+            updateResultItemContent(index);
+        }
+        updateRevealControls();
+        updateLadderDescription();
+        saveSession();
+    }
+
+    /**
+     * Handle "reveal all remaining" button click
+     */
+    function handleRevealRemaining() {
+        if (!state.ladderData || !state.hideResults) return;
+        stopAnimation();
+
+        state.ladderData.participants.forEach((_, index) => revealResult(index));
+        renderLadder();
+    }
+
+    /**
+     * Show the "reveal all remaining" button only while results are covered
+     */
+    function updateRevealControls() {
+        elements.revealRemainingBtn.hidden = getHiddenResults().length === 0;
+        updateTournamentControls();
+    }
+
+    /**
+     * Show the "next round" button and the bracket for the current draw
+     * The next round needs at least two advancing participants, all revealed,
+     * and (while a tournament is running) the draw on screen to be its latest round.
+     */
+    function updateTournamentControls() {
+        const ladderData = state.ladderData;
+        // The bracket and the next round belong to the latest round of the running tournament
+        const isLatestRound = isLatestTournamentRound(ladderData);
+
+        const canAdvance = !!ladderData &&
+            (!state.tournament || isLatestRound) &&
+            getHiddenResults().length === 0 &&
+            LadderTournament.getAdvancing(ladderData).length >= 2;
+        elements.nextRoundButton.hidden = !canAdvance;
+
+        elements.tournamentPanel.hidden = !isLatestRound;
+        if (isLatestRound) {
+            displayBracket(state.tournament);
+        }
+    }
+
+    /**
+     * Check whether a draw is the latest round of the running tournament
+     * @param {Object} ladderData - The ladder data
+     * @returns {boolean}
+     */
+    function isLatestTournamentRound(ladderData) {
+        const rounds = state.tournament ? state.tournament.rounds : [];
+        return rounds.length > 0 && rounds[rounds.length - 1].ladderData === ladderData;
+    }
+
+    /**
+     * Display the bracket overview (one column per round, advancing participants marked)
+     * @param {Object} tournament - Tournament
+     */
+    function displayBracket(tournament) {
+        elements.tournamentBracket.innerHTML = '';
+
+        LadderTournament.summarize(tournament).forEach(round => {
+            const column = document.createElement('div');
+            column.className = 'bracket__round';
+            column.innerHTML = `<h4 class="bracket__title">${escapeHtml(LadderI18n.t('tournament.round', { round: round.round }))}</h4>`;
+
+            const list = document.createElement('ul');
+            list.className = 'bracket__entries';
+            round.entries.forEach(entry => {
+                const li = document.createElement('li');
+                li.className = 'bracket__entry';
+                li.classList.toggle('bracket__entry--advanced', entry.advanced);
+                li.innerHTML = `
+                    <span class="bracket__participant">${escapeHtml(entry.participant)}</span>
+                    <span class="bracket__result">${escapeHtml(entry.result)}</span>
+                `;
+                list.appendChild(li);
+            });
+
+            column.appendChild(list);
+            elements.tournamentBracket.appendChild(column);
+        });
+    }
+
+    /**
+     * Handle "next round" button click: the advancing participants become the next round's participants
+     */
+    function handleNextRound() {
+        if (!state.ladderData) return;
+        // An earlier draw reopened mid-tournament does not continue it
+        if (state.tournament && !isLatestTournamentRound(state.ladderData)) return;
+
+        if (!state.tournament) {
+            state.tournament = LadderTournament.create();
+            LadderTournament.addRound(state.tournament, state.ladderData);
+        }
+
+        elements.participantsTextarea.value = LadderTournament.getAdvancing(state.ladderData).join('\n');
+        elements.resultsTextarea.value = '';
+        updateCounts();
+        saveToStorage();
+
+        updateTournamentBanner();
+        leaveResultView();
+        elements.resultsTextarea.focus();
+    }
+
+    /**
+     * Handle "save all rounds" button click
+     */
+    function handleTournamentExport() {
+        if (state.tournament && typeof LadderShare !== 'undefined') {
+            LadderShare.shareTournament(state.tournament);
+        }
+    }
+
+    /**
+     * Handle "end tournament" button click
+     */
+    function handleTournamentEnd() {
+        state.tournament = null;
+        updateTournamentBanner();
+    }
 
-        // Switch to result view
-        showResultSection();
+    /**
+     * Show which round is being prepared while a tournament is running
+     */
+    function updateTournamentBanner() {
+        const tournament = state.tournament;
+        elements.tournamentBanner.hidden = !tournament;
+        if (tournament) {
+            elements.tournamentRound.textContent =
+                LadderI18n.t('tournament.preparing', {
+                    round: tournament.rounds.length + 1,
+                    count: LadderTournament.getNextParticipants(tournament).length
+                });
+        }
     }
 
     /**
-     * Validate user inputs
+     * Validate user inputs (rules are shared with the CLI via Ladder.validate)
      * @param {string[]} participants - List of participants
-     * @param {string[]} results - List of results
+     * @param {string[]} results - List of results (counts already expanded)
      * @returns {string|null} Error message or null if valid
      */
     function validateInputs(participants, results) {
-        if (participants.length < 2) {
-            return '참여자를 최소 2명 이상 입력해주세요.';
-        }
+        const error = Ladder.validate(participants, results);
+        return error ? LadderI18n.translateError(error) : null;
+    }
 
-        if (results.length < 2) {
-            return '결과 항목을 최소 2개 이상 입력해주세요.';
-        }
+    /**
+     * Validate the team setup for a team split
+     * @param {string[]} participants - List of participants
+     * @param {string[]} slots - Team slots
+     * @returns {string|null} Error message or null if valid
+     */
+    function validateTeams(participants, slots) {
+        // Too few participants is reported by validateInputs
+        if (participants.length < 2) return null;
 
-        if (participants.length !== results.length) {
-            return `참여자 수(${participants.length}명)와 결과 항목 수(${results.length}개)가 일치해야 합니다.`;
-        }
+        const lines = parseTextareaLines(elements.resultsTextarea.value);
 
-        if (participants.length > 100) {
-            return '참여자는 최대 100명까지 지원됩니다.';
+        if (lines.length === 0) {
+            const teamCount = getTeamCount();
+            if (!(teamCount >= 2)) {
+                return LadderI18n.t('error.teamCountTooSmall');
+            }
+            if (teamCount > participants.length) {
+                return LadderI18n.t('error.teamCountTooLarge');
+            }
+            return null;
         }
 
-        // Check for duplicates
-        const participantSet = new Set(participants);
-        if (participantSet.size !== participants.length) {
-            return '중복된 참여자 이름이 있습니다.';
+        if (new Set(lines.map(line => Ladder.parseResultCount(line).label)).size !== lines.length) {
+            return LadderI18n.t('error.duplicateTeams');
         }
 
-        return null;
+        const error = Ladder.validateTeamSlots(slots, participants.length);
+        return error ? LadderI18n.translateError(error) : null;
     }
 
     /**
@@ -227,6 +1731,12 @@
      * @param {Object} ladderData - The ladder data
      */
     function displayResultSummary(ladderData) {
+        elements.resultSummary.classList.toggle('result-summary--grouped', !!ladderData.grouped);
+        if (ladderData.grouped) {
+            displayGroupedSummary(ladderData);
+            return;
+        }
+
         const results = Ladder.getAllResults(ladderData);
         elements.resultSummary.innerHTML = '';
 
@@ -236,18 +1746,106 @@
             const participantColor = LadderRenderer.getParticipantColor(index);
             div.style.borderLeftColor = participantColor;  // Participant color border
             div.dataset.participantIndex = index;
+            div.tabIndex = 0;
+            div.setAttribute('role', 'button');
 
             div.innerHTML = `
-                <span class="result-item__participant" style="color: ${participantColor}">${escapeHtml(item.participant)}</span>
+                <span class="result-item__participant" style="color: ${participantColor}">${createLabelBadge(index)}${escapeHtml(item.participant)}</span>
                 <span class="result-item__arrow">\u2193</span>
-                <span class="result-item__result" style="color: ${participantColor}">${escapeHtml(item.result)}</span>
+                <span class="result-item__result"></span>
             `;
 
-            // Add click handler for highlight
+            // Add click and keyboard handlers for highlight
             div.addEventListener('click', (e) => handleResultItemClick(index, e));
+            div.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    handleResultItemClick(index, e);
+                }
+            });
 
             elements.resultSummary.appendChild(div);
+            updateResultItemContent(index);
+        });
+    }
+
+    /**
+     * Build the numbered badge that matches a participant's label on the ladder
+     * @param {number} index - Participant index
+     * @returns {string} Badge markup
+     */
+    function createLabelBadge(index) {
+        const color = LadderRenderer.getParticipantColor(index);
+        return `<span class="result-item__label" style="background-color: ${color}; color: ${LadderTheme.getContrastText(color)}" aria-hidden="true">${LadderRenderer.getParticipantLabel(index)}</span>`;
+    }
+
+    /**
+     * Display the result summary grouped by result (team -> members)
+     * Covered members are listed in a separate "???" group until revealed.
+     * @param {Object} ladderData - The ladder data
+     */
+    function displayGroupedSummary(ladderData) {
+        const groups = Ladder.getGroupedResults(ladderData, getHiddenResults());
+        elements.resultSummary.innerHTML = '';
+
+        groups.forEach(group => {
+            const section = document.createElement('div');
+            section.className = 'result-group';
+            section.classList.toggle('result-group--covered', group.result === null);
+            section.innerHTML = `
+                <div class="result-group__title">
+                    <span>${escapeHtml(group.result === null ? '???' : group.result)}</span>
+                    <span class="result-group__count">${escapeHtml(LadderI18n.t('result.people', { count: group.members.length }))}</span>
+                </div>
+                <div class="result-group__members"></div>
+            `;
+            const membersContainer = section.querySelector('.result-group__members');
+
+            group.members.forEach(member => {
+                const index = member.participantIndex;
+                const div = document.createElement('div');
+                div.className = 'result-item result-item--member';
+                const participantColor = LadderRenderer.getParticipantColor(index);
+                div.style.borderLeftColor = participantColor;
+                div.dataset.participantIndex = index;
+                div.tabIndex = 0;
+                div.setAttribute('role', 'button');
+                div.innerHTML = `<span class="result-item__participant" style="color: ${participantColor}">${createLabelBadge(index)}${escapeHtml(member.participant)}</span>`;
+
+                div.addEventListener('click', (e) => handleResultItemClick(index, e));
+                div.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        handleResultItemClick(index, e);
+                    }
+                });
+
+                membersContainer.appendChild(div);
+            });
+
+            elements.resultSummary.appendChild(section);
         });
+
+        if (state.highlightIndex >= 0) {
+            updateResultItemHighlights();
+        }
+    }
+
+    /**
+     * Update a result item's text depending on whether it is covered
+     * @param {number} index - Participant index
+     */
+    function updateResultItemContent(index) {
+        const item = elements.resultSummary.querySelector(`.result-item[data-participant-index="${index}"]`);
+        if (!item) return;
+
+        const covered = isResultCovered(index);
+        const resultSpan = item.querySelector('.result-item__result');
+        item.classList.toggle('result-item--covered', covered);
+        resultSpan.style.color = covered ? '' : LadderRenderer.getParticipantColor(index);
+        resultSpan.textContent = covered
+            ? '???'
+            : Ladder.getResultForParticipant(state.ladderData, index);
     }
 
     /**
@@ -261,6 +1859,14 @@
             event.stopPropagation();
         }
 
+        // Covered results are revealed by tracing the path
+        if (isResultCovered(index)) {
+            playPath(index);
+            return;
+        }
+
+        stopAnimation();
+
         // Toggle highlight
         if (state.highlightIndex === index) {
             state.highlightIndex = -1;
@@ -269,9 +1875,7 @@
         }
 
         // Re-render with highlight
-        LadderRenderer.render(elements.canvas, state.ladderData, {
-            highlightIndex: state.highlightIndex
-        });
+        renderLadder();
 
         // Update result item highlighting
         updateResultItemHighlights();
@@ -296,36 +1900,27 @@
             elements.canvas,
             state.ladderData,
             event.clientX,
-            event.clientY
+            event.clientY,
+            state.viewport.getView()
         );
 
         if (index >= 0) {
-            // Toggle highlight
             if (state.highlightIndex === index) {
+                // Toggle off
+                stopAnimation();
                 state.highlightIndex = -1;
+                renderLadder();
+                updateResultItemHighlights();
             } else {
-                state.highlightIndex = index;
-            }
-
-            // Re-render with highlight
-            LadderRenderer.render(elements.canvas, state.ladderData, {
-                highlightIndex: state.highlightIndex
-            });
-
-            // Update result item highlighting
-            updateResultItemHighlights();
-
-            // Scroll to participant's position if highlighting
-            if (state.highlightIndex >= 0) {
-                scrollToParticipant(state.highlightIndex);
+                // Walk the selected participant's path
+                playPath(index);
             }
         } else {
             // Clicked on canvas but not on a participant - deselect
             if (state.highlightIndex >= 0) {
+                stopAnimation();
                 state.highlightIndex = -1;
-                LadderRenderer.render(elements.canvas, state.ladderData, {
-                    highlightIndex: state.highlightIndex
-                });
+                renderLadder();
                 updateResultItemHighlights();
             }
         }
@@ -336,83 +1931,475 @@
      * @param {MouseEvent} event - Click event
      */
     function handleDocumentClick(event) {
+        const isInsideShareMenu = elements.shareMenu.contains(event.target);
+        if (!isInsideShareMenu) {
+            closeShareMenu();
+        }
+
         // Only handle if result section is visible and something is highlighted
         if (elements.resultSection.hidden || state.highlightIndex < 0) return;
 
-        // Check if click is inside result summary or canvas container
+        // Check if click is inside result summary, canvas container, animation controls
+        // or the share menu (sharing keeps the highlighted path)
         const isInsideResultSummary = elements.resultSummary.contains(event.target);
-        const isInsideCanvas = elements.canvas.contains(event.target);
+        const isInsideCanvas = elements.canvasContainer.contains(event.target);
+        const isInsideControls = elements.animationControls.contains(event.target);
 
-        // If click is outside both areas, deselect
-        if (!isInsideResultSummary && !isInsideCanvas) {
+        // If click is outside these areas, deselect
+        if (!isInsideResultSummary && !isInsideCanvas && !isInsideControls && !isInsideShareMenu) {
+            stopAnimation();
             state.highlightIndex = -1;
-            LadderRenderer.render(elements.canvas, state.ladderData, {
-                highlightIndex: state.highlightIndex
-            });
+            renderLadder();
             updateResultItemHighlights();
         }
     }
 
     /**
-     * Scroll to a participant's position in the canvas
+     * Animate a participant's path and highlight it when done
+     * @param {number} index - Participant index
+     * @returns {Promise<boolean>} Resolves to true when the path was fully drawn, false when cancelled
+     */
+    function playPath(index) {
+        stopAnimation();
+
+        state.highlightIndex = index;
+        updateResultItemHighlights();
+        scrollToParticipant(index);
+
+        const animation = LadderRenderer.animatePath(elements.canvas, state.ladderData, index, {
+            speed: getAnimationSpeed(),
+            renderOptions: getAnimationRenderOptions
+        });
+        state.animation = animation;
+        updateAnimationControls();
+
+        return animation.finished.then((completed) => {
+            if (state.animation === animation) {
+                state.animation = null;
+                updateAnimationControls();
+            }
+
+            // A fully traced path uncovers its result
+            if (completed && isResultCovered(index)) {
+                revealResult(index);
+                if (state.highlightIndex === index) {
+                    renderLadder();
+                }
+            }
+            return completed;
+        });
+    }
+
+    /**
+     * Get render options for animation frames (evaluated on every frame)
+     * @returns {Object} Render options
+     */
+    function getAnimationRenderOptions() {
+        return {
+            hiddenResults: getHiddenResults(),
+            focusIndex: getNavigatorFocusIndex(),
+            view: state.viewport.getView()
+        };
+    }
+
+    /**
+     * Handle "reveal all one by one" button click
+     */
+    function handleRevealAll() {
+        if (!state.ladderData) return;
+        stopAnimation();
+
+        // In scratch mode only the still-covered results are walked through
+        const indices = state.ladderData.participants
+            .map((_, index) => index)
+            .filter(index => !state.hideResults || isResultCovered(index));
+        const animation = LadderRenderer.animateSequence(elements.canvas, state.ladderData, indices, {
+            speed: getAnimationSpeed(),
+            renderOptions: getAnimationRenderOptions,
+            onPathStart: (index) => {
+                state.highlightIndex = index;
+                updateResultItemHighlights();
+                scrollToParticipant(index);
+            },
+            onPathEnd: (index) => revealResult(index)
+        });
+        state.animation = animation;
+        updateAnimationControls();
+
+        animation.finished.then((completed) => {
+            if (state.animation !== animation) return;
+            state.animation = null;
+            updateAnimationControls();
+
+            // Show the whole ladder again once every path has been revealed
+            if (completed) {
+                state.highlightIndex = -1;
+                renderLadder();
+                updateResultItemHighlights();
+            }
+        });
+    }
+
+    /**
+     * Stop the running animation (if any) without redrawing
+     */
+    function stopAnimation() {
+        if (state.animation) {
+            state.animation.cancel();
+            state.animation = null;
+            updateAnimationControls();
+        }
+    }
+
+    /**
+     * Handle pause/resume button click
+     */
+    function handleAnimationPause() {
+        if (!state.animation) return;
+
+        if (state.animation.isPaused()) {
+            state.animation.resume();
+        } else {
+            state.animation.pause();
+        }
+        updateAnimationControls();
+    }
+
+    /**
+     * Handle skip button click (finishes the current path immediately)
+     */
+    function handleAnimationSkip() {
+        if (state.animation) {
+            state.animation.skip();
+        }
+    }
+
+    /**
+     * Handle animation speed change
+     */
+    function handleAnimationSpeedChange() {
+        if (state.animation) {
+            state.animation.setSpeed(getAnimationSpeed());
+        }
+    }
+
+    /**
+     * Get the selected animation speed multiplier
+     * @returns {number} Speed multiplier
+     */
+    function getAnimationSpeed() {
+        return parseFloat(elements.animationSpeed.value) || 1;
+    }
+
+    /**
+     * Update the enabled state and labels of the animation controls
+     */
+    function updateAnimationControls() {
+        const isRunning = state.animation !== null;
+        elements.animationPauseBtn.disabled = !isRunning;
+        elements.animationSkipBtn.disabled = !isRunning;
+        elements.animationPauseBtn.textContent = LadderI18n.t(isRunning && state.animation.isPaused() ? 'animation.resume' : 'animation.pause');
+    }
+
+    /**
+     * Pan the viewport to a participant's column (the zoom stays as it is)
      * @param {number} index - Participant index
      */
     function scrollToParticipant(index) {
         if (!state.ladderData) return;
 
         const dimensions = LadderRenderer.getDimensions(state.ladderData);
-        const canvasRect = elements.canvas.getBoundingClientRect();
-        const containerRect = elements.canvas.parentElement.getBoundingClientRect();
 
         // Calculate the x position of the participant column
         const participantX = dimensions.startX + index * dimensions.columnWidth;
 
-        // Calculate scroll position to center the participant
-        const scrollLeft = participantX - containerRect.width / 2;
-
-        // Scroll the canvas container horizontally
-        elements.canvas.parentElement.scrollTo({
-            left: Math.max(0, scrollLeft),
-            behavior: 'smooth'
-        });
+        // Center the column horizontally, keep the vertical position
+        state.viewport.centerOn(participantX, null);
     }
 
     /**
      * Update visual highlighting on result items
      */
     function updateResultItemHighlights() {
+        const colors = LadderTheme.getColors();
         const items = elements.resultSummary.querySelectorAll('.result-item');
-        items.forEach((item, index) => {
+        items.forEach(item => {
+            const index = Number(item.dataset.participantIndex);
             if (state.highlightIndex === -1) {
                 item.classList.remove('result-item--highlighted', 'result-item--dimmed');
-                item.style.borderLeftColor = '#000000';  // Black border
+                item.style.borderLeftColor = colors.line;  // Ladder line border
             } else if (index === state.highlightIndex) {
                 item.classList.add('result-item--highlighted');
                 item.classList.remove('result-item--dimmed');
-                item.style.borderLeftColor = '#E74C3C';  // Red highlight border
+                item.style.borderLeftColor = colors.highlight;  // Highlight border
             } else {
                 item.classList.add('result-item--dimmed');
                 item.classList.remove('result-item--highlighted');
-                item.style.borderLeftColor = '#000000';  // Black border
+                item.style.borderLeftColor = colors.line;  // Ladder line border
+            }
+        });
+
+        // The highlight is part of the view stored with the draw's history record
+        saveHistoryView();
+    }
+
+    /**
+     * Open or close the share menu
+     */
+    function toggleShareMenu() {
+        if (elements.shareMenuList.hidden) {
+            openShareMenu();
+        } else {
+            closeShareMenu();
+        }
+    }
+
+    /**
+     * Open the share menu and focus its first item
+     * The native share item only appears where the share sheet accepts image files.
+     */
+    function openShareMenu() {
+        elements.shareNativeItem.hidden = !LadderShare.canUseWebShare();
+        // A link carries every result, so it waits until the covered ones are revealed
+        const resultsHidden = getHiddenResults().length > 0;
+        elements.shareLinkItem.disabled = resultsHidden;
+        elements.shareLinkItem.title = resultsHidden ? LadderI18n.t('share.linkHidden') : '';
+        elements.shareMenuList.hidden = false;
+        elements.shareMenuButton.setAttribute('aria-expanded', 'true');
+        getShareMenuItems()[0].focus();
+    }
+
+    /**
+     * Close the share menu
+     * @param {boolean} restoreFocus - Move focus back to the menu button
+     */
+    function closeShareMenu(restoreFocus = false) {
+        if (elements.shareMenuList.hidden) return;
+
+        elements.shareMenuList.hidden = true;
+        elements.shareMenuButton.setAttribute('aria-expanded', 'false');
+        if (restoreFocus) {
+            elements.shareMenuButton.focus();
+        }
+    }
+
+    /**
+     * Get the visible, enabled share menu items
+     * @returns {HTMLButtonElement[]}
+     */
+    function getShareMenuItems() {
+        return Array.from(elements.shareMenuList.querySelectorAll('[data-action]'))
+            .filter(item => !item.hidden && !item.disabled);
+    }
+
+    /**
+     * Handle keyboard use of the share menu
+     * Escape closes it; arrow keys move between items.
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    function handleShareMenuKeydown(event) {
+        if (elements.shareMenuList.hidden) return;
+
+        if (event.key === 'Escape') {
+            // Keep Escape from also leaving the result view
+            event.preventDefault();
+            event.stopPropagation();
+            closeShareMenu(true);
+            return;
+        }
+        if (event.key !== 'ArrowDown' && event.key !== 'ArrowUp') return;
+
+        event.preventDefault();
+        const items = getShareMenuItems();
+        const current = items.indexOf(document.activeElement);
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        items[(current + step + items.length) % items.length].focus();
+    }
+
+    /**
+     * Handle a share menu item
+     * @param {string} action - copy-image, copy-text, copy-link, native or download
+     */
+    async function handleShareAction(action) {
+        closeShareMenu(true);
+        if (!state.ladderData) return;
+
+        const options = {
+            hiddenResults: getHiddenResults(),
+            grouped: !!state.ladderData.grouped,
+            title: state.title
+        };
+
+        if (action === 'copy-image') {
+            const outcome = await LadderShare.copyImage(renderFullLadder(), state.ladderData, options);
+            if (outcome === 'copied') {
+                showToast(LadderI18n.t('share.imageCopied'));
+            } else if (outcome === 'downloaded') {
+                showToast(LadderI18n.t('share.imageCopyUnsupported'));
+            } else {
+                showToast(LadderI18n.t('share.imageCopyFailed'), 'error');
             }
+        } else if (action === 'copy-text') {
+            await handleCopyText();
+        } else if (action === 'copy-link') {
+            await handleCopyLink();
+        } else if (action === 'native') {
+            const outcome = await LadderShare.shareNative(renderFullLadder(), state.ladderData, options);
+            if (outcome === 'shared') {
+                showToast(LadderI18n.t('share.shared'));
+            } else if (outcome === 'downloaded') {
+                showToast(LadderI18n.t('share.shareFailed'), 'error');
+            }
+        } else if (action === 'download') {
+            try {
+                await LadderShare.share(renderFullLadder(), state.ladderData, options);
+                showToast(LadderI18n.t('share.imageSaved'));
+            } catch (error) {
+                showToast(LadderI18n.t('share.imageSaveFailed'), 'error');
+            }
+        }
+    }
+
+    /**
+     * Handle CSV / Excel save button click
+     * Stored draws carry the date they were drawn; covered results stay covered.
+     * @param {string} format - 'csv' or 'xlsx'
+     */
+    async function handleSpreadsheetExport(format) {
+        if (!state.ladderData) return;
+
+        const record = state.historyId ? await LadderHistory.get(state.historyId).catch(() => null) : null;
+        LadderShare.downloadSpreadsheet(state.ladderData, format, {
+            title: state.title,
+            date: record ? new Date(record.createdAt) : new Date(),
+            hiddenResults: getHiddenResults()
+        });
+    }
+
+    /**
+     * Handle SVG save button click
+     * Saves what the canvas shows, including the highlighted path.
+     */
+    function handleSaveSVG() {
+        if (!state.ladderData) return;
+
+        LadderShare.shareSVG(state.ladderData, {
+            highlightIndex: state.highlightIndex,
+            hiddenResults: getHiddenResults(),
+            grouped: !!state.ladderData.grouped
+        });
+    }
+
+    /**
+     * Handle print button click
+     * Prints the paginated layout; stored draws carry the date they were drawn.
+     */
+    async function handlePrint() {
+        if (!state.ladderData) return;
+
+        const record = state.historyId ? await LadderHistory.get(state.historyId).catch(() => null) : null;
+        LadderPrint.print(elements.printView, state.ladderData, {
+            title: state.title,
+            date: record ? new Date(record.createdAt) : new Date(),
+            hiddenResults: getHiddenResults()
         });
     }
 
     /**
-     * Handle share button click
+     * Copy the share link
+     * Not while results are covered: the link would reveal them.
+     */
+    async function handleCopyLink() {
+        if (getHiddenResults().length > 0) {
+            showToast(LadderI18n.t('share.linkHidden'), 'error');
+            return;
+        }
+
+        let url;
+        try {
+            url = await LadderShare.generateShareableURL(state.ladderData);
+        } catch (error) {
+            showToast(LadderI18n.t('share.linkFailed'), 'error');
+            return;
+        }
+
+        if (await LadderShare.copyText(url)) {
+            showToast(LadderI18n.t('share.linkCopied'));
+        } else {
+            // Clipboard is unavailable - let the user copy manually
+            window.prompt(LadderI18n.t('share.copyLinkPrompt'), url);
+        }
+    }
+
+    /**
+     * Copy the text summary
+     * Copies the ladder in box-drawing characters (with the highlighted path
+     * marked) and the result table, so the draw can be pasted into a chat.
      */
-    function handleShare() {
-        if (typeof LadderShare !== 'undefined') {
-            LadderShare.share(elements.canvas, state.ladderData);
+    async function handleCopyText() {
+        const hiddenResults = getHiddenResults();
+        const sections = [];
+        if (state.title) {
+            sections.push(state.title);
         }
+        sections.push(LadderTextRenderer.render(state.ladderData, {
+            charset: 'unicode',
+            highlightIndex: state.highlightIndex,
+            hiddenResults: hiddenResults,
+            maxWidth: 64    // Wider ladders wrap into blocks that fit a chat window
+        }));
+        sections.push(LadderTextRenderer.renderTable(state.ladderData, { hiddenResults: hiddenResults }));
+        sections.push(LadderI18n.t('result.seed', { seed: state.ladderData.seed }));
+
+        if (await LadderShare.copyText(sections.join('\n\n'))) {
+            showToast(LadderI18n.t('share.textCopied'));
+        } else {
+            showToast(LadderI18n.t('share.textCopyFailed'), 'error');
+        }
+    }
+
+    /**
+     * Show a short notification at the bottom of the screen
+     * @param {string} message - Message
+     * @param {string} type - 'success' (default) or 'error'
+     */
+    function showToast(message, type = 'success') {
+        const toast = document.createElement('div');
+        toast.className = `toast toast--${type}`;
+        toast.textContent = message;
+        elements.toastRegion.appendChild(toast);
+
+        setTimeout(() => {
+            toast.remove();
+        }, TOAST_DURATION);
     }
 
     /**
-     * Handle reset button click
+     * Handle reset button click (also Escape in the result view)
+     * Starting over ends a running tournament, so that is confirmed first.
      */
     function handleReset() {
+        if (state.tournament && !window.confirm(LadderI18n.t('tournament.confirmEnd'))) return;
+
+        state.tournament = null;
+        updateTournamentBanner();
+        leaveResultView();
+    }
+
+    /**
+     * Discard the current draw and return to the input section
+     */
+    function leaveResultView() {
+        stopAnimation();
+        closeShareMenu();
         state.ladderData = null;
         state.highlightIndex = -1;
+        state.hideResults = false;
+        state.revealed = new Set();
+        state.title = '';
+        state.historyId = null;
+        clearSession();
+        clearURLShareData();
         showInputSection();
     }
 
@@ -476,6 +2463,27 @@
         try {
             localStorage.setItem('ladder-draw-participants', elements.participantsTextarea.value);
             localStorage.setItem('ladder-draw-results', elements.resultsTextarea.value);
+            localStorage.setItem('ladder-draw-fairness', elements.fairnessToggle.checked ? '1' : '0');
+            localStorage.setItem('ladder-draw-hide-results', elements.hideResultsToggle.checked ? '1' : '0');
+            localStorage.setItem('ladder-draw-filler', elements.fillerInput.value);
+            localStorage.setItem('ladder-draw-constraints', elements.constraintsInput.value);
+            localStorage.setItem('ladder-draw-mode', elements.drawMode.value);
+            localStorage.setItem('ladder-draw-team-count', elements.teamCount.value);
+            localStorage.setItem('ladder-draw-locale', LadderI18n.getLocale());
+            localStorage.setItem('ladder-draw-theme', LadderTheme.getPreference());
+            localStorage.setItem('ladder-draw-brand-color', LadderTheme.getBrandColor());
+            localStorage.setItem('ladder-draw-palette', LadderTheme.getPalette());
+        } catch (e) {
+            // Storage might not be available
+        }
+    }
+
+    /**
+     * Save the pending commitment so a reload keeps the published hash
+     */
+    function saveCommitment() {
+        try {
+            localStorage.setItem('ladder-draw-commitment', JSON.stringify(state.commitment));
         } catch (e) {
             // Storage might not be available
         }
@@ -495,11 +2503,74 @@
             if (savedResults) {
                 elements.resultsTextarea.value = savedResults;
             }
+
+            elements.fairnessToggle.checked = localStorage.getItem('ladder-draw-fairness') === '1';
+            elements.hideResultsToggle.checked = localStorage.getItem('ladder-draw-hide-results') === '1';
+            elements.fillerInput.value = localStorage.getItem('ladder-draw-filler') || '';
+            elements.constraintsInput.value = localStorage.getItem('ladder-draw-constraints') || '';
+            elements.drawMode.value = localStorage.getItem('ladder-draw-mode') === 'teams' ? 'teams' : 'results';
+            elements.teamCount.value = localStorage.getItem('ladder-draw-team-count') || elements.teamCount.value;
+            const savedCommitment = JSON.parse(localStorage.getItem('ladder-draw-commitment') || 'null');
+            if (savedCommitment && LadderFairness.verifyCommitment(savedCommitment.secret, savedCommitment.commitment)) {
+                state.commitment = savedCommitment;
+            }
+        } catch (e) {
+            // Storage might not be available
+        }
+    }
+
+    /**
+     * Save the current scratch-mode draw so a reload keeps the revealed state
+     */
+    function saveSession() {
+        try {
+            localStorage.setItem('ladder-draw-session', JSON.stringify({
+                ladderData: Ladder.compactLadderData(state.ladderData),
+                revealed: Array.from(state.revealed),
+                title: state.title,
+                historyId: state.historyId
+            }));
+        } catch (e) {
+            // Storage might not be available
+        }
+    }
+
+    /**
+     * Remove the saved scratch-mode draw
+     */
+    function clearSession() {
+        try {
+            localStorage.removeItem('ladder-draw-session');
         } catch (e) {
             // Storage might not be available
         }
     }
 
+    /**
+     * Restore a saved scratch-mode draw (if any) into the result view
+     */
+    function loadSession() {
+        try {
+            const session = JSON.parse(localStorage.getItem('ladder-draw-session') || 'null');
+            if (!session || !session.ladderData || !Array.isArray(session.ladderData.participants)) {
+                return;
+            }
+
+            presentLadder(Ladder.expandLadderData(session.ladderData), {
+                hideResults: true,
+                revealed: session.revealed,
+                title: session.title,
+                historyId: session.historyId
+            });
+        } catch (e) {
+            // Storage might not be available or the session is corrupted
+            if (e.code === 'LADDER_MISMATCH') {
+                showError(LadderI18n.translateError(e));
+            }
+            clearSession();
+        }
+    }
+
     /**
      * Escape HTML special characters
      * @param {string} text - Text to escape
@@ -0,0 +1,201 @@
+/**
+ * Ladder Draw - Print Layout
+ *
+ * This module handles:
+ * - Splitting a wide ladder into pages by column range (as SVG slices)
+ * - Paginating the participant → result table
+ * - A header on every page with the draw title, date, seed and page number
+ *
+ * The pages are built into the #print-view container and printed with the
+ * browser's print dialog ("PDF로 저장" gives a PDF), so it works offline
+ * without any PDF library. css/print.css shows only the print view while
+ * printing.
+ */
+
+const LadderPrint = (function() {
+    'use strict';
+
+    /**
+     * Page layout configuration
+     */
+    const CONFIG = {
+        COLUMNS_PER_PAGE: 12,       // Most ladder columns on one page (keeps names readable)
+        TABLE_ROWS_PER_PAGE: 30,    // Result table rows per page
+        LADDER_ASPECT_RATIO: 186 / 235, // Width / height of the ladder area on an A4 page (see css/print.css)
+        PRINTING_CLASS: 'is-printing'
+    };
+
+    /**
+     * Split columns into page ranges of nearly equal size
+     * (so the last page does not end up with a single column)
+     * @param {number} numColumns - Number of ladder columns
+     * @returns {Array.<{from: number, to: number}>} Column ranges (to is exclusive)
+     */
+    function getColumnRanges(numColumns) {
+        const pageCount = Math.ceil(numColumns / CONFIG.COLUMNS_PER_PAGE);
+        const size = Math.ceil(numColumns / pageCount);
+        const ranges = [];
+        for (let from = 0; from < numColumns; from += size) {
+            ranges.push({ from: from, to: Math.min(numColumns, from + size) });
+        }
+        return ranges;
+    }
+
+    /**
+     * Format a date for the page header
+     * @param {Date} date - Date
+     * @returns {string} Date and time (e.g. 2026-03-05 14:30)
+     */
+    function formatDate(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+            `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * Create an element with a class and optional text
+     * @param {string} tag - Tag name
+     * @param {string} className - Class name
+     * @param {string} text - Text content (optional)
+     * @returns {HTMLElement}
+     */
+    function createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        element.className = className;
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    }
+
+    /**
+     * Create a page with the common header
+     * @param {Object} header - Header fields
+     * @param {string} header.title - Draw title
+     * @param {string} header.date - Formatted date
+     * @param {string} header.seed - Draw seed
+     * @param {string} subtitle - What this page shows
+     * @returns {HTMLElement} Page element (content goes after the header)
+     */
+    function createPage(header, subtitle) {
+        const page = createElement('section', 'print-page');
+        const head = createElement('header', 'print-page__header');
+        head.appendChild(createElement('h1', 'print-page__title', header.title));
+
+        const meta = createElement('p', 'print-page__meta');
+        meta.appendChild(createElement('span', '', header.date));
+        if (header.seed) {
+            meta.appendChild(createElement('span', '', LadderI18n.t('result.seed', { seed: header.seed })));
+        }
+        meta.appendChild(createElement('span', 'print-page__number'));
+        head.appendChild(meta);
+
+        page.appendChild(head);
+        page.appendChild(createElement('h2', 'print-page__subtitle', subtitle));
+        return page;
+    }
+
+    /**
+     * Build the print pages for a draw
+     * @param {Object} ladderData - The ladder data
+     * @param {Object} options - Print options
+     * @param {string} options.title - Draw title (default: the localized "share.title")
+     * @param {Date} options.date - Date shown in the header (default: now)
+     * @param {number[]} options.hiddenResults - Result indices that are still covered
+     * @returns {HTMLElement[]} Page elements
+     */
+    function createPages(ladderData, options = {}) {
+        const header = {
+            title: options.title || LadderI18n.t('share.title'),
+            date: formatDate(options.date || new Date()),
+            seed: ladderData.seed || ''
+        };
+        const hidden = new Set(options.hiddenResults || []);
+        const numColumns = ladderData.participants.length;
+        const dimensions = LadderRenderer.getDimensions(ladderData);
+        const pages = [];
+
+        // Ladder pages, one column range each
+        getColumnRanges(numColumns).forEach(range => {
+            const subtitle = range.to - range.from < numColumns
+                ? LadderI18n.t('print.ladderRange', { from: range.from + 1, to: range.to, total: numColumns })
+                : LadderI18n.t('print.ladder');
+            const page = createPage(header, subtitle);
+
+            // Tall ladders are squeezed to the page shape instead of shrinking to a thin strip
+            const sliceWidth = (range.to - range.from - 1) * dimensions.columnWidth + LadderRenderer.CONFIG.PADDING_HORIZONTAL * 2;
+            const figure = createElement('div', 'print-page__ladder');
+            figure.innerHTML = LadderSvgRenderer.render(ladderData, {
+                hiddenResults: options.hiddenResults,
+                theme: 'light',     // Paper is white whatever the screen theme
+                fromColumn: range.from,
+                toColumn: range.to,
+                maxHeight: sliceWidth / CONFIG.LADDER_ASPECT_RATIO
+            }).replace(/^<\?xml[^>]*\?>\s*/, '');
+            page.appendChild(figure);
+            pages.push(page);
+        });
+
+        // Result table pages
+        const entries = Ladder.getAllResults(ladderData);
+        const tablePageCount = Math.ceil(entries.length / CONFIG.TABLE_ROWS_PER_PAGE);
+        for (let pageIndex = 0; pageIndex < tablePageCount; pageIndex++) {
+            const start = pageIndex * CONFIG.TABLE_ROWS_PER_PAGE;
+            const pageEntries = entries.slice(start, start + CONFIG.TABLE_ROWS_PER_PAGE);
+            const subtitle = tablePageCount > 1
+                ? LadderI18n.t('print.tablePage', { page: pageIndex + 1, pages: tablePageCount })
+                : LadderI18n.t('print.table');
+            const page = createPage(header, subtitle);
+
+            const table = createElement('table', 'print-table');
+            const headRow = table.createTHead().insertRow();
+            ['table.number', 'table.participant', 'table.result'].forEach(key => {
+                headRow.appendChild(createElement('th', '', LadderI18n.t(key)));
+            });
+
+            const body = table.createTBody();
+            pageEntries.forEach((entry, offset) => {
+                const row = body.insertRow();
+                row.insertCell().textContent = start + offset + 1;
+                row.insertCell().textContent = entry.participant;
+                row.insertCell().textContent = hidden.has(entry.resultIndex) ? '???' : entry.result;
+            });
+
+            page.appendChild(table);
+            pages.push(page);
+        }
+
+        // Page numbers over the whole document
+        pages.forEach((page, index) => {
+            page.querySelector('.print-page__number').textContent = `${index + 1} / ${pages.length}`;
+        });
+
+        return pages;
+    }
+
+    /**
+     * Print a draw with the paginated layout
+     * The print view is cleared again once the print dialog closes.
+     * @param {HTMLElement} container - The print view container
+     * @param {Object} ladderData - The ladder data
+     * @param {Object} options - Print options (see createPages)
+     */
+    function print(container, ladderData, options = {}) {
+        container.replaceChildren(...createPages(ladderData, options));
+        document.body.classList.add(CONFIG.PRINTING_CLASS);
+
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove(CONFIG.PRINTING_CLASS);
+            container.replaceChildren();
+        }, { once: true });
+
+        window.print();
+    }
+
+    // Public API
+    return {
+        getColumnRanges: getColumnRanges,
+        createPages: createPages,
+        print: print
+    };
+})();
@@ -3,42 +3,16 @@
  *
  * This module handles rendering the ladder on HTML5 Canvas
  * with pastel colors for vertical lines and clean styling.
+ * Colors come from the active LadderTheme, so exported images match the screen.
+ * Paths can also be told apart without color: every participant has a numbered
+ * label at both ends, and participants sharing a color get different dash patterns.
+ * Only the part of the ladder in view is drawn; on-screen canvases keep it as a
+ * cached layer and draw highlights and animation frames over it.
  */
 
 const LadderRenderer = (function() {
     'use strict';
 
-    /**
-     * Color for ladder lines (all black)
-     */
-    const LADDER_COLOR = '#000000';
-
-    /**
-     * Highlight color for selected path
-     */
-    const HIGHLIGHT_COLOR = '#E74C3C';
-
-    /**
-     * Pastel colors for participants
-     */
-    const PARTICIPANT_COLORS = [
-        '#E57373', // Red
-        '#64B5F6', // Blue
-        '#81C784', // Green
-        '#FFB74D', // Orange
-        '#BA68C8', // Purple
-        '#4DD0E1', // Cyan
-        '#F06292', // Pink
-        '#AED581', // Light Green
-        '#FFD54F', // Yellow
-        '#7986CB', // Indigo
-        '#4DB6AC', // Teal
-        '#FF8A65', // Deep Orange
-        '#A1887F', // Brown
-        '#90A4AE', // Blue Grey
-        '#9575CD'  // Deep Purple
-    ];
-
     /**
      * Rendering configuration
      */
@@ -54,7 +28,6 @@ const LadderRenderer = (function() {
         // Line styles
         VERTICAL_LINE_WIDTH: 3,
         HORIZONTAL_LINE_WIDTH: 2,
-        HORIZONTAL_LINE_COLOR: '#000000',
 
         // Highlight styles
         HIGHLIGHT_LINE_WIDTH: 6,
@@ -64,7 +37,7 @@ const LadderRenderer = (function() {
         FONT_FAMILY: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Noto Sans KR', sans-serif",
         NAME_FONT_SIZE: 14,
         RESULT_FONT_SIZE: 14,
-        TEXT_COLOR: '#2D3748',
+        LABEL_FONT_SIZE: 11,           // Participant number in the label badges
         MIN_FONT_SIZE: 8,              // Minimum font size for readability
         VERTICAL_TEXT_THRESHOLD: 25,   // Column width below which text is rotated vertically
 
@@ -72,97 +45,768 @@ const LadderRenderer = (function() {
         MIN_WIDTH: 300,
         MAX_WIDTH: 4000,
         MIN_HEIGHT: 300,
-        MAX_HEIGHT: 6000           // Maximum canvas height to prevent rendering failures
+        MAX_HEIGHT: 6000,          // Maximum canvas height to prevent rendering failures
+
+        // Animation
+        ANIMATION_SPEED: 400,      // Path drawing speed in pixels per second (at 1x)
+        ANIMATION_DOT_RADIUS: 7,   // Radius of the moving marker at the head of the path
+        ANIMATION_PAUSE_MS: 400    // Delay between paths when revealing one by one
     };
 
+    /**
+     * Dash patterns for highlighted paths, used in turn once the palette's colors run out
+     * (gaps are wider than the line width so round caps do not close them)
+     */
+    const PATH_DASHES = [
+        [],
+        [14, 10],
+        [0.1, 10],
+        [18, 10, 0.1, 10],
+        [6, 10],
+        [28, 10],
+        [0.1, 10, 0.1, 10, 14, 10]
+    ];
+
+    /**
+     * Geometry of each ladder (dimensions, rungs by row, result owners and traced
+     * paths), computed once per ladder object. Keyed weakly, so it goes away with the ladder.
+     */
+    const geometryCache = new WeakMap();
+
+    /**
+     * Cached ladder layer of each canvas rendered with a view
+     * (canvas -> {layer, ladderData, colors, key}); one layer the size of the view per canvas
+     */
+    const layerCache = new WeakMap();
+
+    /**
+     * Get the cached geometry of a ladder
+     * @param {Object} ladderData - Ladder data
+     * @returns {{dimensions: Object, rungsByRow: number[][], resultOwners: number[], traces: Object[][],
+     *     paths: Object[], highlightPaths: Object[]}}
+     *     rungsByRow holds the fromColumn of every rung per row; resultOwners maps a result column
+     *     to the participant ending there; traces is filled by getTrace(), paths by getPathGeometry()
+     *     and highlightPaths by computeHighlightPath()
+     */
+    function getGeometry(ladderData) {
+        let geometry = geometryCache.get(ladderData);
+        if (geometry) return geometry;
+
+        const rungsByRow = [];
+        for (let row = 0; row < ladderData.rows; row++) {
+            rungsByRow.push([]);
+        }
+        ladderData.horizontalLines.forEach(line => {
+            rungsByRow[line.row].push(line.fromColumn);
+        });
+
+        const resultOwners = [];
+        for (let participantIdx = 0; participantIdx < ladderData.participants.length; participantIdx++) {
+            resultOwners[ladderData.mapping[participantIdx]] = participantIdx;
+        }
+
+        geometry = {
+            dimensions: calculateDimensions(ladderData),
+            rungsByRow: rungsByRow,
+            resultOwners: resultOwners,
+            traces: [],
+            paths: [],
+            highlightPaths: []
+        };
+        geometryCache.set(ladderData, geometry);
+        return geometry;
+    }
+
+    /**
+     * Get a participant's path as traced by Ladder.tracePath (cached)
+     * @param {Object} ladderData - Ladder data
+     * @param {number} index - Participant index
+     * @returns {Array.<{col: number, row: number}>} Positions along the path
+     */
+    function getTrace(ladderData, index) {
+        const geometry = getGeometry(ladderData);
+        if (!geometry.traces[index]) {
+            geometry.traces[index] = Ladder.tracePath(ladderData, index);
+        }
+        return geometry.traces[index];
+    }
+
+    /**
+     * Get a participant's traced path in canvas points (cached)
+     * @param {Object} ladderData - Ladder data
+     * @param {number} index - Participant index
+     * @returns {{points: Array.<{x: number, y: number}>, distances: number[], length: number}}
+     *     Path points, distance along the path to each point, and total length
+     */
+    function getPathGeometry(ladderData, index) {
+        const geometry = getGeometry(ladderData);
+        if (!geometry.paths[index]) {
+            const points = computePathPoints(ladderData, index, geometry.dimensions);
+            const distances = [0];
+            for (let i = 1; i < points.length; i++) {
+                distances.push(distances[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+            }
+            geometry.paths[index] = {
+                points: points,
+                distances: distances,
+                length: distances[distances.length - 1]
+            };
+        }
+        return geometry.paths[index];
+    }
+
+    /**
+     * Binary search for the first index where a condition holds
+     * @param {number} length - Number of items
+     * @param {function(number): boolean} condition - Condition on an index (false...false, true...true)
+     * @returns {number} First index where the condition holds (length if none)
+     */
+    function findFirstIndex(length, condition) {
+        let low = 0;
+        let high = length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (condition(mid)) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Get the points of a path that can show in a region
+     * Paths only ever go down, so the points are sorted by y.
+     * @param {Object} path - Path geometry from getPathGeometry()
+     * @param {Object} region - Visible region
+     * @returns {{start: number, end: number}} Index range of points (the segments reaching into the region included)
+     */
+    function getVisiblePathRange(path, region) {
+        const points = path.points;
+        const margin = CONFIG.HIGHLIGHT_LINE_WIDTH;
+        const start = findFirstIndex(points.length, i => points[i].y >= region.top - margin) - 1;
+        const end = findFirstIndex(points.length, i => points[i].y > region.bottom + margin);
+        return { start: Math.max(0, start), end: Math.min(points.length - 1, end) };
+    }
+
     /**
      * Render the ladder to a canvas
+     * A canvas rendered with a view keeps a layer with the plain ladder in view, so a
+     * new highlight or animation frame only redraws the overlay on top of it. Only the
+     * part of the ladder in view is drawn.
      * @param {HTMLCanvasElement} canvas - The canvas element
      * @param {Object} ladderData - Data from Ladder.generate()
      * @param {Object} options - Rendering options
      * @param {number} options.highlightIndex - Index of participant to highlight (-1 for none)
+     * @param {number} options.pathProgress - Portion of the highlighted path to draw (0-1, default 1)
+     * @param {number[]} options.hiddenResults - Result indices to draw covered (scratch mode)
+     * @param {string} options.theme - Theme to draw with (default: the active theme)
+     * @param {number} options.focusIndex - Participant with keyboard focus, marked with a ring (-1 for none)
+     * @param {Object} options.view - Part of the ladder to draw, from LadderViewport
+     *     ({x, y, scale} in ladder coordinates, {width, height} of the canvas in CSS pixels);
+     *     without it the whole ladder is drawn at 100%
      * @returns {void}
      */
     function render(canvas, ladderData, options = {}) {
-        const ctx = canvas.getContext('2d');
-        const dimensions = calculateDimensions(ladderData);
+        const dimensions = getGeometry(ladderData).dimensions;
+        const colors = LadderTheme.getColors(options.theme);
         const highlightIndex = options.highlightIndex !== undefined ? options.highlightIndex : -1;
+        const pathProgress = options.pathProgress !== undefined ? options.pathProgress : 1;
+        const hiddenResults = options.hiddenResults || [];
+        const view = options.view || { x: 0, y: 0, scale: 1, width: dimensions.width, height: dimensions.height };
+        const region = getVisibleRegion(view);
 
         // Set canvas size (considering device pixel ratio for sharp rendering)
         const dpr = window.devicePixelRatio || 1;
-        canvas.width = dimensions.width * dpr;
-        canvas.height = dimensions.height * dpr;
-        canvas.style.width = dimensions.width + 'px';
-        canvas.style.height = dimensions.height + 'px';
-        ctx.scale(dpr, dpr);
+        setCanvasSize(canvas, view.width, view.height, dpr);
+        const ctx = canvas.getContext('2d');
 
-        // Clear canvas
-        ctx.fillStyle = '#FFFFFF';
-        ctx.fillRect(0, 0, dimensions.width, dimensions.height);
+        if (options.view) {
+            const layer = getLadderLayer(canvas, ladderData, view, dpr, colors, hiddenResults);
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.globalAlpha = 1;
+            ctx.drawImage(layer, 0, 0);
+            applyViewTransform(ctx, view, dpr);
+        } else {
+            applyViewTransform(ctx, view, dpr);
+            drawLadder(ctx, ladderData, region, colors, hiddenResults);
+        }
 
-        // Compute path color map for path-following rendering
-        const pathColorMap = computePathColorMap(ladderData);
+        if (highlightIndex >= 0) {
+            drawHighlight(ctx, ladderData, region, colors, highlightIndex, pathProgress, hiddenResults);
+        }
+        if (options.focusIndex >= 0) {
+            drawFocusRing(ctx, dimensions, options.focusIndex, options.focusIndex === highlightIndex, colors);
+        }
+    }
+
+    /**
+     * Size a canvas for drawing (only touches the bitmap when the size changed,
+     * because resizing clears and reallocates it)
+     * @param {HTMLCanvasElement} canvas - The canvas
+     * @param {number} width - Width in CSS pixels
+     * @param {number} height - Height in CSS pixels
+     * @param {number} dpr - Device pixel ratio
+     */
+    function setCanvasSize(canvas, width, height, dpr) {
+        const pixelWidth = Math.round(width * dpr);
+        const pixelHeight = Math.round(height * dpr);
+        if (canvas.width !== pixelWidth || canvas.height !== pixelHeight) {
+            canvas.width = pixelWidth;
+            canvas.height = pixelHeight;
+        }
+        canvas.style.width = width + 'px';
+        canvas.style.height = height + 'px';
+    }
+
+    /**
+     * Draw in ladder coordinates: the zoom goes into the transform, so text and lines stay sharp
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} view - The view
+     * @param {number} dpr - Device pixel ratio
+     */
+    function applyViewTransform(ctx, view, dpr) {
+        const pixelScale = dpr * view.scale;
+        ctx.setTransform(pixelScale, 0, 0, pixelScale, -view.x * pixelScale, -view.y * pixelScale);
+    }
+
+    /**
+     * Get the part of the ladder a view shows
+     * @param {Object} view - The view
+     * @returns {{left: number, top: number, right: number, bottom: number}} Region in ladder coordinates
+     */
+    function getVisibleRegion(view) {
+        return {
+            left: view.x,
+            top: view.y,
+            right: view.x + view.width / view.scale,
+            bottom: view.y + view.height / view.scale
+        };
+    }
+
+    /**
+     * Get the columns to draw for a region
+     * One extra column on each side, because names, results and badges reach into their neighbours.
+     * @param {Object} region - Visible region
+     * @param {Object} dimensions - Calculated dimensions
+     * @param {number} count - Number of columns
+     * @returns {{first: number, last: number}} Column range (empty when first > last)
+     */
+    function getVisibleColumns(region, dimensions, count) {
+        const first = Math.floor((region.left - dimensions.startX) / dimensions.columnWidth) - 1;
+        const last = Math.ceil((region.right - dimensions.startX) / dimensions.columnWidth) + 1;
+        return { first: Math.max(0, first), last: Math.min(count - 1, last) };
+    }
+
+    /**
+     * Get the rows to draw for a region
+     * @param {Object} region - Visible region
+     * @param {Object} dimensions - Calculated dimensions
+     * @param {number} count - Number of rows
+     * @returns {{first: number, last: number}} Row range (empty when first > last)
+     */
+    function getVisibleRows(region, dimensions, count) {
+        const first = Math.floor((region.top - dimensions.startY) / dimensions.rowHeight);
+        const last = Math.ceil((region.bottom - dimensions.startY) / dimensions.rowHeight);
+        return { first: Math.max(0, first), last: Math.min(count - 1, last) };
+    }
+
+    /**
+     * Get the cached ladder layer of a canvas, redrawing it when the ladder, view,
+     * theme or covered results changed
+     * @param {HTMLCanvasElement} canvas - The on-screen canvas
+     * @param {Object} ladderData - Ladder data
+     * @param {Object} view - The view
+     * @param {number} dpr - Device pixel ratio
+     * @param {Object} colors - Theme colors
+     * @param {number[]} hiddenResults - Result indices to draw covered
+     * @returns {HTMLCanvasElement} Layer with the plain ladder in view (same pixel size as the canvas)
+     */
+    function getLadderLayer(canvas, ladderData, view, dpr, colors, hiddenResults) {
+        const key = [view.x, view.y, view.scale, view.width, view.height, dpr, hiddenResults.join(',')].join('|');
+        const cached = layerCache.get(canvas);
+        if (cached && cached.ladderData === ladderData && cached.colors === colors && cached.key === key) {
+            return cached.layer;
+        }
+
+        const layer = cached ? cached.layer : document.createElement('canvas');
+        setCanvasSize(layer, view.width, view.height, dpr);
+        const ctx = layer.getContext('2d');
+        applyViewTransform(ctx, view, dpr);
+        drawLadder(ctx, ladderData, getVisibleRegion(view), colors, hiddenResults);
+
+        layerCache.set(canvas, { layer: layer, ladderData: ladderData, colors: colors, key: key });
+        return layer;
+    }
+
+    /**
+     * Draw the plain ladder (no highlight) inside a region
+     * @param {CanvasRenderingContext2D} ctx - Canvas context (in ladder coordinates)
+     * @param {Object} ladderData - Ladder data
+     * @param {Object} region - Visible region
+     * @param {Object} colors - Theme colors
+     * @param {number[]} hiddenResults - Result indices to draw covered
+     */
+    function drawLadder(ctx, ladderData, region, colors, hiddenResults) {
+        const geometry = getGeometry(ladderData);
+        const dimensions = geometry.dimensions;
+        const columns = getVisibleColumns(region, dimensions, ladderData.verticalLines);
+        const hidden = new Set(hiddenResults);
 
-        // Compute highlight path if needed
-        const highlightPath = highlightIndex >= 0 ? computeHighlightPath(ladderData, highlightIndex) : null;
-        const highlightColor = highlightIndex >= 0 ? getParticipantColor(highlightIndex) : null;
+        // Clear canvas
+        ctx.fillStyle = colors.background;
+        ctx.fillRect(region.left, region.top, region.right - region.left, region.bottom - region.top);
 
         // Draw components
-        drawParticipantNames(ctx, ladderData, dimensions, highlightIndex, highlightColor);
-        drawVerticalSegments(ctx, ladderData, dimensions, pathColorMap, highlightPath, highlightColor);
-        drawHorizontalLines(ctx, ladderData, dimensions, pathColorMap, highlightPath, highlightColor);
-        drawResults(ctx, ladderData, dimensions, highlightIndex, highlightColor);
+        if (region.top < dimensions.startY) {
+            for (let col = columns.first; col <= columns.last; col++) {
+                drawParticipantName(ctx, ladderData, dimensions, col, false, colors);
+            }
+        }
+        drawVerticalLines(ctx, dimensions, columns, region, colors);
+        drawRungs(ctx, ladderData, geometry, columns, region, colors);
+        if (region.bottom > dimensions.endY) {
+            for (let col = columns.first; col <= columns.last; col++) {
+                drawResult(ctx, ladderData, dimensions, col, false, hidden.has(col), colors);
+            }
+        }
     }
 
     /**
-     * Compute the path segments for a highlighted participant
+     * Draw a participant's highlight over the plain ladder: everything else dimmed,
+     * the path (or its animated part) in the participant's color, name and result emphasized
+     * @param {CanvasRenderingContext2D} ctx - Canvas context (in ladder coordinates)
+     * @param {Object} ladderData - Ladder data
+     * @param {Object} region - Visible region
+     * @param {Object} colors - Theme colors
+     * @param {number} index - Participant index
+     * @param {number} progress - Portion of the path to draw (0-1)
+     * @param {number[]} hiddenResults - Result indices to draw covered
+     */
+    function drawHighlight(ctx, ladderData, region, colors, index, progress, hiddenResults) {
+        const dimensions = getGeometry(ladderData).dimensions;
+        const color = getParticipantColor(index, colors);
+        const dash = getPathDash(index, colors);
+        const isAnimating = progress < 1;
+
+        // A veil of background color dims what is under it exactly like drawing it at DIM_OPACITY;
+        // the results stay undimmed while the path is still on its way down
+        const veilBottom = isAnimating
+            ? Math.min(region.bottom, dimensions.endY + CONFIG.VERTICAL_LINE_WIDTH)
+            : region.bottom;
+        ctx.globalAlpha = 1 - CONFIG.DIM_OPACITY;
+        ctx.fillStyle = colors.background;
+        ctx.fillRect(region.left, region.top, region.right - region.left, veilBottom - region.top);
+        ctx.globalAlpha = 1;
+
+        clearColumnCell(ctx, index, 0, dimensions.startY - CONFIG.VERTICAL_LINE_WIDTH, dimensions, colors);
+        drawParticipantName(ctx, ladderData, dimensions, index, true, colors);
+
+        if (isAnimating) {
+            drawPartialPath(ctx, getPathGeometry(ladderData, index), region, progress, color, dash);
+            return;
+        }
+
+        drawPath(ctx, getPathGeometry(ladderData, index), region, color, dash, colors);
+
+        const resultCol = ladderData.mapping[index];
+        clearColumnCell(ctx, resultCol, dimensions.endY + CONFIG.VERTICAL_LINE_WIDTH, dimensions.height, dimensions, colors);
+        drawResult(ctx, ladderData, dimensions, resultCol, true, hiddenResults.includes(resultCol), colors);
+    }
+
+    /**
+     * Fill one column's share of a band with the background (before redrawing its name or result)
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} col - Column index
+     * @param {number} top - Top of the band
+     * @param {number} bottom - Bottom of the band
+     * @param {Object} dimensions - Calculated dimensions
+     * @param {Object} colors - Theme colors
+     */
+    function clearColumnCell(ctx, col, top, bottom, dimensions, colors) {
+        ctx.fillStyle = colors.background;
+        ctx.fillRect(getColumnX(col, dimensions) - dimensions.columnWidth / 2, top, dimensions.columnWidth, bottom - top);
+    }
+
+    /**
+     * Start a new canvas path along part of a polyline
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Array.<{x: number, y: number}>} points - Polyline points
+     * @param {number} start - First point index
+     * @param {number} end - Last point index
+     */
+    function tracePolyline(ctx, points, start, end) {
+        ctx.beginPath();
+        ctx.moveTo(points[start].x, points[start].y);
+        for (let i = start + 1; i <= end; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
+    }
+
+    /**
+     * Draw the part of a participant's path inside a region
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} path - Path geometry from getPathGeometry()
+     * @param {Object} region - Visible region
+     * @param {string} color - Path color
+     * @param {number[]} dash - Path dash pattern
+     * @param {Object} colors - Theme colors
+     */
+    function drawPath(ctx, path, region, color, dash, colors) {
+        const range = getVisiblePathRange(path, region);
+
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = CONFIG.HIGHLIGHT_LINE_WIDTH;
+
+        // Clear the dimmed line under the gaps of a dashed path
+        if (dash.length > 0) {
+            ctx.strokeStyle = colors.background;
+            tracePolyline(ctx, path.points, range.start, range.end);
+            ctx.stroke();
+        }
+
+        ctx.strokeStyle = color;
+        ctx.setLineDash(dash);
+        ctx.lineDashOffset = path.distances[range.start];  // Same pattern as if drawn from the top
+        tracePolyline(ctx, path.points, range.start, range.end);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.lineDashOffset = 0;
+    }
+
+    /**
+     * Draw a dashed ring around the label badge of the participant with keyboard focus
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} dimensions - Calculated dimensions
+     * @param {number} index - Participant index
+     * @param {boolean} isHighlighted - Whether the participant is also highlighted
+     * @param {Object} colors - Theme colors
+     */
+    function drawFocusRing(ctx, dimensions, index, isHighlighted, colors) {
+        const radius = getLabelRadius(dimensions, isHighlighted) + 6;
+
+        ctx.strokeStyle = colors.text;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.arc(getColumnX(index, dimensions), dimensions.startY - 40, radius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    /**
+     * Convert a traced path into canvas points
      * @param {Object} ladderData - Ladder data
      * @param {number} startCol - Starting column index
-     * @returns {Object} Path info with vertical and horizontal segments
+     * @param {Object} dimensions - Calculated dimensions
+     * @returns {Array.<{x: number, y: number}>} Points along the path (top to bottom)
      */
-    function computeHighlightPath(ladderData, startCol) {
-        const path = {
-            vertical: new Set(),    // "col-row" keys
-            horizontal: new Set()   // "row-fromCol" keys
+    function computePathPoints(ladderData, startCol, dimensions) {
+        const waypoints = getTrace(ladderData, startCol);
+        const points = [];
+
+        waypoints.forEach(point => {
+            let y;
+            if (point.row < 0) {
+                y = dimensions.startY;
+            } else if (point.row >= ladderData.rows) {
+                y = dimensions.endY;
+            } else {
+                y = getRowY(point.row, dimensions);
+            }
+
+            const x = getColumnX(point.col, dimensions);
+            const last = points[points.length - 1];
+            if (!last || last.x !== x || last.y !== y) {
+                points.push({ x: x, y: y });
+            }
+        });
+
+        return points;
+    }
+
+    /**
+     * Draw the first part of a participant's path with a marker at its head
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} path - Path geometry from getPathGeometry()
+     * @param {Object} region - Visible region
+     * @param {number} progress - Portion of the path to draw (0-1)
+     * @param {string} color - Path color
+     * @param {number[]} dash - Path dash pattern
+     */
+    function drawPartialPath(ctx, path, region, progress, color, dash) {
+        const points = path.points;
+        const distance = path.length * Math.min(1, Math.max(0, progress));
+
+        // Last point already passed, and the head somewhere on the segment after it
+        const reached = Math.max(0, findFirstIndex(points.length, i => path.distances[i] > distance) - 1);
+        let head = points[reached];
+        if (reached < points.length - 1) {
+            const next = points[reached + 1];
+            const ratio = (distance - path.distances[reached]) / (path.distances[reached + 1] - path.distances[reached]);
+            head = {
+                x: head.x + (next.x - head.x) * ratio,
+                y: head.y + (next.y - head.y) * ratio
+            };
+        }
+
+        const range = getVisiblePathRange(path, region);
+        if (range.start <= reached) {
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+            ctx.lineWidth = CONFIG.HIGHLIGHT_LINE_WIDTH;
+            ctx.strokeStyle = color;
+            ctx.setLineDash(dash);
+            ctx.lineDashOffset = path.distances[range.start];
+            tracePolyline(ctx, points, range.start, Math.min(reached, range.end));
+            if (reached < range.end) {
+                ctx.lineTo(head.x, head.y);
+            }
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.lineDashOffset = 0;
+        }
+
+        // Moving marker
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(head.x, head.y, CONFIG.ANIMATION_DOT_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    /**
+     * Animate a participant's path segment by segment
+     * @param {HTMLCanvasElement} canvas - The canvas element
+     * @param {Object} ladderData - Ladder data
+     * @param {number} index - Participant index
+     * @param {Object} options - Animation options
+     * @param {number} options.speed - Speed multiplier (default 1)
+     * @param {Object|function(): Object} options.renderOptions - Extra options passed to render()
+     *     (a function is re-evaluated on every frame)
+     * @returns {Object} Controller with pause, resume, skip, cancel, setSpeed and a `finished` promise
+     *     that resolves to true when the path was fully drawn (or skipped) and false when cancelled
+     */
+    function animatePath(canvas, ladderData, index, options = {}) {
+        const totalLength = Math.max(1, getPathGeometry(ladderData, index).length);
+        const renderOptions = options.renderOptions || {};
+        const getRenderOptions = typeof renderOptions === 'function' ? renderOptions : () => renderOptions;
+
+        let speed = options.speed || 1;
+        let progress = 0;
+        let paused = false;
+        let done = false;
+        let frameId = null;
+        let lastTime = null;
+        let resolveFinished;
+        const finished = new Promise(resolve => { resolveFinished = resolve; });
+
+        function draw() {
+            render(canvas, ladderData, Object.assign({}, getRenderOptions(), {
+                highlightIndex: index,
+                pathProgress: progress
+            }));
+        }
+
+        function step(time) {
+            frameId = null;
+            if (lastTime !== null) {
+                const elapsed = (time - lastTime) / 1000;
+                progress = Math.min(1, progress + elapsed * CONFIG.ANIMATION_SPEED * speed / totalLength);
+            }
+            lastTime = time;
+            draw();
+
+            if (progress >= 1) {
+                finish(true);
+            } else {
+                frameId = requestAnimationFrame(step);
+            }
+        }
+
+        function finish(completed) {
+            if (done) return;
+            done = true;
+            if (frameId !== null) {
+                cancelAnimationFrame(frameId);
+                frameId = null;
+            }
+            resolveFinished(completed);
+        }
+
+        frameId = requestAnimationFrame(step);
+
+        return {
+            finished: finished,
+            pause() {
+                if (done || paused) return;
+                paused = true;
+                if (frameId !== null) {
+                    cancelAnimationFrame(frameId);
+                    frameId = null;
+                }
+            },
+            resume() {
+                if (done || !paused) return;
+                paused = false;
+                lastTime = null;
+                frameId = requestAnimationFrame(step);
+            },
+            skip() {
+                if (done) return;
+                progress = 1;
+                draw();
+                finish(true);
+            },
+            cancel() {
+                finish(false);
+            },
+            setSpeed(value) {
+                speed = value;
+            },
+            isPaused() {
+                return paused;
+            }
         };
+    }
 
-        // Create a lookup for horizontal lines by row
-        const linesByRow = {};
-        for (let row = 0; row < ladderData.rows; row++) {
-            linesByRow[row] = [];
+    /**
+     * Animate several participants' paths one after another
+     * @param {HTMLCanvasElement} canvas - The canvas element
+     * @param {Object} ladderData - Ladder data
+     * @param {number[]} indices - Participant indices in reveal order
+     * @param {Object} options - Animation options
+     * @param {number} options.speed - Speed multiplier (default 1)
+     * @param {Object|function(): Object} options.renderOptions - Extra options passed to render()
+     * @param {function(number)} options.onPathStart - Called when a path starts animating
+     * @param {function(number)} options.onPathEnd - Called when a path has been fully drawn
+     * @returns {Object} Controller with the same methods as animatePath();
+     *     skip() finishes the current path and cancel() stops the whole sequence
+     */
+    function animateSequence(canvas, ladderData, indices, options = {}) {
+        let speed = options.speed || 1;
+        let paused = false;
+        let cancelled = false;
+        let current = null;
+        let pauseTimer = null;
+        let wakeUp = null;  // Resolves the current delay or pause wait early
+
+        function wait(ms) {
+            return new Promise(resolve => {
+                wakeUp = resolve;
+                pauseTimer = setTimeout(() => {
+                    pauseTimer = null;
+                    wakeUp = null;
+                    resolve();
+                }, ms);
+            });
         }
-        ladderData.horizontalLines.forEach(line => {
-            linesByRow[line.row].push(line);
-        });
 
-        let currentCol = startCol;
+        function waitWhilePaused() {
+            if (!paused) return Promise.resolve();
+            return new Promise(resolve => { wakeUp = resolve; });
+        }
 
-        for (let row = 0; row < ladderData.rows; row++) {
-            // Mark vertical segment before this row
-            path.vertical.add(`${currentCol}-${row}`);
-
-            // Check for horizontal lines at this row
-            const linesAtRow = linesByRow[row];
-            for (const line of linesAtRow) {
-                if (line.fromColumn === currentCol) {
-                    // Moving right
-                    path.horizontal.add(`${row}-${line.fromColumn}`);
-                    currentCol++;
-                    break;
-                } else if (line.fromColumn === currentCol - 1) {
-                    // Moving left
-                    path.horizontal.add(`${row}-${line.fromColumn}`);
-                    currentCol--;
-                    break;
+        function wake() {
+            if (pauseTimer !== null) {
+                clearTimeout(pauseTimer);
+                pauseTimer = null;
+            }
+            if (wakeUp) {
+                const resolve = wakeUp;
+                wakeUp = null;
+                resolve();
+            }
+        }
+
+        async function run() {
+            for (let i = 0; i < indices.length; i++) {
+                if (i > 0) {
+                    await wait(CONFIG.ANIMATION_PAUSE_MS / speed);
                 }
+                await waitWhilePaused();
+                if (cancelled) return false;
+
+                const index = indices[i];
+                if (options.onPathStart) options.onPathStart(index);
+
+                current = animatePath(canvas, ladderData, index, {
+                    speed: speed,
+                    renderOptions: options.renderOptions
+                });
+                if (paused) current.pause();
+
+                const completed = await current.finished;
+                current = null;
+                if (!completed || cancelled) return false;
+
+                if (options.onPathEnd) options.onPathEnd(index);
             }
+            return true;
         }
 
-        // Mark final vertical segment
-        path.vertical.add(`${currentCol}-${ladderData.rows}`);
-        path.endCol = currentCol;
+        return {
+            finished: run(),
+            pause() {
+                paused = true;
+                if (current) current.pause();
+            },
+            resume() {
+                paused = false;
+                if (current) {
+                    current.resume();
+                } else if (pauseTimer === null) {
+                    wake();
+                }
+            },
+            skip() {
+                if (current) current.skip();
+            },
+            cancel() {
+                cancelled = true;
+                if (current) current.cancel();
+                wake();
+            },
+            setSpeed(value) {
+                speed = value;
+                if (current) current.setSpeed(value);
+            },
+            isPaused() {
+                return paused;
+            }
+        };
+    }
 
-        return path;
+    /**
+     * Get the segments of a participant's path, for highlighting (cached)
+     * Built from the same trace as the canvas paths.
+     * @param {Object} ladderData - Ladder data
+     * @param {number} startCol - Starting column index
+     * @returns {{vertical: Set<string>, horizontal: Set<string>, endCol: number}} Path info:
+     *     vertical holds "col-segment" keys (segment k ends at row k), horizontal "row-fromCol" keys
+     */
+    function computeHighlightPath(ladderData, startCol) {
+        const geometry = getGeometry(ladderData);
+        if (!geometry.highlightPaths[startCol]) {
+            const waypoints = getTrace(ladderData, startCol);
+            const path = {
+                vertical: new Set(),
+                horizontal: new Set()
+            };
+
+            waypoints.forEach((point, i) => {
+                if (point.afterMove) {
+                    path.horizontal.add(`${point.row}-${Math.min(point.col, waypoints[i - 1].col)}`);
+                } else if (point.row >= 0) {
+                    path.vertical.add(`${point.col}-${point.row}`);
+                }
+            });
+            path.endCol = waypoints[waypoints.length - 1].col;
+
+            geometry.highlightPaths[startCol] = path;
+        }
+        return geometry.highlightPaths[startCol];
     }
 
     /**
@@ -212,22 +856,80 @@ const LadderRenderer = (function() {
     }
 
     /**
-     * Get the color for a specific column (all black for normal, red for highlight)
-     * @param {number} columnIndex - The column index
-     * @param {boolean} isHighlighted - Whether this is a highlighted path
+     * Get the participant color for a specific index
+     * @param {number} index - The participant index
+     * @param {Object} colors - Theme colors (default: the active theme)
      * @returns {string} CSS color string
      */
-    function getColumnColor(columnIndex, isHighlighted = false) {
-        return isHighlighted ? HIGHLIGHT_COLOR : LADDER_COLOR;
+    function getParticipantColor(index, colors = LadderTheme.getColors()) {
+        return colors.participants[index % colors.participants.length];
     }
 
     /**
-     * Get the participant color for a specific index
+     * Get the dash pattern of a participant's path
+     * The first round of palette colors is drawn solid; participants who share
+     * a color with an earlier one get the next pattern.
      * @param {number} index - The participant index
-     * @returns {string} CSS color string
+     * @param {Object} colors - Theme colors (default: the active theme)
+     * @returns {number[]} Canvas line dash (empty for a solid line)
      */
-    function getParticipantColor(index) {
-        return PARTICIPANT_COLORS[index % PARTICIPANT_COLORS.length];
+    function getPathDash(index, colors = LadderTheme.getColors()) {
+        return PATH_DASHES[Math.floor(index / colors.participants.length) % PATH_DASHES.length];
+    }
+
+    /**
+     * Get the label shown at both ends of a participant's path
+     * @param {number} index - The participant index
+     * @returns {string} Label (1-based number)
+     */
+    function getParticipantLabel(index) {
+        return String(index + 1);
+    }
+
+    /**
+     * Get the radius of a label badge
+     * @param {Object} dimensions - Calculated dimensions
+     * @param {boolean} isHighlighted - Whether the participant is highlighted
+     * @returns {number} Radius in pixels
+     */
+    function getLabelRadius(dimensions, isHighlighted) {
+        return isHighlighted
+            ? Math.max(9, Math.min(13, dimensions.columnWidth / 3))
+            : Math.max(7, Math.min(11, dimensions.columnWidth / 4));
+    }
+
+    /**
+     * Get the font size of a label so it fits inside its badge
+     * @param {string} label - Label text
+     * @param {number} radius - Badge radius
+     * @returns {number} Font size in pixels
+     */
+    function getLabelFontSize(label, radius) {
+        return Math.min(CONFIG.LABEL_FONT_SIZE, radius * 2.4 / Math.max(2, label.length));
+    }
+
+    /**
+     * Draw a round badge with a participant's label
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - Center X coordinate
+     * @param {number} y - Center Y coordinate
+     * @param {number} radius - Badge radius
+     * @param {number} index - Participant index
+     * @param {string} color - Badge color
+     */
+    function drawLabelBadge(ctx, x, y, radius, index, color) {
+        const label = getParticipantLabel(index);
+
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = LadderTheme.getContrastText(color);
+        ctx.font = `700 ${getLabelFontSize(label, radius)}px ${CONFIG.FONT_FAMILY}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(label, x, y);
     }
 
     /**
@@ -251,226 +953,189 @@ const LadderRenderer = (function() {
     }
 
     /**
-     * Draw participant names at the top
+     * Draw a participant's label badge and name at the top of their column
      * @param {CanvasRenderingContext2D} ctx - Canvas context
      * @param {Object} ladderData - Ladder data
      * @param {Object} dimensions - Calculated dimensions
-     * @param {number} highlightIndex - Index of highlighted participant (-1 for none)
-     * @param {string} highlightColor - Color for highlighted participant (null if none)
+     * @param {number} index - Participant index
+     * @param {boolean} isHighlighted - Whether the participant is highlighted
+     * @param {Object} colors - Theme colors
      */
-    function drawParticipantNames(ctx, ladderData, dimensions, highlightIndex, highlightColor) {
+    function drawParticipantName(ctx, ladderData, dimensions, index, isHighlighted, colors) {
         const useVerticalText = dimensions.columnWidth < CONFIG.VERTICAL_TEXT_THRESHOLD;
         const fontSize = calculateDynamicFontSize(
             dimensions.columnWidth - 10,
             CONFIG.NAME_FONT_SIZE,
             CONFIG.MIN_FONT_SIZE
         );
+        const name = ladderData.participants[index];
+        const x = getColumnX(index, dimensions);
+        const y = dimensions.startY - 15; // Increased spacing from ladder
 
-        ladderData.participants.forEach((name, index) => {
-            const x = getColumnX(index, dimensions);
-            const y = dimensions.startY - 15; // Increased spacing from ladder
-            const isHighlighted = highlightIndex === index;
-            const isDimmed = highlightIndex >= 0 && !isHighlighted;
+        // Get participant color (always use assigned color)
+        const participantColor = getParticipantColor(index, colors);
 
-            // Apply opacity for dimmed items
-            ctx.globalAlpha = isDimmed ? CONFIG.DIM_OPACITY : 1;
+        // Draw numbered badge above name with participant color
+        const circleRadius = getLabelRadius(dimensions, isHighlighted);
+        drawLabelBadge(ctx, x, y - 25, circleRadius, index, participantColor);
 
-            // Get participant color (always use assigned color)
-            const participantColor = getParticipantColor(index);
-
-            // Draw circle above name with participant color
-            ctx.fillStyle = participantColor;
+        // Draw highlight ring for selected participant
+        if (isHighlighted) {
+            ctx.strokeStyle = participantColor;
+            ctx.lineWidth = 3;
             ctx.beginPath();
-            const circleRadius = isHighlighted
-                ? Math.max(6, Math.min(12, dimensions.columnWidth / 4))
-                : Math.max(4, Math.min(8, dimensions.columnWidth / 6));
-            ctx.arc(x, y - 25, circleRadius, 0, Math.PI * 2); // Moved circle higher
-            ctx.fill();
-
-            // Draw highlight ring for selected participant
-            if (isHighlighted) {
-                ctx.strokeStyle = participantColor;
-                ctx.lineWidth = 3;
-                ctx.beginPath();
-                ctx.arc(x, y - 25, circleRadius + 4, 0, Math.PI * 2);
-                ctx.stroke();
-            }
-
-            // Draw name with participant color
-            const fontWeight = isHighlighted ? '800' : '600';
-            const adjustedFontSize = isHighlighted ? fontSize * 1.1 : fontSize;
-            ctx.font = `${fontWeight} ${adjustedFontSize}px ${CONFIG.FONT_FAMILY}`;
-            ctx.fillStyle = participantColor;
+            ctx.arc(x, y - 25, circleRadius + 4, 0, Math.PI * 2);
+            ctx.stroke();
+        }
 
-            if (useVerticalText) {
-                ctx.textAlign = 'left';
-                ctx.textBaseline = 'middle';
-                drawVerticalText(ctx, name, x, y - 2, CONFIG.PADDING_TOP - 25);
-            } else {
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'bottom';
-                const displayName = truncateText(ctx, name, dimensions.columnWidth - 10);
-                ctx.fillText(displayName, x, y);
-            }
+        // Draw name with participant color
+        const fontWeight = isHighlighted ? '800' : '600';
+        const adjustedFontSize = isHighlighted ? fontSize * 1.1 : fontSize;
+        ctx.font = `${fontWeight} ${adjustedFontSize}px ${CONFIG.FONT_FAMILY}`;
+        ctx.fillStyle = participantColor;
 
-            ctx.globalAlpha = 1;
-        });
+        if (useVerticalText) {
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            drawVerticalText(ctx, name, x, y - 2, CONFIG.PADDING_TOP - 25);
+        } else {
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'bottom';
+            const displayName = truncateText(ctx, name, dimensions.columnWidth - 10);
+            ctx.fillText(displayName, x, y);
+        }
     }
 
     /**
-     * Draw vertical line segments (all black, with highlight path in participant color)
+     * Draw the vertical lines of a column range, clipped to a region (one stroke for all)
      * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {Object} ladderData - Ladder data
      * @param {Object} dimensions - Calculated dimensions
-     * @param {Object} pathColorMap - Color map from computePathColorMap (unused, kept for API compatibility)
-     * @param {Object} highlightPath - Highlight path info (null if no highlight)
-     * @param {string} highlightColor - Color for highlighted path (null if none)
+     * @param {Object} columns - Column range from getVisibleColumns()
+     * @param {Object} region - Visible region
+     * @param {Object} colors - Theme colors
      */
-    function drawVerticalSegments(ctx, ladderData, dimensions, pathColorMap, highlightPath, highlightColor) {
-        ctx.lineCap = 'round';
+    function drawVerticalLines(ctx, dimensions, columns, region, colors) {
+        // Clip just outside the region so the round caps of clipped ends stay out of view
+        const top = Math.max(dimensions.startY, region.top - CONFIG.VERTICAL_LINE_WIDTH);
+        const bottom = Math.min(dimensions.endY, region.bottom + CONFIG.VERTICAL_LINE_WIDTH);
+        if (top > bottom) return;
 
-        for (let col = 0; col < ladderData.verticalLines; col++) {
+        ctx.lineCap = 'round';
+        ctx.lineWidth = CONFIG.VERTICAL_LINE_WIDTH;
+        ctx.strokeStyle = colors.line;
+        ctx.beginPath();
+        for (let col = columns.first; col <= columns.last; col++) {
             const x = getColumnX(col, dimensions);
-
-            // Draw segment from top to first row
-            const firstKey = `${col}-0`;
-            const firstIsHighlighted = highlightPath && highlightPath.vertical.has(firstKey);
-            const firstIsDimmed = highlightPath && !firstIsHighlighted;
-
-            ctx.globalAlpha = firstIsDimmed ? CONFIG.DIM_OPACITY : 1;
-            ctx.lineWidth = firstIsHighlighted ? CONFIG.HIGHLIGHT_LINE_WIDTH : CONFIG.VERTICAL_LINE_WIDTH;
-            ctx.strokeStyle = firstIsHighlighted ? highlightColor : LADDER_COLOR;
-            ctx.beginPath();
-            ctx.moveTo(x, dimensions.startY);
-            ctx.lineTo(x, getRowY(0, dimensions));
-            ctx.stroke();
-
-            // Draw segments between rows
-            for (let row = 0; row < ladderData.rows; row++) {
-                // Segment from row i to row i+1 should use key i+1
-                // (segment 0 is top to row 0, segment 1 is row 0 to row 1, etc.)
-                const segmentKey = `${col}-${row + 1}`;
-                const y1 = getRowY(row, dimensions);
-                const y2 = row < ladderData.rows - 1 ? getRowY(row + 1, dimensions) : dimensions.endY;
-
-                const isHighlighted = highlightPath && highlightPath.vertical.has(segmentKey);
-                const isDimmed = highlightPath && !isHighlighted;
-
-                ctx.globalAlpha = isDimmed ? CONFIG.DIM_OPACITY : 1;
-                ctx.lineWidth = isHighlighted ? CONFIG.HIGHLIGHT_LINE_WIDTH : CONFIG.VERTICAL_LINE_WIDTH;
-                ctx.strokeStyle = isHighlighted ? highlightColor : LADDER_COLOR;
-                ctx.beginPath();
-                ctx.moveTo(x, y1);
-                ctx.lineTo(x, y2);
-                ctx.stroke();
-            }
+            ctx.moveTo(x, top);
+            ctx.lineTo(x, bottom);
         }
-
-        ctx.globalAlpha = 1;
+        ctx.stroke();
     }
 
     /**
-     * Draw horizontal lines (the "rungs" of the ladder) - all black, with highlight path in participant color
+     * Draw the horizontal lines (the "rungs" of the ladder) inside a region (one stroke for all)
      * @param {CanvasRenderingContext2D} ctx - Canvas context
      * @param {Object} ladderData - Ladder data
-     * @param {Object} dimensions - Calculated dimensions
-     * @param {Object} pathColorMap - Color map from computePathColorMap (unused, kept for API compatibility)
-     * @param {Object} highlightPath - Highlight path info (null if no highlight)
-     * @param {string} highlightColor - Color for highlighted path (null if none)
+     * @param {Object} geometry - Cached geometry from getGeometry()
+     * @param {Object} columns - Column range from getVisibleColumns()
+     * @param {Object} region - Visible region
+     * @param {Object} colors - Theme colors
      */
-    function drawHorizontalLines(ctx, ladderData, dimensions, pathColorMap, highlightPath, highlightColor) {
-        ctx.lineCap = 'round';
+    function drawRungs(ctx, ladderData, geometry, columns, region, colors) {
+        const dimensions = geometry.dimensions;
+        const rows = getVisibleRows(region, dimensions, ladderData.rows);
 
-        ladderData.horizontalLines.forEach(line => {
-            const x1 = getColumnX(line.fromColumn, dimensions);
-            const x2 = getColumnX(line.fromColumn + 1, dimensions);
-            const y = getRowY(line.row, dimensions);
-
-            const horzKey = `${line.row}-${line.fromColumn}`;
-            const isHighlighted = highlightPath && highlightPath.horizontal.has(horzKey);
-            const isDimmed = highlightPath && !isHighlighted;
-
-            ctx.globalAlpha = isDimmed ? CONFIG.DIM_OPACITY : 1;
-            ctx.lineWidth = isHighlighted ? CONFIG.HIGHLIGHT_LINE_WIDTH : CONFIG.HORIZONTAL_LINE_WIDTH;
-            ctx.strokeStyle = isHighlighted ? highlightColor : LADDER_COLOR;
-            ctx.beginPath();
-            ctx.moveTo(x1, y);
-            ctx.lineTo(x2, y);
-            ctx.stroke();
-        });
-
-        ctx.globalAlpha = 1;
+        ctx.lineCap = 'round';
+        ctx.lineWidth = CONFIG.HORIZONTAL_LINE_WIDTH;
+        ctx.strokeStyle = colors.line;
+        ctx.beginPath();
+        for (let row = rows.first; row <= rows.last; row++) {
+            const y = getRowY(row, dimensions);
+            geometry.rungsByRow[row].forEach(fromColumn => {
+                if (fromColumn + 1 < columns.first || fromColumn > columns.last) return;
+                ctx.moveTo(getColumnX(fromColumn, dimensions), y);
+                ctx.lineTo(getColumnX(fromColumn + 1, dimensions), y);
+            });
+        }
+        ctx.stroke();
     }
 
     /**
-     * Draw results at the bottom
+     * Draw the result at the bottom of a column, with the label badge of the participant ending there
      * @param {CanvasRenderingContext2D} ctx - Canvas context
      * @param {Object} ladderData - Ladder data
      * @param {Object} dimensions - Calculated dimensions
-     * @param {number} highlightIndex - Index of highlighted participant (-1 for none)
-     * @param {string} highlightColor - Color for highlighted result (null if none)
+     * @param {number} index - Result column index
+     * @param {boolean} isHighlighted - Whether the result belongs to the highlighted participant
+     * @param {boolean} isHidden - Whether the result is still covered
+     * @param {Object} colors - Theme colors
      */
-    function drawResults(ctx, ladderData, dimensions, highlightIndex, highlightColor) {
+    function drawResult(ctx, ladderData, dimensions, index, isHighlighted, isHidden, colors) {
         const useVerticalText = dimensions.columnWidth < CONFIG.VERTICAL_TEXT_THRESHOLD;
+        const x = getColumnX(index, dimensions);
+        const y = dimensions.endY + 10;
+
+        if (isHidden) {
+            drawResultCover(ctx, x, y, dimensions, useVerticalText, colors);
+            return;
+        }
+
         const fontSize = calculateDynamicFontSize(
             dimensions.columnWidth - 10,
             CONFIG.RESULT_FONT_SIZE,
             CONFIG.MIN_FONT_SIZE
         );
+        const result = ladderData.results[index];
 
-        // Find which result column is highlighted (based on the participant's ending position)
-        const highlightedResultCol = highlightIndex >= 0 ? ladderData.mapping[highlightIndex] : -1;
+        // Get the participant who ends up at this result position
+        const participantIdx = getGeometry(ladderData).resultOwners[index];
+        const resultColor = getParticipantColor(participantIdx, colors);
 
-        // Create reverse mapping: result column -> participant index
-        const reverseMapping = {};
-        for (let participantIdx = 0; participantIdx < ladderData.participants.length; participantIdx++) {
-            const resultCol = ladderData.mapping[participantIdx];
-            reverseMapping[resultCol] = participantIdx;
-        }
+        // Draw the numbered badge of the participant who ends here
+        const badgeRadius = getLabelRadius(dimensions, isHighlighted);
+        drawLabelBadge(ctx, x, y + badgeRadius, badgeRadius, participantIdx, resultColor);
+        const textY = y + badgeRadius * 2 + 4;
 
-        ladderData.results.forEach((result, index) => {
-            const x = getColumnX(index, dimensions);
-            const y = dimensions.endY + 10;
-            const isHighlighted = index === highlightedResultCol;
-            const isDimmed = highlightIndex >= 0 && !isHighlighted;
+        // Draw result text with matching participant color
+        const fontWeight = isHighlighted ? '900' : '700';
+        const adjustedFontSize = isHighlighted ? fontSize * 1.15 : fontSize;
+        ctx.font = `${fontWeight} ${adjustedFontSize}px ${CONFIG.FONT_FAMILY}`;
+        ctx.fillStyle = resultColor;
 
-            // Get the participant who ends up at this result position
-            const participantIdx = reverseMapping[index];
-            const resultColor = getParticipantColor(participantIdx);
+        if (useVerticalText) {
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'middle';
+            drawVerticalText(ctx, result, x, textY + 2, CONFIG.PADDING_BOTTOM - 20);
+        } else {
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            const displayResult = truncateText(ctx, result, dimensions.columnWidth - 10);
+            ctx.fillText(displayResult, x, textY);
+        }
+    }
 
-            ctx.globalAlpha = isDimmed ? CONFIG.DIM_OPACITY : 1;
+    /**
+     * Draw a cover over a hidden result
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - Column X coordinate
+     * @param {number} y - Top of the result area
+     * @param {Object} dimensions - Calculated dimensions
+     * @param {boolean} useVerticalText - Whether results are drawn vertically
+     * @param {Object} colors - Theme colors
+     */
+    function drawResultCover(ctx, x, y, dimensions, useVerticalText, colors) {
+        const width = Math.max(8, Math.min(56, dimensions.columnWidth - 6));
+        const height = useVerticalText ? CONFIG.PADDING_BOTTOM - 20 : 24;
 
-            // Draw indicator with matching participant color
-            ctx.fillStyle = resultColor;
-            ctx.beginPath();
-            const triangleSize = isHighlighted
-                ? Math.max(5, Math.min(10, dimensions.columnWidth / 5))
-                : Math.max(3, Math.min(6, dimensions.columnWidth / 8));
-            ctx.moveTo(x, y);
-            ctx.lineTo(x - triangleSize, y + triangleSize + 2);
-            ctx.lineTo(x + triangleSize, y + triangleSize + 2);
-            ctx.closePath();
-            ctx.fill();
-
-            // Draw result text with matching participant color
-            const fontWeight = isHighlighted ? '900' : '700';
-            const adjustedFontSize = isHighlighted ? fontSize * 1.15 : fontSize;
-            ctx.font = `${fontWeight} ${adjustedFontSize}px ${CONFIG.FONT_FAMILY}`;
-            ctx.fillStyle = resultColor;
-
-            if (useVerticalText) {
-                ctx.textAlign = 'right';
-                ctx.textBaseline = 'middle';
-                drawVerticalText(ctx, result, x, y + 14, CONFIG.PADDING_BOTTOM - 20);
-            } else {
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'top';
-                const displayResult = truncateText(ctx, result, dimensions.columnWidth - 10);
-                ctx.fillText(displayResult, x, y + 12);
-            }
+        ctx.fillStyle = colors.cover;
+        drawRoundedRect(ctx, x - width / 2, y + 6, width, height, Math.min(6, width / 2));
+        ctx.fill();
 
-            ctx.globalAlpha = 1;
-        });
+        ctx.fillStyle = colors.coverText;
+        ctx.font = `800 ${Math.min(CONFIG.RESULT_FONT_SIZE, width)}px ${CONFIG.FONT_FAMILY}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('?', x, y + 6 + height / 2);
     }
 
     /**
@@ -555,64 +1220,6 @@ const LadderRenderer = (function() {
         ctx.closePath();
     }
 
-    /**
-     * Compute color map for path-following rendering
-     * Each vertical segment and horizontal line is assigned the color of the path passing through it
-     * @param {Object} ladderData - Ladder data
-     * @returns {Object} Color map with vertical and horizontal segment colors
-     */
-    function computePathColorMap(ladderData) {
-        const colorMap = {
-            vertical: {},    // key: "col-row" -> color for segment from row to row+1
-            horizontal: {}   // key: "row-fromCol" -> color
-        };
-
-        // Create a lookup for horizontal lines by row
-        const linesByRow = {};
-        for (let row = 0; row < ladderData.rows; row++) {
-            linesByRow[row] = [];
-        }
-        ladderData.horizontalLines.forEach(line => {
-            linesByRow[line.row].push(line);
-        });
-
-        // Trace each participant's path and assign colors
-        for (let startCol = 0; startCol < ladderData.verticalLines; startCol++) {
-            const color = getColumnColor(startCol);
-            let currentCol = startCol;
-
-            for (let row = 0; row < ladderData.rows; row++) {
-                // Mark vertical segment before this row (from previous row to this row)
-                const vertKey = `${currentCol}-${row}`;
-                colorMap.vertical[vertKey] = color;
-
-                // Check for horizontal lines at this row
-                const linesAtRow = linesByRow[row];
-                for (const line of linesAtRow) {
-                    if (line.fromColumn === currentCol) {
-                        // Moving right - mark horizontal line with this path's color
-                        const horzKey = `${row}-${line.fromColumn}`;
-                        colorMap.horizontal[horzKey] = color;
-                        currentCol++;
-                        break;
-                    } else if (line.fromColumn === currentCol - 1) {
-                        // Moving left - mark horizontal line with this path's color
-                        const horzKey = `${row}-${line.fromColumn}`;
-                        colorMap.horizontal[horzKey] = color;
-                        currentCol--;
-                        break;
-                    }
-                }
-            }
-
-            // Mark final vertical segment (from last row to bottom)
-            const finalKey = `${currentCol}-${ladderData.rows}`;
-            colorMap.vertical[finalKey] = color;
-        }
-
-        return colorMap;
-    }
-
     /**
      * Export canvas as data URL
      * @param {HTMLCanvasElement} canvas - The canvas element
@@ -651,16 +1258,26 @@ const LadderRenderer = (function() {
      * Render the ladder with result summary to a canvas for saving
      * @param {HTMLCanvasElement} sourceCanvas - The source ladder canvas
      * @param {Object} ladderData - The ladder data
+     * @param {Object} options - Export options
+     * @param {number[]} options.hiddenResults - Result indices that are still covered
+     * @param {boolean} options.grouped - Summarize as groups (result -> members) instead of one-to-one
+     * @param {string} options.theme - Theme to draw with (default: the active theme)
      * @returns {HTMLCanvasElement} New canvas with ladder + results
      */
-    function renderWithResults(sourceCanvas, ladderData) {
+    function renderWithResults(sourceCanvas, ladderData, options = {}) {
+        if (options.grouped) {
+            return renderGroupsWithResults(sourceCanvas, ladderData, options);
+        }
+
+        const colors = LadderTheme.getColors(options.theme);
+        const hidden = new Set(options.hiddenResults || []);
         const results = [];
         for (let i = 0; i < ladderData.participants.length; i++) {
             const endCol = ladderData.mapping[i];
             results.push({
                 participant: ladderData.participants[i],
-                result: ladderData.results[endCol],
-                color: getParticipantColor(i)  // Use participant color
+                result: hidden.has(endCol) ? '???' : ladderData.results[endCol],
+                color: getParticipantColor(i, colors)  // Use participant color
             });
         }
 
@@ -683,6 +1300,152 @@ const LadderRenderer = (function() {
         const titleHeight = 30;
         const summaryHeight = titleHeight + rows * (itemHeight + itemMargin) + padding;
 
+        return composeWithSummary(sourceCanvas, summaryHeight, colors, ctx => {
+            // Draw result items
+            const startY = padding + titleHeight;
+
+            results.forEach((item, index) => {
+                const col = index % columns;
+                const row = Math.floor(index / columns);
+
+                const x = startX + col * (itemWidth + itemMargin);
+                const y = startY + row * (itemHeight + itemMargin);
+
+                // Draw background
+                ctx.fillStyle = colors.chip;
+                drawRoundedRect(ctx, x, y, itemWidth, itemHeight, 4);
+                ctx.fill();
+
+                // Draw color indicator
+                ctx.fillStyle = item.color;
+                drawRoundedRect(ctx, x, y, 3, itemHeight, [4, 0, 0, 4]);
+                ctx.fill();
+
+                // Draw single row: "participant → result"
+                ctx.font = `600 11px ${CONFIG.FONT_FAMILY}`;
+                ctx.textAlign = 'left';
+                ctx.textBaseline = 'middle';
+                const centerY = y + itemHeight / 2;
+
+                // Measure and truncate text to fit
+                const arrowWidth = ctx.measureText(' → ').width;
+                const maxNameWidth = (itemWidth - 16 - arrowWidth) / 2;
+
+                ctx.fillStyle = colors.text;
+                const participantText = truncateText(ctx, item.participant, maxNameWidth);
+                ctx.fillText(participantText, x + 10, centerY);
+
+                const nameWidth = ctx.measureText(participantText).width;
+                ctx.fillStyle = colors.mutedText;
+                ctx.fillText(' → ', x + 10 + nameWidth, centerY);
+
+                ctx.font = `700 11px ${CONFIG.FONT_FAMILY}`;
+                ctx.fillStyle = item.color;
+                const resultText = truncateText(ctx, item.result, maxNameWidth);
+                ctx.fillText(resultText, x + 10 + nameWidth + arrowWidth, centerY);
+            });
+        });
+    }
+
+    /**
+     * Render the ladder with a grouped summary (result -> members) for saving
+     * Each group gets a title row with its member count, followed by its members
+     * wrapped to the canvas width. Covered members are listed under "???".
+     * @param {HTMLCanvasElement} sourceCanvas - The source ladder canvas
+     * @param {Object} ladderData - The ladder data
+     * @param {Object} options - Export options
+     * @param {number[]} options.hiddenResults - Result indices that are still covered
+     * @param {string} options.theme - Theme to draw with (default: the active theme)
+     * @returns {HTMLCanvasElement} New canvas with ladder + grouped results
+     */
+    function renderGroupsWithResults(sourceCanvas, ladderData, options = {}) {
+        const colors = LadderTheme.getColors(options.theme);
+        const groups = Ladder.getGroupedResults(ladderData, options.hiddenResults || []);
+
+        const padding = 20;
+        const titleHeight = 30;
+        const groupTitleHeight = 22;
+        const memberHeight = 22;
+        const memberGap = 6;
+        const groupGap = 12;
+        const dpr = window.devicePixelRatio || 1;
+        const sourceWidth = sourceCanvas.width / dpr;
+        const availableWidth = sourceWidth - padding * 2;
+        const maxMemberWidth = Math.min(140, availableWidth);
+
+        // Lay out member chips in rows that fit the available width
+        const measureCtx = document.createElement('canvas').getContext('2d');
+        measureCtx.font = `600 11px ${CONFIG.FONT_FAMILY}`;
+        let summaryHeight = titleHeight;
+        const layouts = groups.map(group => {
+            const chips = [];
+            let x = 0;
+            let line = 0;
+            group.members.forEach(member => {
+                const text = truncateText(measureCtx, member.participant, maxMemberWidth - 20);
+                const width = measureCtx.measureText(text).width + 20;
+                if (x > 0 && x + width > availableWidth) {
+                    x = 0;
+                    line++;
+                }
+                chips.push({ member: member, text: text, x: x, line: line, width: width });
+                x += width + memberGap;
+            });
+            const height = groupTitleHeight + (line + 1) * (memberHeight + memberGap);
+            const layout = { group: group, chips: chips, top: summaryHeight };
+            summaryHeight += height + groupGap;
+            return layout;
+        });
+        summaryHeight += padding;
+
+        return composeWithSummary(sourceCanvas, summaryHeight, colors, ctx => {
+            layouts.forEach(layout => {
+                const top = padding + layout.top;
+                const title = layout.group.result === null ? '???' : layout.group.result;
+
+                // Group title with member count
+                ctx.font = `700 13px ${CONFIG.FONT_FAMILY}`;
+                ctx.fillStyle = colors.text;
+                ctx.textAlign = 'left';
+                ctx.textBaseline = 'top';
+                ctx.fillText(`${truncateText(ctx, title, availableWidth - 40)} (${layout.group.members.length})`, padding, top);
+
+                // Member chips with participant color indicator
+                layout.chips.forEach(chip => {
+                    const x = padding + chip.x;
+                    const y = top + groupTitleHeight + chip.line * (memberHeight + memberGap);
+                    const color = getParticipantColor(chip.member.participantIndex, colors);
+
+                    ctx.fillStyle = colors.chip;
+                    drawRoundedRect(ctx, x, y, chip.width, memberHeight, 4);
+                    ctx.fill();
+
+                    ctx.fillStyle = color;
+                    drawRoundedRect(ctx, x, y, 3, memberHeight, [4, 0, 0, 4]);
+                    ctx.fill();
+
+                    ctx.font = `600 11px ${CONFIG.FONT_FAMILY}`;
+                    ctx.fillStyle = colors.text;
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText(chip.text, x + 10, y + memberHeight / 2);
+                    ctx.textBaseline = 'top';
+                });
+            });
+        });
+    }
+
+    /**
+     * Combine a result summary and the ladder canvas into one image
+     * @param {HTMLCanvasElement} sourceCanvas - The source ladder canvas
+     * @param {number} summaryHeight - Height of the summary area (CSS pixels)
+     * @param {Object} colors - Theme colors
+     * @param {function(CanvasRenderingContext2D)} drawSummary - Draws the summary below the title
+     * @returns {HTMLCanvasElement} New canvas with summary + ladder
+     */
+    function composeWithSummary(sourceCanvas, summaryHeight, colors, drawSummary) {
+        const padding = 20;
+        const dpr = window.devicePixelRatio || 1;
+
         // Create combined canvas
         const sourceWidth = sourceCanvas.width / dpr;
         const sourceHeight = sourceCanvas.height / dpr;
@@ -696,63 +1459,21 @@ const LadderRenderer = (function() {
         ctx.scale(dpr, dpr);
 
         // Fill background
-        ctx.fillStyle = '#FFFFFF';
+        ctx.fillStyle = colors.background;
         ctx.fillRect(0, 0, sourceWidth, totalHeight);
 
-        // Draw "결과" title at the top
+        // Draw the "Results" title at the top
         ctx.font = `700 16px ${CONFIG.FONT_FAMILY}`;
-        ctx.fillStyle = '#2D3748';
+        ctx.fillStyle = colors.text;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'top';
-        ctx.fillText('결과', sourceWidth / 2, padding);
-
-        // Draw result items
-        const startY = padding + titleHeight;
-
-        results.forEach((item, index) => {
-            const col = index % columns;
-            const row = Math.floor(index / columns);
-
-            const x = startX + col * (itemWidth + itemMargin);
-            const y = startY + row * (itemHeight + itemMargin);
-
-            // Draw background
-            ctx.fillStyle = '#F7FAFC';
-            drawRoundedRect(ctx, x, y, itemWidth, itemHeight, 4);
-            ctx.fill();
-
-            // Draw color indicator
-            ctx.fillStyle = item.color;
-            drawRoundedRect(ctx, x, y, 3, itemHeight, [4, 0, 0, 4]);
-            ctx.fill();
-
-            // Draw single row: "participant → result"
-            ctx.font = `600 11px ${CONFIG.FONT_FAMILY}`;
-            ctx.textAlign = 'left';
-            ctx.textBaseline = 'middle';
-            const centerY = y + itemHeight / 2;
+        ctx.fillText(LadderI18n.t('result.results'), sourceWidth / 2, padding);
 
-            // Measure and truncate text to fit
-            const arrowWidth = ctx.measureText(' → ').width;
-            const maxNameWidth = (itemWidth - 16 - arrowWidth) / 2;
-
-            ctx.fillStyle = '#2D3748';
-            const participantText = truncateText(ctx, item.participant, maxNameWidth);
-            ctx.fillText(participantText, x + 10, centerY);
-
-            const nameWidth = ctx.measureText(participantText).width;
-            ctx.fillStyle = '#A0AEC0';
-            ctx.fillText(' → ', x + 10 + nameWidth, centerY);
-
-            ctx.font = `700 11px ${CONFIG.FONT_FAMILY}`;
-            ctx.fillStyle = item.color;
-            const resultText = truncateText(ctx, item.result, maxNameWidth);
-            ctx.fillText(resultText, x + 10 + nameWidth + arrowWidth, centerY);
-        });
+        drawSummary(ctx);
 
         // Draw divider line
         const dividerY = summaryHeight + 10;
-        ctx.strokeStyle = '#E2E8F0';
+        ctx.strokeStyle = colors.divider;
         ctx.lineWidth = 1;
         ctx.beginPath();
         ctx.moveTo(padding, dividerY);
@@ -765,20 +1486,78 @@ const LadderRenderer = (function() {
         return combinedCanvas;
     }
 
+    /**
+     * Stack several rendered canvases into one image, each under a title
+     * @param {Array.<{title: string, canvas: HTMLCanvasElement}>} sections - Sections, top to bottom
+     * @param {Object} options - Export options
+     * @param {string} options.theme - Theme to draw with (default: the active theme)
+     * @returns {HTMLCanvasElement} Combined canvas
+     */
+    function renderStacked(sections, options = {}) {
+        const colors = LadderTheme.getColors(options.theme);
+        const headerHeight = 44;
+        const dpr = window.devicePixelRatio || 1;
+
+        const width = Math.max(...sections.map(section => section.canvas.width / dpr));
+        const height = sections.reduce((sum, section) => sum + headerHeight + section.canvas.height / dpr, 0);
+
+        const combinedCanvas = document.createElement('canvas');
+        combinedCanvas.width = width * dpr;
+        combinedCanvas.height = height * dpr;
+
+        const ctx = combinedCanvas.getContext('2d');
+        ctx.scale(dpr, dpr);
+
+        // Fill background
+        ctx.fillStyle = colors.background;
+        ctx.fillRect(0, 0, width, height);
+
+        let y = 0;
+        sections.forEach((section, index) => {
+            const sectionWidth = section.canvas.width / dpr;
+            const sectionHeight = section.canvas.height / dpr;
+
+            // Divider between sections
+            if (index > 0) {
+                ctx.strokeStyle = colors.divider;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(0, y + 1);
+                ctx.lineTo(width, y + 1);
+                ctx.stroke();
+            }
+
+            // Section title
+            ctx.font = `800 18px ${CONFIG.FONT_FAMILY}`;
+            ctx.fillStyle = colors.accent;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(section.title, width / 2, y + headerHeight / 2);
+            y += headerHeight;
+
+            ctx.drawImage(section.canvas, 0, 0, section.canvas.width, section.canvas.height,
+                (width - sectionWidth) / 2, y, sectionWidth, sectionHeight);
+            y += sectionHeight;
+        });
+
+        return combinedCanvas;
+    }
+
     /**
      * Get participant index from canvas click coordinates
      * @param {HTMLCanvasElement} canvas - The canvas element
      * @param {Object} ladderData - Ladder data
      * @param {number} clientX - Click X coordinate (relative to viewport)
      * @param {number} clientY - Click Y coordinate (relative to viewport)
+     * @param {Object} view - View the canvas was rendered with (see render(); default: whole ladder at 100%)
      * @returns {number} Participant index or -1 if not found
      */
-    function getParticipantIndexFromClick(canvas, ladderData, clientX, clientY) {
+    function getParticipantIndexFromClick(canvas, ladderData, clientX, clientY, view = { x: 0, y: 0, scale: 1 }) {
         const rect = canvas.getBoundingClientRect();
-        const x = clientX - rect.left;
-        const y = clientY - rect.top;
+        const x = view.x + (clientX - rect.left) / view.scale;
+        const y = view.y + (clientY - rect.top) / view.scale;
 
-        const dimensions = calculateDimensions(ladderData);
+        const dimensions = getGeometry(ladderData).dimensions;
 
         // Check if click is in the participant name area (top region)
         const nameAreaTop = 0;
@@ -802,21 +1581,29 @@ const LadderRenderer = (function() {
     /**
      * Get dimensions for a ladder (for external use)
      * @param {Object} ladderData - Ladder data
-     * @returns {Object} Dimensions object
+     * @returns {Object} Dimensions object (cached and shared - do not modify)
      */
     function getDimensions(ladderData) {
-        return calculateDimensions(ladderData);
+        return getGeometry(ladderData).dimensions;
     }
 
     // Public API
     return {
+        CONFIG: CONFIG,
         render: render,
+        animatePath: animatePath,
+        animateSequence: animateSequence,
         renderWithResults: renderWithResults,
+        renderStacked: renderStacked,
         toDataURL: toDataURL,
         toBlob: toBlob,
-        getColumnColor: getColumnColor,
         getParticipantColor: getParticipantColor,
+        getPathDash: getPathDash,
+        getParticipantLabel: getParticipantLabel,
+        getLabelRadius: getLabelRadius,
+        getLabelFontSize: getLabelFontSize,
         getParticipantIndexFromClick: getParticipantIndexFromClick,
-        getDimensions: getDimensions
+        getDimensions: getDimensions,
+        computeHighlightPath: computeHighlightPath
     };
 })();
@@ -0,0 +1,249 @@
+/**
+ * Ladder Draw - Session File
+ *
+ * This module handles:
+ * - Exporting a complete draw (ladder data, title, timestamps, view state) as versioned JSON
+ * - Importing such a file with schema validation
+ * - Checking that the stored horizontal lines really lead to the stored mapping
+ *
+ * Unlike the certificate, a session file stores the ladder itself, so it can
+ * be opened again even when the draw cannot be re-run from its seed.
+ */
+
+const LadderSessionFile = (function() {
+    'use strict';
+
+    /**
+     * Session file format identifiers
+     */
+    const FILE_TYPE = 'ladder-draw-session';
+    const FILE_VERSION = 1;
+
+    /**
+     * Optional draw details, kept so certificates and share links still work after import
+     */
+    const OPTIONAL_FIELDS = ['resultPool', 'filler', 'constraints', 'grouped', 'reveal'];
+
+    /**
+     * Sanity limit when reading untrusted files
+     */
+    const MAX_ROWS = 20000;
+
+    /**
+     * Create an error with a machine-readable code
+     * @param {string} code - Error code
+     * @param {string} message - Human-readable message
+     * @returns {Error} Error with a `code` property
+     */
+    function createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Create a session document for a draw
+     * @param {Object} ladderData - The ladder data
+     * @param {Object} options - Metadata
+     * @param {string} options.title - Title of the draw
+     * @param {string} options.drawnAt - When the draw was made (ISO 8601, optional)
+     * @param {Object} options.view - View state (highlightIndex, hideResults, revealed)
+     * @returns {Object} Session document
+     */
+    function create(ladderData, options = {}) {
+        const ladder = {
+            participants: ladderData.participants,
+            results: ladderData.results,
+            rows: ladderData.rows,
+            horizontalLines: ladderData.horizontalLines.map(line => ({ fromColumn: line.fromColumn, row: line.row })),
+            mapping: ladderData.participants.map((_, index) => ladderData.mapping[index])
+        };
+
+        OPTIONAL_FIELDS.forEach(key => {
+            if (ladderData[key] !== undefined) {
+                ladder[key] = ladderData[key];
+            }
+        });
+
+        const session = {
+            type: FILE_TYPE,
+            version: FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            title: options.title || '',
+            seed: ladderData.seed || '',
+            ladder: ladder
+        };
+        if (options.drawnAt) {
+            session.drawnAt = options.drawnAt;
+        }
+        if (options.view) {
+            session.view = options.view;
+        }
+        return session;
+    }
+
+    /**
+     * Check whether a value is an integer within a range
+     * @param {*} value - Value to check
+     * @param {number} min - Minimum (inclusive)
+     * @param {number} max - Maximum (inclusive)
+     * @returns {boolean}
+     */
+    function isIntegerInRange(value, min, max) {
+        return Number.isInteger(value) && value >= min && value <= max;
+    }
+
+    /**
+     * Check whether a value is an array of non-empty strings
+     * @param {*} value - Value to check
+     * @returns {boolean}
+     */
+    function isNameList(value) {
+        return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim().length > 0);
+    }
+
+    /**
+     * Validate the ladder part of a session document
+     * @param {Object} ladder - Ladder section of the document
+     * @throws {Error} INVALID_SESSION_FILE or MAPPING_MISMATCH
+     */
+    function validateLadder(ladder) {
+        const invalid = detail => createError('INVALID_SESSION_FILE', LadderI18n.t('session.invalidLadder', { detail: detail }));
+
+        if (!ladder || typeof ladder !== 'object') {
+            throw invalid(LadderI18n.t('session.noLadder'));
+        }
+        if (!isNameList(ladder.participants) || !isNameList(ladder.results)) {
+            throw invalid(LadderI18n.t('session.invalidNames'));
+        }
+
+        const validationError = Ladder.validate(ladder.participants, ladder.results);
+        if (validationError) {
+            throw invalid(LadderI18n.translateError(validationError));
+        }
+
+        const numColumns = ladder.participants.length;
+        if (ladder.results.length !== numColumns) {
+            throw invalid(LadderI18n.t('session.resultCount'));
+        }
+        if (!isIntegerInRange(ladder.rows, 1, MAX_ROWS)) {
+            throw invalid(LadderI18n.t('session.invalidRows'));
+        }
+
+        if (!Array.isArray(ladder.horizontalLines)) {
+            throw invalid(LadderI18n.t('session.noLines'));
+        }
+        const occupied = new Set();
+        ladder.horizontalLines.forEach((line, index) => {
+            if (!line || !isIntegerInRange(line.fromColumn, 0, numColumns - 2) || !isIntegerInRange(line.row, 0, ladder.rows - 1)) {
+                throw invalid(LadderI18n.t('session.lineOutside', { number: index + 1 }));
+            }
+            // Two lines sharing a rail end on the same row would make the path ambiguous
+            const ends = [`${line.row}-${line.fromColumn}`, `${line.row}-${line.fromColumn + 1}`];
+            if (ends.some(end => occupied.has(end))) {
+                throw invalid(LadderI18n.t('session.lineOverlap', { number: index + 1 }));
+            }
+            ends.forEach(end => occupied.add(end));
+        });
+
+        if (!Array.isArray(ladder.mapping) || ladder.mapping.length !== numColumns ||
+            !ladder.mapping.every(value => isIntegerInRange(value, 0, numColumns - 1)) ||
+            new Set(ladder.mapping).size !== numColumns) {
+            throw invalid(LadderI18n.t('session.invalidMapping'));
+        }
+
+        // The stored result of every participant must be where their path actually ends
+        const mismatched = ladder.participants.filter((_, index) => {
+            const path = Ladder.tracePath(ladder, index);
+            return path[path.length - 1].col !== ladder.mapping[index];
+        });
+        if (mismatched.length > 0) {
+            throw createError('MAPPING_MISMATCH',
+                LadderI18n.t('session.mappingMismatch', { names: mismatched.join(', ') }));
+        }
+    }
+
+    /**
+     * Check the optional view state against the ladder
+     * Invalid view state is dropped instead of rejecting the whole file.
+     * @param {*} view - View section of the document
+     * @param {number} numColumns - Number of participants
+     * @returns {{highlightIndex: number, hideResults: boolean, revealed: number[]}|null} View state
+     */
+    function sanitizeView(view, numColumns) {
+        if (!view || typeof view !== 'object') return null;
+
+        return {
+            highlightIndex: isIntegerInRange(view.highlightIndex, 0, numColumns - 1) ? view.highlightIndex : -1,
+            hideResults: view.hideResults === true,
+            revealed: Array.isArray(view.revealed)
+                ? view.revealed.filter(index => isIntegerInRange(index, 0, numColumns - 1))
+                : []
+        };
+    }
+
+    /**
+     * Read a session file
+     * @param {string} text - File contents
+     * @returns {{ladderData: Object, title: string, drawnAt: string|null, exportedAt: string|null, view: Object|null}}
+     * @throws {Error} With code INVALID_SESSION_FILE, UNSUPPORTED_VERSION or MAPPING_MISMATCH
+     */
+    function parse(text) {
+        let session;
+        try {
+            session = JSON.parse(text);
+        } catch (error) {
+            throw createError('INVALID_SESSION_FILE', LadderI18n.t('session.notJson'));
+        }
+
+        if (!session || session.type !== FILE_TYPE) {
+            throw createError('INVALID_SESSION_FILE', LadderI18n.t('session.notSessionFile'));
+        }
+        if (!Number.isInteger(session.version) || session.version < 1) {
+            throw createError('INVALID_SESSION_FILE', LadderI18n.t('session.invalidVersion'));
+        }
+        if (session.version > FILE_VERSION) {
+            throw createError('UNSUPPORTED_VERSION', LadderI18n.t('session.newerVersion'));
+        }
+
+        const ladder = session.ladder;
+        validateLadder(ladder);
+
+        const numColumns = ladder.participants.length;
+        const mapping = {};
+        ladder.mapping.forEach((resultIndex, participantIndex) => {
+            mapping[participantIndex] = resultIndex;
+        });
+
+        const ladderData = {
+            participants: ladder.participants,
+            results: ladder.results,
+            verticalLines: numColumns,
+            rows: ladder.rows,
+            horizontalLines: ladder.horizontalLines.map(line => ({ fromColumn: line.fromColumn, row: line.row })),
+            mapping: mapping
+        };
+        if (typeof session.seed === 'string' && session.seed) {
+            ladderData.seed = session.seed;
+        }
+        OPTIONAL_FIELDS.forEach(key => {
+            if (ladder[key] !== undefined) {
+                ladderData[key] = ladder[key];
+            }
+        });
+
+        return {
+            ladderData: ladderData,
+            title: typeof session.title === 'string' ? session.title : '',
+            drawnAt: typeof session.drawnAt === 'string' ? session.drawnAt : null,
+            exportedAt: typeof session.exportedAt === 'string' ? session.exportedAt : null,
+            view: sanitizeView(session.view, numColumns)
+        };
+    }
+
+    // Public API
+    return {
+        create: create,
+        parse: parse
+    };
+})();
@@ -2,7 +2,12 @@
  * Ladder Draw - Save Functionality
  *
  * This module handles:
- * - Exporting ladder results as images (with result table)
+ * - Exporting ladder results as images (with result table), PNG or SVG
+ * - Copying the result image or text to the clipboard, and the native share sheet
+ * - Exporting the draw certificate alongside the image
+ * - Exporting the whole draw as a session file
+ * - Exporting the result list as a spreadsheet (CSV or XLSX)
+ * - Share links that reproduce the exact ladder
  * - Download functionality
  */
 
@@ -13,37 +18,80 @@ const LadderShare = (function() {
      * Save the ladder result with results table
      * @param {HTMLCanvasElement} canvas - The rendered canvas
      * @param {Object} ladderData - The ladder data
+     * @param {Object} options - Export options
+     * @param {number[]} options.hiddenResults - Result indices that are still covered
+     * @param {boolean} options.grouped - Summarize as groups (result -> members)
+     * @returns {Promise<void>}
+     * @throws {Error} If the image or certificate cannot be created
      */
-    async function share(canvas, ladderData) {
-        const filename = generateFilename();
+    async function share(canvas, ladderData, options = {}) {
+        const timestamp = generateTimestamp();
+        const hasHiddenResults = options.hiddenResults && options.hiddenResults.length > 0;
 
         // Create combined canvas with results
-        const combinedCanvas = LadderRenderer.renderWithResults(canvas, ladderData);
+        const combinedCanvas = LadderRenderer.renderWithResults(canvas, ladderData, options);
 
         // Download the image
-        downloadImage(combinedCanvas, filename);
+        downloadImage(combinedCanvas, createFilename('result', 'png', timestamp));
+
+        // Download the certificate so the draw can be re-checked later
+        // (skipped while results are covered, since it contains the full mapping)
+        if (ladderData.seed && !hasHiddenResults) {
+            downloadCertificate(ladderData, createFilename('certificate', 'json', timestamp));
+        }
+    }
+
+    /**
+     * Save the ladder and result table as a vector image (for print and slides)
+     * @param {Object} ladderData - The ladder data
+     * @param {Object} options - Export options
+     * @param {number} options.highlightIndex - Participant whose path is highlighted (-1 for none)
+     * @param {number[]} options.hiddenResults - Result indices that are still covered
+     * @param {boolean} options.grouped - Summarize as groups (result -> members)
+     */
+    function shareSVG(ladderData, options = {}) {
+        const svg = LadderSvgRenderer.renderWithResults(ladderData, options);
+        const blob = new Blob([svg], { type: 'image/svg+xml' });
+        downloadBlob(blob, createFilename('result', 'svg'));
     }
 
     /**
-     * Check if Web Share API is available and supports files
+     * Save every round of a tournament as one image
+     * @param {Object} tournament - Tournament (see LadderTournament)
+     */
+    function shareTournament(tournament) {
+        const combinedCanvas = LadderTournament.renderCombined(tournament);
+        downloadImage(combinedCanvas, createFilename('tournament', 'png'));
+    }
+
+    /**
+     * Check if the native share sheet can share image files
      * @returns {boolean}
      */
     function canUseWebShare() {
-        return navigator.share && navigator.canShare;
+        if (!navigator.share || !navigator.canShare) {
+            return false;
+        }
+        try {
+            return navigator.canShare({ files: [new File([''], 'ladder.png', { type: 'image/png' })] });
+        } catch (error) {
+            return false;
+        }
     }
 
     /**
      * Share via Web Share API
      * @param {HTMLCanvasElement} canvas - The canvas element
      * @param {string} filename - Filename for the shared file
+     * @param {string} title - Share title (default: the localized "share.title")
      */
-    async function shareViaWebShare(canvas, filename) {
+    async function shareViaWebShare(canvas, filename, title) {
         const blob = await LadderRenderer.toBlob(canvas);
         const file = new File([blob], filename, { type: 'image/png' });
 
         const shareData = {
-            title: '사다리 타기 결과',
-            text: '사다리 타기 결과를 확인하세요!',
+            title: title || LadderI18n.t('share.title'),
+            text: LadderI18n.t('share.text'),
             files: [file]
         };
 
@@ -61,6 +109,30 @@ const LadderShare = (function() {
         }
     }
 
+    /**
+     * Share the result image through the native share sheet
+     * Falls back to downloading the image when sharing fails.
+     * @param {HTMLCanvasElement} canvas - The rendered canvas
+     * @param {Object} ladderData - The ladder data
+     * @param {Object} options - Export options (hiddenResults, grouped, title)
+     * @returns {Promise<string>} 'shared', 'cancelled' (share sheet closed) or 'downloaded'
+     */
+    async function shareNative(canvas, ladderData, options = {}) {
+        const combinedCanvas = LadderRenderer.renderWithResults(canvas, ladderData, options);
+        const filename = createFilename('result', 'png');
+
+        try {
+            await shareViaWebShare(combinedCanvas, filename, options.title);
+            return 'shared';
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return 'cancelled';
+            }
+            downloadImage(combinedCanvas, filename);
+            return 'downloaded';
+        }
+    }
+
     /**
      * Download the canvas as an image file
      * @param {HTMLCanvasElement} canvas - The canvas element
@@ -80,15 +152,88 @@ const LadderShare = (function() {
     }
 
     /**
-     * Generate a filename with timestamp
-     * @returns {string} Filename
+     * Download the draw certificate as a JSON file
+     * @param {Object} ladderData - The ladder data
+     * @param {string} filename - Filename for download
+     */
+    function downloadCertificate(ladderData, filename) {
+        const certificate = LadderCertificate.create(ladderData);
+        const blob = new Blob([JSON.stringify(certificate, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, filename);
+    }
+
+    /**
+     * Download the whole draw as a session file (can be opened again later)
+     * @param {Object} ladderData - The ladder data
+     * @param {Object} options - Metadata (title, drawnAt, view), see LadderSessionFile.create
+     */
+    function downloadSession(ladderData, options = {}) {
+        const session = LadderSessionFile.create(ladderData, options);
+        const blob = new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, createFilename('session', 'json'));
+    }
+
+    /**
+     * Download the result list as a spreadsheet
+     * @param {Object} ladderData - The ladder data
+     * @param {string} format - 'csv' or 'xlsx'
+     * @param {Object} options - Export options (title, date, hiddenResults), see LadderSpreadsheet.createRows
+     */
+    function downloadSpreadsheet(ladderData, format, options = {}) {
+        const blob = format === 'xlsx'
+            ? LadderSpreadsheet.createXlsx(ladderData, options)
+            : LadderSpreadsheet.createCsv(ladderData, options);
+        downloadBlob(blob, createFilename('result', format === 'xlsx' ? 'xlsx' : 'csv'));
+    }
+
+    /**
+     * Download a Blob as a file
+     * @param {Blob} blob - File content
+     * @param {string} filename - Filename for download
+     */
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Release the object URL after the download has started
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Generate a timestamp for filenames
+     * @returns {string} Timestamp (e.g. 2026-01-31T12-00-00)
      */
-    function generateFilename() {
+    function generateTimestamp() {
         const now = new Date();
-        const timestamp = now.toISOString()
+        return now.toISOString()
             .replace(/[:.]/g, '-')
             .slice(0, 19);
-        return `ladder-result-${timestamp}.png`;
+    }
+
+    /**
+     * Create a download filename in the current language
+     * @param {string} kind - 'result', 'certificate', 'session' or 'tournament'
+     * @param {string} extension - File extension
+     * @param {string} timestamp - Timestamp to use (default: now)
+     * @returns {string} Filename (e.g. ladder-result-2026-01-31T12-00-00.png)
+     */
+    function createFilename(kind, extension, timestamp) {
+        return `${LadderI18n.t(`file.${kind}`)}-${timestamp || generateTimestamp()}.${extension}`;
+    }
+
+    /**
+     * Check if the browser can copy images to the clipboard
+     * @returns {boolean}
+     */
+    function canCopyImage() {
+        return !!(navigator.clipboard && navigator.clipboard.write && typeof ClipboardItem !== 'undefined');
     }
 
     /**
@@ -97,81 +242,543 @@ const LadderShare = (function() {
      * @returns {Promise<boolean>} Success status
      */
     async function copyToClipboard(canvas) {
-        if (!navigator.clipboard || !navigator.clipboard.write) {
+        if (!canCopyImage()) {
             return false;
         }
 
         try {
-            const blob = await LadderRenderer.toBlob(canvas);
-            const item = new ClipboardItem({ 'image/png': blob });
+            // Pass the blob as a promise so the write starts within the click (Safari requires this)
+            const item = new ClipboardItem({ 'image/png': LadderRenderer.toBlob(canvas) });
             await navigator.clipboard.write([item]);
             return true;
         } catch (error) {
-            console.error('Failed to copy to clipboard:', error);
             return false;
         }
     }
 
     /**
-     * Generate a shareable URL with encoded data
-     * Note: This creates a URL that can be used to recreate the ladder
+     * Copy the result image (ladder with result table) to the clipboard
+     * Browsers that cannot copy images get the image as a download instead.
+     * @param {HTMLCanvasElement} canvas - The rendered canvas
      * @param {Object} ladderData - The ladder data
-     * @returns {string|null} Shareable URL or null if too long
+     * @param {Object} options - Export options (hiddenResults, grouped)
+     * @returns {Promise<string>} 'copied', 'downloaded' or 'failed'
      */
-    function generateShareableURL(ladderData) {
-        try {
-            const data = {
-                p: ladderData.participants,
-                r: ladderData.results
-            };
+    async function copyImage(canvas, ladderData, options = {}) {
+        const combinedCanvas = LadderRenderer.renderWithResults(canvas, ladderData, options);
 
-            const encoded = btoa(encodeURIComponent(JSON.stringify(data)));
-
-            // Check URL length (most browsers support ~2000 chars)
-            const url = `${window.location.origin}${window.location.pathname}?data=${encoded}`;
+        if (!canCopyImage()) {
+            downloadImage(combinedCanvas, createFilename('result', 'png'));
+            return 'downloaded';
+        }
+        return await copyToClipboard(combinedCanvas) ? 'copied' : 'failed';
+    }
 
-            if (url.length > 2000) {
-                return null; // Too long for URL
+    /**
+     * Copy text to the clipboard
+     * Falls back to a hidden textarea and execCommand where the Clipboard API
+     * is missing or blocked (e.g. pages served over plain HTTP).
+     * @param {string} text - Text to copy
+     * @returns {Promise<boolean>} Success status
+     */
+    async function copyText(text) {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            try {
+                await navigator.clipboard.writeText(text);
+                return true;
+            } catch (error) {
+                // Blocked or denied - try the textarea below
             }
+        }
+
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
 
-            return url;
+        let copied = false;
+        try {
+            copied = document.execCommand('copy');
         } catch (error) {
-            console.error('Failed to generate shareable URL:', error);
-            return null;
+            copied = false;
         }
+        document.body.removeChild(textarea);
+        return copied;
+    }
+
+    /**
+     * Share link payload format
+     */
+    const SHARE_FORMAT_VERSION = 1;
+    const SHARE_FLAG_SEED = 1;          // Payload ends with the seed string
+    const SHARE_FLAG_SEEDED_LINES = 2;  // Lines are regenerated from the seed (checksum instead of bitmap)
+    const SHARE_FLAG_RESULT_POOL = 4;   // Payload ends with the original result pool and filler label
+    const SHARE_FLAG_CONSTRAINTS = 8;   // Payload ends with the draw constraints (JSON)
+    const SHARE_FLAG_GROUPED = 16;      // Results are shown grouped (team split), no payload
+    const SHARE_CODEC_RAW = 0;          // Payload stored as-is
+    const SHARE_CODEC_DEFLATE = 1;      // Payload compressed with deflate-raw
+    const SHARE_MAX_COLUMNS = 1000;     // Sanity limits when decoding untrusted links
+    const SHARE_MAX_ROWS = 20000;
+
+    /**
+     * Generate a shareable URL that reproduces the exact ladder
+     * The ladder (names, rows, horizontal lines and seed) is packed into a compact
+     * binary form, compressed when the browser supports it, and stored in the URL hash.
+     * @param {Object} ladderData - The ladder data
+     * @returns {Promise<string>} Shareable URL
+     * @throws {Error} If the ladder cannot be encoded (e.g. a name is too long)
+     */
+    async function generateShareableURL(ladderData) {
+        const payload = encodeLadder(ladderData);
+        const compressed = await compressBytes(payload);
+
+        // Keep whichever is smaller; the first byte tells the decoder which codec was used
+        const useCompressed = compressed && compressed.length < payload.length;
+        const body = useCompressed ? compressed : payload;
+        const bytes = new Uint8Array(body.length + 1);
+        bytes[0] = useCompressed ? SHARE_CODEC_DEFLATE : SHARE_CODEC_RAW;
+        bytes.set(body, 1);
+
+        return `${window.location.origin}${window.location.pathname}#d=${bytesToBase64Url(bytes)}`;
     }
 
     /**
      * Parse data from a shareable URL
+     * Supports exact-ladder links (#d=...) and legacy input-only links (?data=...).
      * @param {string} urlString - The URL to parse
-     * @returns {Object|null} Parsed data or null if invalid
+     * @returns {Promise<Object|null>} {participants, results, ladderData} (ladderData is null
+     *     for legacy links) or null if the URL carries no share data
+     * @throws {Error} If the share data is damaged or cut off
      */
-    function parseShareableURL(urlString) {
-        try {
-            const url = new URL(urlString);
-            const encoded = url.searchParams.get('data');
+    async function parseShareableURL(urlString) {
+        const url = new URL(urlString);
+        const hashParams = new URLSearchParams(url.hash.slice(1));
+        const encoded = hashParams.get('d');
 
-            if (!encoded) {
-                return null;
+        if (encoded) {
+            const bytes = base64UrlToBytes(encoded);
+            let payload = bytes.subarray(1);
+            if (bytes[0] === SHARE_CODEC_DEFLATE) {
+                payload = await decompressBytes(payload);
+            } else if (bytes[0] !== SHARE_CODEC_RAW) {
+                throw new Error(`Unknown share codec: ${bytes[0]}`);
             }
 
-            const decoded = JSON.parse(decodeURIComponent(atob(encoded)));
-
+            const ladderData = decodeLadder(payload);
             return {
-                participants: decoded.p,
-                results: decoded.r
+                participants: ladderData.participants,
+                results: ladderData.results,
+                ladderData: ladderData
             };
-        } catch (error) {
-            console.error('Failed to parse shareable URL:', error);
+        }
+
+        // Legacy links only carried the inputs
+        const legacy = url.searchParams.get('data');
+        if (!legacy) {
             return null;
         }
+
+        const decoded = JSON.parse(decodeURIComponent(atob(legacy)));
+
+        return {
+            participants: decoded.p,
+            results: decoded.r,
+            ladderData: null
+        };
+    }
+
+    /**
+     * Pack ladder data into bytes
+     * Layout: version, flags, column count, participants, results, row count,
+     * then either the horizontal line bitmap (one bit per row and column gap) or,
+     * when the seed regenerates the same ladder, a checksum of that bitmap;
+     * then the optional seed, the optional result pool with its filler label
+     * and the optional draw constraints.
+     * @param {Object} ladderData - The ladder data
+     * @returns {Uint8Array} Encoded ladder
+     */
+    function encodeLadder(ladderData) {
+        const writer = createByteWriter();
+        const numColumns = ladderData.verticalLines;
+        const bitmap = createLineBitmap(ladderData.horizontalLines, ladderData.rows, numColumns);
+        const seededLines = isReproducibleFromSeed(ladderData, bitmap);
+
+        let flags = 0;
+        if (ladderData.seed) flags |= SHARE_FLAG_SEED;
+        if (seededLines) flags |= SHARE_FLAG_SEEDED_LINES;
+        if (ladderData.resultPool) flags |= SHARE_FLAG_RESULT_POOL;
+        if (ladderData.constraints) flags |= SHARE_FLAG_CONSTRAINTS;
+        if (ladderData.grouped) flags |= SHARE_FLAG_GROUPED;
+
+        writer.byte(SHARE_FORMAT_VERSION);
+        writer.byte(flags);
+
+        writer.varint(numColumns);
+        ladderData.participants.forEach(name => writer.string(name));
+        writer.varint(ladderData.results.length);
+        ladderData.results.forEach(result => writer.string(result));
+
+        writer.varint(ladderData.rows);
+        if (seededLines) {
+            writer.uint32(checksum(bitmap));
+        } else {
+            writer.bytes(bitmap);
+        }
+
+        if (ladderData.seed) {
+            writer.string(ladderData.seed);
+        }
+
+        if (ladderData.resultPool) {
+            writer.varint(ladderData.resultPool.length);
+            ladderData.resultPool.forEach(result => writer.string(result));
+            writer.string(ladderData.filler || '');
+        }
+
+        if (ladderData.constraints) {
+            writer.string(JSON.stringify(ladderData.constraints));
+        }
+
+        return writer.toBytes();
+    }
+
+    /**
+     * Unpack ladder data from bytes and rebuild the mapping by tracing the lines
+     * @param {Uint8Array} bytes - Encoded ladder
+     * @returns {Object} Ladder data
+     */
+    function decodeLadder(bytes) {
+        const reader = createByteReader(bytes);
+
+        const version = reader.byte();
+        if (version !== SHARE_FORMAT_VERSION) {
+            throw new Error(`Unsupported share format version: ${version}`);
+        }
+        const flags = reader.byte();
+
+        const numColumns = reader.varint();
+        if (numColumns < 2 || numColumns > SHARE_MAX_COLUMNS) {
+            throw new Error(`Invalid column count: ${numColumns}`);
+        }
+        const participants = [];
+        for (let i = 0; i < numColumns; i++) {
+            participants.push(reader.string());
+        }
+        const numResults = reader.varint();
+        if (numResults !== numColumns) {
+            throw new Error(`Result count ${numResults} does not match column count ${numColumns}`);
+        }
+        const results = [];
+        for (let i = 0; i < numResults; i++) {
+            results.push(reader.string());
+        }
+
+        const rows = reader.varint();
+        if (rows < 1 || rows > SHARE_MAX_ROWS) {
+            throw new Error(`Invalid row count: ${rows}`);
+        }
+
+        const gaps = numColumns - 1;
+        const seededLines = (flags & SHARE_FLAG_SEEDED_LINES) !== 0;
+        const expectedChecksum = seededLines ? reader.uint32() : 0;
+        const bitmap = seededLines ? null : reader.bytes(Math.ceil(rows * gaps / 8));
+        const seed = flags & SHARE_FLAG_SEED ? reader.string() : undefined;
+
+        let resultPool = null;
+        let filler = undefined;
+        if (flags & SHARE_FLAG_RESULT_POOL) {
+            const poolSize = reader.varint();
+            if (poolSize > SHARE_MAX_ROWS) {
+                throw new Error(`Invalid result pool size: ${poolSize}`);
+            }
+            resultPool = [];
+            for (let i = 0; i < poolSize; i++) {
+                resultPool.push(reader.string());
+            }
+            filler = reader.string() || undefined;
+        }
+        const constraints = flags & SHARE_FLAG_CONSTRAINTS ? JSON.parse(reader.string()) : undefined;
+
+        let horizontalLines = [];
+        if (seededLines) {
+            // Regenerate from the seed and make sure it is really the same ladder
+            const regenerated = Ladder.generate(participants, resultPool || results, {
+                seed: seed,
+                filler: filler,
+                constraints: constraints
+            });
+            const regeneratedBitmap = createLineBitmap(regenerated.horizontalLines, regenerated.rows, numColumns);
+            if (regenerated.rows !== rows || checksum(regeneratedBitmap) !== expectedChecksum) {
+                throw new Error('Seed does not reproduce the shared ladder');
+            }
+            horizontalLines = regenerated.horizontalLines;
+        } else {
+            for (let row = 0; row < rows; row++) {
+                let previousCol = -2;
+                for (let col = 0; col < gaps; col++) {
+                    const bit = row * gaps + col;
+                    if (bitmap[bit >> 3] & (0x80 >> (bit & 7))) {
+                        // Two rungs sharing a rail in one row make the path ambiguous
+                        if (col === previousCol + 1) {
+                            throw new Error(`Overlapping lines in row ${row}`);
+                        }
+                        horizontalLines.push({ fromColumn: col, row: row });
+                        previousCol = col;
+                    }
+                }
+            }
+        }
+
+        const ladderData = {
+            participants: participants,
+            results: results,
+            verticalLines: numColumns,
+            rows: rows,
+            horizontalLines: horizontalLines,
+            mapping: Ladder.calculateMapping(numColumns, rows, horizontalLines)
+        };
+        if (seed) {
+            ladderData.seed = seed;
+        }
+        if (resultPool) {
+            ladderData.resultPool = resultPool;
+            ladderData.filler = filler;
+        }
+        if (constraints) {
+            ladderData.constraints = constraints;
+        }
+        if (flags & SHARE_FLAG_GROUPED) {
+            ladderData.grouped = true;
+        }
+        return ladderData;
+    }
+
+    /**
+     * Build the horizontal line bitmap (one bit per row and column gap)
+     * @param {Array} horizontalLines - Horizontal lines
+     * @param {number} rows - Number of rows
+     * @param {number} numColumns - Number of columns
+     * @returns {Uint8Array} Bitmap, most significant bit first
+     */
+    function createLineBitmap(horizontalLines, rows, numColumns) {
+        const gaps = numColumns - 1;
+        const bitmap = new Uint8Array(Math.ceil(rows * gaps / 8));
+        horizontalLines.forEach(line => {
+            const bit = line.row * gaps + line.fromColumn;
+            bitmap[bit >> 3] |= 0x80 >> (bit & 7);
+        });
+        return bitmap;
+    }
+
+    /**
+     * Check whether the ladder can be rebuilt from its seed and inputs alone
+     * @param {Object} ladderData - The ladder data
+     * @param {Uint8Array} bitmap - Line bitmap of the ladder
+     * @returns {boolean}
+     */
+    function isReproducibleFromSeed(ladderData, bitmap) {
+        if (!ladderData.seed) return false;
+
+        const regenerated = Ladder.generate(ladderData.participants, ladderData.resultPool || ladderData.results, {
+            seed: ladderData.seed,
+            filler: ladderData.filler,
+            constraints: ladderData.constraints
+        });
+        if (regenerated.rows !== ladderData.rows) return false;
+
+        const regeneratedBitmap = createLineBitmap(regenerated.horizontalLines, regenerated.rows, ladderData.verticalLines);
+        return regeneratedBitmap.length === bitmap.length &&
+            regeneratedBitmap.every((value, index) => value === bitmap[index]);
+    }
+
+    /**
+     * Compute a 32-bit FNV-1a checksum
+     * @param {Uint8Array} bytes - Bytes to checksum
+     * @returns {number} Unsigned 32-bit checksum
+     */
+    function checksum(bytes) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Create a growable byte writer
+     * @returns {Object} Writer with byte, uint32, varint, string, bytes and toBytes methods
+     */
+    function createByteWriter() {
+        let buffer = new Uint8Array(256);
+        let length = 0;
+        const encoder = new TextEncoder();
+
+        function ensure(extra) {
+            if (length + extra <= buffer.length) return;
+            let size = buffer.length * 2;
+            while (size < length + extra) size *= 2;
+            const next = new Uint8Array(size);
+            next.set(buffer.subarray(0, length));
+            buffer = next;
+        }
+
+        const writer = {
+            byte(value) {
+                ensure(1);
+                buffer[length++] = value;
+            },
+            uint32(value) {
+                writer.byte((value >>> 24) & 0xff);
+                writer.byte((value >>> 16) & 0xff);
+                writer.byte((value >>> 8) & 0xff);
+                writer.byte(value & 0xff);
+            },
+            varint(value) {
+                // Unsigned LEB128
+                do {
+                    let byte = value & 0x7f;
+                    value = Math.floor(value / 128);
+                    if (value > 0) byte |= 0x80;
+                    writer.byte(byte);
+                } while (value > 0);
+            },
+            bytes(data) {
+                ensure(data.length);
+                buffer.set(data, length);
+                length += data.length;
+            },
+            string(text) {
+                const data = encoder.encode(text);
+                writer.varint(data.length);
+                writer.bytes(data);
+            },
+            toBytes() {
+                return buffer.slice(0, length);
+            }
+        };
+        return writer;
+    }
+
+    /**
+     * Create a byte reader that throws on truncated input
+     * @param {Uint8Array} data - Bytes to read
+     * @returns {Object} Reader with byte, uint32, varint, string and bytes methods
+     */
+    function createByteReader(data) {
+        let offset = 0;
+        const decoder = new TextDecoder('utf-8', { fatal: true });
+
+        const reader = {
+            byte() {
+                if (offset >= data.length) {
+                    throw new Error('Unexpected end of share data');
+                }
+                return data[offset++];
+            },
+            uint32() {
+                return ((reader.byte() << 24) | (reader.byte() << 16) | (reader.byte() << 8) | reader.byte()) >>> 0;
+            },
+            varint() {
+                let value = 0;
+                let multiplier = 1;
+                let byte;
+                do {
+                    byte = reader.byte();
+                    value += (byte & 0x7f) * multiplier;
+                    multiplier *= 128;
+                } while (byte & 0x80 && multiplier < 2 ** 35);
+                return value;
+            },
+            bytes(count) {
+                if (offset + count > data.length) {
+                    throw new Error('Unexpected end of share data');
+                }
+                const chunk = data.subarray(offset, offset + count);
+                offset += count;
+                return chunk;
+            },
+            string() {
+                return decoder.decode(reader.bytes(reader.varint()));
+            }
+        };
+        return reader;
+    }
+
+    /**
+     * Compress bytes with deflate-raw (if the Compression Streams API is available)
+     * @param {Uint8Array} bytes - Bytes to compress
+     * @returns {Promise<Uint8Array|null>} Compressed bytes or null if unsupported
+     */
+    async function compressBytes(bytes) {
+        if (typeof CompressionStream === 'undefined') {
+            return null;
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Decompress deflate-raw bytes
+     * @param {Uint8Array} bytes - Compressed bytes
+     * @returns {Promise<Uint8Array>} Decompressed bytes
+     */
+    async function decompressBytes(bytes) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress share links');
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Encode bytes as URL-safe base64 without padding
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} Base64url string
+     */
+    function bytesToBase64Url(bytes) {
+        let binary = '';
+        const chunkSize = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decode URL-safe base64 (with or without padding)
+     * @param {string} text - Base64url string
+     * @returns {Uint8Array} Decoded bytes
+     */
+    function base64UrlToBytes(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
     }
 
     // Public API
     return {
         share: share,
+        shareSVG: shareSVG,
+        shareTournament: shareTournament,
         downloadImage: downloadImage,
+        downloadCertificate: downloadCertificate,
+        downloadSession: downloadSession,
+        downloadSpreadsheet: downloadSpreadsheet,
+        downloadBlob: downloadBlob,
+        canUseWebShare: canUseWebShare,
+        shareNative: shareNative,
+        canCopyImage: canCopyImage,
         copyToClipboard: copyToClipboard,
+        copyImage: copyImage,
+        copyText: copyText,
         generateShareableURL: generateShareableURL,
         parseShareableURL: parseShareableURL
     };
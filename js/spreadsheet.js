@@ -0,0 +1,341 @@
+/**
+ * Ladder Draw - Spreadsheet Export
+ *
+ * This module handles:
+ * - Turning the result list into a table with draw metadata
+ * - CSV export (UTF-8 with BOM, so Excel shows Korean correctly)
+ * - XLSX export: a minimal Office Open XML workbook in an uncompressed ZIP,
+ *   written by hand so no spreadsheet library is needed
+ */
+
+const LadderSpreadsheet = (function() {
+    'use strict';
+
+    /**
+     * Message keys of the column headers of the exported table
+     * (the participant / result headers are also what LadderCsv recognizes in
+     * every language, so the file can be imported again)
+     */
+    const COLUMN_KEYS = [
+        'table.participant', 'table.result', 'export.participantNumber', 'export.resultNumber',
+        'input.title', 'export.drawnAt', 'options.seed'
+    ];
+
+    /**
+     * Shown instead of results that are still covered
+     */
+    const HIDDEN_RESULT = '???';
+
+    /**
+     * Format a date as local date and time
+     * @param {Date} date - Date
+     * @returns {string} Date and time (e.g. 2026-03-05 14:30:00)
+     */
+    function formatDate(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+            `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    }
+
+    /**
+     * Build the result table
+     * Numbers are 1-based like the result list on screen.
+     * @param {Object} ladderData - The ladder data
+     * @param {Object} options - Export options
+     * @param {string} options.title - Draw title
+     * @param {Date} options.date - When the draw was made (default: now)
+     * @param {number[]} options.hiddenResults - Result indices that are still covered
+     * @returns {Array.<Array.<string|number>>} Header row followed by one row per participant
+     */
+    function createRows(ladderData, options = {}) {
+        const hidden = new Set(options.hiddenResults || []);
+        const title = options.title || '';
+        const drawnAt = formatDate(options.date || new Date());
+        const seed = ladderData.seed || '';
+
+        const rows = Ladder.getAllResults(ladderData).map(entry => {
+            const isHidden = hidden.has(entry.resultIndex);
+            return [
+                entry.participant,
+                isHidden ? HIDDEN_RESULT : entry.result,
+                entry.participantIndex + 1,
+                isHidden ? '' : entry.resultIndex + 1,
+                title,
+                drawnAt,
+                seed
+            ];
+        });
+        return [COLUMN_KEYS.map(key => LadderI18n.t(key))].concat(rows);
+    }
+
+    /**
+     * Quote a CSV field when needed (RFC 4180)
+     * Text starting with a formula character gets a leading apostrophe so
+     * spreadsheet apps do not evaluate names like "=1+1".
+     * @param {string|number} value - Cell value
+     * @returns {string} CSV field
+     */
+    function toCsvField(value) {
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Create the CSV export
+     * @param {Object} ladderData - The ladder data
+     * @param {Object} options - Export options (see createRows)
+     * @returns {Blob} CSV file (UTF-8 with BOM, CRLF line endings)
+     */
+    function createCsv(ladderData, options = {}) {
+        const text = createRows(ladderData, options)
+            .map(row => row.map(toCsvField).join(','))
+            .join('\r\n');
+        return new Blob(['\uFEFF' + text + '\r\n'], { type: 'text/csv;charset=utf-8' });
+    }
+
+    /**
+     * Escape text for XML content and attributes
+     * Characters that XML 1.0 does not allow are dropped.
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    function escapeXml(text) {
+        return String(text)
+            // eslint-disable-next-line no-control-regex -- the control characters are what gets dropped
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Get the spreadsheet column letter for a column index (0 -> A, 26 -> AA)
+     * @param {number} index - Column index
+     * @returns {string} Column letters
+     */
+    function columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        }
+        return name;
+    }
+
+    /**
+     * Create the worksheet XML
+     * Strings are stored inline, so no shared string table is needed.
+     * @param {Array.<Array.<string|number>>} rows - Table rows
+     * @returns {string} Worksheet XML
+     */
+    function createSheetXml(rows) {
+        // Column width in characters, counting Korean and other wide characters double
+        const textWidth = value => Array.from(String(value)).reduce((sum, char) => sum + (char.charCodeAt(0) > 0xFF ? 2 : 1), 0);
+        const widths = COLUMN_KEYS.map((_, col) => {
+            const longest = rows.reduce((max, row) => Math.max(max, textWidth(row[col])), 0);
+            return Math.min(60, Math.max(8, longest + 2));
+        });
+
+        const cols = widths
+            .map((width, col) => `<col min="${col + 1}" max="${col + 1}" width="${width.toFixed(1)}" customWidth="1"/>`)
+            .join('');
+
+        const sheetRows = rows.map((row, rowIndex) => {
+            const cells = row.map((value, col) => {
+                const ref = `${columnName(col)}${rowIndex + 1}`;
+                if (value === '') return '';
+                if (typeof value === 'number') {
+                    return `<c r="${ref}"><v>${value}</v></c>`;
+                }
+                return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+            }).join('');
+            return `<row r="${rowIndex + 1}">${cells}</row>`;
+        }).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            // Keep the header row visible while scrolling
+            '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+            `<cols>${cols}</cols>` +
+            `<sheetData>${sheetRows}</sheetData>` +
+            `<autoFilter ref="A1:${columnName(COLUMN_KEYS.length - 1)}${rows.length}"/>` +
+            '</worksheet>';
+    }
+
+    /**
+     * Create the package parts of a one-sheet workbook
+     * @param {string} sheetXml - Worksheet XML
+     * @param {number} rowCount - Number of table rows (for the filter range)
+     * @returns {Array.<{name: string, content: string}>} Files of the package
+     */
+    function createWorkbookFiles(sheetXml, rowCount) {
+        const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+        const relsNs = 'http://schemas.openxmlformats.org/package/2006/relationships';
+        const docRelsNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        const sheetName = LadderI18n.t('export.sheetName');
+
+        return [
+            {
+                name: '[Content_Types].xml',
+                content: xmlHeader +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: xmlHeader +
+                    `<Relationships xmlns="${relsNs}">` +
+                    `<Relationship Id="rId1" Type="${docRelsNs}/officeDocument" Target="xl/workbook.xml"/>` +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: xmlHeader +
+                    `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${docRelsNs}">` +
+                    `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+                    // The autoFilter needs this defined name for Excel to show the filter buttons
+                    `<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${escapeXml(sheetName)}'!$A$1:$${columnName(COLUMN_KEYS.length - 1)}$${rowCount}</definedName></definedNames>` +
+                    '</workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: xmlHeader +
+                    `<Relationships xmlns="${relsNs}">` +
+                    `<Relationship Id="rId1" Type="${docRelsNs}/worksheet" Target="worksheets/sheet1.xml"/>` +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/worksheets/sheet1.xml',
+                content: sheetXml
+            }
+        ];
+    }
+
+    /**
+     * CRC-32 lookup table (polynomial 0xEDB88320, as used by ZIP)
+     */
+    const CRC_TABLE = (function() {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    /**
+     * Compute the CRC-32 of bytes
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} Unsigned CRC-32
+     */
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Pack files into a ZIP archive without compression ("stored")
+     * @param {Array.<{name: string, content: string}>} files - Files to pack
+     * @param {Date} date - Modification time written for every entry
+     * @returns {Uint8Array} ZIP archive
+     */
+    function createZip(files, date) {
+        const encoder = new TextEncoder();
+        // MS-DOS time and date fields
+        const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+        const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+        const entries = files.map(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            return { name: name, data: data, crc: crc32(data) };
+        });
+
+        const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+        const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+        const bytes = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+
+        // Fields shared by the local header and the central directory entry:
+        // version needed, flags (bit 11 = UTF-8 names), method (0 = stored), time, date, CRC, sizes, name length
+        function writeCommonFields(entry) {
+            view.setUint16(offset, 20, true);
+            view.setUint16(offset + 2, 0x0800, true);
+            view.setUint16(offset + 4, 0, true);
+            view.setUint16(offset + 6, dosTime, true);
+            view.setUint16(offset + 8, dosDate, true);
+            view.setUint32(offset + 10, entry.crc, true);
+            view.setUint32(offset + 14, entry.data.length, true);
+            view.setUint32(offset + 18, entry.data.length, true);
+            view.setUint16(offset + 22, entry.name.length, true);
+            view.setUint16(offset + 24, 0, true);
+            offset += 26;
+        }
+
+        entries.forEach(entry => {
+            entry.offset = offset;
+            view.setUint32(offset, 0x04034B50, true);
+            offset += 4;
+            writeCommonFields(entry);
+            bytes.set(entry.name, offset);
+            offset += entry.name.length;
+            bytes.set(entry.data, offset);
+            offset += entry.data.length;
+        });
+
+        const centralOffset = offset;
+        entries.forEach(entry => {
+            view.setUint32(offset, 0x02014B50, true);
+            view.setUint16(offset + 4, 20, true);   // Version made by
+            offset += 6;
+            writeCommonFields(entry);
+            // Comment length, disk number, internal and external attributes are all zero
+            view.setUint32(offset + 10, entry.offset, true);
+            offset += 14;
+            bytes.set(entry.name, offset);
+            offset += entry.name.length;
+        });
+
+        // End of central directory record
+        view.setUint32(offset, 0x06054B50, true);
+        view.setUint16(offset + 8, entries.length, true);
+        view.setUint16(offset + 10, entries.length, true);
+        view.setUint32(offset + 12, centralSize, true);
+        view.setUint32(offset + 16, centralOffset, true);
+
+        return bytes;
+    }
+
+    /**
+     * Create the XLSX export
+     * @param {Object} ladderData - The ladder data
+     * @param {Object} options - Export options (see createRows)
+     * @returns {Blob} XLSX workbook
+     */
+    function createXlsx(ladderData, options = {}) {
+        const rows = createRows(ladderData, options);
+        const zip = createZip(createWorkbookFiles(createSheetXml(rows), rows.length), new Date());
+        return new Blob([zip], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    }
+
+    // Public API
+    return {
+        createRows: createRows,
+        createCsv: createCsv,
+        createXlsx: createXlsx
+    };
+})();
@@ -0,0 +1,704 @@
+/**
+ * Ladder Draw - SVG Renderer
+ *
+ * This module handles:
+ * - Drawing the ladder (names, vertical segments, rungs, results) as SVG markup
+ * - Drawing the result table (one-to-one or grouped) above the ladder
+ *
+ * Layout and highlight styles come from LadderRenderer and colors from the
+ * active LadderTheme, so the SVG matches the canvas pixel for pixel but stays
+ * sharp when printed or scaled on a slide. Text is measured with a canvas
+ * context to truncate labels at exactly the same points as the canvas.
+ */
+
+const LadderSvgRenderer = (function() {
+    'use strict';
+
+    const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+    /**
+     * Canvas text baselines mapped to SVG dominant-baseline values
+     */
+    const BASELINES = {
+        top: 'text-before-edge',
+        middle: 'central',
+        bottom: 'text-after-edge'
+    };
+
+    /**
+     * Canvas text alignments mapped to SVG text-anchor values
+     */
+    const ANCHORS = {
+        left: 'start',
+        center: 'middle',
+        right: 'end'
+    };
+
+    /**
+     * Canvas context used only to measure text (created on first use)
+     */
+    let measureContext = null;
+
+    /**
+     * Escape text for use in SVG markup
+     * @param {string} value - Raw text
+     * @returns {string} Escaped text
+     */
+    function escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Round a coordinate to keep the markup compact
+     * @param {number} value - Coordinate
+     * @returns {number} Rounded coordinate
+     */
+    function num(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Build an SVG element
+     * @param {string} name - Tag name
+     * @param {Object} attrs - Attributes (null and undefined values are skipped)
+     * @param {string} content - Inner markup (omit for an empty element)
+     * @returns {string} Element markup
+     */
+    function element(name, attrs, content) {
+        const attributes = Object.keys(attrs)
+            .filter(key => attrs[key] !== null && attrs[key] !== undefined)
+            .map(key => ` ${key}="${escapeXml(typeof attrs[key] === 'number' ? num(attrs[key]) : attrs[key])}"`)
+            .join('');
+        return content === undefined
+            ? `<${name}${attributes}/>`
+            : `<${name}${attributes}>${content}</${name}>`;
+    }
+
+    /**
+     * Wrap markup in a group with the given opacity (no group at full opacity)
+     * @param {number} opacity - Opacity (0-1)
+     * @param {string} content - Inner markup
+     * @returns {string} Markup
+     */
+    function withOpacity(opacity, content) {
+        return opacity < 1 ? element('g', { opacity: opacity }, content) : content;
+    }
+
+    /**
+     * Build a canvas font string
+     * @param {string|number} weight - Font weight
+     * @param {number} size - Font size in pixels
+     * @returns {string} Font string (e.g. "600 14px sans-serif")
+     */
+    function getFont(weight, size) {
+        return `${weight} ${size}px ${LadderRenderer.CONFIG.FONT_FAMILY}`;
+    }
+
+    /**
+     * Measure the width of text in a font
+     * @param {string} text - Text to measure
+     * @param {string} font - Canvas font string
+     * @returns {number} Width in pixels
+     */
+    function measureText(text, font) {
+        if (!measureContext) {
+            measureContext = document.createElement('canvas').getContext('2d');
+        }
+        measureContext.font = font;
+        return measureContext.measureText(text).width;
+    }
+
+    /**
+     * Truncate text to fit within a maximum width (same rule as the canvas)
+     * @param {string} text - Text to truncate
+     * @param {number} maxWidth - Maximum width in pixels
+     * @param {string} font - Canvas font string
+     * @returns {string} Truncated text
+     */
+    function truncateText(text, maxWidth, font) {
+        if (measureText(text, font) <= maxWidth) {
+            return text;
+        }
+
+        let truncated = text;
+        while (truncated.length > 0 && measureText(truncated + '...', font) > maxWidth) {
+            truncated = truncated.slice(0, -1);
+        }
+        return truncated + '...';
+    }
+
+    /**
+     * Build a text element
+     * @param {string} content - Text
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} style - Text style
+     * @param {string|number} style.weight - Font weight
+     * @param {number} style.size - Font size in pixels
+     * @param {string} style.color - Fill color
+     * @param {string} style.align - Canvas textAlign ('left', 'center', 'right')
+     * @param {string} style.baseline - Canvas textBaseline ('top', 'middle', 'bottom')
+     * @param {boolean} style.vertical - Rotate 90 degrees counter-clockwise around (x, y)
+     * @returns {string} Element markup
+     */
+    function text(content, x, y, style) {
+        const position = style.vertical
+            ? { x: 0, y: 0, transform: `translate(${num(x)} ${num(y)}) rotate(-90)` }
+            : { x: x, y: y };
+        return element('text', Object.assign(position, {
+            'font-weight': style.weight,
+            'font-size': style.size,
+            fill: style.color,
+            'text-anchor': ANCHORS[style.align],
+            'dominant-baseline': BASELINES[style.baseline]
+        }), escapeXml(content));
+    }
+
+    /**
+     * Build the path data of a rounded rectangle (same curves as the canvas)
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @param {number|Array} radius - Corner radius (number for all corners, or array [tl, tr, br, bl])
+     * @returns {string} Path data
+     */
+    function roundedRectPath(x, y, width, height, radius) {
+        const [tl, tr, br, bl] = Array.isArray(radius) ? radius : [radius, radius, radius, radius];
+        return [
+            `M${num(x + tl)} ${num(y)}`,
+            `L${num(x + width - tr)} ${num(y)}`,
+            `Q${num(x + width)} ${num(y)} ${num(x + width)} ${num(y + tr)}`,
+            `L${num(x + width)} ${num(y + height - br)}`,
+            `Q${num(x + width)} ${num(y + height)} ${num(x + width - br)} ${num(y + height)}`,
+            `L${num(x + bl)} ${num(y + height)}`,
+            `Q${num(x)} ${num(y + height)} ${num(x)} ${num(y + height - bl)}`,
+            `L${num(x)} ${num(y + tl)}`,
+            `Q${num(x)} ${num(y)} ${num(x + tl)} ${num(y)}`,
+            'Z'
+        ].join('');
+    }
+
+    /**
+     * Build one stroked path from several straight subpaths
+     * (thousands of rungs stay a single element instead of one element each)
+     * @param {string[]} commands - Subpath data (e.g. "M10 20H80")
+     * @param {string} color - Stroke color
+     * @param {number} width - Stroke width
+     * @param {number[]} dash - Dash pattern (optional, solid when empty)
+     * @returns {string} Element markup (empty without commands)
+     */
+    function strokePath(commands, color, width, dash) {
+        if (commands.length === 0) return '';
+        return element('path', {
+            d: commands.join(''),
+            fill: 'none',
+            stroke: color,
+            'stroke-width': width,
+            'stroke-linecap': 'round',
+            'stroke-dasharray': dash && dash.length > 0 ? dash.join(' ') : null
+        });
+    }
+
+    /**
+     * Draw a round badge with a participant's label (see LadderRenderer drawLabelBadge)
+     * @param {number} x - Center X coordinate
+     * @param {number} y - Center Y coordinate
+     * @param {number} radius - Badge radius
+     * @param {number} index - Participant index
+     * @param {string} color - Badge color
+     * @returns {string} Markup
+     */
+    function labelBadge(x, y, radius, index, color) {
+        const label = LadderRenderer.getParticipantLabel(index);
+        return element('circle', { cx: x, cy: y, r: radius, fill: color }) +
+            text(label, x, y, {
+                weight: 700,
+                size: LadderRenderer.getLabelFontSize(label, radius),
+                color: LadderTheme.getContrastText(color),
+                align: 'center',
+                baseline: 'middle'
+            });
+    }
+
+    /**
+     * Calculate the font size for the available column width (same rule as the canvas)
+     * @param {number} availableWidth - Available width for text
+     * @param {number} baseSize - Base font size
+     * @param {number} minSize - Minimum font size
+     * @returns {number} Font size
+     */
+    function calculateDynamicFontSize(availableWidth, baseSize, minSize) {
+        const targetChars = 4;
+        const neededWidth = targetChars * baseSize * 0.7;
+        if (availableWidth >= neededWidth) {
+            return baseSize;
+        }
+        return Math.max(Math.floor(baseSize * availableWidth / neededWidth), minSize);
+    }
+
+    /**
+     * Draw participant names at the top (see LadderRenderer drawParticipantName)
+     * @param {Object} ladderData - Ladder data
+     * @param {Object} dimensions - Dimensions from LadderRenderer.getDimensions
+     * @param {number} highlightIndex - Index of highlighted participant (-1 for none)
+     * @param {{from: number, to: number}} range - Columns to draw
+     * @param {Object} colors - Theme colors
+     * @returns {string} Markup
+     */
+    function renderParticipantNames(ladderData, dimensions, highlightIndex, range, colors) {
+        const CONFIG = LadderRenderer.CONFIG;
+        const useVerticalText = dimensions.columnWidth < CONFIG.VERTICAL_TEXT_THRESHOLD;
+        const fontSize = calculateDynamicFontSize(dimensions.columnWidth - 10, CONFIG.NAME_FONT_SIZE, CONFIG.MIN_FONT_SIZE);
+
+        return ladderData.participants.map((name, index) => {
+            if (index < range.from || index >= range.to) return '';
+
+            const x = dimensions.startX + index * dimensions.columnWidth;
+            const y = dimensions.startY - 15;
+            const isHighlighted = highlightIndex === index;
+            const isDimmed = highlightIndex >= 0 && !isHighlighted;
+            const color = LadderRenderer.getParticipantColor(index, colors);
+
+            const circleRadius = LadderRenderer.getLabelRadius(dimensions, isHighlighted);
+            let markup = labelBadge(x, y - 25, circleRadius, index, color);
+
+            if (isHighlighted) {
+                markup += element('circle', {
+                    cx: x, cy: y - 25, r: circleRadius + 4,
+                    fill: 'none', stroke: color, 'stroke-width': 3
+                });
+            }
+
+            const weight = isHighlighted ? 800 : 600;
+            const size = isHighlighted ? fontSize * 1.1 : fontSize;
+            const font = getFont(weight, size);
+            if (useVerticalText) {
+                const label = truncateText(name, CONFIG.PADDING_TOP - 25 - 10, font);
+                markup += text(label, x, y - 2, { weight, size, color, align: 'left', baseline: 'middle', vertical: true });
+            } else {
+                const label = truncateText(name, dimensions.columnWidth - 10, font);
+                markup += text(label, x, y, { weight, size, color, align: 'center', baseline: 'bottom' });
+            }
+
+            return withOpacity(isDimmed ? CONFIG.DIM_OPACITY : 1, markup);
+        }).join('');
+    }
+
+    /**
+     * Draw vertical line segments (see LadderRenderer drawVerticalLines)
+     * @param {Object} ladderData - Ladder data
+     * @param {Object} dimensions - Dimensions from LadderRenderer.getDimensions
+     * @param {Object} highlightPath - Highlight path from LadderRenderer.computeHighlightPath (null if none)
+     * @param {string} highlightColor - Color for highlighted path (null if none)
+     * @param {number[]} highlightDash - Dash pattern for highlighted path
+     * @param {{from: number, to: number}} range - Columns to draw
+     * @param {Object} colors - Theme colors
+     * @returns {string} Markup
+     */
+    function renderVerticalSegments(ladderData, dimensions, highlightPath, highlightColor, highlightDash, range, colors) {
+        const CONFIG = LadderRenderer.CONFIG;
+        const normal = [];
+        const highlighted = [];
+
+        for (let col = range.from; col < range.to; col++) {
+            const x = num(dimensions.startX + col * dimensions.columnWidth);
+
+            // Segment k runs from row k-1 to row k (segment 0 starts at the top);
+            // consecutive segments in the same style are merged into one run
+            let runStart = dimensions.startY;
+            let runHighlighted = null;
+            for (let segment = 0; segment <= ladderData.rows; segment++) {
+                const y1 = segment === 0 ? dimensions.startY : dimensions.startY + (segment - 1) * dimensions.rowHeight;
+                const isHighlighted = !!highlightPath && highlightPath.vertical.has(`${col}-${segment}`);
+                if (runHighlighted !== null && isHighlighted !== runHighlighted) {
+                    (runHighlighted ? highlighted : normal).push(`M${x} ${num(runStart)}V${num(y1)}`);
+                    runStart = y1;
+                }
+                runHighlighted = isHighlighted;
+            }
+            (runHighlighted ? highlighted : normal).push(`M${x} ${num(runStart)}V${num(dimensions.endY)}`);
+        }
+
+        return withOpacity(highlightPath ? CONFIG.DIM_OPACITY : 1, strokePath(normal, colors.line, CONFIG.VERTICAL_LINE_WIDTH)) +
+            strokePath(highlighted, highlightColor, CONFIG.HIGHLIGHT_LINE_WIDTH, highlightDash);
+    }
+
+    /**
+     * Draw horizontal lines (see LadderRenderer drawRungs)
+     * @param {Object} ladderData - Ladder data
+     * @param {Object} dimensions - Dimensions from LadderRenderer.getDimensions
+     * @param {Object} highlightPath - Highlight path from LadderRenderer.computeHighlightPath (null if none)
+     * @param {string} highlightColor - Color for highlighted path (null if none)
+     * @param {number[]} highlightDash - Dash pattern for highlighted path
+     * @param {{from: number, to: number}} range - Columns to draw (rungs leaving the range are drawn too)
+     * @param {Object} colors - Theme colors
+     * @returns {string} Markup
+     */
+    function renderHorizontalLines(ladderData, dimensions, highlightPath, highlightColor, highlightDash, range, colors) {
+        const CONFIG = LadderRenderer.CONFIG;
+        const normal = [];
+        const highlighted = [];
+
+        ladderData.horizontalLines.forEach(rung => {
+            if (rung.fromColumn < range.from - 1 || rung.fromColumn >= range.to) return;
+
+            const x1 = dimensions.startX + rung.fromColumn * dimensions.columnWidth;
+            const x2 = x1 + dimensions.columnWidth;
+            const y = dimensions.startY + rung.row * dimensions.rowHeight;
+            const isHighlighted = highlightPath && highlightPath.horizontal.has(`${rung.row}-${rung.fromColumn}`);
+            (isHighlighted ? highlighted : normal).push(`M${num(x1)} ${num(y)}H${num(x2)}`);
+        });
+
+        return withOpacity(highlightPath ? CONFIG.DIM_OPACITY : 1,
+            strokePath(normal, colors.line, CONFIG.HORIZONTAL_LINE_WIDTH)) +
+            strokePath(highlighted, highlightColor, CONFIG.HIGHLIGHT_LINE_WIDTH, highlightDash);
+    }
+
+    /**
+     * Draw results at the bottom (see LadderRenderer drawResult)
+     * @param {Object} ladderData - Ladder data
+     * @param {Object} dimensions - Dimensions from LadderRenderer.getDimensions
+     * @param {number} highlightIndex - Index of highlighted participant (-1 for none)
+     * @param {number[]} hiddenResults - Result indices to draw covered
+     * @param {{from: number, to: number}} range - Columns to draw
+     * @param {Object} colors - Theme colors
+     * @returns {string} Markup
+     */
+    function renderResults(ladderData, dimensions, highlightIndex, hiddenResults, range, colors) {
+        const CONFIG = LadderRenderer.CONFIG;
+        const hidden = new Set(hiddenResults || []);
+        const useVerticalText = dimensions.columnWidth < CONFIG.VERTICAL_TEXT_THRESHOLD;
+        const fontSize = calculateDynamicFontSize(dimensions.columnWidth - 10, CONFIG.RESULT_FONT_SIZE, CONFIG.MIN_FONT_SIZE);
+        const highlightedResultCol = highlightIndex >= 0 ? ladderData.mapping[highlightIndex] : -1;
+
+        // Result column -> participant who ends there (the result takes that participant's color)
+        const reverseMapping = {};
+        ladderData.participants.forEach((_, participantIndex) => {
+            reverseMapping[ladderData.mapping[participantIndex]] = participantIndex;
+        });
+
+        return ladderData.results.map((result, index) => {
+            if (index < range.from || index >= range.to) return '';
+
+            const x = dimensions.startX + index * dimensions.columnWidth;
+            const y = dimensions.endY + 10;
+            const isHighlighted = index === highlightedResultCol;
+            const opacity = highlightIndex >= 0 && !isHighlighted ? CONFIG.DIM_OPACITY : 1;
+
+            if (hidden.has(index)) {
+                return withOpacity(opacity, renderResultCover(x, y, dimensions, useVerticalText, colors));
+            }
+
+            const color = LadderRenderer.getParticipantColor(reverseMapping[index], colors);
+            const badgeRadius = LadderRenderer.getLabelRadius(dimensions, isHighlighted);
+            let markup = labelBadge(x, y + badgeRadius, badgeRadius, reverseMapping[index], color);
+            const textY = y + badgeRadius * 2 + 4;
+
+            const weight = isHighlighted ? 900 : 700;
+            const size = isHighlighted ? fontSize * 1.15 : fontSize;
+            const font = getFont(weight, size);
+            if (useVerticalText) {
+                const label = truncateText(result, CONFIG.PADDING_BOTTOM - 20 - 10, font);
+                markup += text(label, x, textY + 2, { weight, size, color, align: 'right', baseline: 'middle', vertical: true });
+            } else {
+                const label = truncateText(result, dimensions.columnWidth - 10, font);
+                markup += text(label, x, textY, { weight, size, color, align: 'center', baseline: 'top' });
+            }
+
+            return withOpacity(opacity, markup);
+        }).join('');
+    }
+
+    /**
+     * Draw a cover over a hidden result (see LadderRenderer drawResultCover)
+     * @param {number} x - Column X coordinate
+     * @param {number} y - Top of the result area
+     * @param {Object} dimensions - Dimensions from LadderRenderer.getDimensions
+     * @param {boolean} useVerticalText - Whether results are drawn vertically
+     * @param {Object} colors - Theme colors
+     * @returns {string} Markup
+     */
+    function renderResultCover(x, y, dimensions, useVerticalText, colors) {
+        const CONFIG = LadderRenderer.CONFIG;
+        const width = Math.max(8, Math.min(56, dimensions.columnWidth - 6));
+        const height = useVerticalText ? CONFIG.PADDING_BOTTOM - 20 : 24;
+
+        return element('path', {
+            d: roundedRectPath(x - width / 2, y + 6, width, height, Math.min(6, width / 2)),
+            fill: colors.cover
+        }) + text('?', x, y + 6 + height / 2, {
+            weight: 800,
+            size: Math.min(CONFIG.RESULT_FONT_SIZE, width),
+            color: colors.coverText,
+            align: 'center',
+            baseline: 'middle'
+        });
+    }
+
+    /**
+     * Get the layout, optionally squeezed to a maximum height
+     * Only the rows get shorter; names, results and line widths keep their size.
+     * @param {Object} ladderData - Ladder data
+     * @param {Object} options - Rendering options (see render)
+     * @returns {Object} Dimensions (same shape as LadderRenderer.getDimensions)
+     */
+    function getDimensions(ladderData, options) {
+        const dimensions = LadderRenderer.getDimensions(ladderData);
+        if (!options.maxHeight || options.maxHeight >= dimensions.height) {
+            return dimensions;
+        }
+
+        const CONFIG = LadderRenderer.CONFIG;
+        const height = Math.max(options.maxHeight, CONFIG.PADDING_TOP + CONFIG.PADDING_BOTTOM + ladderData.rows);
+        return Object.assign({}, dimensions, {
+            height: height,
+            rowHeight: (height - CONFIG.PADDING_TOP - CONFIG.PADDING_BOTTOM) / ladderData.rows,
+            endY: height - CONFIG.PADDING_BOTTOM
+        });
+    }
+
+    /**
+     * Get the column range to draw
+     * @param {Object} ladderData - Ladder data
+     * @param {Object} options - Rendering options (see render)
+     * @returns {{from: number, to: number}} First column and the column after the last
+     */
+    function getColumnRange(ladderData, options) {
+        const from = Math.max(0, options.fromColumn || 0);
+        const to = options.toColumn !== undefined ? Math.min(ladderData.verticalLines, options.toColumn) : ladderData.verticalLines;
+        return { from: from, to: Math.max(from + 1, to) };
+    }
+
+    /**
+     * Draw the ladder without the surrounding <svg> element
+     * @param {Object} ladderData - Ladder data
+     * @param {Object} options - Rendering options (see render)
+     * @returns {string} Markup
+     */
+    function renderLadder(ladderData, options) {
+        const dimensions = getDimensions(ladderData, options);
+        const range = getColumnRange(ladderData, options);
+        const highlightIndex = options.highlightIndex !== undefined ? options.highlightIndex : -1;
+        const highlightPath = highlightIndex >= 0 ? LadderRenderer.computeHighlightPath(ladderData, highlightIndex) : null;
+        const colors = LadderTheme.getColors(options.theme);
+        const highlightColor = highlightIndex >= 0 ? LadderRenderer.getParticipantColor(highlightIndex, colors) : null;
+        const highlightDash = highlightIndex >= 0 ? LadderRenderer.getPathDash(highlightIndex, colors) : [];
+
+        return element('rect', { width: dimensions.width, height: dimensions.height, fill: colors.background }) +
+            renderParticipantNames(ladderData, dimensions, highlightIndex, range, colors) +
+            renderVerticalSegments(ladderData, dimensions, highlightPath, highlightColor, highlightDash, range, colors) +
+            renderHorizontalLines(ladderData, dimensions, highlightPath, highlightColor, highlightDash, range, colors) +
+            renderResults(ladderData, dimensions, highlightIndex, options.hiddenResults, range, colors);
+    }
+
+    /**
+     * Wrap markup in a standalone <svg> document
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {string} content - Inner markup
+     * @param {number} left - Left edge of the visible area (default 0)
+     * @returns {string} SVG document
+     */
+    function createDocument(width, height, content, left = 0) {
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + element('svg', {
+            xmlns: SVG_NAMESPACE,
+            width: width,
+            height: height,
+            viewBox: `${num(left)} 0 ${num(width)} ${num(height)}`,
+            'font-family': LadderRenderer.CONFIG.FONT_FAMILY,
+            'xml:space': 'preserve'     // Keep the spaces around "→" in the result table
+        }, content) + '\n';
+    }
+
+    /**
+     * Render the ladder as an SVG document
+     * @param {Object} ladderData - Data from Ladder.generate()
+     * @param {Object} options - Rendering options
+     * @param {number} options.highlightIndex - Index of participant to highlight (-1 for none)
+     * @param {number[]} options.hiddenResults - Result indices to draw covered (scratch mode)
+     * @param {number} options.fromColumn - First column to draw (default 0)
+     * @param {number} options.toColumn - Column after the last one to draw (default: all);
+     *     the image is cropped to these columns, e.g. to print a wide ladder over several pages
+     * @param {number} options.maxHeight - Squeeze the rows so the image is at most this tall
+     *     (default: the canvas height)
+     * @param {string} options.theme - Theme to draw with (default: the active theme)
+     * @returns {string} SVG document
+     */
+    function render(ladderData, options = {}) {
+        const dimensions = getDimensions(ladderData, options);
+        const range = getColumnRange(ladderData, options);
+        if (range.from === 0 && range.to === ladderData.verticalLines) {
+            return createDocument(dimensions.width, dimensions.height, renderLadder(ladderData, options));
+        }
+
+        // Keep the usual side padding around the first and last column of the range
+        const padding = LadderRenderer.CONFIG.PADDING_HORIZONTAL;
+        const left = dimensions.startX + range.from * dimensions.columnWidth - padding;
+        const width = (range.to - range.from - 1) * dimensions.columnWidth + padding * 2;
+        return createDocument(width, dimensions.height, renderLadder(ladderData, options), left);
+    }
+
+    /**
+     * Render the result table above the ladder as an SVG document
+     * (see LadderRenderer renderWithResults)
+     * @param {Object} ladderData - The ladder data
+     * @param {Object} options - Rendering options
+     * @param {number} options.highlightIndex - Index of participant to highlight (-1 for none)
+     * @param {number[]} options.hiddenResults - Result indices that are still covered
+     * @param {boolean} options.grouped - Summarize as groups (result -> members) instead of one-to-one
+     * @param {string} options.theme - Theme to draw with (default: the active theme)
+     * @returns {string} SVG document
+     */
+    function renderWithResults(ladderData, options = {}) {
+        const width = LadderRenderer.getDimensions(ladderData).width;
+        const summary = options.grouped
+            ? renderGroupedSummary(ladderData, width, options)
+            : renderSummary(ladderData, width, options);
+        return composeWithSummary(ladderData, summary, options);
+    }
+
+    /**
+     * Draw the one-to-one result table ("participant → result" items in a grid)
+     * @param {Object} ladderData - The ladder data
+     * @param {number} width - Image width
+     * @param {Object} options - Rendering options (see renderWithResults)
+     * @returns {{height: number, markup: string}} Summary height and markup
+     */
+    function renderSummary(ladderData, width, options) {
+        const colors = LadderTheme.getColors(options.theme);
+        const hidden = new Set(options.hiddenResults || []);
+        const padding = 20;
+        const titleHeight = 30;
+        const itemHeight = 24;
+        const itemMargin = 6;
+        const itemWidth = 140;
+
+        const columns = Math.max(1, Math.floor((width - padding * 2 + itemMargin) / (itemWidth + itemMargin)));
+        const rows = Math.ceil(ladderData.participants.length / columns);
+        const totalUsedWidth = columns * itemWidth + (columns - 1) * itemMargin;
+        const startX = (width - totalUsedWidth) / 2;
+
+        const nameFont = getFont(600, 11);
+        const resultFont = getFont(700, 11);
+        const arrowWidth = measureText(' → ', nameFont);
+        const maxNameWidth = (itemWidth - 16 - arrowWidth) / 2;
+
+        const markup = ladderData.participants.map((participant, index) => {
+            const endCol = ladderData.mapping[index];
+            const result = hidden.has(endCol) ? '???' : ladderData.results[endCol];
+            const color = LadderRenderer.getParticipantColor(index, colors);
+            const x = startX + (index % columns) * (itemWidth + itemMargin);
+            const y = padding + titleHeight + Math.floor(index / columns) * (itemHeight + itemMargin);
+            const centerY = y + itemHeight / 2;
+
+            const participantText = truncateText(participant, maxNameWidth, nameFont);
+            const nameWidth = measureText(participantText, nameFont);
+            const textStyle = { weight: 600, size: 11, align: 'left', baseline: 'middle' };
+
+            return element('path', { d: roundedRectPath(x, y, itemWidth, itemHeight, 4), fill: colors.chip }) +
+                element('path', { d: roundedRectPath(x, y, 3, itemHeight, [4, 0, 0, 4]), fill: color }) +
+                text(participantText, x + 10, centerY, Object.assign({ color: colors.text }, textStyle)) +
+                text(' → ', x + 10 + nameWidth, centerY, Object.assign({ color: colors.mutedText }, textStyle)) +
+                text(truncateText(result, maxNameWidth, resultFont), x + 10 + nameWidth + arrowWidth, centerY,
+                    Object.assign({}, textStyle, { weight: 700, color: color }));
+        }).join('');
+
+        return { height: titleHeight + rows * (itemHeight + itemMargin) + padding, markup: markup };
+    }
+
+    /**
+     * Draw the grouped result table (result -> member chips)
+     * @param {Object} ladderData - The ladder data
+     * @param {number} width - Image width
+     * @param {Object} options - Rendering options (see renderWithResults)
+     * @returns {{height: number, markup: string}} Summary height and markup
+     */
+    function renderGroupedSummary(ladderData, width, options) {
+        const colors = LadderTheme.getColors(options.theme);
+        const groups = Ladder.getGroupedResults(ladderData, options.hiddenResults || []);
+        const padding = 20;
+        const titleHeight = 30;
+        const groupTitleHeight = 22;
+        const memberHeight = 22;
+        const memberGap = 6;
+        const groupGap = 12;
+        const availableWidth = width - padding * 2;
+        const maxMemberWidth = Math.min(140, availableWidth);
+        const memberFont = getFont(600, 11);
+        const groupFont = getFont(700, 13);
+
+        let top = titleHeight;
+        const markup = groups.map(group => {
+            const groupTop = padding + top;
+            const title = group.result === null ? '???' : group.result;
+            let content = text(`${truncateText(title, availableWidth - 40, groupFont)} (${group.members.length})`, padding, groupTop, {
+                weight: 700, size: 13, color: colors.text, align: 'left', baseline: 'top'
+            });
+
+            // Member chips wrap to the available width
+            let x = 0;
+            let lineIndex = 0;
+            group.members.forEach(member => {
+                const label = truncateText(member.participant, maxMemberWidth - 20, memberFont);
+                const chipWidth = measureText(label, memberFont) + 20;
+                if (x > 0 && x + chipWidth > availableWidth) {
+                    x = 0;
+                    lineIndex++;
+                }
+
+                const chipX = padding + x;
+                const chipY = groupTop + groupTitleHeight + lineIndex * (memberHeight + memberGap);
+                content += element('path', { d: roundedRectPath(chipX, chipY, chipWidth, memberHeight, 4), fill: colors.chip }) +
+                    element('path', {
+                        d: roundedRectPath(chipX, chipY, 3, memberHeight, [4, 0, 0, 4]),
+                        fill: LadderRenderer.getParticipantColor(member.participantIndex, colors)
+                    }) +
+                    text(label, chipX + 10, chipY + memberHeight / 2, {
+                        weight: 600, size: 11, color: colors.text, align: 'left', baseline: 'middle'
+                    });
+                x += chipWidth + memberGap;
+            });
+
+            top += groupTitleHeight + (lineIndex + 1) * (memberHeight + memberGap) + groupGap;
+            return content;
+        }).join('');
+
+        return { height: top + padding, markup: markup };
+    }
+
+    /**
+     * Combine a result summary and the ladder into one SVG document
+     * (see LadderRenderer composeWithSummary)
+     * @param {Object} ladderData - The ladder data
+     * @param {{height: number, markup: string}} summary - Summary drawn below the title
+     * @param {Object} options - Rendering options for the ladder
+     * @returns {string} SVG document
+     */
+    function composeWithSummary(ladderData, summary, options) {
+        const padding = 20;
+        const dimensions = LadderRenderer.getDimensions(ladderData);
+        const totalHeight = summary.height + 20 + dimensions.height;
+        const dividerY = summary.height + 10;
+        const colors = LadderTheme.getColors(options.theme);
+
+        const content = element('rect', { width: dimensions.width, height: totalHeight, fill: colors.background }) +
+            text(LadderI18n.t('result.results'), dimensions.width / 2, padding, { weight: 700, size: 16, color: colors.text, align: 'center', baseline: 'top' }) +
+            summary.markup +
+            element('line', { x1: padding, y1: dividerY, x2: dimensions.width - padding, y2: dividerY, stroke: colors.divider, 'stroke-width': 1 }) +
+            element('g', { transform: `translate(0 ${num(summary.height + 20)})` }, renderLadder(ladderData, options));
+
+        return createDocument(dimensions.width, totalHeight, content);
+    }
+
+    // Public API
+    return {
+        render: render,
+        renderWithResults: renderWithResults
+    };
+})();
@@ -0,0 +1,349 @@
+/**
+ * Ladder Draw - Text Rendering
+ *
+ * This module handles:
+ * - Drawing the ladder as ASCII art or with Unicode box-drawing characters
+ * - Marking one traced path (heavy lines in Unicode, # and = in ASCII)
+ * - Fitting wide ladders to a width by narrowing columns, then wrapping
+ * - Formatting the results as an aligned plain-text table
+ *
+ * Has no DOM dependency, so the CLI and the web app share it.
+ * Widths are measured in terminal columns: Hangul and other East Asian
+ * wide characters take two columns.
+ */
+
+const LadderTextRenderer = (function() {
+    'use strict';
+
+    // The static page loads ladder.js first; Node.js requires it
+    const LadderCore = typeof Ladder !== 'undefined' ? Ladder : require('./ladder.js');
+
+    /**
+     * Configuration for text rendering
+     */
+    const CONFIG = {
+        MIN_COLUMN_WIDTH: 5,    // Narrowest column (in terminal columns)
+        MAX_COLUMN_WIDTH: 14,   // Widest column; longer labels are truncated
+        ELLIPSIS: '…',
+        HIDDEN_RESULT: '???'    // Label for results that are still covered
+    };
+
+    /**
+     * Line characters per charset, indexed by weight (1 = normal, 2 = traced path)
+     */
+    const CHARSETS = {
+        ascii: {
+            horizontal: ['', '-', '='],
+            vertical: ['', '|', '#']
+        },
+        unicode: {
+            horizontal: ['', '─', '━'],
+            vertical: ['', '│', '┃']
+        }
+    };
+
+    /**
+     * Unicode junctions on a rail, keyed by the up and down weights;
+     * each string is indexed by left weight * 3 + right weight (0 = no arm)
+     */
+    const UNICODE_JUNCTIONS = {
+        '11': '│├┝┤┼┾┥┽┿',
+        '12': '╽┟┢┧╁╆┪╅╈',
+        '21': '╿┞┡┦╀╄┩╃╇',
+        '22': '┃┠┣┨╂╊┫╉╋'
+    };
+
+    /**
+     * Code point ranges drawn two columns wide in terminals
+     */
+    const WIDE_RANGES = [
+        [0x1100, 0x115F],   // Hangul Jamo
+        [0x2E80, 0x303E],   // CJK radicals, punctuation
+        [0x3041, 0x33FF],   // Kana, CJK symbols
+        [0x3400, 0x4DBF],   // CJK extension A
+        [0x4E00, 0x9FFF],   // CJK unified ideographs
+        [0xA960, 0xA97F],   // Hangul Jamo extended A
+        [0xAC00, 0xD7A3],   // Hangul syllables
+        [0xF900, 0xFAFF],   // CJK compatibility ideographs
+        [0xFE30, 0xFE4F],   // CJK compatibility forms
+        [0xFF00, 0xFF60],   // Fullwidth forms
+        [0xFFE0, 0xFFE6],
+        [0x1F300, 0x1F64F], // Emoji
+        [0x1F900, 0x1F9FF],
+        [0x20000, 0x3FFFD]  // CJK extensions B and later
+    ];
+
+    /**
+     * Get the terminal width of a single character
+     * @param {string} char - One character (code point)
+     * @returns {number} 0, 1 or 2
+     */
+    function charWidth(char) {
+        const code = char.codePointAt(0);
+        if (code < 0x20 || (code >= 0x300 && code <= 0x36F) || code === 0x200D) {
+            return 0;   // Control characters, combining marks, zero-width joiner
+        }
+        return WIDE_RANGES.some(([start, end]) => code >= start && code <= end) ? 2 : 1;
+    }
+
+    /**
+     * Get the terminal width of a string
+     * @param {string} text - Text to measure
+     * @returns {number} Width in terminal columns
+     */
+    function displayWidth(text) {
+        let width = 0;
+        for (const char of text) {
+            width += charWidth(char);
+        }
+        return width;
+    }
+
+    /**
+     * Truncate text to a maximum terminal width, adding an ellipsis if needed
+     * @param {string} text - Text to truncate
+     * @param {number} maxWidth - Maximum width in terminal columns
+     * @returns {string} Truncated text
+     */
+    function truncate(text, maxWidth) {
+        if (displayWidth(text) <= maxWidth) {
+            return text;
+        }
+
+        let result = '';
+        let width = 0;
+        for (const char of text) {
+            const w = charWidth(char);
+            if (width + w > maxWidth - displayWidth(CONFIG.ELLIPSIS)) break;
+            result += char;
+            width += w;
+        }
+        return result + CONFIG.ELLIPSIS;
+    }
+
+    /**
+     * Pad text with spaces to a terminal width
+     * @param {string} text - Text to pad
+     * @param {number} width - Target width in terminal columns
+     * @param {string} align - 'left', 'right' or 'center'
+     * @returns {string} Padded text
+     */
+    function pad(text, width, align = 'left') {
+        const space = Math.max(0, width - displayWidth(text));
+        if (align === 'right') {
+            return ' '.repeat(space) + text;
+        }
+        if (align === 'center') {
+            const left = Math.floor(space / 2);
+            return ' '.repeat(left) + text + ' '.repeat(space - left);
+        }
+        return text + ' '.repeat(space);
+    }
+
+    /**
+     * Choose the column width from the longest label
+     * @param {string[]} labels - Participant and result labels
+     * @returns {number} Column width in terminal columns (odd, so the rail is centered)
+     */
+    function getColumnWidth(labels) {
+        const longest = Math.max(...labels.map(displayWidth));
+        const width = Math.min(CONFIG.MAX_COLUMN_WIDTH, Math.max(CONFIG.MIN_COLUMN_WIDTH, longest + 2));
+        return width % 2 === 0 ? width + 1 : width;
+    }
+
+    /**
+     * Get the character where a rail meets the horizontal lines of a row
+     * @param {string} charset - 'ascii' or 'unicode'
+     * @param {number} up - Weight of the rail above (1 or 2)
+     * @param {number} down - Weight of the rail below (1 or 2)
+     * @param {number} left - Weight of the line to the left (0 = none)
+     * @param {number} right - Weight of the line to the right (0 = none)
+     * @returns {string} Junction character
+     */
+    function getJunction(charset, up, down, left, right) {
+        if (charset === 'unicode') {
+            return UNICODE_JUNCTIONS[`${up}${down}`][left * 3 + right];
+        }
+        return CHARSETS.ascii.vertical[Math.max(up, down)];
+    }
+
+    /**
+     * Follow a participant's path row by row
+     * @param {Object} ladderData - Ladder data
+     * @param {number} startColumn - Starting column
+     * @returns {Array.<{before: number, after: number}>} Column before and after each row
+     */
+    function tracePathColumns(ladderData, startColumn) {
+        const columns = [];
+        let current = startColumn;
+
+        // Ladder.tracePath lists the path corners; each horizontal move belongs to one row
+        const moves = new Map();
+        const path = LadderCore.tracePath(ladderData, startColumn);
+        for (let i = 1; i < path.length; i++) {
+            if (path[i].row === path[i - 1].row && path[i].col !== path[i - 1].col) {
+                moves.set(path[i].row, path[i].col);
+            }
+        }
+
+        for (let row = 0; row < ladderData.rows; row++) {
+            const after = moves.has(row) ? moves.get(row) : current;
+            columns.push({ before: current, after: after });
+            current = after;
+        }
+        return columns;
+    }
+
+    /**
+     * Format the header of a wrapped block of columns
+     * The web app translates it; the CLI has no catalog and prints Korean like its other messages.
+     * @param {number} from - First participant in the block (1-based)
+     * @param {number} to - Last participant in the block (1-based)
+     * @param {number} total - Number of participants
+     * @returns {string} Block header
+     */
+    function formatBlockRange(from, to, total) {
+        if (typeof LadderI18n !== 'undefined') {
+            return LadderI18n.t('text.blockRange', { from: from, to: to, total: total });
+        }
+        return `(참여자 ${from}~${to} / ${total}명)`;
+    }
+
+    /**
+     * Draw the ladder as text
+     * Participants are on top, results at the bottom, one rail per column.
+     * Ladders wider than maxWidth first get narrower columns (down to
+     * MIN_COLUMN_WIDTH), then wrap into blocks of columns; lines that cross
+     * a block boundary are drawn as stubs to the block edge.
+     * @param {Object} ladderData - Ladder data from Ladder.generate
+     * @param {Object} options - Rendering options
+     * @param {string} options.charset - 'ascii' (default) or 'unicode' box drawing
+     * @param {number} options.highlightIndex - Participant whose path is marked (default: none)
+     * @param {number[]} options.hiddenResults - Result indices shown as "???"
+     * @param {number} options.maxWidth - Maximum line width in terminal columns (default: unlimited)
+     * @returns {string} Multi-line text
+     */
+    function render(ladderData, options = {}) {
+        const charset = options.charset === 'unicode' ? 'unicode' : 'ascii';
+        const chars = CHARSETS[charset];
+        const highlightIndex = options.highlightIndex !== undefined ? options.highlightIndex : -1;
+        const hidden = new Set(options.hiddenResults || []);
+        const maxWidth = options.maxWidth || Infinity;
+
+        const numColumns = ladderData.participants.length;
+        const results = ladderData.results.map((result, index) => hidden.has(index) ? CONFIG.HIDDEN_RESULT : result);
+
+        // Scale first: narrow the columns to fit, but not below the minimum
+        let columnWidth = getColumnWidth(ladderData.participants.concat(results));
+        while (columnWidth * numColumns > maxWidth && columnWidth - 2 >= CONFIG.MIN_COLUMN_WIDTH) {
+            columnWidth -= 2;
+        }
+        const center = Math.floor(columnWidth / 2);
+
+        // Then wrap: as many columns per block as fit
+        const blockSize = Math.max(1, Math.min(numColumns, Math.floor(maxWidth / columnWidth)));
+
+        // Horizontal lines per row as a set of "from" columns
+        const linesByRow = [];
+        for (let row = 0; row < ladderData.rows; row++) {
+            linesByRow.push(new Set());
+        }
+        ladderData.horizontalLines.forEach(line => linesByRow[line.row].add(line.fromColumn));
+
+        const pathColumns = highlightIndex >= 0 ? tracePathColumns(ladderData, highlightIndex) : null;
+        const endColumn = highlightIndex >= 0 ? ladderData.mapping[highlightIndex] : -1;
+
+        function labelLine(labels, from, to) {
+            return labels
+                .slice(from, to)
+                .map(label => pad(truncate(label, columnWidth - 1), columnWidth, 'center'))
+                .join('')
+                .trimEnd();
+        }
+
+        // Plain rail line above the first row and below the last row
+        function railLine(from, to, pathColumn) {
+            let text = '';
+            for (let col = from; col < to; col++) {
+                const weight = col === pathColumn ? 2 : 1;
+                text += ' '.repeat(center) + chars.vertical[weight] + ' '.repeat(columnWidth - center - 1);
+            }
+            return text.trimEnd();
+        }
+
+        function rowLine(row, from, to) {
+            const connections = linesByRow[row];
+            const path = pathColumns ? pathColumns[row] : null;
+            const crossed = path && path.before !== path.after ? Math.min(path.before, path.after) : -2;
+
+            function lineWeight(fromColumn) {
+                if (!connections.has(fromColumn)) return 0;
+                return fromColumn === crossed ? 2 : 1;
+            }
+
+            let text = '';
+            for (let col = from; col < to; col++) {
+                const left = lineWeight(col - 1);
+                const right = lineWeight(col);
+                const up = path && path.before === col ? 2 : 1;
+                const down = path && path.after === col ? 2 : 1;
+                text += (left ? chars.horizontal[left] : ' ').repeat(center) +
+                    getJunction(charset, up, down, left, right) +
+                    (right ? chars.horizontal[right] : ' ').repeat(columnWidth - center - 1);
+            }
+            return text.trimEnd();
+        }
+
+        const blocks = [];
+        for (let from = 0; from < numColumns; from += blockSize) {
+            const to = Math.min(numColumns, from + blockSize);
+            const lines = [];
+            if (blockSize < numColumns) {
+                lines.push(formatBlockRange(from + 1, to, numColumns));
+            }
+            lines.push(labelLine(ladderData.participants, from, to));
+            lines.push(railLine(from, to, highlightIndex));
+            for (let row = 0; row < ladderData.rows; row++) {
+                lines.push(rowLine(row, from, to));
+            }
+            lines.push(railLine(from, to, endColumn));
+            lines.push(labelLine(results, from, to));
+            blocks.push(lines.join('\n'));
+        }
+        return blocks.join('\n\n');
+    }
+
+    /**
+     * Format the results as an aligned table ("participant → result" per line)
+     * @param {Object} ladderData - Ladder data from Ladder.generate
+     * @param {Object} options - Formatting options
+     * @param {number[]} options.hiddenResults - Result indices shown as "???"
+     * @returns {string} Multi-line table
+     */
+    function renderTable(ladderData, options = {}) {
+        const hidden = new Set(options.hiddenResults || []);
+        const participants = ladderData.participants;
+        const nameWidth = Math.max(...participants.map(displayWidth));
+        return participants
+            .map((participant, index) => {
+                const resultIndex = ladderData.mapping[index];
+                const result = hidden.has(resultIndex) ? CONFIG.HIDDEN_RESULT : ladderData.results[resultIndex];
+                return `${pad(participant, nameWidth)}  →  ${result}`;
+            })
+            .join('\n');
+    }
+
+    // Public API
+    return {
+        render: render,
+        renderTable: renderTable,
+        displayWidth: displayWidth,
+        truncate: truncate,
+        pad: pad
+    };
+})();
+
+// CommonJS export for Node.js (the static page uses the global above)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LadderTextRenderer;
+}
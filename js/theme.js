@@ -0,0 +1,433 @@
+/**
+ * Ladder Draw - Themes
+ *
+ * This module handles:
+ * - Color themes (light, dark, high contrast) for the page and the ladder drawings
+ * - Custom brand themes derived from a single brand color
+ * - Following the system color scheme (prefers-color-scheme) in "auto" mode
+ * - A color-blind-safe participant palette that works with every theme
+ *
+ * Each theme has two parts: `ui` holds the CSS custom properties of
+ * css/style.css (set on <html>), `canvas` holds the colors the canvas and SVG
+ * renderers draw with, so the screen and the exported images always match.
+ */
+
+const LadderTheme = (function() {
+    'use strict';
+
+    /**
+     * Selectable theme preferences ("auto" follows the system color scheme)
+     */
+    const PREFERENCES = ['auto', 'light', 'dark', 'high-contrast', 'custom'];
+
+    /**
+     * Brand color of the custom theme when none has been picked yet
+     */
+    const DEFAULT_BRAND_COLOR = '#7C9EFF';
+
+    /**
+     * Built-in themes
+     */
+    const THEMES = {
+        light: {
+            scheme: 'light',
+            ui: {
+                'primary': '#7C9EFF',
+                'primary-light': '#B8CCFF',
+                'primary-dark': '#5B7FE5',
+                'on-primary': '#FFFFFF',
+                'background': '#FAFBFC',
+                'surface': '#FFFFFF',
+                'text-primary': '#2D3748',
+                'text-secondary': '#718096',
+                'border': '#E2E8F0',
+                'border-focus': '#7C9EFF',
+                'error': '#E53E3E',
+                'error-light': '#FED7D7',
+                'success': '#38A169',
+                'success-light': '#C6F6D5',
+                'cover': '#CBD5E0',
+                'cover-text': '#FFFFFF'
+            },
+            canvas: {
+                background: '#FFFFFF',
+                line: '#000000',          // Ladder lines
+                highlight: '#E74C3C',     // Selected participant's result border
+                text: '#2D3748',
+                mutedText: '#A0AEC0',
+                cover: '#CBD5E0',         // Cover for hidden results
+                coverText: '#FFFFFF',
+                chip: '#F7FAFC',          // Result table item background
+                divider: '#E2E8F0',
+                accent: '#5B7FE5',        // Round titles of combined images
+                participants: [
+                    '#E57373', // Red
+                    '#64B5F6', // Blue
+                    '#81C784', // Green
+                    '#FFB74D', // Orange
+                    '#BA68C8', // Purple
+                    '#4DD0E1', // Cyan
+                    '#F06292', // Pink
+                    '#AED581', // Light Green
+                    '#FFD54F', // Yellow
+                    '#7986CB', // Indigo
+                    '#4DB6AC', // Teal
+                    '#FF8A65', // Deep Orange
+                    '#A1887F', // Brown
+                    '#90A4AE', // Blue Grey
+                    '#9575CD'  // Deep Purple
+                ]
+            }
+        },
+
+        dark: {
+            scheme: 'dark',
+            ui: {
+                'primary': '#7C9EFF',
+                'primary-light': '#2C3A63',
+                'primary-dark': '#A9C0FF',
+                'on-primary': '#1A202C',
+                'background': '#171923',
+                'surface': '#1A202C',
+                'text-primary': '#E2E8F0',
+                'text-secondary': '#A0AEC0',
+                'border': '#4A5568',
+                'border-focus': '#7C9EFF',
+                'error': '#FC8181',
+                'error-light': '#4A2326',
+                'success': '#68D391',
+                'success-light': '#1C4532',
+                'cover': '#4A5568',
+                'cover-text': '#E2E8F0'
+            },
+            canvas: {
+                background: '#1A202C',
+                line: '#E2E8F0',
+                highlight: '#FC8181',
+                text: '#E2E8F0',
+                mutedText: '#718096',
+                cover: '#4A5568',
+                coverText: '#E2E8F0',
+                chip: '#2D3748',
+                divider: '#4A5568',
+                accent: '#A9C0FF',
+                // The pastel palette stays readable on the dark background
+                participants: [
+                    '#E57373', '#64B5F6', '#81C784', '#FFB74D', '#BA68C8',
+                    '#4DD0E1', '#F06292', '#AED581', '#FFD54F', '#7986CB',
+                    '#4DB6AC', '#FF8A65', '#A1887F', '#90A4AE', '#9575CD'
+                ]
+            }
+        },
+
+        'high-contrast': {
+            scheme: 'dark',
+            ui: {
+                'primary': '#FFE600',
+                'primary-light': '#000000',
+                'primary-dark': '#FFE600',
+                'on-primary': '#000000',
+                'background': '#000000',
+                'surface': '#000000',
+                'text-primary': '#FFFFFF',
+                'text-secondary': '#FFFFFF',
+                'border': '#FFFFFF',
+                'border-focus': '#FFE600',
+                'error': '#FF6B6B',
+                'error-light': '#000000',
+                'success': '#5CFF5C',
+                'success-light': '#000000',
+                'cover': '#FFFFFF',
+                'cover-text': '#000000'
+            },
+            canvas: {
+                background: '#000000',
+                line: '#FFFFFF',
+                highlight: '#FFE600',
+                text: '#FFFFFF',
+                mutedText: '#FFFFFF',
+                cover: '#FFFFFF',
+                coverText: '#000000',
+                chip: '#000000',
+                divider: '#FFFFFF',
+                accent: '#FFE600',
+                // Saturated colors with at least 7:1 contrast against black
+                participants: [
+                    '#FF7070', '#4DC3FF', '#5CFF5C', '#FFB000', '#FF7BFF',
+                    '#00FFFF', '#FF5CA8', '#C6FF00', '#FFE600', '#A8AEFF',
+                    '#00E0B0', '#FF9E6B', '#E0C0A0', '#D0E0F0', '#C8A0FF'
+                ]
+            }
+        }
+    };
+
+    /**
+     * Participant palettes replacing the theme's own colors, by color scheme
+     * "colorblind" uses the Okabe-Ito colors, which stay distinct with
+     * protanopia, deuteranopia and tritanopia. Yellow is left out on light
+     * backgrounds and dark blue on dark ones, where they would be hard to read.
+     */
+    const PALETTES = {
+        colorblind: {
+            light: ['#0072B2', '#E69F00', '#009E73', '#CC79A7', '#D55E00', '#56B4E9'],
+            dark: ['#56B4E9', '#E69F00', '#009E73', '#F0E442', '#CC79A7', '#D55E00']
+        }
+    };
+
+    /**
+     * Current preference, custom brand color and participant palette
+     */
+    let currentPreference = 'auto';
+    let currentBrandColor = DEFAULT_BRAND_COLOR;
+    let currentPalette = 'default';
+
+    /**
+     * Custom theme built from the brand color (rebuilt when it or the system scheme changes)
+     */
+    let customTheme = null;
+
+    /**
+     * Drawing colors by theme name (cleared whenever a setting changes)
+     */
+    let colorCache = {};
+
+    /**
+     * Callbacks run after the applied theme changes
+     */
+    const listeners = [];
+
+    /**
+     * System dark mode query (null outside the browser)
+     */
+    const darkQuery = typeof window !== 'undefined' && window.matchMedia
+        ? window.matchMedia('(prefers-color-scheme: dark)')
+        : null;
+
+    /**
+     * Parse a #RRGGBB color
+     * @param {string} color - Hex color
+     * @returns {number[]|null} [r, g, b] or null when invalid
+     */
+    function parseHex(color) {
+        const match = /^#([0-9a-f]{6})$/i.exec(String(color).trim());
+        if (!match) return null;
+        const value = parseInt(match[1], 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+
+    /**
+     * Mix two hex colors
+     * @param {string} color - First color
+     * @param {string} other - Second color
+     * @param {number} amount - Share of the second color (0-1)
+     * @returns {string} Mixed hex color
+     */
+    function mix(color, other, amount) {
+        const a = parseHex(color);
+        const b = parseHex(other);
+        return '#' + a.map((channel, i) => Math.round(channel + (b[i] - channel) * amount)
+            .toString(16).padStart(2, '0')).join('').toUpperCase();
+    }
+
+    /**
+     * Get the relative luminance of a hex color (WCAG)
+     * @param {string} color - Hex color
+     * @returns {number} Luminance (0-1)
+     */
+    function getLuminance(color) {
+        const [r, g, b] = parseHex(color).map(channel => {
+            const value = channel / 255;
+            return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    /**
+     * Build a brand theme on top of the light or dark theme
+     * @param {string} brandColor - Brand color (#RRGGBB)
+     * @param {string} baseName - 'light' or 'dark'
+     * @returns {Object} Theme
+     */
+    function createCustomTheme(brandColor, baseName) {
+        const base = THEMES[baseName];
+        const isDark = base.scheme === 'dark';
+        const strong = isDark ? mix(brandColor, '#FFFFFF', 0.35) : mix(brandColor, '#000000', 0.25);
+
+        return {
+            scheme: base.scheme,
+            ui: Object.assign({}, base.ui, {
+                'primary': brandColor,
+                'primary-light': mix(brandColor, base.ui.surface, 0.7),
+                'primary-dark': strong,
+                'on-primary': getLuminance(brandColor) > 0.4 ? '#1A202C' : '#FFFFFF',
+                'border-focus': brandColor
+            }),
+            canvas: Object.assign({}, base.canvas, {
+                highlight: brandColor,
+                accent: strong
+            })
+        };
+    }
+
+    /**
+     * Get the name of the built-in theme the system prefers
+     * @returns {string} 'light' or 'dark'
+     */
+    function getSystemTheme() {
+        return darkQuery && darkQuery.matches ? 'dark' : 'light';
+    }
+
+    /**
+     * Get the theme currently in effect (the preference resolved against the system)
+     * @returns {string} 'light', 'dark', 'high-contrast' or 'custom'
+     */
+    function getActiveTheme() {
+        return currentPreference === 'auto' ? getSystemTheme() : currentPreference;
+    }
+
+    /**
+     * Get a theme definition
+     * @param {string} name - Theme name (default: the active theme)
+     * @returns {Object} Theme
+     */
+    function getTheme(name) {
+        const themeName = name || getActiveTheme();
+        if (themeName === 'custom') {
+            if (!customTheme) {
+                customTheme = createCustomTheme(currentBrandColor, getSystemTheme());
+            }
+            return customTheme;
+        }
+        return THEMES[themeName] || THEMES.light;
+    }
+
+    /**
+     * Get the drawing colors of a theme (with the chosen participant palette)
+     * @param {string} name - Theme name (default: the active theme)
+     * @returns {Object} Canvas colors (background, line, participants, ...)
+     */
+    function getColors(name) {
+        const themeName = name || getActiveTheme();
+        if (!colorCache[themeName]) {
+            const theme = getTheme(themeName);
+            const palette = PALETTES[currentPalette];
+            colorCache[themeName] = palette
+                ? Object.assign({}, theme.canvas, { participants: palette[theme.scheme] })
+                : theme.canvas;
+        }
+        return colorCache[themeName];
+    }
+
+    /**
+     * Get a readable text color (black or white) for text on a colored background
+     * @param {string} background - Hex background color
+     * @returns {string} '#000000' or '#FFFFFF'
+     */
+    function getContrastText(background) {
+        return getLuminance(background) > 0.35 ? '#000000' : '#FFFFFF';
+    }
+
+    /**
+     * Apply the active theme to the page (CSS custom properties and color-scheme)
+     */
+    function applyToDocument() {
+        if (typeof document === 'undefined') return;
+
+        const theme = getTheme();
+        const root = document.documentElement;
+        Object.keys(theme.ui).forEach(name => {
+            root.style.setProperty(`--${name}`, theme.ui[name]);
+        });
+        root.style.colorScheme = theme.scheme;
+        root.dataset.theme = getActiveTheme();
+    }
+
+    /**
+     * Apply the theme and tell the listeners
+     */
+    function update() {
+        customTheme = null;
+        colorCache = {};
+        applyToDocument();
+        listeners.forEach(listener => listener(getActiveTheme()));
+    }
+
+    /**
+     * Get the theme preference
+     * @returns {string} One of PREFERENCES
+     */
+    function getPreference() {
+        return currentPreference;
+    }
+
+    /**
+     * Get the brand color of the custom theme
+     * @returns {string} Hex color
+     */
+    function getBrandColor() {
+        return currentBrandColor;
+    }
+
+    /**
+     * Choose the theme
+     * Unknown preferences fall back to "auto" and invalid brand colors are ignored.
+     * @param {string} preference - One of PREFERENCES
+     * @param {string} brandColor - Brand color for the custom theme (#RRGGBB, optional)
+     */
+    function setPreference(preference, brandColor) {
+        currentPreference = PREFERENCES.includes(preference) ? preference : 'auto';
+        if (brandColor && parseHex(brandColor)) {
+            currentBrandColor = brandColor.toUpperCase();
+        }
+        update();
+    }
+
+    /**
+     * Get the participant palette
+     * @returns {string} 'default' (the theme's colors) or 'colorblind'
+     */
+    function getPalette() {
+        return currentPalette;
+    }
+
+    /**
+     * Choose the participant palette
+     * @param {string} palette - 'default' or 'colorblind' (unknown names fall back to 'default')
+     */
+    function setPalette(palette) {
+        currentPalette = Object.prototype.hasOwnProperty.call(PALETTES, palette) ? palette : 'default';
+        update();
+    }
+
+    /**
+     * Run a callback whenever the applied theme or palette changes
+     * (also when the system color scheme changes while it is followed)
+     * @param {Function} listener - Called with the active theme name
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    // Follow system color scheme changes (auto and custom themes are based on it)
+    if (darkQuery && darkQuery.addEventListener) {
+        darkQuery.addEventListener('change', () => {
+            if (currentPreference === 'auto' || currentPreference === 'custom') {
+                update();
+            }
+        });
+    }
+
+    // Public API
+    return {
+        PREFERENCES: PREFERENCES,
+        getPreference: getPreference,
+        getBrandColor: getBrandColor,
+        setPreference: setPreference,
+        getActiveTheme: getActiveTheme,
+        getPalette: getPalette,
+        setPalette: setPalette,
+        getColors: getColors,
+        getContrastText: getContrastText,
+        onChange: onChange
+    };
+})();
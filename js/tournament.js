@@ -0,0 +1,126 @@
+/**
+ * Ladder Draw - Multi-Round Tournament
+ *
+ * This module handles:
+ * - Detecting results marked as "advance" (label ending with *)
+ * - Collecting the rounds of a tournament and the participants of the next round
+ * - Exporting every round's ladder and results as one image
+ *
+ * The winners of one round (participants whose result is marked with *)
+ * become the participants of the next round's ladder.
+ */
+
+const LadderTournament = (function() {
+    'use strict';
+
+    /**
+     * Suffix marking a result as "advance to the next round" (e.g. "진출*")
+     */
+    const ADVANCE_MARKER = '*';
+
+    /**
+     * Check whether a result advances its participant to the next round
+     * @param {string} result - Result label
+     * @returns {boolean}
+     */
+    function isAdvancing(result) {
+        return result.length > ADVANCE_MARKER.length && result.endsWith(ADVANCE_MARKER);
+    }
+
+    /**
+     * Check whether a ladder has any advancing result slot
+     * @param {Object} ladderData - The ladder data
+     * @returns {boolean}
+     */
+    function hasAdvancingResults(ladderData) {
+        return ladderData.results.some(isAdvancing);
+    }
+
+    /**
+     * Get the participants who advance from a round (in participant order)
+     * @param {Object} ladderData - The ladder data of the round
+     * @returns {string[]} Advancing participant names
+     */
+    function getAdvancing(ladderData) {
+        return Ladder.getAllResults(ladderData)
+            .filter(item => isAdvancing(item.result))
+            .map(item => item.participant);
+    }
+
+    /**
+     * Create an empty tournament
+     * @returns {{rounds: Object[]}} Tournament
+     */
+    function create() {
+        return { rounds: [] };
+    }
+
+    /**
+     * Add a finished round to a tournament
+     * @param {Object} tournament - Tournament
+     * @param {Object} ladderData - The ladder data of the round
+     * @returns {Object} The tournament
+     */
+    function addRound(tournament, ladderData) {
+        tournament.rounds.push({ ladderData: ladderData });
+        return tournament;
+    }
+
+    /**
+     * Get the participants of the next round (the winners of the last round)
+     * @param {Object} tournament - Tournament
+     * @returns {string[]} Next round participants
+     */
+    function getNextParticipants(tournament) {
+        const lastRound = tournament.rounds[tournament.rounds.length - 1];
+        return lastRound ? getAdvancing(lastRound.ladderData) : [];
+    }
+
+    /**
+     * Summarize every round for a bracket overview
+     * @param {Object} tournament - Tournament
+     * @returns {Array.<{round: number, entries: Array.<{participant: string, result: string, advanced: boolean}>}>}
+     */
+    function summarize(tournament) {
+        return tournament.rounds.map((round, index) => ({
+            round: index + 1,
+            entries: Ladder.getAllResults(round.ladderData).map(item => ({
+                participant: item.participant,
+                result: item.result,
+                advanced: isAdvancing(item.result)
+            }))
+        }));
+    }
+
+    /**
+     * Render every round (ladder and results) into one image, top to bottom
+     * @param {Object} tournament - Tournament
+     * @returns {HTMLCanvasElement} Combined canvas
+     */
+    function renderCombined(tournament) {
+        const sections = tournament.rounds.map((round, index) => {
+            const ladderCanvas = document.createElement('canvas');
+            LadderRenderer.render(ladderCanvas, round.ladderData);
+            return {
+                title: LadderI18n.t('tournament.round', { round: index + 1 }),
+                canvas: LadderRenderer.renderWithResults(ladderCanvas, round.ladderData, {
+                    grouped: !!round.ladderData.grouped
+                })
+            };
+        });
+        return LadderRenderer.renderStacked(sections);
+    }
+
+    // Public API
+    return {
+        ADVANCE_MARKER: ADVANCE_MARKER,
+        isAdvancing: isAdvancing,
+        hasAdvancingResults: hasAdvancingResults,
+        getAdvancing: getAdvancing,
+        create: create,
+        addRound: addRound,
+        getNextParticipants: getNextParticipants,
+        summarize: summarize,
+        renderCombined: renderCombined
+    };
+})();
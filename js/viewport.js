@@ -0,0 +1,462 @@
+/**
+ * Ladder Draw - Ladder Viewport
+ *
+ * This module handles:
+ * - Zooming (mouse wheel, trackpad/touch pinch, zoom buttons) and drag-to-pan
+ *   over the ladder canvas
+ * - A minimap overview of the whole ladder with the visible area marked
+ *
+ * The viewport only keeps the view ({x, y, scale} in ladder coordinates plus
+ * the on-screen size); the owner draws the ladder through it with
+ * LadderRenderer.render(canvas, ladderData, { view }), so every zoom level is
+ * drawn as vectors instead of stretching a bitmap.
+ */
+
+const LadderViewport = (function() {
+    'use strict';
+
+    /**
+     * Viewport configuration
+     */
+    const CONFIG = {
+        MAX_SCALE: 8,               // Most zoom (800%)
+        ZOOM_STEP: 1.25,            // Zoom factor of the zoom buttons
+        WHEEL_ZOOM_SPEED: 0.0015,   // Zoom per pixel of wheel movement
+        WHEEL_LINE_HEIGHT: 16,      // Pixels per wheel "line" (Firefox reports lines)
+        DRAG_THRESHOLD: 4,          // Pointer travel (px) before a press turns into a pan
+        MAX_HEIGHT_RATIO: 0.75,     // Viewport height relative to the window height
+        MIN_HEIGHT: 320,            // Viewport height never shrinks below this (unless the ladder is smaller)
+        MINIMAP_SIZE: 160           // Longest side of the minimap
+    };
+
+    /**
+     * Create a viewport over a canvas
+     * @param {HTMLCanvasElement} canvas - The canvas showing the ladder
+     * @param {Object} options - Viewport options
+     * @param {HTMLElement} options.container - Element whose width the viewport fills (default: the canvas parent)
+     * @param {HTMLCanvasElement} options.minimap - Canvas for the minimap overview (optional)
+     * @param {function(HTMLCanvasElement, Object)} options.renderOverview - Draws the whole ladder
+     *     into the given canvas with the given view (needed for the minimap)
+     * @param {function(Object)} options.onChange - Called with the new view after every zoom or pan
+     * @returns {Object} Controller with setContent, resize, refreshOverview, getView, getZoomRange,
+     *     zoomBy, fit and centerOn
+     */
+    function create(canvas, options = {}) {
+        const container = options.container || canvas.parentElement;
+        const minimap = options.minimap || null;
+        const renderOverview = options.renderOverview || null;
+        const onChange = options.onChange || function() {};
+
+        let contentWidth = 0;
+        let contentHeight = 0;
+        let viewWidth = 0;
+        let viewHeight = 0;
+        let scale = 1;
+        let x = 0;
+        let y = 0;
+
+        const overview = document.createElement('canvas');  // Minimap image of the whole ladder
+        let overviewStale = true;     // Whether the overview has to be drawn again
+        const pointers = new Map();   // Pointers pressed on the canvas: pointerId -> {x, y}
+        let pressStart = null;        // Where the current press started
+        let moved = false;            // Whether the current press turned into a pan or pinch
+        let suppressClick = false;    // Swallow the click that ends a pan
+        let minimapPressed = false;   // Whether the minimap is being dragged
+
+        /**
+         * Get the width available to the viewport inside the container
+         * @returns {number} Width in CSS pixels
+         */
+        function getAvailableWidth() {
+            const style = window.getComputedStyle(container);
+            const padding = (parseFloat(style.paddingLeft) || 0) + (parseFloat(style.paddingRight) || 0);
+            const width = container.clientWidth - padding;
+            // Not laid out (hidden): assume there is room for the whole ladder
+            return width > 0 ? width : contentWidth;
+        }
+
+        /**
+         * Size the viewport for the content and the window
+         */
+        function layout() {
+            const maxHeight = Math.max(CONFIG.MIN_HEIGHT, window.innerHeight * CONFIG.MAX_HEIGHT_RATIO);
+            viewWidth = Math.min(getAvailableWidth(), contentWidth);
+            viewHeight = Math.min(contentHeight, maxHeight);
+        }
+
+        /**
+         * Smallest zoom: the whole ladder fits in the viewport (never above 100%)
+         * @returns {number} Scale
+         */
+        function getMinScale() {
+            return Math.min(1, viewWidth / contentWidth, viewHeight / contentHeight);
+        }
+
+        /**
+         * Clamp one axis of the view so the content stays in sight
+         * (content smaller than the view is centered)
+         * @param {number} offset - View offset in ladder coordinates
+         * @param {number} visible - Visible length in ladder coordinates
+         * @param {number} content - Content length
+         * @returns {number} Clamped offset
+         */
+        function clampOffset(offset, visible, content) {
+            if (visible >= content) {
+                return (content - visible) / 2;
+            }
+            return Math.min(content - visible, Math.max(0, offset));
+        }
+
+        /**
+         * Keep the zoom within range and the view over the content
+         */
+        function clamp() {
+            scale = Math.min(CONFIG.MAX_SCALE, Math.max(getMinScale(), scale));
+            x = clampOffset(x, viewWidth / scale, contentWidth);
+            y = clampOffset(y, viewHeight / scale, contentHeight);
+        }
+
+        /**
+         * Whether the whole ladder is in view
+         * @returns {boolean}
+         */
+        function isContentInView() {
+            return viewWidth / scale >= contentWidth && viewHeight / scale >= contentHeight;
+        }
+
+        /**
+         * Redraw the minimap and tell the owner about the new view
+         */
+        function notify() {
+            drawMinimap();
+            onChange(getView());
+        }
+
+        /**
+         * Get the current view
+         * @returns {{x: number, y: number, scale: number, width: number, height: number}}
+         *     Top-left corner in ladder coordinates, zoom, and on-screen size in CSS pixels
+         */
+        function getView() {
+            return { x: x, y: y, scale: scale, width: viewWidth, height: viewHeight };
+        }
+
+        /**
+         * Zoom around a point of the viewport (the ladder point under it stays put)
+         * @param {number} factor - Zoom factor (> 1 zooms in)
+         * @param {number} pointX - X in CSS pixels from the viewport's left edge
+         * @param {number} pointY - Y in CSS pixels from the viewport's top edge
+         */
+        function zoomAt(factor, pointX, pointY) {
+            const worldX = x + pointX / scale;
+            const worldY = y + pointY / scale;
+            scale *= factor;
+            clamp();
+            x = worldX - pointX / scale;
+            y = worldY - pointY / scale;
+            clamp();
+        }
+
+        /**
+         * Move the view by a distance on screen
+         * @param {number} dx - Horizontal distance in CSS pixels
+         * @param {number} dy - Vertical distance in CSS pixels
+         */
+        function panBy(dx, dy) {
+            x -= dx / scale;
+            y -= dy / scale;
+            clamp();
+        }
+
+        /**
+         * Convert client coordinates to viewport coordinates
+         * @param {number} clientX - X relative to the browser viewport
+         * @param {number} clientY - Y relative to the browser viewport
+         * @returns {{x: number, y: number}} Point in CSS pixels from the viewport's top-left corner
+         */
+        function toViewportPoint(clientX, clientY) {
+            const rect = canvas.getBoundingClientRect();
+            return { x: clientX - rect.left, y: clientY - rect.top };
+        }
+
+        /**
+         * Get the first two pressed pointers' midpoint and distance (for pinch zoom)
+         * @returns {{x: number, y: number, distance: number}}
+         */
+        function getPinch() {
+            const [a, b] = Array.from(pointers.values());
+            return {
+                x: (a.x + b.x) / 2,
+                y: (a.y + b.y) / 2,
+                distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y))
+            };
+        }
+
+        /**
+         * Handle wheel: zoom around the pointer
+         * The page keeps scrolling when the zoom is already at its limit.
+         * @param {WheelEvent} event - Wheel event
+         */
+        function handleWheel(event) {
+            if (contentWidth === 0 || event.deltaY === 0) return;
+            const zoomingIn = event.deltaY < 0;
+            if (zoomingIn ? scale >= CONFIG.MAX_SCALE : scale <= getMinScale()) return;
+
+            event.preventDefault();
+            const delta = event.deltaMode === 1 ? event.deltaY * CONFIG.WHEEL_LINE_HEIGHT : event.deltaY;
+            const point = toViewportPoint(event.clientX, event.clientY);
+            zoomAt(Math.exp(-delta * CONFIG.WHEEL_ZOOM_SPEED), point.x, point.y);
+            notify();
+        }
+
+        /**
+         * Handle a pointer pressing the canvas
+         * @param {PointerEvent} event - Pointer event
+         */
+        function handlePointerDown(event) {
+            if (event.pointerType === 'mouse' && event.button !== 0) return;
+
+            pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+            if (canvas.setPointerCapture) {
+                canvas.setPointerCapture(event.pointerId);
+            }
+            if (pointers.size === 1) {
+                pressStart = { x: event.clientX, y: event.clientY };
+                moved = false;
+                suppressClick = false;
+            } else {
+                // A second finger makes it a pinch, never a tap
+                moved = true;
+            }
+        }
+
+        /**
+         * Handle a pressed pointer moving: pan with one pointer, pinch with two
+         * @param {PointerEvent} event - Pointer event
+         */
+        function handlePointerMove(event) {
+            const previous = pointers.get(event.pointerId);
+            if (!previous) return;
+
+            if (pointers.size >= 2) {
+                const before = getPinch();
+                pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+                const after = getPinch();
+                const point = toViewportPoint(after.x, after.y);
+                zoomAt(after.distance / before.distance, point.x, point.y);
+                panBy(after.x - before.x, after.y - before.y);
+                notify();
+                return;
+            }
+
+            if (!moved) {
+                const travel = Math.hypot(event.clientX - pressStart.x, event.clientY - pressStart.y);
+                if (travel < CONFIG.DRAG_THRESHOLD) return;
+                moved = true;
+            }
+
+            pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+            panBy(event.clientX - previous.x, event.clientY - previous.y);
+            notify();
+        }
+
+        /**
+         * Handle a pointer leaving the canvas surface
+         * @param {PointerEvent} event - Pointer event
+         */
+        function handlePointerUp(event) {
+            if (!pointers.delete(event.pointerId)) return;
+            if (pointers.size === 0 && moved) {
+                suppressClick = true;
+            }
+        }
+
+        /**
+         * Swallow the click that ends a pan or pinch (so it does not select a participant)
+         * @param {MouseEvent} event - Click event
+         */
+        function handleClickCapture(event) {
+            if (!suppressClick) return;
+            suppressClick = false;
+            event.stopImmediatePropagation();
+        }
+
+        /**
+         * Center the view on the minimap point under the pointer
+         * @param {PointerEvent} event - Pointer event
+         */
+        function handleMinimapPointer(event) {
+            if (event.type === 'pointermove' && !minimapPressed) return;
+            if (event.type === 'pointerdown') {
+                minimapPressed = true;
+                if (minimap.setPointerCapture) {
+                    minimap.setPointerCapture(event.pointerId);
+                }
+            }
+
+            const rect = minimap.getBoundingClientRect();
+            const minimapScale = getMinimapScale();
+            centerOn((event.clientX - rect.left) / minimapScale, (event.clientY - rect.top) / minimapScale);
+            event.preventDefault();
+        }
+
+        /**
+         * Get the scale of the minimap
+         * @returns {number} Minimap pixels per ladder pixel
+         */
+        function getMinimapScale() {
+            return Math.min(CONFIG.MINIMAP_SIZE / contentWidth, CONFIG.MINIMAP_SIZE / contentHeight);
+        }
+
+        /**
+         * Draw the minimap: the cached overview with the visible area marked
+         * Hidden while the whole ladder is in view.
+         */
+        function drawMinimap() {
+            if (!minimap) return;
+
+            minimap.hidden = contentWidth === 0 || isContentInView();
+            if (minimap.hidden) return;
+
+            const minimapScale = getMinimapScale();
+            const width = contentWidth * minimapScale;
+            const height = contentHeight * minimapScale;
+
+            if (overviewStale && renderOverview) {
+                // The same canvas every time, so the renderer can reuse its cached ladder layer
+                renderOverview(overview, { x: 0, y: 0, scale: minimapScale, width: width, height: height });
+                overviewStale = false;
+            }
+
+            const dpr = window.devicePixelRatio || 1;
+            minimap.width = Math.round(width * dpr);
+            minimap.height = Math.round(height * dpr);
+            minimap.style.width = width + 'px';
+            minimap.style.height = height + 'px';
+
+            const ctx = minimap.getContext('2d');
+            ctx.scale(dpr, dpr);
+            if (!overviewStale) {
+                ctx.drawImage(overview, 0, 0, width, height);
+            }
+
+            // Visible area
+            const colors = LadderTheme.getColors();
+            const left = Math.max(0, x) * minimapScale;
+            const top = Math.max(0, y) * minimapScale;
+            const right = Math.min(contentWidth, x + viewWidth / scale) * minimapScale;
+            const bottom = Math.min(contentHeight, y + viewHeight / scale) * minimapScale;
+            ctx.globalAlpha = 0.15;
+            ctx.fillStyle = colors.accent;
+            ctx.fillRect(left, top, right - left, bottom - top);
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = colors.accent;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(left + 1, top + 1, Math.max(0, right - left - 2), Math.max(0, bottom - top - 2));
+        }
+
+        /**
+         * Show new content at 100% from its top-left corner (does not notify)
+         * @param {number} width - Content width in ladder coordinates
+         * @param {number} height - Content height in ladder coordinates
+         */
+        function setContent(width, height) {
+            contentWidth = width;
+            contentHeight = height;
+            scale = 1;
+            x = 0;
+            y = 0;
+            overviewStale = true;
+            layout();
+            clamp();
+        }
+
+        /**
+         * Re-measure the viewport after the window or container changed size
+         */
+        function resize() {
+            if (contentWidth === 0) return;
+            layout();
+            clamp();
+            notify();
+        }
+
+        /**
+         * Redraw the minimap overview (call after the ladder's look changed)
+         */
+        function refreshOverview() {
+            overviewStale = true;
+            drawMinimap();
+        }
+
+        /**
+         * Get the zoom range
+         * @returns {{min: number, max: number}} Smallest and largest scale
+         */
+        function getZoomRange() {
+            return { min: getMinScale(), max: CONFIG.MAX_SCALE };
+        }
+
+        /**
+         * Zoom around the middle of the viewport
+         * @param {number} factor - Zoom factor (> 1 zooms in)
+         */
+        function zoomBy(factor) {
+            zoomAt(factor, viewWidth / 2, viewHeight / 2);
+            notify();
+        }
+
+        /**
+         * Zoom out until the whole ladder is in view
+         */
+        function fit() {
+            scale = getMinScale();
+            clamp();
+            notify();
+        }
+
+        /**
+         * Center the view on a ladder point
+         * @param {number|null} worldX - X in ladder coordinates (null keeps the horizontal position)
+         * @param {number|null} worldY - Y in ladder coordinates (null keeps the vertical position)
+         */
+        function centerOn(worldX, worldY) {
+            if (worldX !== null) x = worldX - viewWidth / scale / 2;
+            if (worldY !== null) y = worldY - viewHeight / scale / 2;
+            clamp();
+            notify();
+        }
+
+        canvas.addEventListener('wheel', handleWheel, { passive: false });
+        canvas.addEventListener('pointerdown', handlePointerDown);
+        canvas.addEventListener('pointermove', handlePointerMove);
+        canvas.addEventListener('pointerup', handlePointerUp);
+        canvas.addEventListener('pointercancel', handlePointerUp);
+        canvas.addEventListener('click', handleClickCapture, true);
+        window.addEventListener('resize', resize);
+
+        if (minimap) {
+            minimap.addEventListener('pointerdown', handleMinimapPointer);
+            minimap.addEventListener('pointermove', handleMinimapPointer);
+            minimap.addEventListener('pointerup', () => { minimapPressed = false; });
+            minimap.addEventListener('pointercancel', () => { minimapPressed = false; });
+        }
+
+        return {
+            setContent: setContent,
+            resize: resize,
+            refreshOverview: refreshOverview,
+            getView: getView,
+            getZoomRange: getZoomRange,
+            zoomBy: zoomBy,
+            fit: fit,
+            centerOn: centerOn
+        };
+    }
+
+    // Public API
+    return {
+        CONFIG: CONFIG,
+        create: create
+    };
+})();
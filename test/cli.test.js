@@ -0,0 +1,68 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const Ladder = require('../js/ladder.js');
+
+const CLI = path.join(__dirname, '..', 'bin', 'ladder-draw.js');
+
+/**
+ * Run the CLI with participants and results on standard input
+ * @param {string[]} args - Command line arguments
+ * @param {string} input - Standard input
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+function run(args, input = '') {
+    const result = spawnSync(process.execPath, [CLI].concat(args), { input: input, encoding: 'utf8', timeout: 30000 });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('the CLI draws the same result as the web app for a seed', () => {
+    const { status, stdout } = run(['-s', 'cli', '-f', 'json'], '홍길동\n김철수\n이영희\n---\n커피 x2\n꽝\n');
+    const expected = Ladder.generate(['홍길동', '김철수', '이영희'], ['커피', '커피', '꽝'], { seed: 'cli' });
+    const output = JSON.parse(stdout);
+
+    assert.strictEqual(status, 0);
+    assert.strictEqual(output.seed, 'cli');
+    assert.deepStrictEqual(output.horizontalLines, expected.horizontalLines);
+    assert.deepStrictEqual(output.assignments, Ladder.getAllResults(expected).map(entry => ({
+        participant: entry.participant,
+        result: entry.result
+    })));
+});
+
+test('the CLI writes CSV with quoted fields', () => {
+    const { status, stdout } = run(['-s', 'csv', '-f', 'csv', '--filler', '없음, 다음 기회에'], 'a\nb\n---\nx\n');
+    const lines = stdout.trim().split('\n');
+
+    assert.strictEqual(status, 0);
+    assert.strictEqual(lines[0], 'participant,result');
+    assert.deepStrictEqual(lines.slice(1).map(line => line.split(',')[0]).sort(), ['a', 'b']);
+    assert.ok(lines.includes('a,x') || lines.includes('b,x'));
+    assert.ok(stdout.includes('"없음, 다음 기회에"'));
+});
+
+test('--no-counts keeps "x3" as part of the result name', () => {
+    const { stdout } = run(['-s', 'counts', '-f', 'json', '--no-counts'], 'a\nb\n---\n커피 x2\n');
+    assert.deepStrictEqual(JSON.parse(stdout).results.slice().sort(), ['꽝', '커피 x2']);
+});
+
+test('the CLI exit codes follow the input validation rules', () => {
+    assert.strictEqual(run(['--bogus']).status, 1);
+    assert.strictEqual(run([], 'a\n---\nx\n').status, 2);
+    assert.strictEqual(run([], 'a\nb\n---\n').status, 3);
+    assert.strictEqual(run([], 'a\nb\n---\n커피 x1001\n').status, 4);
+    assert.strictEqual(run([], 'a\nb\n---\n커피 x999999999\n').status, 4);
+    assert.strictEqual(run([], 'a\na\n---\nx\n').status, 6);
+
+    const many = [...Array(101).keys()].map(i => `p${i}`).join('\n');
+    assert.strictEqual(run([], `${many}\n---\nx\n`).status, 5);
+});
+
+test('the CLI reports errors on standard error', () => {
+    const { stdout, stderr } = run([], 'a\na\n---\nx\n');
+    assert.strictEqual(stdout, '');
+    assert.strictEqual(stderr.trim(), '중복된 참여자 이름이 있습니다.');
+});
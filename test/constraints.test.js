@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+
+const { LadderConstraints } = load(['i18n.js', 'ladder.js', 'constraints.js']);
+
+const PARTICIPANTS = ['A', 'B', 'C'];
+
+test('each operator maps to its constraint type', () => {
+    const parsed = LadderConstraints.parse(
+        'A = 당번\nA != 꽝\nA <> B\nB == C\nC ~ 당번 x3',
+        PARTICIPANTS, ['당번', '꽝']
+    );
+
+    assert.deepStrictEqual(parsed.errors, []);
+    assert.deepStrictEqual(parsed.constraints, [
+        { type: 'fixed', participant: 0, result: '당번' },
+        { type: 'exclude', participant: 0, result: '꽝' },
+        { type: 'apart', participants: [0, 1] },
+        { type: 'together', participants: [1, 2] },
+        { type: 'weight', participant: 2, result: '당번', weight: 3 }
+    ]);
+});
+
+test('a line splits at its leftmost operator', () => {
+    const parsed = LadderConstraints.parse('A = x != y\nB != x = y', PARTICIPANTS, ['x != y', 'x = y']);
+
+    assert.deepStrictEqual(parsed.errors, []);
+    assert.deepStrictEqual(parsed.constraints, [
+        { type: 'fixed', participant: 0, result: 'x != y' },
+        { type: 'exclude', participant: 1, result: 'x = y' }
+    ]);
+});
+
+test('the longest operator wins at the split position', () => {
+    const parsed = LadderConstraints.parse('A == B\nA=B', PARTICIPANTS, ['B']);
+
+    assert.deepStrictEqual(parsed.constraints, [
+        { type: 'together', participants: [0, 1] },
+        { type: 'fixed', participant: 0, result: 'B' }
+    ]);
+});
+
+test('result names may contain "~" and other operator characters', () => {
+    const parsed = LadderConstraints.parse('A = 커피~라떼\nB ~ 커피~라떼 x2\nC != <>', PARTICIPANTS, ['커피~라떼', '<>']);
+
+    assert.deepStrictEqual(parsed.errors, []);
+    assert.deepStrictEqual(parsed.constraints, [
+        { type: 'fixed', participant: 0, result: '커피~라떼' },
+        { type: 'weight', participant: 1, result: '커피~라떼', weight: 2 },
+        { type: 'exclude', participant: 2, result: '<>' }
+    ]);
+});
+
+test('comments and blank lines are ignored', () => {
+    const parsed = LadderConstraints.parse('# 조건\n\nA = x  # 항상 x\n', PARTICIPANTS, ['x']);
+
+    assert.deepStrictEqual(parsed.errors, []);
+    assert.deepStrictEqual(parsed.constraints, [{ type: 'fixed', participant: 0, result: 'x' }]);
+});
+
+test('malformed lines and unknown names are reported per line', () => {
+    const parsed = LadderConstraints.parse('= x\nA\nD = x\nA = y\nA <> A', PARTICIPANTS, ['x']);
+
+    assert.strictEqual(parsed.constraints.length, 0);
+    assert.strictEqual(parsed.errors.length, 5);
+    parsed.errors.forEach((error, i) => assert.match(error, new RegExp(`^${i + 1}`)));
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+
+const { LadderCsv } = load(['csv.js']);
+
+test('parse handles RFC 4180 quoting', () => {
+    const rows = LadderCsv.parse('이름,상품\r\n"김, 철수","커피 ""라지"""\r\n"여러\n줄",꽝\r\n');
+    assert.deepStrictEqual(rows, [
+        ['이름', '상품'],
+        ['김, 철수', '커피 "라지"'],
+        ['여러\n줄', '꽝']
+    ]);
+});
+
+test('parse drops the byte order mark and blank rows', () => {
+    assert.deepStrictEqual(LadderCsv.parse('\uFEFFa,b\n\n,\nc,d\n'), [['a', 'b'], ['c', 'd']]);
+});
+
+test('detectDelimiter prefers the delimiter that splits every line evenly', () => {
+    assert.strictEqual(LadderCsv.detectDelimiter('a\tb\nc\td'), '\t');
+    assert.strictEqual(LadderCsv.detectDelimiter('a;b,c\nd;e'), ';');
+    assert.strictEqual(LadderCsv.detectDelimiter('"a,b";c\nd;e'), ';');
+    assert.strictEqual(LadderCsv.detectDelimiter('홍길동\n김철수'), ',');
+});
+
+test('header rows are recognized in every language', () => {
+    const rows = LadderCsv.parse('번호,Name,Prize\n1,a,x\n2,b,y');
+    assert.strictEqual(LadderCsv.hasHeader(rows), true);
+    assert.deepStrictEqual(LadderCsv.guessColumns(rows), { participants: 1, results: 2 });
+    assert.strictEqual(LadderCsv.hasHeader(LadderCsv.parse('a,x\nb,y')), false);
+});
+
+test('getColumn skips the header and empty cells and flattens line breaks', () => {
+    const rows = LadderCsv.parse('이름,결과\n"홍\n길동",x\n,y\n김철수');
+    assert.strictEqual(LadderCsv.getColumnCount(rows), 2);
+    assert.deepStrictEqual(LadderCsv.getColumn(rows, 0, true), ['홍 길동', '김철수']);
+    assert.deepStrictEqual(LadderCsv.getColumn(rows, 1, true), ['x', 'y']);
+});
+
+test('decode follows byte order marks and falls back to CP949', () => {
+    const utf8 = Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('홍길동')]);
+    assert.deepStrictEqual(LadderCsv.decode(utf8), { text: '홍길동', encoding: 'UTF-8' });
+
+    const utf16 = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('홍길동', 'utf16le')]);
+    assert.deepStrictEqual(LadderCsv.decode(utf16), { text: '홍길동', encoding: 'UTF-16' });
+
+    // "홍길동" in CP949
+    const cp949 = Buffer.from([0xC8, 0xAB, 0xB1, 0xE6, 0xB5, 0xBF]);
+    assert.deepStrictEqual(LadderCsv.decode(cp949), { text: '홍길동', encoding: 'CP949' });
+});
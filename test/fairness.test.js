@@ -0,0 +1,59 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+
+const { LadderFairness, LadderHash } = load(['ladder.js', 'hash.js', 'fairness.js']);
+
+test('a new commitment is the SHA-256 of its secret', () => {
+    const commitment = LadderFairness.createCommitment();
+
+    assert.match(commitment.secret, /^[0-9a-f]+$/);
+    assert.strictEqual(commitment.commitment, LadderHash.sha256(commitment.secret));
+    assert.ok(!Number.isNaN(Date.parse(commitment.createdAt)));
+});
+
+test('every commitment uses a fresh secret', () => {
+    const first = LadderFairness.createCommitment();
+    const second = LadderFairness.createCommitment();
+
+    assert.notStrictEqual(first.secret, second.secret);
+    assert.notStrictEqual(first.commitment, second.commitment);
+});
+
+test('verifyCommitment only accepts the committed secret', () => {
+    const { secret, commitment } = LadderFairness.createCommitment();
+
+    assert.strictEqual(LadderFairness.verifyCommitment(secret, commitment), true);
+    assert.strictEqual(LadderFairness.verifyCommitment(secret + '0', commitment), false);
+});
+
+test('deriveSeed depends on every entropy string and their boundaries', () => {
+    const secret = 'abc123';
+    const seed = LadderFairness.deriveSeed(secret, ['ab', 'c']);
+
+    assert.strictEqual(seed, LadderFairness.deriveSeed(secret, ['ab', 'c']));
+    assert.notStrictEqual(seed, LadderFairness.deriveSeed(secret, ['a', 'bc']));
+    assert.notStrictEqual(seed, LadderFairness.deriveSeed(secret, ['ab']));
+    assert.notStrictEqual(seed, LadderFairness.deriveSeed('abc124', ['ab', 'c']));
+});
+
+test('verifyReveal checks both the commitment and the derived seed', () => {
+    const { secret, commitment } = LadderFairness.createCommitment();
+    const reveal = { secret: secret, commitment: commitment, entropies: ['alice'] };
+    const seed = LadderFairness.deriveSeed(secret, ['alice']);
+
+    assert.deepStrictEqual(LadderFairness.verifyReveal(reveal, seed), {
+        commitmentMatches: true,
+        seedMatches: true
+    });
+    assert.deepStrictEqual(
+        LadderFairness.verifyReveal(Object.assign({}, reveal, { entropies: ['bob'] }), seed),
+        { commitmentMatches: true, seedMatches: false }
+    );
+    assert.deepStrictEqual(
+        LadderFairness.verifyReveal(Object.assign({}, reveal, { commitment: LadderHash.sha256('x') }), seed),
+        { commitmentMatches: false, seedMatches: true }
+    );
+});
@@ -0,0 +1,51 @@
+/**
+ * Test helper - loads the browser scripts for Node tests
+ *
+ * The app modules are plain scripts that declare globals (LadderHash,
+ * LadderFairness, ...) in index.html order. This runs the requested files
+ * together in one function scope, so their top-level constants can see each
+ * other as they do in the page, and returns those constants. Running them in
+ * the test's own realm keeps deepStrictEqual working on returned objects.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { webcrypto } = require('crypto');
+
+/**
+ * Browser globals the scripts expect that Node.js may lack (crypto is only global from Node 19)
+ */
+const BROWSER_GLOBALS = { crypto: webcrypto };
+
+const JS_DIR = path.join(__dirname, '..', '..', 'js');
+
+/**
+ * Top-level module declarations, e.g. "const LadderHash = (function() {"
+ */
+const MODULE_PATTERN = /^const (\w+) =/gm;
+
+/**
+ * Run browser scripts and return the globals they declare
+ * @param {string[]} files - Script names under js/, in load order
+ * @param {Object} globals - Extra globals the scripts expect (e.g. a localStorage stub)
+ * @returns {Object} Map of declared global name to value
+ */
+function load(files, globals = {}) {
+    const scope = Object.assign({}, BROWSER_GLOBALS, globals);
+    const sources = files.map(file => fs.readFileSync(path.join(JS_DIR, file), 'utf8'));
+    const names = [];
+    sources.forEach(source => {
+        for (const match of source.matchAll(MODULE_PATTERN)) {
+            names.push(match[1]);
+        }
+    });
+
+    const body = sources.join('\n;\n') + `\nreturn { ${names.join(', ')} };`;
+    const run = vm.compileFunction(body, Object.keys(scope), { filename: files.join('+') });
+    return run(...Object.values(scope));
+}
+
+module.exports = { load };
@@ -0,0 +1,59 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+
+/**
+ * Minimal localStorage stand-in
+ * @returns {Object} Storage with getItem, setItem and removeItem
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+// Without an indexedDB global the history falls back to localStorage
+const localStorage = createStorage();
+const { Ladder, LadderHistory } = load(['ladder.js', 'history.js'], { localStorage: localStorage });
+
+const participants = [...Array(100).keys()].map(i => `참여자${i + 1}`);
+
+test('the localStorage fallback stores the inputs of a draw, not its ladder', async () => {
+    const ladderData = Ladder.generate(participants, ['당첨 x3', '꽝'], { seed: 'history' });
+    const record = await LadderHistory.add(ladderData, { title: '큰 추첨' });
+
+    const stored = JSON.parse(localStorage.getItem('ladder-draw-history'));
+    assert.strictEqual(stored.length, 1);
+    assert.strictEqual(stored[0].ladderData.horizontalLines, undefined);
+    assert.ok(JSON.stringify(stored).length < 10000);
+
+    const reopened = await LadderHistory.get(record.id);
+    assert.deepStrictEqual(reopened.ladderData.horizontalLines, ladderData.horizontalLines);
+    assert.deepStrictEqual(
+        Ladder.getAllResults(reopened.ladderData),
+        Ladder.getAllResults(ladderData)
+    );
+});
+
+test('listed records can still be searched by participant and result', async () => {
+    const [record] = await LadderHistory.list('참여자100');
+    assert.strictEqual(record.title, '큰 추첨');
+    assert.deepStrictEqual(await LadderHistory.list('없는 이름'), []);
+});
+
+test('get rejects a stored draw that its seed no longer reproduces', async () => {
+    const ladderData = Ladder.generate(['a', 'b', 'c'], ['x', 'y', 'z'], { seed: 'history-mismatch' });
+    const record = await LadderHistory.add(ladderData);
+
+    const stored = JSON.parse(localStorage.getItem('ladder-draw-history'));
+    const entry = stored.find(item => item.id === record.id);
+    entry.ladderData.mapping = { 0: entry.ladderData.mapping[1], 1: entry.ladderData.mapping[0], 2: entry.ladderData.mapping[2] };
+    localStorage.setItem('ladder-draw-history', JSON.stringify(stored));
+
+    await assert.rejects(LadderHistory.get(record.id), { code: 'LADDER_MISMATCH' });
+});
@@ -0,0 +1,257 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Ladder = require('../js/ladder.js');
+const { load } = require('./helpers/load');
+
+// Ladder.CONFIG.MAX_RESULT_SLOTS (not exported)
+const MAX_RESULT_SLOTS = 1000;
+
+test('parseResultCount splits off an "xN" suffix', () => {
+    assert.deepStrictEqual(Ladder.parseResultCount('커피 x3'), { label: '커피', count: 3 });
+    assert.deepStrictEqual(Ladder.parseResultCount('커피 ×2'), { label: '커피', count: 2 });
+    assert.deepStrictEqual(Ladder.parseResultCount('커피'), { label: '커피', count: 1 });
+    assert.deepStrictEqual(Ladder.parseResultCount('x3'), { label: 'x3', count: 1 });
+});
+
+test('expandResultCounts repeats each label by its count', () => {
+    assert.deepStrictEqual(Ladder.expandResultCounts(['커피 x3', '꽝']), ['커피', '커피', '커피', '꽝']);
+});
+
+test('expandResultCounts accepts exactly MAX_RESULT_SLOTS slots', () => {
+    const results = Ladder.expandResultCounts([`커피 x${MAX_RESULT_SLOTS - 1}`, '꽝']);
+    assert.strictEqual(results.length, MAX_RESULT_SLOTS);
+});
+
+test('expandResultCounts rejects a huge count before expanding it', () => {
+    assert.throws(() => Ladder.expandResultCounts(['커피 x999999999']), {
+        code: 'TOO_MANY_RESULTS',
+        limit: MAX_RESULT_SLOTS
+    });
+});
+
+test('expandResultCounts rejects counts whose running total is too large', () => {
+    const lines = [`커피 x${MAX_RESULT_SLOTS}`, '꽝'];
+    assert.throws(() => Ladder.expandResultCounts(lines), { code: 'TOO_MANY_RESULTS' });
+});
+
+test('createTeamSlots rejects a huge fixed team size before expanding it', () => {
+    assert.throws(() => Ladder.createTeamSlots(['A팀 x999999999', 'B팀'], 4, 0), { code: 'TOO_MANY_RESULTS' });
+});
+
+/**
+ * Label each participant receives in a generated ladder
+ * @param {Object} ladderData - Generated ladder data
+ * @returns {string[]} Result label per participant
+ */
+function labelsOf(ladderData) {
+    return ladderData.participants.map((_, i) => Ladder.getResultForParticipant(ladderData, i));
+}
+
+test('generate is reproducible from its seed', () => {
+    const first = Ladder.generate(['a', 'b', 'c'], ['x', 'y', 'z'], { seed: 'same' });
+    const second = Ladder.generate(['a', 'b', 'c'], ['x', 'y', 'z'], { seed: 'same' });
+    assert.deepStrictEqual(first, second);
+});
+
+test('the drawn rungs lead every participant to their mapped result', () => {
+    const ladderData = Ladder.generate(['a', 'b', 'c', 'd', 'e'], ['x', 'y'], {
+        seed: 'rungs',
+        constraints: [{ type: 'fixed', participant: 2, result: 'y' }]
+    });
+    const traced = Ladder.calculateMapping(ladderData.verticalLines, ladderData.rows, ladderData.horizontalLines);
+    for (let i = 0; i < ladderData.verticalLines; i++) {
+        assert.strictEqual(traced[i], ladderData.mapping[i]);
+    }
+});
+
+test('a fixed result is never dropped when there are more results than participants', () => {
+    const counts = new Map();
+    for (let i = 0; i < 300; i++) {
+        const ladderData = Ladder.generate(['a', 'b'], ['x', 'y', 'z'], {
+            seed: `fixed-${i}`,
+            constraints: [{ type: 'fixed', participant: 0, result: 'x' }]
+        });
+        const [first, second] = labelsOf(ladderData);
+        assert.strictEqual(first, 'x');
+        assert.strictEqual(ladderData.results.length, 2);
+        assert.deepStrictEqual(ladderData.resultPool, ['x', 'y', 'z']);
+        counts.set(second, (counts.get(second) || 0) + 1);
+    }
+
+    // The other participant gets y or z with equal probability (binomial, 300 draws)
+    assert.deepStrictEqual([...counts.keys()].sort(), ['y', 'z']);
+    assert.ok(Math.abs(counts.get('y') - 150) < 45, `y drawn ${counts.get('y')} times`);
+});
+
+test('forbidden results combine with dropping extra results', () => {
+    for (let i = 0; i < 200; i++) {
+        const ladderData = Ladder.generate(['a', 'b', 'c'], ['x', 'y', 'z', '꽝', '꽝'], {
+            seed: `forbidden-${i}`,
+            constraints: [
+                { type: 'exclude', participant: 0, result: '꽝' },
+                { type: 'exclude', participant: 1, result: '꽝' },
+                { type: 'fixed', participant: 2, result: 'z' }
+            ]
+        });
+        const [first, second, third] = labelsOf(ladderData);
+        assert.notStrictEqual(first, '꽝');
+        assert.notStrictEqual(second, '꽝');
+        assert.strictEqual(third, 'z');
+    }
+});
+
+test('constraints that no kept subset satisfies are reported', () => {
+    assert.throws(() => Ladder.generate(['a', 'b'], ['x', 'y', 'z'], {
+        seed: 'conflict',
+        constraints: [
+            { type: 'fixed', participant: 0, result: 'x' },
+            { type: 'fixed', participant: 1, result: 'x' }
+        ]
+    }), { code: 'UNSATISFIABLE_CONSTRAINTS' });
+});
+
+test('impossible constraints are reported without sampling first', () => {
+    const participants = [...Array(50).keys()].map(i => `p${i}`);
+    const results = [...Array(50).keys()].map(i => `r${i}`);
+    const started = Date.now();
+    assert.throws(() => Ladder.generate(participants, results, {
+        seed: 'together',
+        constraints: [{ type: 'together', participants: [0, 1] }]
+    }), { code: 'UNSATISFIABLE_CONSTRAINTS' });
+    assert.ok(Date.now() - started < 200);
+});
+
+test('createTeamSlots spreads the rest of the participants over teams without a size', () => {
+    const slots = Ladder.createTeamSlots(['A팀 x2', 'B팀', 'C팀'], 7, 0);
+    assert.deepStrictEqual(slots, ['A팀', 'A팀', 'B팀', 'B팀', 'B팀', 'C팀', 'C팀']);
+    assert.strictEqual(Ladder.validateTeamSlots(slots, 7), null);
+});
+
+test('createTeamSlots names teams by number when only a team count is given', () => {
+    const slots = Ladder.createTeamSlots([], 5, 2);
+    assert.deepStrictEqual(slots, ['1팀', '1팀', '1팀', '2팀', '2팀']);
+    assert.strictEqual(Ladder.validateTeamSlots(slots, 5), null);
+});
+
+test('validateTeamSlots rejects fixed team sizes that add up to more than the participants', () => {
+    const slots = Ladder.createTeamSlots(['A팀 x3', 'B팀 x3'], 5, 0);
+    assert.deepStrictEqual(Ladder.validateTeamSlots(slots, 5), {
+        code: 'FIXED_TEAMS_TOO_LARGE',
+        count: 6,
+        message: '인원을 고정한 팀의 합계(6명)가 참여자 수보다 많습니다.'
+    });
+});
+
+test('validateTeamSlots rejects fixed team sizes that add up to fewer than the participants', () => {
+    const slots = Ladder.createTeamSlots(['A팀 x2', 'B팀 x2'], 5, 0);
+    const error = Ladder.validateTeamSlots(slots, 5);
+    assert.strictEqual(error.code, 'FIXED_TEAMS_TOO_SMALL');
+    assert.strictEqual(error.count, 4);
+});
+
+test('compactLadderData keeps the seed, inputs and mapping, and expandLadderData regenerates the lines', () => {
+    const ladderData = Ladder.generate(['a', 'b', 'c', 'd'], ['x', 'y', 'z', 'w', 'v'], {
+        seed: 'compact',
+        constraints: [{ type: 'exclude', participant: 0, result: 'x' }]
+    });
+    ladderData.grouped = true;
+
+    const compacted = Ladder.compactLadderData(ladderData);
+    assert.strictEqual(compacted.horizontalLines, undefined);
+    assert.deepStrictEqual(compacted.mapping, ladderData.mapping);
+    assert.strictEqual(compacted.grouped, true);
+
+    const stored = JSON.parse(JSON.stringify(compacted));
+    assert.deepStrictEqual(Ladder.expandLadderData(stored), JSON.parse(JSON.stringify(ladderData)));
+});
+
+test('expandLadderData rejects a stored draw that its seed no longer reproduces', () => {
+    const ladderData = Ladder.generate(['a', 'b', 'c'], ['x', 'y', 'z'], { seed: 'mismatch' });
+    const stored = JSON.parse(JSON.stringify(Ladder.compactLadderData(ladderData)));
+
+    const swapped = Object.assign({}, stored, {
+        mapping: Object.assign({}, stored.mapping, { 0: stored.mapping[1], 1: stored.mapping[0] })
+    });
+    assert.throws(() => Ladder.expandLadderData(swapped), { code: 'LADDER_MISMATCH' });
+
+    const relined = Object.assign({}, stored, { lineChecksum: (stored.lineChecksum + 1) >>> 0 });
+    assert.throws(() => Ladder.expandLadderData(relined), { code: 'LADDER_MISMATCH' });
+
+    const unchecked = Object.assign({}, stored);
+    delete unchecked.mapping;
+    delete unchecked.lineChecksum;
+    assert.throws(() => Ladder.expandLadderData(unchecked), { code: 'LADDER_MISMATCH' });
+});
+
+test('compactLadderData keeps ladders that their seed does not reproduce', () => {
+    const ladderData = Ladder.generate(['a', 'b', 'c'], ['x', 'y', 'z'], { seed: 'edited' });
+    const edited = Object.assign({}, ladderData, {
+        horizontalLines: ladderData.horizontalLines.slice(1)
+    });
+
+    assert.strictEqual(Ladder.compactLadderData(edited), edited);
+    assert.strictEqual(Ladder.expandLadderData(edited), edited);
+});
+
+test('generateSeed returns 128 random bits as hex', () => {
+    const seed = Ladder.generateSeed();
+    assert.match(seed, /^[0-9a-f]{32}$/);
+    assert.notStrictEqual(seed, Ladder.generateSeed());
+});
+
+test('generateSeed uses the crypto module when there is no crypto global', () => {
+    const { Ladder: NodeLadder } = load(['ladder.js'], { crypto: undefined, require: require });
+    assert.match(NodeLadder.generateSeed(), /^[0-9a-f]{32}$/);
+});
+
+test('generateSeed throws instead of falling back to Math.random', () => {
+    const { Ladder: BareLadder } = load(['ladder.js'], { crypto: undefined });
+    assert.throws(() => BareLadder.generateSeed(), { code: 'NO_SECURE_RANDOM' });
+});
+
+test('createRandom is deterministic per seed and stays in [0, 1)', () => {
+    const first = Ladder.createRandom('rng');
+    const second = Ladder.createRandom('rng');
+    const other = Ladder.createRandom('rng2');
+    const values = [...Array(1000)].map(() => first());
+
+    assert.deepStrictEqual([...Array(1000)].map(() => second()), values);
+    assert.notStrictEqual(other(), values[0]);
+    assert.ok(values.every(value => value >= 0 && value < 1));
+});
+
+test('createRandom is roughly uniform', () => {
+    const random = Ladder.createRandom('uniform');
+    const buckets = new Array(10).fill(0);
+    for (let i = 0; i < 10000; i++) {
+        buckets[Math.floor(random() * 10)]++;
+    }
+    // Each bucket expects 1000 draws; 5 standard deviations is about 150
+    buckets.forEach(count => assert.ok(Math.abs(count - 1000) < 150, `bucket count ${count}`));
+});
+
+test('every permutation is equally likely without constraints', () => {
+    const counts = new Map();
+    for (let i = 0; i < 1200; i++) {
+        const ladderData = Ladder.generate(['a', 'b', 'c'], ['x', 'y', 'z'], { seed: `perm-${i}` });
+        const key = labelsOf(ladderData).join('');
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    // 6 permutations, 200 draws each expected
+    assert.strictEqual(counts.size, 6);
+    counts.forEach(count => assert.ok(Math.abs(count - 200) < 70, `permutation drawn ${count} times`));
+});
+
+test('validate reports the first broken input rule', () => {
+    assert.strictEqual(Ladder.validate(['a'], ['x']).code, 'TOO_FEW_PARTICIPANTS');
+    assert.strictEqual(Ladder.validate(['a', 'b'], []).code, 'NO_RESULTS');
+    assert.strictEqual(Ladder.validate(['a', 'a'], ['x']).code, 'DUPLICATE_PARTICIPANTS');
+    assert.deepStrictEqual(Ladder.validate(['a', 'b'], new Array(MAX_RESULT_SLOTS + 1).fill('x')), {
+        code: 'TOO_MANY_RESULTS',
+        limit: MAX_RESULT_SLOTS,
+        message: `결과 항목은 개수를 포함해 최대 ${MAX_RESULT_SLOTS}개까지 입력할 수 있습니다.`
+    });
+    assert.strictEqual(Ladder.validate(['a', 'b'], ['x']), null);
+});
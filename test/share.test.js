@@ -0,0 +1,86 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+
+const window = { location: { origin: 'https://example.com', pathname: '/ladder/' } };
+const { Ladder, LadderShare } = load(['i18n.js', 'ladder.js', 'hash.js', 'share.js'], { window: window });
+
+/**
+ * Share a ladder and open the link again
+ * @param {Object} ladderData - The ladder data
+ * @returns {Promise<Object>} Parsed share data
+ */
+async function roundTrip(ladderData) {
+    const url = await LadderShare.generateShareableURL(ladderData);
+    assert.ok(url.startsWith('https://example.com/ladder/#d='));
+    return LadderShare.parseShareableURL(url);
+}
+
+test('a share link reproduces the exact ladder', async () => {
+    const ladderData = Ladder.generate(['홍길동', '김철수', '이영희'], ['1등', '커피', '꽝'], { seed: 'share' });
+    const shared = await roundTrip(ladderData);
+
+    assert.deepStrictEqual(shared.participants, ladderData.participants);
+    assert.deepStrictEqual(shared.results, ladderData.results);
+    assert.deepStrictEqual(shared.ladderData.horizontalLines, ladderData.horizontalLines);
+    assert.deepStrictEqual(Ladder.getAllResults(shared.ladderData), Ladder.getAllResults(ladderData));
+    assert.strictEqual(shared.ladderData.seed, 'share');
+});
+
+test('a share link keeps the result pool, constraints and team grouping', async () => {
+    const ladderData = Ladder.generate(['a', 'b', 'c'], ['A팀', 'A팀', 'B팀', 'B팀'], {
+        seed: 'pool',
+        constraints: [{ type: 'fixed', participant: 0, result: 'B팀' }]
+    });
+    ladderData.grouped = true;
+    const shared = await roundTrip(ladderData);
+
+    assert.deepStrictEqual(shared.ladderData.resultPool, ladderData.resultPool);
+    assert.deepStrictEqual(shared.ladderData.constraints, ladderData.constraints);
+    assert.strictEqual(shared.ladderData.grouped, true);
+    assert.deepStrictEqual(Ladder.getAllResults(shared.ladderData), Ladder.getAllResults(ladderData));
+});
+
+test('a share link of a ladder its seed does not reproduce carries the lines', async () => {
+    const ladderData = Ladder.generate(['a', 'b', 'c'], ['x', 'y', 'z'], { seed: 'lines' });
+    const edited = Object.assign({}, ladderData, { seed: 'other' });
+    const shared = await roundTrip(edited);
+
+    assert.deepStrictEqual(shared.ladderData.horizontalLines, ladderData.horizontalLines);
+});
+
+test('URLs without share data parse to null', async () => {
+    assert.strictEqual(await LadderShare.parseShareableURL('https://example.com/ladder/'), null);
+    assert.strictEqual(await LadderShare.parseShareableURL('https://example.com/ladder/#top'), null);
+});
+
+test('legacy links only carry the inputs', async () => {
+    const data = Buffer.from(encodeURIComponent(JSON.stringify({ p: ['a', 'b'], r: ['x'] }))).toString('base64');
+    assert.deepStrictEqual(await LadderShare.parseShareableURL(`https://example.com/?data=${data}`), {
+        participants: ['a', 'b'],
+        results: ['x'],
+        ladderData: null
+    });
+});
+
+test('damaged share links are reported to the caller', async () => {
+    const ladderData = Ladder.generate(['a', 'b', 'c'], ['x', 'y', 'z'], { seed: 'damaged' });
+    const url = await LadderShare.generateShareableURL(ladderData);
+
+    await assert.rejects(LadderShare.parseShareableURL(url.slice(0, -6)));
+    await assert.rejects(LadderShare.parseShareableURL('https://example.com/#d=AAAA'));
+    await assert.rejects(LadderShare.parseShareableURL('https://example.com/?data=%%%'));
+});
+
+test('share links with two lines on one rail in the same row are rejected', async () => {
+    const ladderData = Ladder.generate(['a', 'b', 'c'], ['x', 'y', 'z'], { seed: 'overlap' });
+    const overlapping = Object.assign({}, ladderData, {
+        seed: undefined,
+        horizontalLines: [{ fromColumn: 0, row: 0 }, { fromColumn: 1, row: 0 }]
+    });
+    const url = await LadderShare.generateShareableURL(overlapping);
+
+    await assert.rejects(LadderShare.parseShareableURL(url), /Overlapping lines in row 0/);
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+
+const { LadderI18n, Ladder, LadderCsv, LadderSpreadsheet } = load(['i18n.js', 'ladder.js', 'csv.js', 'spreadsheet.js']);
+LadderI18n.setLocale('ko');
+
+const ladderData = Ladder.generate(['홍길동', '=1+1', 'A & B'], ['1등', '커피', '꽝'], { seed: 'sheet' });
+const date = new Date(2026, 2, 5, 14, 30, 0);
+
+/**
+ * Compute the CRC-32 of bytes (zlib.crc32 needs Node 20.15)
+ * @param {Buffer} bytes - Data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) {
+            crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+        }
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Read the entries of a ZIP archive from its local file headers
+ * @param {Buffer} zip - ZIP archive
+ * @returns {Map<string, {data: Buffer, crc: number, method: number}>} Entries by name
+ */
+function readZip(zip) {
+    const entries = new Map();
+    let offset = 0;
+    while (zip.readUInt32LE(offset) === 0x04034B50) {
+        const method = zip.readUInt16LE(offset + 8);
+        const crc = zip.readUInt32LE(offset + 14);
+        const size = zip.readUInt32LE(offset + 18);
+        const nameLength = zip.readUInt16LE(offset + 26);
+        const extraLength = zip.readUInt16LE(offset + 28);
+        const name = zip.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const start = offset + 30 + nameLength + extraLength;
+        entries.set(name, { data: zip.subarray(start, start + size), crc: crc, method: method });
+        offset = start + size;
+    }
+    assert.strictEqual(zip.readUInt32LE(zip.length - 22), 0x06054B50);
+    assert.strictEqual(zip.readUInt16LE(zip.length - 12), entries.size);
+    return entries;
+}
+
+test('createRows lists every participant with 1-based numbers and metadata', () => {
+    const rows = LadderSpreadsheet.createRows(ladderData, { title: '추첨', date: date, hiddenResults: [1] });
+    assert.deepStrictEqual(rows[0], ['참여자', '결과', '참여자 번호', '결과 번호', '제목', '추첨 시각', '시드']);
+    assert.strictEqual(rows.length, 4);
+
+    Ladder.getAllResults(ladderData).forEach((entry, i) => {
+        const hidden = entry.resultIndex === 1;
+        assert.deepStrictEqual(rows[i + 1], [
+            entry.participant,
+            hidden ? '???' : entry.result,
+            i + 1,
+            hidden ? '' : entry.resultIndex + 1,
+            '추첨',
+            '2026-03-05 14:30:00',
+            'sheet'
+        ]);
+    });
+});
+
+test('the CSV export guards formulas and reads back with the CSV importer', async () => {
+    const bytes = Buffer.from(await LadderSpreadsheet.createCsv(ladderData, { date: date }).arrayBuffer());
+    assert.deepStrictEqual([...bytes.subarray(0, 3)], [0xEF, 0xBB, 0xBF]);
+    const text = bytes.toString('utf8');
+    assert.ok(text.endsWith('\r\n'));
+
+    const rows = LadderCsv.parse(text);
+    const { participants } = LadderCsv.guessColumns(rows);
+    assert.deepStrictEqual(LadderCsv.getColumn(rows, participants, true), ['홍길동', "'=1+1", 'A & B']);
+});
+
+test('the XLSX export is a valid stored ZIP with the expected parts', async () => {
+    const blob = LadderSpreadsheet.createXlsx(ladderData, { title: '<추첨>', date: date });
+    const entries = readZip(Buffer.from(await blob.arrayBuffer()));
+
+    assert.deepStrictEqual([...entries.keys()], [
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'xl/workbook.xml',
+        'xl/_rels/workbook.xml.rels',
+        'xl/worksheets/sheet1.xml'
+    ]);
+    entries.forEach(entry => {
+        assert.strictEqual(entry.method, 0);
+        assert.strictEqual(entry.crc, crc32(entry.data));
+    });
+
+    const sheet = entries.get('xl/worksheets/sheet1.xml').data.toString('utf8');
+    assert.match(sheet, /<t xml:space="preserve">A &amp; B<\/t>/);
+    assert.match(sheet, /<t xml:space="preserve">&lt;추첨&gt;<\/t>/);
+    assert.match(sheet, /<autoFilter ref="A1:G4"\/>/);
+});
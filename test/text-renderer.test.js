@@ -0,0 +1,45 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Ladder = require('../js/ladder.js');
+const LadderTextRenderer = require('../js/text-renderer.js');
+const { load } = require('./helpers/load');
+
+const ladderData = Ladder.generate(['가', '나', '다', '라'], ['x', 'y'], { seed: 'text' });
+
+test('displayWidth counts wide characters as two columns', () => {
+    assert.strictEqual(LadderTextRenderer.displayWidth('abc'), 3);
+    assert.strictEqual(LadderTextRenderer.displayWidth('홍길동'), 6);
+});
+
+test('render puts participants on top and results at the bottom', () => {
+    const lines = LadderTextRenderer.render(ladderData).split('\n');
+    assert.deepStrictEqual(lines[0].trim().split(/\s+/), ['가', '나', '다', '라']);
+    assert.deepStrictEqual(lines[lines.length - 1].trim().split(/\s+/), ladderData.results);
+});
+
+test('render hides covered results', () => {
+    const lines = LadderTextRenderer.render(ladderData, { hiddenResults: [0] }).split('\n');
+    assert.strictEqual(lines[lines.length - 1].trim().split(/\s+/)[0], '???');
+});
+
+test('wrapped blocks are labelled in Korean without a message catalog (CLI)', () => {
+    const blocks = LadderTextRenderer.render(ladderData, { maxWidth: 12 }).split('\n\n');
+    assert.strictEqual(blocks.length, 2);
+    assert.strictEqual(blocks[0].split('\n')[0], '(참여자 1~2 / 4명)');
+    assert.strictEqual(blocks[1].split('\n')[0], '(참여자 3~4 / 4명)');
+});
+
+test('wrapped blocks are labelled from the message catalog in the web app', () => {
+    const { LadderI18n, LadderTextRenderer: PageRenderer } = load(['i18n.js', 'ladder.js', 'text-renderer.js']);
+    LadderI18n.setLocale('en');
+    const blocks = PageRenderer.render(ladderData, { maxWidth: 12 }).split('\n\n');
+    assert.strictEqual(blocks[1].split('\n')[0], '(participants 3–4 of 4)');
+});
+
+test('renderTable aligns the arrows', () => {
+    const table = LadderTextRenderer.renderTable(Ladder.generate(['가', 'bb'], ['x'], { seed: 'table' }));
+    const arrows = table.split('\n').map(line => LadderTextRenderer.displayWidth(line.slice(0, line.indexOf('→'))));
+    assert.strictEqual(arrows[0], arrows[1]);
+});